@@ -6,6 +6,8 @@ import Database from 'better-sqlite3'
 import { appConfig } from '../data/config.mjs'
 import { ADDON_REGISTRY } from '../data/addons.mjs'
 import { HttpCache } from '../lib/HttpCache.mjs'
+import { CachePolicy } from '../lib/CachePolicy.mjs'
+import { ConfigStore } from '../lib/ConfigStore.mjs'
 import { CliOutput } from '../lib/CliOutput.mjs'
 import { AddonLoader } from './loadAddon.mjs'
 
@@ -99,7 +101,7 @@ class SqliteGtfsRuntime {
     }
 
 
-    static async maybeCallSqliteGtfsAutoTool( { toolName, jsonArgs, noCache, refresh } ) {
+    static async maybeCallSqliteGtfsAutoTool( { toolName, jsonArgs, noCache, refresh, dryRun = false } ) {
         if( typeof toolName !== 'string' || !toolName.includes( '.' ) ) { return null }
 
         const { entries } = await SqliteGtfsRuntime.listSqliteGtfsCacheEntries()
@@ -126,6 +128,16 @@ class SqliteGtfsRuntime {
 
         const { entry, tool } = matched
 
+        // Auto-tools answer from the local SQLite store — nothing to preview.
+        if( dryRun ) {
+            const result = CliOutput.error( {
+                'error': `DRY-002 dryRun: "${toolName}" is a sqlite-gtfs auto-tool, not an HTTP tool.`,
+                'fix': `Drop --dry-run: ${appConfig[ 'cliCommand' ]} call ${toolName} '{...}'`
+            } )
+
+            return { result }
+        }
+
         let userParams = {}
         if( jsonArgs ) {
             try {
@@ -140,8 +152,23 @@ class SqliteGtfsRuntime {
             }
         }
 
-        // Cache layer (PRD-20 — reuse standard cache helpers)
-        const isCacheable = !noCache
+        // Cache layer (PRD-20 — reuse standard cache helpers). Auto-tools have no schema
+        // route, so CachePolicy starts from the 60s default; cachePolicy in the config
+        // can change or disable it per namespace or tool.
+        const { globalConfig } = await ConfigStore.loadGlobalConfig()
+        const { policy: cachePolicy, error: policyError, fix: policyFix } = CachePolicy.resolve( {
+            'routeName': tool[ 'localName' ],
+            'namespace': entry[ 'namespace' ],
+            globalConfig,
+            'schemaDefault': 60
+        } )
+        if( policyError !== null ) {
+            const result = CliOutput.error( { 'error': policyError, 'fix': policyFix } )
+
+            return { result }
+        }
+
+        const isCacheable = cachePolicy[ 'cached' ] && !noCache
         if( isCacheable && !refresh ) {
             const { cacheKey } = HttpCache.buildCacheKey( {
                 'namespace': entry[ 'namespace' ],
@@ -277,22 +304,19 @@ class SqliteGtfsRuntime {
                 'routeName': tool[ 'localName' ],
                 userParams
             } )
-            const ttlSeconds = 60
-            const { meta: writeMeta } = await HttpCache.writeCache( {
+            const { meta: writeMeta, stored } = await HttpCache.writeCache( {
                 cacheKey,
                 'data': handlerResult,
-                'ttl': ttlSeconds
+                'ttl': cachePolicy[ 'ttl' ]
             } )
 
             const result = {
                 'status': true,
                 'toolName': toolName,
                 'content': handlerResult,
-                'cache': {
-                    'hit': false,
-                    'stored': true,
-                    'expiresAt': writeMeta[ 'expiresAt' ]
-                }
+                'cache': stored
+                    ? { 'hit': false, 'stored': true, 'expiresAt': writeMeta[ 'expiresAt' ] }
+                    : { 'hit': false, 'stored': false }
             }
 
             return { result }
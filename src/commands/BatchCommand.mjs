@@ -0,0 +1,274 @@
+import { resolve } from 'node:path'
+
+import { appConfig } from '../data/config.mjs'
+import { ConfigStore } from '../lib/ConfigStore.mjs'
+import { CliOutput } from '../lib/CliOutput.mjs'
+import { CallTimeout } from '../lib/CallTimeout.mjs'
+import { CallOptions } from '../lib/CallOptions.mjs'
+import { FsUtils } from '../lib/FsUtils.mjs'
+import { SchemaLoaderBridge } from '../lib/SchemaLoaderBridge.mjs'
+import { CallCommand } from './CallCommand.mjs'
+
+
+const DEFAULT_CONCURRENCY = 4
+
+
+// `flowmcp call --batch <file.jsonl> [--concurrency N]` — many tool calls in ONE process.
+// Each JSONL line is `{ "tool": "<wire-name | Spec-ID>", "args": { ... } }`. The configured
+// schemaFolders[] are resolved exactly once and handed to CallCommand.callTool as preloaded
+// schemas, so every line runs through the identical resolution / key-gating / cache path as a
+// single `flowmcp call` — only without re-importing every schema per line. Lines fan out under
+// the concurrency limit; finished lines are streamed back through onLine in INPUT order. A
+// broken line is reported on its own output line and never aborts the rest of the batch.
+// Ctrl-C does: the lines in flight end with TMO-002, the ones not yet started are
+// reported as not run (TMO-002) without calling, and the result is `interrupted: true`.
+// options — the call options; each line gets the CallOptions.forBatch() subset.
+// No back-reference to FlowMcpCli.
+class BatchCommand {
+    static async callBatch( { filePath, concurrency = null, cwd, options = {}, onLine = null } ) {
+        const { initialized, error: initError, fix: initFix } = await ConfigStore.requireInit()
+        if( !initialized ) {
+            const result = CliOutput.error( { 'error': initError, 'fix': initFix } )
+
+            return { result }
+        }
+
+        if( typeof filePath !== 'string' || filePath.length === 0 ) {
+            const result = CliOutput.error( {
+                'error': 'BAT-001 callBatch: Missing batch file.',
+                'fix': `Provide: ${appConfig[ 'cliCommand' ]} call --batch <file.jsonl> [--concurrency N]`
+            } )
+
+            return { result }
+        }
+
+        const { limit, error: limitError, fix: limitFix } = BatchCommand.parseConcurrency( { concurrency } )
+        if( limitError !== null ) {
+            const result = CliOutput.error( { 'error': limitError, 'fix': limitFix } )
+
+            return { result }
+        }
+
+        const absolutePath = resolve( cwd, filePath )
+        const { data: content } = await FsUtils.readText( { 'filePath': absolutePath } )
+        if( content === null ) {
+            const result = CliOutput.error( {
+                'error': `BAT-001 callBatch: Cannot read batch file: ${absolutePath}`,
+                'fix': 'Check the path to the JSONL batch file.'
+            } )
+
+            return { result }
+        }
+
+        const { entries } = BatchCommand.parseBatchLines( { content } )
+        if( entries.length === 0 ) {
+            const result = CliOutput.error( {
+                'error': `BAT-005 callBatch: Batch file contains no calls: ${absolutePath}`,
+                'fix': 'Add one JSON object per line: {"tool": "<name or Spec-ID>", "args": {}}'
+            } )
+
+            return { result }
+        }
+
+        // Resolve the whole catalog once — the reason a batch beats N process starts.
+        const { schemas: preloadedSchemas, error: resolveError, fix: resolveFix } = await SchemaLoaderBridge.resolveAllSchemas()
+        if( resolveError !== null && resolveError !== undefined ) {
+            const result = CliOutput.error( { 'error': resolveError, 'fix': resolveFix } )
+
+            return { result }
+        }
+
+        const { options: lineOptions } = CallOptions.forBatch( { options } )
+        const interrupt = { 'requested': false }
+        const { release } = CallTimeout.onInterrupt( { 'listener': () => { interrupt[ 'requested' ] = true } } )
+        const { results } = await BatchCommand.#runPool( {
+            entries,
+            limit,
+            'execute': ( { entry } ) => interrupt[ 'requested' ]
+                ? BatchCommand.#skipEntry( { entry } )
+                : BatchCommand.#executeEntry( { entry, preloadedSchemas, cwd, 'options': lineOptions } ),
+            onLine
+        } )
+            .finally( release )
+
+        const failed = results
+            .filter( ( line ) => line[ 'result' ][ 'status' ] !== true )
+            .length
+
+        const result = {
+            'status': failed === 0,
+            'mode': 'batch',
+            'file': absolutePath,
+            'concurrency': limit,
+            'total': results.length,
+            'succeeded': results.length - failed,
+            failed,
+            'interrupted': interrupt[ 'requested' ]
+        }
+
+        return { result }
+    }
+
+
+    static parseConcurrency( { concurrency } ) {
+        if( concurrency === null || concurrency === undefined ) {
+            return { 'limit': DEFAULT_CONCURRENCY, 'error': null, 'fix': null }
+        }
+
+        const limit = Number( concurrency )
+        if( Number.isInteger( limit ) === false || limit < 1 ) {
+            return {
+                'limit': null,
+                'error': `BAT-004 callBatch: Invalid --concurrency "${concurrency}".`,
+                'fix': 'Use a positive integer, e.g. --concurrency 8'
+            }
+        }
+
+        return { limit, 'error': null, 'fix': null }
+    }
+
+
+    // One entry per non-blank line, 1-based line numbers. A line that is not valid JSON
+    // or not shaped { tool, args? } keeps its slot with a coded error, so the output
+    // stays aligned with the input.
+    static parseBatchLines( { content } ) {
+        const entries = content
+            .split( '\n' )
+            .map( ( raw, index ) => {
+                return { 'line': index + 1, 'raw': raw.trim() }
+            } )
+            .filter( ( { raw } ) => raw.length > 0 )
+            .map( ( { line, raw } ) => {
+                let parsed
+                try {
+                    parsed = JSON.parse( raw )
+                } catch {
+                    return { line, 'tool': null, 'args': null, 'error': `BAT-002 callBatch: Line ${line} is not valid JSON.` }
+                }
+
+                const isObject = parsed !== null && typeof parsed === 'object' && Array.isArray( parsed ) === false
+                if( !isObject || typeof parsed[ 'tool' ] !== 'string' || parsed[ 'tool' ].length === 0 ) {
+                    return { line, 'tool': null, 'args': null, 'error': `BAT-003 callBatch: Line ${line} needs a non-empty "tool" string.` }
+                }
+
+                const args = parsed[ 'args' ] === undefined ? {} : parsed[ 'args' ]
+                const argsValid = args !== null && typeof args === 'object' && Array.isArray( args ) === false
+                if( !argsValid ) {
+                    return { line, 'tool': parsed[ 'tool' ], 'args': null, 'error': `BAT-003 callBatch: Line ${line} "args" must be a JSON object.` }
+                }
+
+                return { line, 'tool': parsed[ 'tool' ], args, 'error': null }
+            } )
+
+        return { entries }
+    }
+
+
+    static async #skipEntry( { entry } ) {
+        const { line, tool } = entry
+        const result = CliOutput.error( {
+            'error': `TMO-002 callBatch: Line ${line} was not run, the batch was interrupted (SIGINT).`,
+            'fix': 'Re-run the batch file, or a copy with only the lines that were not run.'
+        } )
+
+        return { line, tool, result }
+    }
+
+
+    static async #executeEntry( { entry, preloadedSchemas, cwd, options } ) {
+        const { line, tool, args, error } = entry
+
+        if( error !== null ) {
+            const result = CliOutput.error( {
+                error,
+                'fix': 'Each line must be a JSON object: {"tool": "<name or Spec-ID>", "args": {}}'
+            } )
+
+            return { line, tool, result }
+        }
+
+        try {
+            const { result } = await CallCommand.callTool( {
+                'toolName': tool,
+                'jsonArgs': JSON.stringify( args ),
+                cwd,
+                options,
+                preloadedSchemas,
+                'promptWrite': false
+            } )
+
+            return { line, tool, result }
+        } catch( err ) {
+            const result = CliOutput.error( {
+                'error': `BAT-006 callBatch: Line ${line} failed: ${err.message}`,
+                'fix': `Re-run the line on its own: ${appConfig[ 'cliCommand' ]} call ${tool} '${JSON.stringify( args )}'`
+            } )
+
+            return { line, tool, result }
+        }
+    }
+
+
+    // Worker pool without loops: `limit` workers each pull the next entry until none are
+    // left. Results land in their input slot; every completion flushes the contiguous
+    // finished prefix to onLine, so the stream stays in input order.
+    static async #runPool( { entries, limit, execute, onLine } ) {
+        const results = new Array( entries.length )
+        let cursor = 0
+        let emitted = 0
+
+        const flush = () => {
+            const pending = results
+                .slice( emitted )
+                .findIndex( ( slot ) => slot === undefined )
+            const readyCount = pending === -1 ? results.length - emitted : pending
+
+            results
+                .slice( emitted, emitted + readyCount )
+                .forEach( ( line ) => {
+                    if( typeof onLine === 'function' ) {
+                        onLine( { line } )
+                    }
+                } )
+
+            emitted += readyCount
+        }
+
+        const worker = async () => {
+            if( cursor >= entries.length ) {
+                return
+            }
+
+            const index = cursor
+            cursor += 1
+            results[ index ] = await execute( { 'entry': entries[ index ] } )
+            flush()
+
+            await worker()
+        }
+
+        const workerCount = Math.min( limit, entries.length )
+        await Promise.all(
+            Array.from( { 'length': workerCount }, () => worker() )
+        )
+
+        return { results }
+    }
+
+
+    // Concise human summary to STDERR — stdout stays pure JSONL for pipes.
+    // Suppressed by --quiet and by --json.
+    static printSummary( { result, quiet, json } ) {
+        if( quiet === true || json === true || result === null || result === undefined ) {
+            return
+        }
+
+        const verdict = result[ 'interrupted' ] === true
+            ? `interrupted, ${result[ 'failed' ]} failed or not run`
+            : result[ 'failed' ] === 0 ? 'all ok' : `${result[ 'failed' ]} failed`
+        process.stderr.write( `[batch] ${result[ 'total' ]} call(s), concurrency ${result[ 'concurrency' ]} — ${verdict}\n` )
+    }
+}
+
+
+export { BatchCommand }
@@ -1,18 +1,44 @@
 import { readFile, readdir, unlink, rmdir } from 'node:fs/promises'
 import { join } from 'node:path'
 
+import { appConfig } from '../data/config.mjs'
 import { HttpCache } from '../lib/HttpCache.mjs'
+import { SqliteCacheStore } from '../lib/SqliteCacheStore.mjs'
 import { CliOutput } from '../lib/CliOutput.mjs'
+import { FsUtils } from '../lib/FsUtils.mjs'
+import { ArgsSource } from '../lib/ArgsSource.mjs'
+import { ContentSink } from '../lib/ContentSink.mjs'
+import { Duration } from '../lib/Duration.mjs'
 
 
 // Memo 152 / PRD-019 (D-08) — the `flowmcp cache status` / `flowmcp cache clear`
 // commands and their FS helpers. Reads the cache base dir from HttpCache; no
-// back-reference to FlowMcpCli.
+// back-reference to FlowMcpCli. status / clear act on the configured store
+// (HttpCache.storeSettings); `cache migrate` moves the JSON tree into the sqlite one.
+// `cache ls` / `cache inspect` / `cache prune` work on single entries of either store.
+const PREVIEW_CHARS = 1000
+// cache migrate holds at most this many parsed entries in memory at a time.
+const MIGRATE_BATCH = 200
+
+
 class CacheCommand {
     static async cacheClear( { namespace } ) {
         const cacheBase = HttpCache.cacheDir()
+        const { store } = await HttpCache.storeSettings()
 
         try {
+            if( store === 'sqlite' ) {
+                const { removed } = SqliteCacheStore.clear( { 'namespace': namespace || null } )
+                const result = {
+                    'status': true,
+                    'message': namespace
+                        ? `Cache cleared for namespace "${namespace}" (${removed} entries).`
+                        : `All cache cleared (${removed} entries).`
+                }
+
+                return { result }
+            }
+
             if( namespace ) {
                 const namespacePath = join( cacheBase, namespace )
                 await CacheCommand.#removeDirRecursive( { dirPath: namespacePath } )
@@ -36,7 +62,7 @@ class CacheCommand {
         } catch( err ) {
             const result = CliOutput.error( {
                 'error': `CCH-002 cacheClear: Failed to clear cache: ${err.message}`,
-                'fix': `Check permissions on ${cacheBase}`
+                'fix': `Check permissions on ${store === 'sqlite' ? SqliteCacheStore.dbPath() : cacheBase}`
             } )
 
             return { result }
@@ -69,6 +95,240 @@ class CacheCommand {
 
     static async cacheStatus() {
         const cacheBase = HttpCache.cacheDir()
+        const { store, maxBytes } = await HttpCache.storeSettings()
+        if( store === 'sqlite' ) {
+            return CacheCommand.#sqliteStatus( { cacheBase, maxBytes } )
+        }
+
+        const { entries } = await CacheCommand.#collectAllCacheFiles( { cacheBase } )
+        const totalSize = entries
+            .reduce( ( sum, entry ) => {
+                const size = sum + ( entry[ 'size' ] || 0 )
+
+                return size
+            }, 0 )
+
+        const result = {
+            'status': true,
+            store,
+            'cacheDir': cacheBase,
+            'totalEntries': entries.length,
+            'totalSize': totalSize,
+            entries
+        }
+
+        return { result }
+    }
+
+
+    // `cache ls <namespace>` — the entries of one namespace, key order.
+    static async cacheList( { namespace } ) {
+        if( !namespace ) {
+            const result = CliOutput.error( {
+                'error': 'CCH-009 cacheList: Missing namespace.',
+                'fix': `Usage: ${appConfig[ 'cliCommand' ]} cache ls <namespace> (see ${appConfig[ 'cliCommand' ]} cache status for all)`
+            } )
+
+            return { result }
+        }
+
+        const { store } = await HttpCache.storeSettings()
+        const entries = store === 'sqlite'
+            ? CacheCommand.#sqliteEntries( { namespace } )[ 'entries' ]
+            : ( await CacheCommand.#collectCacheFiles( { 'dirPath': join( HttpCache.cacheDir(), namespace ), 'prefix': namespace } ) )
+                .sort( ( a, b ) => a[ 'key' ].localeCompare( b[ 'key' ] ) )
+        const totalSize = entries
+            .reduce( ( sum, entry ) => sum + ( entry[ 'size' ] || 0 ), 0 )
+
+        const result = {
+            'status': true,
+            store,
+            namespace,
+            'totalEntries': entries.length,
+            totalSize,
+            'entries': entries
+                .map( ( { key, fetchedAt, expiresAt, size, expired } ) => ( { key, fetchedAt, expiresAt, size, expired } ) )
+        }
+
+        return { result }
+    }
+
+
+    // `cache inspect <namespace>/tool/<route> ['{args}']` — the key HttpCache.buildCacheKey
+    // computes for exactly these args, the stored meta and a preview of the data. The
+    // cache key holds the schema namespace and route name, which is what a tool Spec-ID
+    // names; a "<source>:" prefix is accepted and ignored (keys carry no source).
+    // Inspecting does not count as a use for the sqlite LRU order.
+    static async cacheInspect( { toolName, jsonArgs = null } ) {
+        const match = typeof toolName === 'string'
+            ? toolName.match( /^(?:[^:/]+:)?([^/]+)\/tool\/([^/]+)$/ )
+            : null
+        if( match === null ) {
+            const result = CliOutput.error( {
+                'error': `CCH-010 cacheInspect: "${toolName || ''}" is not a tool Spec-ID.`,
+                'fix': `Usage: ${appConfig[ 'cliCommand' ]} cache inspect <namespace>/tool/<route> '{"param": "value"}'`
+            } )
+
+            return { result }
+        }
+
+        const { jsonArgs: argsText, error: argsError } = await ArgsSource.read( { jsonArgs } )
+        const { userParams, error: parseError } = CacheCommand.#parseArgs( { argsText } )
+        if( argsError !== null || parseError !== null ) {
+            const result = CliOutput.error( {
+                'error': `CCH-010 cacheInspect: Invalid JSON argument (${argsError || parseError}).`,
+                'fix': 'Pass the same JSON object the call used, e.g. \'{"id": "bitcoin"}\', or - for stdin.'
+            } )
+
+            return { result }
+        }
+
+        const [ , namespace, routeName ] = match
+        const { cacheKey } = HttpCache.buildCacheKey( { namespace, routeName, userParams } )
+        const { store } = await HttpCache.storeSettings()
+        const { entry, location } = await CacheCommand.#peek( { store, cacheKey } )
+        if( entry === null ) {
+            const result = { 'status': true, store, 'key': cacheKey, location, 'cached': false }
+
+            return { result }
+        }
+
+        const { meta, data } = entry
+        const text = JSON.stringify( data, null, 2 ) || ''
+        const { summary } = ContentSink.summarize( { 'content': data, 'bytes': Buffer.byteLength( text ) } )
+        const result = {
+            'status': true,
+            store,
+            'key': cacheKey,
+            location,
+            'cached': true,
+            'expired': new Date() >= new Date( meta[ 'expiresAt' ] ),
+            meta,
+            summary,
+            'preview': text.length > PREVIEW_CHARS ? `${text.slice( 0, PREVIEW_CHARS )}…` : text,
+            'previewTruncated': text.length > PREVIEW_CHARS
+        }
+
+        return { result }
+    }
+
+
+    // `cache prune [--older-than 7d]` — without olderThan the expired entries go; with it,
+    // every entry fetched longer ago than that, expired or not.
+    static async cachePrune( { olderThan = null, now = Date.now() } = {} ) {
+        const { ms, error: durationError } = olderThan === null
+            ? { 'ms': null, 'error': null }
+            : Duration.parse( { 'value': olderThan } )
+        if( durationError !== null ) {
+            const result = CliOutput.error( {
+                'error': `CCH-011 cachePrune: --older-than: ${durationError}`,
+                'fix': `Usage: ${appConfig[ 'cliCommand' ]} cache prune [--older-than 7d]`
+            } )
+
+            return { result }
+        }
+
+        const cacheBase = HttpCache.cacheDir()
+        const { store } = await HttpCache.storeSettings()
+        const nowIso = new Date( now ).toISOString()
+        const fetchedBeforeIso = ms === null ? null : new Date( now - ms ).toISOString()
+
+        try {
+            const { removed, freedBytes } = store === 'sqlite'
+                ? SqliteCacheStore.prune( { nowIso, fetchedBeforeIso } )
+                : await CacheCommand.#pruneFiles( { cacheBase, nowIso, fetchedBeforeIso } )
+
+            const result = {
+                'status': true,
+                store,
+                'mode': ms === null ? 'expired' : 'olderThan',
+                olderThan,
+                removed,
+                freedBytes
+            }
+
+            return { result }
+        } catch( err ) {
+            const result = CliOutput.error( {
+                'error': `CCH-012 cachePrune: Failed to prune the cache: ${err.message}`,
+                'fix': `Check permissions on ${store === 'sqlite' ? SqliteCacheStore.dbPath() : cacheBase}`
+            } )
+
+            return { result }
+        }
+    }
+
+
+    static #parseArgs( { argsText } ) {
+        if( argsText === null || argsText === undefined ) {
+            return { 'userParams': {}, 'error': null }
+        }
+
+        try {
+            const parsed = JSON.parse( argsText )
+            if( parsed === null || typeof parsed !== 'object' || Array.isArray( parsed ) ) {
+                return { 'userParams': null, 'error': 'expected a JSON object' }
+            }
+
+            return { 'userParams': parsed, 'error': null }
+        } catch( err ) {
+            return { 'userParams': null, 'error': err.message }
+        }
+    }
+
+
+    static async #peek( { store, cacheKey } ) {
+        if( store === 'sqlite' ) {
+            const { entry } = SqliteCacheStore.read( { cacheKey, 'touch': false } )
+
+            return { entry, 'location': SqliteCacheStore.dbPath() }
+        }
+
+        const location = join( HttpCache.cacheDir(), cacheKey )
+        const { data: raw } = await FsUtils.readText( { 'filePath': location } )
+        if( raw === null ) {
+            return { 'entry': null, location }
+        }
+
+        try {
+            const { meta, data } = JSON.parse( raw )
+
+            return { 'entry': { meta, data }, location }
+        } catch( err ) {
+            process.stderr.write( `CCH-003 cacheInspect: corrupt cache file (${location}): ${err.message}\n` )
+
+            return { 'entry': null, location }
+        }
+    }
+
+
+    // Unlinks the matching files, then the directories that became empty (rmdir refuses
+    // the others).
+    static async #pruneFiles( { cacheBase, nowIso, fetchedBeforeIso } ) {
+        const { entries } = await CacheCommand.#collectAllCacheFiles( { cacheBase } )
+        const doomed = entries
+            .filter( ( { fetchedAt, expiresAt } ) => fetchedBeforeIso === null
+                ? new Date( expiresAt ) <= new Date( nowIso )
+                : new Date( fetchedAt ) < new Date( fetchedBeforeIso ) )
+
+        await doomed
+            .reduce( ( promise, { key } ) => promise.then( () => unlink( join( cacheBase, key ) ) ), Promise.resolve() )
+
+        const dirs = [ ...new Set( doomed
+            .flatMap( ( { key } ) => key.split( '/' ).slice( 0, -1 )
+                .map( ( segment, index, segments ) => segments.slice( 0, index + 1 ).join( '/' ) ) ) ) ]
+        await dirs
+            .sort( ( a, b ) => b.length - a.length )
+            .reduce( ( promise, dir ) => promise.then( () => rmdir( join( cacheBase, dir ) ).catch( () => null ) ), Promise.resolve() )
+
+        const freedBytes = doomed
+            .reduce( ( sum, { size } ) => sum + ( size || 0 ), 0 )
+
+        return { 'removed': doomed.length, freedBytes }
+    }
+
+
+    static async #collectAllCacheFiles( { cacheBase } ) {
         const entries = []
 
         try {
@@ -93,22 +353,172 @@ class CacheCommand {
             CliOutput.emitCoded( { 'code': 'HLT-003', 'location': 'cacheStatus: cache dir scan failed', err } )
         }
 
-        const totalSize = entries
-            .reduce( ( sum, entry ) => {
-                const size = sum + ( entry[ 'size' ] || 0 )
+        return { entries }
+    }
 
-                return size
-            }, 0 )
 
-        const result = {
-            'status': true,
-            'cacheDir': cacheBase,
-            'totalEntries': entries.length,
-            'totalSize': totalSize,
-            entries
+    // `cache migrate` — imports every JSON entry under cacheDir() into the sqlite store,
+    // then deletes the files it read and the directories left empty. Keys the database
+    // already holds win; unreadable files stay where they are.
+    static async cacheMigrate() {
+        const cacheBase = HttpCache.cacheDir()
+        const { store, maxBytes } = await HttpCache.storeSettings()
+        if( store !== 'sqlite' ) {
+            const result = CliOutput.error( {
+                'error': 'CCH-006 cacheMigrate: The configured cache store is "json"; migrating would hide the existing entries.',
+                'fix': 'Set "cache": { "store": "sqlite" } in ~/.flowmcp/config.json first, then run cache migrate.'
+            } )
+
+            return { result }
         }
 
-        return { result }
+        // The walk collects paths only; each batch is read, imported and unlinked before the
+        // next one is read. A failure leaves the earlier batches migrated, so a re-run
+        // picks up where this one stopped.
+        const { files, dirs } = await CacheCommand.#listJsonFiles( { 'dirPath': cacheBase, 'prefix': null } )
+        const batches = files
+            .reduce( ( acc, file, index ) => {
+                if( index % MIGRATE_BATCH === 0 ) {
+                    acc.push( [] )
+                }
+                acc[ acc.length - 1 ].push( file )
+
+                return acc
+            }, [] )
+
+        try {
+            const totals = await batches
+                .reduce( ( promise, batch ) => promise.then( async ( acc ) => {
+                    const { entries } = await CacheCommand.#readJsonBatch( { batch } )
+                    const { imported, skipped, oversized, evicted } = SqliteCacheStore.importEntries( { entries, maxBytes } )
+                    await entries
+                        .reduce( ( unlinked, { filePath } ) => unlinked.then( () => unlink( filePath ) ), Promise.resolve() )
+
+                    return {
+                        'imported': acc[ 'imported' ] + imported,
+                        'skipped': acc[ 'skipped' ] + skipped,
+                        'oversized': acc[ 'oversized' ] + oversized,
+                        'evicted': acc[ 'evicted' ] + evicted,
+                        'removedFiles': acc[ 'removedFiles' ] + entries.length
+                    }
+                } ), Promise.resolve( { 'imported': 0, 'skipped': 0, 'oversized': 0, 'evicted': 0, 'removedFiles': 0 } ) )
+            await dirs
+                .sort( ( a, b ) => b.length - a.length )
+                .reduce( ( promise, dirPath ) => promise.then( () => rmdir( dirPath ).catch( () => null ) ), Promise.resolve() )
+
+            const result = {
+                'status': true,
+                'database': SqliteCacheStore.dbPath(),
+                ...totals
+            }
+
+            return { result }
+        } catch( err ) {
+            const result = CliOutput.error( {
+                'error': `CCH-007 cacheMigrate: Failed to migrate the JSON cache: ${err.message}`,
+                'fix': `Check permissions on ${cacheBase} and ${SqliteCacheStore.dbPath()}`
+            } )
+
+            return { result }
+        }
+    }
+
+
+    static #sqliteStatus( { cacheBase, maxBytes } ) {
+        try {
+            const { entries } = CacheCommand.#sqliteEntries( { 'namespace': null } )
+            const totalSize = entries
+                .reduce( ( sum, entry ) => sum + ( entry[ 'size' ] || 0 ), 0 )
+
+            const result = {
+                'status': true,
+                'store': 'sqlite',
+                'cacheDir': cacheBase,
+                'database': SqliteCacheStore.dbPath(),
+                'totalEntries': entries.length,
+                totalSize,
+                'maxSize': maxBytes,
+                entries
+            }
+
+            return { result }
+        } catch( err ) {
+            const result = CliOutput.error( {
+                'error': `CCH-008 cacheStatus: Cannot read ${SqliteCacheStore.dbPath()}: ${err.message}`,
+                'fix': 'Run cache clear, or delete the database file to start an empty cache.'
+            } )
+
+            return { result }
+        }
+    }
+
+
+    static #sqliteEntries( { namespace } ) {
+        const { entries: rows } = SqliteCacheStore.list( { namespace } )
+        const now = new Date()
+        const entries = rows
+            .map( ( { cacheKey, meta } ) => ( {
+                'key': cacheKey,
+                'fetchedAt': meta[ 'fetchedAt' ],
+                'expiresAt': meta[ 'expiresAt' ],
+                'ttl': meta[ 'ttl' ],
+                'size': meta[ 'size' ],
+                'expired': now >= new Date( meta[ 'expiresAt' ] )
+            } ) )
+
+        return { entries }
+    }
+
+
+    // files — [{ cacheKey, filePath }] for every .json file below a namespace dir; dirs —
+    // every directory below dirPath, for the cleanup after a migration. Nothing is read.
+    static async #listJsonFiles( { dirPath, prefix } ) {
+        const collected = { 'files': [], 'dirs': [] }
+
+        try {
+            const items = await readdir( dirPath, { withFileTypes: true } )
+
+            await items
+                .reduce( ( promise, item ) => promise.then( async () => {
+                    const itemPath = join( dirPath, item.name )
+                    const cacheKey = prefix === null ? item.name : `${prefix}/${item.name}`
+
+                    if( item.isDirectory() ) {
+                        const { files, dirs } = await CacheCommand.#listJsonFiles( { 'dirPath': itemPath, 'prefix': cacheKey } )
+                        collected[ 'files' ].push( ...files )
+                        collected[ 'dirs' ].push( itemPath, ...dirs )
+                    } else if( prefix !== null && item.name.endsWith( '.json' ) ) {
+                        collected[ 'files' ].push( { cacheKey, 'filePath': itemPath } )
+                    }
+                } ), Promise.resolve() )
+        } catch( err ) {
+            CliOutput.emitCoded( { 'code': 'CCH-004', 'location': 'listJsonFiles: cache dir read failed', err } )
+        }
+
+        return collected
+    }
+
+
+    // entries — [{ cacheKey, filePath, meta, data }] for the parseable files of one batch;
+    // a corrupt file is reported and left in place.
+    static async #readJsonBatch( { batch } ) {
+        const entries = await batch
+            .reduce( ( promise, { cacheKey, filePath } ) => promise.then( async ( acc ) => {
+                try {
+                    const { meta, data } = JSON.parse( await readFile( filePath, 'utf-8' ) )
+                    if( typeof meta[ 'expiresAt' ] !== 'string' ) {
+                        throw new Error( 'meta.expiresAt missing' )
+                    }
+
+                    acc.push( { cacheKey, filePath, meta, data } )
+                } catch( err ) {
+                    process.stderr.write( `CCH-003 readJsonBatch: corrupt cache file skipped (${filePath}): ${err.message}\n` )
+                }
+
+                return acc
+            } ), Promise.resolve( [] ) )
+
+        return { entries }
     }
 
 
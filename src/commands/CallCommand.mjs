@@ -1,4 +1,5 @@
 import { FlowMCP, IdResolver } from 'flowmcp'
+import inquirer from 'inquirer'
 
 import { appConfig } from '../data/config.mjs'
 import { ConfigStore } from '../lib/ConfigStore.mjs'
@@ -10,6 +11,25 @@ import { SchemaLoaderBridge } from '../lib/SchemaLoaderBridge.mjs'
 import { HttpCache } from '../lib/HttpCache.mjs'
 import { HandlerResolver } from '../lib/HandlerResolver.mjs'
 import { NamespaceIndex } from '../lib/NamespaceIndex.mjs'
+import { ParamValidator } from '../lib/ParamValidator.mjs'
+import { DryRun } from '../lib/DryRun.mjs'
+import { HttpTransport } from '../lib/HttpTransport.mjs'
+import { HttpCassette } from '../lib/HttpCassette.mjs'
+import { CallHistory } from '../lib/CallHistory.mjs'
+import { RetryPolicy } from '../lib/RetryPolicy.mjs'
+import { RateLimiter } from '../lib/RateLimiter.mjs'
+import { ParamPrompt } from '../lib/ParamPrompt.mjs'
+import { JsonSelect } from '../lib/JsonSelect.mjs'
+import { Paginator } from '../lib/Paginator.mjs'
+import { CallTimeout } from '../lib/CallTimeout.mjs'
+import { ArgsSource } from '../lib/ArgsSource.mjs'
+import { OutputValidator } from '../lib/OutputValidator.mjs'
+import { MockFixtures } from '../lib/MockFixtures.mjs'
+import { PhaseTimer } from '../lib/PhaseTimer.mjs'
+import { WriteSafety } from '../lib/WriteSafety.mjs'
+import { StaleIfError } from '../lib/StaleIfError.mjs'
+import { CachePolicy } from '../lib/CachePolicy.mjs'
+import { CallOptions } from '../lib/CallOptions.mjs'
 import { ListsCommand } from './ListsCommand.mjs'
 import { SearchCommand } from './SearchCommand.mjs'
 import { SqliteGtfsRuntime } from '../addons/SqliteGtfsRuntime.mjs'
@@ -96,8 +116,111 @@ class CallCommand {
     }
 
 
-    static async callTool( { toolName, jsonArgs, cwd, noCache = false, refresh = false } ) {
-        const { initialized, error: initError, fix: initFix } = await ConfigStore.requireInit()
+    // Public entry: runs the call, then records it (CallHistory, and the WriteSafety
+    // audit for a write tool). The trace object is filled by #executeCall as resolution
+    // progresses, so both know the resolved tool, source and parsed args even for calls
+    // that fail half-way. The --select / --limit projection runs last, so history and
+    // cache always see the full response. options — see CallOptions.
+    static async callTool( { toolName, jsonArgs = null, cwd, options = {}, preloadedSchemas = null, promptWrite = true } ) {
+        const { options: callOptions } = CallOptions.resolve( { options } )
+        const { history, select, limit, argsFile, validateOutput, timings, dryRun, replayDir, mock } = callOptions
+        const { timer } = PhaseTimer.create( { 'enabled': timings === true } )
+        const { projection, error: selectError, fix: selectFix } = JsonSelect.prepare( { select, limit } )
+        if( selectError !== null ) {
+            const result = CliOutput.error( { 'error': selectError, 'fix': selectFix } )
+
+            return { result }
+        }
+
+        const { jsonArgs: readArgs, error: argsError } = await ArgsSource.read( { jsonArgs, argsFile } )
+        if( argsError !== null ) {
+            const result = CliOutput.error( {
+                'error': `CAL-001 callTool: Invalid JSON argument (${argsError}).`,
+                'fix': `Provide valid JSON: ${appConfig[ 'cliCommand' ]} call ${toolName} '{"param": "value"}', pipe it with -, or use --args-file <args.json|args.yaml>`
+            } )
+
+            return { result }
+        }
+
+        const trace = { 'resolvedTool': null, 'namespace': null, 'source': null, 'userParams': null, 'secrets': [], 'retry': null, 'rateLimit': null, 'pagination': null, 'outputSchema': null, 'write': null, timer }
+        const startedAt = Date.now()
+        const { result } = await CallCommand.#executeCall( { toolName, 'jsonArgs': readArgs, cwd, 'options': callOptions, preloadedSchemas, promptWrite, trace } )
+
+        if( trace[ 'retry' ] !== null && trace[ 'retry' ][ 'retries' ].length > 0 ) {
+            result[ 'retry' ] = trace[ 'retry' ]
+        }
+
+        if( trace[ 'rateLimit' ] !== null && trace[ 'rateLimit' ][ 'waitedMs' ] > 0 ) {
+            result[ 'rateLimit' ] = trace[ 'rateLimit' ]
+        }
+
+        if( trace[ 'pagination' ] !== null && result[ 'status' ] === true ) {
+            result[ 'pagination' ] = trace[ 'pagination' ]
+        }
+
+        if( result[ 'status' ] === true && result[ 'content' ] !== undefined ) {
+            await CallCommand.#validateOutput( { result, trace, validateOutput } )
+        }
+
+        if( dryRun !== true ) {
+            await CallHistory.recordCall( {
+                history,
+                toolName,
+                'jsonArgs': readArgs,
+                trace,
+                result,
+                'durationMs': Date.now() - startedAt,
+                'replay': replayDir !== null || mock === true
+            } )
+        }
+
+        if( trace[ 'write' ] !== null ) {
+            await WriteSafety.audit( { toolName, 'jsonArgs': readArgs, trace, result, 'durationMs': Date.now() - startedAt, 'write': trace[ 'write' ] } )
+        }
+
+        if( timer !== null ) {
+            result[ 'timings' ] = PhaseTimer.report( { timer } )[ 'timings' ]
+        }
+
+        return JsonSelect.project( { result, projection } )
+    }
+
+
+    // `call --all-sources` — the schemaFolders[] sources (in config order) whose
+    // schemas declare the tool. sourcePrefix is the "<source>:" of a Spec-ID, if any.
+    static toolSources( { toolName, resolvedSchemas } ) {
+        const { resolvedToolName, sourcePrefix } = CallCommand.#wireName( { toolName } )
+        const sources = resolvedSchemas
+            .reduce( ( acc, entry ) => {
+                const source = entry[ 'source' ] || null
+                if( !acc.includes( source ) ) {
+                    acc.push( source )
+                }
+
+                return acc
+            }, [] )
+            .filter( ( source ) => {
+                const schemas = resolvedSchemas.filter( ( entry ) => ( entry[ 'source' ] || null ) === source )
+                const { matchedMain } = CallCommand.#matchToolInSchemas( { 'resolvedSchemas': schemas, resolvedToolName } )
+
+                return matchedMain !== null
+            } )
+
+        return { sources, sourcePrefix }
+    }
+
+
+    // preloadedSchemas — an already resolved schemaFolders[] catalog (the
+    // resolveAllSchemas() shape). Set by `call --batch`, which resolves once for
+    // all lines; it replaces both the lazy index lookup and the full scan.
+    // promptWrite — whether the WriteSafety gate may ask on a TTY instead of requiring
+    // --confirm (off for `call --batch`, whose calls run concurrently).
+    // trace.timer — the PhaseTimer of --timings (null when off); fetch includes the
+    // retry / rate-limit interceptors that run inside it.
+    static async #executeCall( { toolName, jsonArgs, cwd, options, preloadedSchemas, promptWrite, trace } ) {
+        const { noCache, refresh, dryRun, asCurl, recordDir, replayDir, retry, interactive, allPages, maxPages, timeoutMs, mock, confirm, staleIfError } = options
+        const { timer } = trace
+        const { initialized, error: initError, fix: initFix } = await PhaseTimer.measure( { timer, 'phase': 'init', 'execute': () => ConfigStore.requireInit() } )
         if( !initialized ) {
             const result = CliOutput.error( { 'error': initError, 'fix': initFix } )
 
@@ -118,7 +241,8 @@ class CallCommand {
             toolName,
             jsonArgs,
             noCache,
-            refresh
+            refresh,
+            dryRun
         } )
         if( autoToolRoute ) {
             return autoToolRoute
@@ -174,12 +298,16 @@ class CallCommand {
         let resolvedSchemas = null
         let lazyUsed = false
 
-        if( lazySpec !== null ) {
-            const { schemas: lazySchemas } = await CallCommand.#resolveSchemaByIndex( {
-                'namespace': lazySpec[ 'namespace' ],
-                'routeName': lazySpec[ 'routeName' ],
-                sourceFilter,
-                cwd
+        if( lazySpec !== null && preloadedSchemas === null ) {
+            const { schemas: lazySchemas } = await PhaseTimer.measure( {
+                timer,
+                'phase': 'indexLookup',
+                'execute': () => CallCommand.#resolveSchemaByIndex( {
+                    'namespace': lazySpec[ 'namespace' ],
+                    'routeName': lazySpec[ 'routeName' ],
+                    sourceFilter,
+                    cwd
+                } )
             } )
 
             if( lazySchemas !== null ) {
@@ -189,7 +317,11 @@ class CallCommand {
         }
 
         if( resolvedSchemas === null ) {
-            const { resolvedSchemas: scanned, errorResult } = await CallCommand.#resolveSchemasForCall( { sourceFilter } )
+            const { resolvedSchemas: scanned, errorResult } = await PhaseTimer.measure( {
+                timer,
+                'phase': 'fullScan',
+                'execute': () => CallCommand.#resolveSchemasForCall( { sourceFilter, preloadedSchemas } )
+            } )
 
             if( errorResult ) {
                 return { 'result': errorResult }
@@ -219,13 +351,19 @@ class CallCommand {
             }
         }
 
+        trace[ 'userParams' ] = userParams
+
         // Memo 128 Kap 10 — wire-name match (also the lazy-resolution re-verify).
         let matched = CallCommand.#matchToolInSchemas( { resolvedSchemas, resolvedToolName } )
 
         // Stale-index guard: a lazy single-file load that does not contain the
         // requested wire-name (index drifted) falls back to the full scan.
         if( !matched[ 'matchedMain' ] && lazyUsed ) {
-            const { resolvedSchemas: scanned, errorResult } = await CallCommand.#resolveSchemasForCall( { sourceFilter } )
+            const { resolvedSchemas: scanned, errorResult } = await PhaseTimer.measure( {
+                timer,
+                'phase': 'fullScan',
+                'execute': () => CallCommand.#resolveSchemasForCall( { sourceFilter } )
+            } )
 
             if( errorResult ) {
                 return { 'result': errorResult }
@@ -235,10 +373,13 @@ class CallCommand {
             matched = CallCommand.#matchToolInSchemas( { resolvedSchemas, resolvedToolName } )
         }
 
-        const { matchedMain, matchedHandlersFn, matchedFile, matchedToolName, matchedRouteName } = matched
+        const { matchedMain, matchedHandlersFn, matchedFile, matchedToolName, matchedRouteName, matchedSource } = matched
+        trace[ 'resolvedTool' ] = matchedToolName
+        trace[ 'namespace' ] = matchedMain ? matchedMain[ 'namespace' ] || 'unknown' : null
+        trace[ 'source' ] = matchedSource
 
         if( !matchedMain ) {
-            const resourceResult = await CallCommand.#callResourceQuery( { toolName, jsonArgs, resolvedSchemas } )
+            const resourceResult = await CallCommand.#callResourceQuery( { toolName, jsonArgs, resolvedSchemas, dryRun } )
 
             if( resourceResult ) {
                 return resourceResult
@@ -252,12 +393,27 @@ class CallCommand {
             return { result }
         }
 
+        // Set before the mock branch, so --mock --validate-output checks the fixture too.
+        const matchedRouteConfig = ( matchedMain[ 'routes' ] || matchedMain[ 'tools' ] )[ matchedRouteName ]
+        const declaredOutput = matchedRouteConfig[ 'output' ]
+        trace[ 'outputSchema' ] = declaredOutput && declaredOutput[ 'schema' ] ? declaredOutput[ 'schema' ] : null
+
+        if( mock ) {
+            return CallCommand.#mockCall( { matchedFile, matchedRouteName, matchedToolName, userParams, 'namespace': trace[ 'namespace' ] } )
+        }
+
         // Memo 099 Kap 6 — graceful degradation: a tool whose required keys are
         // missing is disabled, never a global abort. The other tools stay usable.
         const matchedRequiredKeys = matchedMain[ 'requiredServerParams' ] || []
+        const { envObject: callEnv } = replayDir !== null
+            ? HttpCassette.fillPlaceholders( { envObject, 'requiredServerParams': matchedRequiredKeys } )
+            : { envObject }
+        trace[ 'secrets' ] = matchedRequiredKeys
+            .map( ( key ) => envObject[ key ] )
+            .filter( ( value ) => typeof value === 'string' && value.length > 0 )
         const matchedMissingKeys = matchedRequiredKeys
             .filter( ( key ) => {
-                const present = envObject[ key ] !== undefined && String( envObject[ key ] ).length > 0
+                const present = callEnv[ key ] !== undefined && String( callEnv[ key ] ).length > 0
 
                 return present === false
             } )
@@ -273,7 +429,6 @@ class CallCommand {
             return { result }
         }
 
-        const matchedRouteConfig = ( matchedMain[ 'routes' ] || matchedMain[ 'tools' ] )[ matchedRouteName ]
         const matchedRouteParameters = matchedRouteConfig[ 'parameters' ] || []
         const { filePath: matchedSchemaFilePath } = matchedFile
             ? await SchemaSource.resolveSchemaFilePath( { schemaRef: matchedFile } )
@@ -281,6 +436,23 @@ class CallCommand {
         const { sharedLists: matchedSharedLists } = await ListsCommand.resolveSharedListsForSchema( { 'main': matchedMain, 'filePath': matchedSchemaFilePath } )
         const { parameters: expectedParameters } = SearchCommand.extractParameters( { 'routeParameters': matchedRouteParameters, 'sharedLists': matchedSharedLists } )
 
+        if( interactive ) {
+            const { 'userParams': prompted, 'result': promptResult } = await CallCommand.#promptParams( {
+                toolName,
+                'main': matchedMain,
+                'routeName': matchedRouteName,
+                'routeParameters': matchedRouteParameters,
+                expectedParameters,
+                userParams
+            } )
+            if( promptResult !== null ) {
+                return { 'result': promptResult }
+            }
+
+            userParams = prompted
+            trace[ 'userParams' ] = userParams
+        }
+
         const missingParams = Object.entries( expectedParameters )
             .filter( ( [ , paramDef ] ) => {
                 const isMissing = paramDef[ 'required' ] === true
@@ -305,54 +477,268 @@ class CallCommand {
             return { result }
         }
 
-        const preload = matchedRouteConfig[ 'preload' ] || null
-        const isCacheable = preload && preload[ 'enabled' ] === true && !noCache
+        // Type / enum / min / max / length / regex from each parameter's `z` block —
+        // every violation at once, before a request reaches the provider.
+        const { violations } = ParamValidator.validate( { 'routeParameters': matchedRouteParameters, userParams, expectedParameters } )
+
+        if( violations.length > 0 ) {
+            const { summary } = ParamValidator.describe( { violations } )
+            const { example } = ParamValidator.exampleArgs( { userParams, violations } )
+            const result = CliOutput.error( {
+                'error': `CAL-002 callTool: Invalid parameter(s): ${summary}`,
+                'fix': `Provide: ${appConfig[ 'cliCommand' ]} call ${toolName} '${JSON.stringify( example )}'`
+            } )
+            result[ 'violations' ] = violations
+
+            return { result }
+        }
+
         const namespace = matchedMain[ 'namespace' ] || 'unknown'
+        const { globalConfig } = await ConfigStore.loadGlobalConfig()
+        const { policy: cachePolicy, error: policyError, fix: policyFix } = CachePolicy.resolve( {
+            'main': matchedMain,
+            'routeName': matchedRouteName,
+            namespace,
+            globalConfig
+        } )
+        if( policyError !== null ) {
+            const result = CliOutput.error( { 'error': policyError, 'fix': policyFix } )
+
+            return { result }
+        }
+
+        // Dry runs, cassettes and --all-pages responses neither read nor write the cache.
+        const usesCassette = recordDir !== null || replayDir !== null
+        const isCacheable = cachePolicy[ 'cached' ] && !noCache && !dryRun && !usesCassette && !allPages
+
+        // A dry run or a replay sends nothing to the provider, so only live calls pass the gate.
+        if( !dryRun && replayDir === null && WriteSafety.isWrite( { 'method': matchedRouteConfig[ 'method' ] } ) ) {
+            const { write, error: writeError, fix: writeFix } = await WriteSafety.gate( {
+                'toolName': matchedToolName,
+                namespace,
+                'method': String( matchedRouteConfig[ 'method' ] ).toUpperCase(),
+                confirm,
+                promptWrite
+            } )
+            trace[ 'write' ] = write
+            if( writeError !== null ) {
+                const result = CliOutput.error( { 'error': writeError, 'fix': writeFix } )
+
+                return { result }
+            }
+        }
+
+        const { cacheKey } = HttpCache.buildCacheKey( {
+            namespace,
+            'routeName': matchedRouteName,
+            userParams
+        } )
+        // Resolved once per call: every cache read and write below shares them.
+        const cacheSettings = isCacheable ? await HttpCache.storeSettings() : null
+        // An expired entry stays in hand: its ETag / Last-Modified make the fetch conditional.
+        const { data: cachedData, meta: cachedMeta, isExpired } = isCacheable && !refresh
+            ? await PhaseTimer.measure( { timer, 'phase': 'cacheRead', 'execute': () => HttpCache.readCache( { cacheKey, 'settings': cacheSettings } ) } )
+            : { 'data': null, 'meta': null, 'isExpired': true }
+
+        if( cachedData && !isExpired ) {
+            const result = {
+                'status': true,
+                'toolName': matchedToolName,
+                'content': cachedData,
+                'cache': {
+                    'hit': true,
+                    'fetchedAt': cachedMeta[ 'fetchedAt' ],
+                    'expiresAt': cachedMeta[ 'expiresAt' ]
+                }
+            }
+
+            return { result }
+        }
+
+        try {
+            const requiredServerParams = matchedMain[ 'requiredServerParams' ] || []
+            const { serverParams } = EnvResolver.buildServerParams( { 'envObject': callEnv, requiredServerParams } )
+            // Memo 149 Strang B — reuse the already-resolved matchedSchemaFilePath (the
+            // param path computed it via #resolveSchemaFilePath above). No second, dead
+            // join( #schemasDir(), matchedFile ).
+            const { handlerMap } = await PhaseTimer.measure( {
+                timer,
+                'phase': 'handlers',
+                'execute': () => HandlerResolver.resolve( { 'main': matchedMain, 'handlersFn': matchedHandlersFn, 'filePath': matchedSchemaFilePath } )
+            } )
+
+            if( dryRun ) {
+                return await DryRun.execute( {
+                    'toolName': matchedToolName,
+                    serverParams,
+                    asCurl,
+                    'fetch': () => FlowMCP.fetch( { 'main': matchedMain, handlerMap, userParams, serverParams, 'routeName': matchedRouteName } )
+                } )
+            }
+
+            const { interceptors, error: cassetteError, fix: cassetteFix } = HttpCassette.interceptors( { recordDir, replayDir, serverParams, cwd } )
+            if( cassetteError !== null ) {
+                const result = CliOutput.error( { 'error': cassetteError, 'fix': cassetteFix } )
+
+                return { result }
+            }
+
+            const { policy, error: retryError, fix: retryFix } = await RetryPolicy.resolve( { namespace, 'overrides': retry } )
+            if( retryError !== null ) {
+                const result = CliOutput.error( { 'error': retryError, 'fix': retryFix } )
+
+                return { result }
+            }
+
+            const { limit, error: limitError, fix: limitFix } = await RateLimiter.resolve( { namespace, 'main': matchedMain } )
+            if( limitError !== null ) {
+                const result = CliOutput.error( { 'error': limitError, 'fix': limitFix } )
+
+                return { result }
+            }
+
+            const { ms: deadlineMs, error: timeoutError, fix: timeoutFix } = await CallTimeout.resolve( { namespace, 'overrides': { 'ms': timeoutMs } } )
+            if( timeoutError !== null ) {
+                const result = CliOutput.error( { 'error': timeoutError, 'fix': timeoutFix } )
+
+                return { result }
+            }
 
-        if( isCacheable && !refresh ) {
-            const { cacheKey } = HttpCache.buildCacheKey( {
+            const { policy: stalePolicy, error: staleError, fix: staleFix } = isCacheable
+                ? await StaleIfError.resolve( { namespace, 'overrides': staleIfError === true ? { 'enabled': true } : {} } )
+                : { 'policy': null, 'error': null, 'fix': null }
+            if( staleError !== null ) {
+                const result = CliOutput.error( { 'error': staleError, 'fix': staleFix } )
+
+                return { result }
+            }
+
+            const serveStale = ( { failure } ) => CallCommand.#serveStale( {
+                'policy': stalePolicy,
                 namespace,
                 'routeName': matchedRouteName,
-                userParams
+                userParams,
+                'toolName': matchedToolName,
+                failure,
+                'settings': cacheSettings
+            } )
+
+            const { interceptors: pageInterceptors, error: pageError, fix: pageFix } = CallCommand.#paginationInterceptors( {
+                allPages,
+                maxPages,
+                'main': matchedMain,
+                'routeName': matchedRouteName,
+                toolName,
+                trace
             } )
+            if( pageError !== null ) {
+                const result = CliOutput.error( { 'error': pageError, 'fix': pageFix } )
+
+                return { result }
+            }
 
-            const { data: cachedData, meta, isExpired } = await HttpCache.readCache( { cacheKey } )
+            // A replayed cassette answers the same way every time and never touches the
+            // provider — retrying it only waits, and it spends no quota.
+            trace[ 'retry' ] = { 'maxAttempts': policy[ 'maxAttempts' ], 'attempts': 0, 'retries': [] }
+            trace[ 'rateLimit' ] = limit === null ? null : { namespace, 'requests': 0, 'waitedMs': 0 }
+            const retryInterceptors = replayDir === null
+                ? [ RetryPolicy.interceptor( { policy, 'report': trace[ 'retry' ] } ) ]
+                : []
+            const limitInterceptors = replayDir === null && limit !== null
+                ? [ RateLimiter.interceptor( { limit, 'report': trace[ 'rateLimit' ] } ) ]
+                : []
+            const revalidation = { 'requests': 0, 'notModified': false, 'validators': null }
+            const revalidateInterceptors = isCacheable
+                ? [ HttpCache.revalidator( { 'meta': cachedData ? cachedMeta : null, 'report': revalidation } ) ]
+                : []
+
+            const { value: fetchResult, aborted, thrown } = await CallTimeout.run( {
+                'ms': deadlineMs,
+                'execute': ( { signal } ) => HttpTransport.run( {
+                    'interceptors': [ ...pageInterceptors, ...revalidateInterceptors, ...retryInterceptors, ...limitInterceptors, ...interceptors, CallTimeout.interceptor( { signal } ) ],
+                    'execute': () => PhaseTimer.measure( {
+                        timer,
+                        'phase': 'fetch',
+                        'execute': () => FlowMCP.fetch( {
+                            'main': matchedMain,
+                            handlerMap,
+                            userParams,
+                            serverParams,
+                            'routeName': matchedRouteName
+                        } )
+                    } )
+                } )
+            } )
+                .then(
+                    ( outcome ) => ( { ...outcome, 'thrown': null } ),
+                    ( err ) => ( { 'value': null, 'aborted': null, 'thrown': err } )
+                )
+
+            // 304 Not Modified: the expired body is still current. Whatever core made of
+            // the empty answer is ignored; the entry gets a new expiry and is returned.
+            if( revalidation[ 'notModified' ] ) {
+                const { outcome, warning } = await CallCommand.#cacheWrite( {
+                    timer,
+                    'execute': () => HttpCache.extendCache( {
+                        cacheKey,
+                        'data': cachedData,
+                        'meta': cachedMeta,
+                        'ttl': cachePolicy[ 'ttl' ],
+                        'validators': revalidation[ 'validators' ],
+                        'settings': cacheSettings
+                    } )
+                } )
+                const extendedMeta = outcome === null ? cachedMeta : outcome[ 'meta' ]
 
-            if( cachedData && !isExpired ) {
                 const result = {
                     'status': true,
                     'toolName': matchedToolName,
                     'content': cachedData,
                     'cache': {
                         'hit': true,
-                        'fetchedAt': meta[ 'fetchedAt' ],
-                        'expiresAt': meta[ 'expiresAt' ]
+                        'revalidated': true,
+                        'fetchedAt': extendedMeta[ 'fetchedAt' ],
+                        'expiresAt': extendedMeta[ 'expiresAt' ]
                     }
                 }
+                if( warning !== null ) {
+                    result[ 'cache' ][ 'warning' ] = warning
+                }
 
                 return { result }
             }
-        }
 
-        try {
-            const requiredServerParams = matchedMain[ 'requiredServerParams' ] || []
-            const { serverParams } = EnvResolver.buildServerParams( { envObject, requiredServerParams } )
-            // Memo 149 Strang B — reuse the already-resolved matchedSchemaFilePath (the
-            // param path computed it via #resolveSchemaFilePath above). No second, dead
-            // join( #schemasDir(), matchedFile ).
-            const { handlerMap } = await HandlerResolver.resolve( { 'main': matchedMain, 'handlersFn': matchedHandlersFn, 'filePath': matchedSchemaFilePath } )
+            if( thrown !== null ) {
+                const { result: staleResult } = await serveStale( { 'failure': thrown.message } )
+                if( staleResult !== null ) {
+                    return { 'result': staleResult }
+                }
 
-            const fetchResult = await FlowMCP.fetch( {
-                'main': matchedMain,
-                handlerMap,
-                userParams,
-                serverParams,
-                'routeName': matchedRouteName
-            } )
+                throw thrown
+            }
+
+            if( aborted !== null ) {
+                const { error, fix } = CallTimeout.error( { aborted, 'ms': deadlineMs, 'toolName': matchedToolName } )
+                // Ctrl-C is the user stopping the call, not the provider failing.
+                const { result: staleResult } = aborted === 'timeout'
+                    ? await serveStale( { 'failure': error } )
+                    : { 'result': null }
+                if( staleResult !== null ) {
+                    return { 'result': staleResult }
+                }
+
+                const result = CliOutput.error( { error, fix } )
+
+                return { result }
+            }
 
             if( fetchResult[ 'status' ] === false ) {
                 const fetchMessages = fetchResult[ 'messages' ] || []
                 const errorText = fetchMessages.join( '; ' ) || 'API call failed'
+                const { result: staleResult } = await serveStale( { 'failure': errorText } )
+                if( staleResult !== null ) {
+                    return { 'result': staleResult }
+                }
 
                 const hasAuthError = fetchMessages
                     .some( ( msg ) => {
@@ -392,26 +778,27 @@ class CallCommand {
                 : fetchResult
 
             if( isCacheable ) {
-                const { cacheKey } = HttpCache.buildCacheKey( {
-                    namespace,
-                    'routeName': matchedRouteName,
-                    userParams
-                } )
-                const { meta: cacheMeta } = await HttpCache.writeCache( {
-                    cacheKey,
-                    'data': contentData,
-                    'ttl': preload[ 'ttl' ]
+                const { outcome, warning } = await CallCommand.#cacheWrite( {
+                    timer,
+                    'execute': () => HttpCache.writeCache( {
+                        cacheKey,
+                        'data': contentData,
+                        'ttl': cachePolicy[ 'ttl' ],
+                        'validators': revalidation[ 'validators' ],
+                        'settings': cacheSettings
+                    } )
                 } )
 
                 const result = {
                     'status': true,
                     'toolName': matchedToolName,
                     'content': contentData,
-                    'cache': {
-                        'hit': false,
-                        'stored': true,
-                        'expiresAt': cacheMeta[ 'expiresAt' ]
-                    }
+                    'cache': outcome !== null && outcome[ 'stored' ]
+                        ? { 'hit': false, 'stored': true, 'expiresAt': outcome[ 'meta' ][ 'expiresAt' ] }
+                        : { 'hit': false, 'stored': false }
+                }
+                if( warning !== null ) {
+                    result[ 'cache' ][ 'warning' ] = warning
                 }
 
                 return { result }
@@ -435,6 +822,187 @@ class CallCommand {
     }
 
 
+    static async #serveStale( { policy, namespace, routeName, userParams, toolName, failure, settings } ) {
+        const { cacheKey } = HttpCache.buildCacheKey( { namespace, routeName, userParams } )
+        const { result } = await StaleIfError.fallback( { policy, cacheKey, toolName, failure, settings } )
+        if( result !== null ) {
+            process.stderr.write( `STL-002 staleIfError: ${toolName} failed (${failure}); answered from the cache entry that expired ${Math.round( result[ 'cache' ][ 'staleMs' ] / 1000 )}s ago.\n` )
+        }
+
+        return { result }
+    }
+
+
+    // The fetch already succeeded, so a failing cache write (a locked sqlite file, a
+    // full disk) must not turn it into an error: CCH-013 goes to stderr and into
+    // result.cache.warning, and the content is returned uncached.
+    static async #cacheWrite( { timer, execute } ) {
+        try {
+            const outcome = await PhaseTimer.measure( { timer, 'phase': 'cacheWrite', execute } )
+
+            return { outcome, 'warning': null }
+        } catch( err ) {
+            const warning = `CCH-013 cacheWrite: Cache write failed, the response was not cached: ${err.message}`
+            process.stderr.write( `${warning}\n` )
+
+            return { 'outcome': null, warning }
+        }
+    }
+
+
+    static async #mockCall( { matchedFile, matchedRouteName, matchedToolName, userParams, namespace } ) {
+        const { filePath } = await SchemaSource.resolveSchemaFilePath( { schemaRef: matchedFile } )
+        const { fixture, path } = !filePath
+            ? { 'fixture': null, 'path': null }
+            : await MockFixtures.read( { 'schemaPath': filePath, 'routeName': matchedRouteName } )
+
+        if( fixture === null ) {
+            const result = CliOutput.error( {
+                'error': `MCK-001 mock: No captured fixture for "${matchedToolName}"${path === null ? '' : ` (${path})`}.`,
+                'fix': `Capture the schema tests once: ${appConfig[ 'cliCommand' ]} mock capture ${namespace}`
+            } )
+
+            return { result }
+        }
+
+        const { capture, exact } = MockFixtures.pick( { fixture, userParams } )
+        const result = {
+            'status': true,
+            'toolName': matchedToolName,
+            'content': capture[ 'content' ],
+            'mock': { exact, 'test': capture[ 'test' ], 'capturedAt': fixture[ 'capturedAt' ] }
+        }
+
+        return { result }
+    }
+
+
+    // Drift check against the declared output schema. The warnings also go to stderr,
+    // so they show up even when stdout is piped into another tool.
+    static async #validateOutput( { result, trace, validateOutput } ) {
+        const { enabled } = await OutputValidator.isEnabled( { 'namespace': trace[ 'namespace' ], validateOutput } )
+        if( !enabled ) {
+            return
+        }
+
+        if( trace[ 'outputSchema' ] === null ) {
+            result[ 'outputValidation' ] = { 'checked': false, 'reason': 'The tool declares no output schema.' }
+
+            return
+        }
+
+        const { outputValidation } = OutputValidator.validate( { 'schema': trace[ 'outputSchema' ], 'content': result[ 'content' ] } )
+        result[ 'outputValidation' ] = outputValidation
+        outputValidation[ 'warnings' ]
+            .forEach( ( warning ) => process.stderr.write( `${warning}\n` ) )
+    }
+
+
+    // --all-pages: page requests run inside the retry / rate-limit / cassette chain, so
+    // every page is retried, counted against the quota and recorded on its own.
+    static #paginationInterceptors( { allPages, maxPages, main, routeName, toolName, trace } ) {
+        if( !allPages ) {
+            return { 'interceptors': [], 'error': null, 'fix': null }
+        }
+
+        const { maxPages: pageLimit, error: maxError, fix: maxFix } = Paginator.parseMaxPages( { maxPages } )
+        if( maxError !== null ) {
+            return { 'interceptors': [], 'error': maxError, 'fix': maxFix }
+        }
+
+        const { routes, error, fix } = Paginator.routes( { main, 'routeNames': [ routeName ] } )
+        if( error !== null ) {
+            return { 'interceptors': [], error, fix }
+        }
+
+        if( routes.length === 0 ) {
+            return {
+                'interceptors': [],
+                'error': `PAG-003 pagination: Tool "${toolName}" declares no pagination.`,
+                'fix': 'Drop --all-pages, or add a `pagination` block to the route in the schema.'
+            }
+        }
+
+        trace[ 'pagination' ] = { 'type': routes[ 0 ][ 'pagination' ][ 'type' ], 'maxPages': pageLimit, 'pages': 0, 'items': 0, 'complete': true, 'errors': [] }
+
+        return { 'interceptors': [ Paginator.interceptor( { routes, 'maxPages': pageLimit, 'report': trace[ 'pagination' ] } ) ], 'error': null, 'fix': null }
+    }
+
+
+    // `call <tool> --interactive` — one question per user param, required first. The
+    // assembled JSON (and the equivalent non-interactive command) goes to stderr, so
+    // stdout still carries only the result. Without a TTY on both ends there is no
+    // one to ask, so it stops with CAL-009 before inquirer is reached. Declining the
+    // confirmation and Ctrl-C in any of the prompts both end as CAL-010.
+    static async #promptParams( { toolName, main, routeName, routeParameters, expectedParameters, userParams } ) {
+        if( process.stdin.isTTY !== true || process.stdout.isTTY !== true ) {
+            const result = CliOutput.error( {
+                'error': `CAL-009 callTool: --interactive needs a TTY on stdin and stdout.`,
+                'fix': `Pass the parameters as JSON instead: ${appConfig[ 'cliCommand' ]} call ${toolName} '{"param": "value"}'`
+            } )
+
+            return { 'userParams': null, result }
+        }
+
+        const { requiredParams, optionalParams } = SearchCommand.extractParameterDetails( { main, routeName } )
+        const { questions } = ParamPrompt.buildQuestions( { requiredParams, optionalParams, expectedParameters, routeParameters, userParams } )
+        const cancelled = ( { json } ) => {
+            const result = CliOutput.error( {
+                'error': `CAL-010 callTool: Call to "${toolName}" cancelled at the prompt.`,
+                'fix': `Run it again and confirm, or call it directly: ${appConfig[ 'cliCommand' ]} call ${toolName} '${json}'`
+            } )
+
+            return { 'userParams': null, result }
+        }
+
+        const { answers, 'cancelled': interrupted } = questions.length > 0
+            ? await ParamPrompt.ask( { 'prompt': inquirer.prompt, questions } )
+            : { 'answers': {}, 'cancelled': false }
+        if( interrupted ) {
+            return cancelled( { 'json': JSON.stringify( userParams || {} ) } )
+        }
+
+        const { userParams: assembled } = ParamPrompt.assemble( { questions, answers } )
+        const json = JSON.stringify( assembled )
+
+        process.stderr.write( `\n${JSON.stringify( assembled, null, 4 )}\n\n${appConfig[ 'cliCommand' ]} call ${toolName} '${json}'\n\n` )
+
+        const { 'answers': confirmation, 'cancelled': declined } = await ParamPrompt.ask( {
+            'prompt': inquirer.prompt,
+            'questions': [
+                {
+                    'type': 'confirm',
+                    'name': 'confirmed',
+                    'message': `Call ${toolName} with these parameters?`,
+                    'default': true
+                }
+            ]
+        } )
+
+        if( declined || !confirmation[ 'confirmed' ] ) {
+            return cancelled( { json } )
+        }
+
+        return { 'userParams': assembled, 'result': null }
+    }
+
+
+    static #wireName( { toolName } ) {
+        if( !CallCommand.#isSpecId( { 'ref': toolName } ) ) {
+            return { 'resolvedToolName': toolName, 'sourcePrefix': null }
+        }
+
+        const { valid, namespace, type, name, source } = IdResolver.parseSpecId( { 'specId': toolName } )
+        if( !valid || type !== 'tool' ) {
+            return { 'resolvedToolName': null, 'sourcePrefix': source || null }
+        }
+
+        const { toolName: resolvedToolName } = FlowMCP.buildToolName( { 'routeName': name, namespace } )
+
+        return { resolvedToolName, 'sourcePrefix': source || null }
+    }
+
+
     static #isSpecId( { ref } ) {
         if( typeof ref !== 'string' ) {
             return false
@@ -448,7 +1016,7 @@ class CallCommand {
     }
 
 
-    static async #callResourceQuery( { toolName, jsonArgs, resolvedSchemas } ) {
+    static async #callResourceQuery( { toolName, jsonArgs, resolvedSchemas, dryRun = false } ) {
         let matchedMain = null
         let matchedHandlersFn = null
         let matchedFile = null
@@ -493,6 +1061,16 @@ class CallCommand {
             return null
         }
 
+        // Resource queries run locally on SQLite — there is no HTTP request to preview.
+        if( dryRun ) {
+            const result = CliOutput.error( {
+                'error': `DRY-002 dryRun: "${toolName}" is a resource query, not an HTTP tool.`,
+                'fix': `Drop --dry-run: ${appConfig[ 'cliCommand' ]} call ${toolName} '{...}'`
+            } )
+
+            return { result }
+        }
+
         try {
             // Memo 149 Strang B — single-source helper (was: join( #schemasDir(), matchedFile )).
             const { filePath: schemaFilePath } = await SchemaSource.resolveSchemaFilePath( { schemaRef: matchedFile } )
@@ -591,8 +1169,10 @@ class CallCommand {
     // Memo 128 Kap 10 — extracted so callTool can use it as the lazy-resolution
     // fallback (lazy miss / bare name / stale index). Returns either an
     // errorResult (config error / unknown source) or the source-filtered schemas.
-    static async #resolveSchemasForCall( { sourceFilter } ) {
-        const { schemas: allSchemas, error: resolveError, fix: resolveFix } = await SchemaLoaderBridge.resolveAllSchemas()
+    static async #resolveSchemasForCall( { sourceFilter, preloadedSchemas = null } ) {
+        const { schemas: allSchemas, error: resolveError, fix: resolveFix } = preloadedSchemas !== null
+            ? { 'schemas': preloadedSchemas, 'error': null, 'fix': null }
+            : await SchemaLoaderBridge.resolveAllSchemas()
 
         // PRD-008 — a duplicate schemaFolders[] name is a hard config error.
         if( resolveError !== null && resolveError !== undefined ) {
@@ -629,9 +1209,10 @@ class CallCommand {
         let matchedFile = null
         let matchedToolName = null
         let matchedRouteName = null
+        let matchedSource = null
 
         resolvedSchemas
-            .forEach( ( { main, handlersFn, file } ) => {
+            .forEach( ( { main, handlersFn, file, source } ) => {
                 if( matchedMain ) {
                     return
                 }
@@ -654,6 +1235,7 @@ class CallCommand {
                                 matchedFile = file
                                 matchedToolName = candidateName
                                 matchedRouteName = routeName
+                                matchedSource = source || null
                             }
                         } catch {
                             // skip
@@ -661,7 +1243,7 @@ class CallCommand {
                     } )
             } )
 
-        return { matchedMain, matchedHandlersFn, matchedFile, matchedToolName, matchedRouteName }
+        return { matchedMain, matchedHandlersFn, matchedFile, matchedToolName, matchedRouteName, matchedSource }
     }
 }
 
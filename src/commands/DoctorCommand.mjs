@@ -11,6 +11,7 @@ import { SchemaLoaderBridge } from '../lib/SchemaLoaderBridge.mjs'
 import { CliBase } from '../lib/CliBase.mjs'
 import { EnvResolver } from '../lib/EnvResolver.mjs'
 import { OrgInternalLibs } from '../lib/OrgInternalLibs.mjs'
+import { NetworkSettings } from '../lib/NetworkSettings.mjs'
 import { AllowlistCommand } from './AllowlistCommand.mjs'
 import { ListsCommand } from './ListsCommand.mjs'
 
@@ -191,7 +192,21 @@ class DoctorCommand {
                 : `${missingKeys.length}/${envKeysNeeded.size} key(s) missing (tools needing them are disabled): ${missingKeys.slice( 0, 8 ).join( ', ' )}${missingKeys.length > 8 ? ', …' : ''}`
         } )
 
-        // Check 7 — cli-version stamp.
+        // Check 7 — network: the effective proxy / CA settings (config `network` block or
+        // the proxy env vars). Unusable settings are an ERROR — every request would fail.
+        const { network, error: networkError } = await NetworkSettings.check()
+        const { summary: networkSummary } = NetworkSettings.describe( { network } )
+        checks.push( {
+            'check': 'network',
+            'severity': 'ERROR',
+            'ok': networkError === null,
+            'code': networkError === null ? null : CliOutput.extractErrorCode( { 'message': networkError } ),
+            'detail': networkError !== null
+                ? networkError
+                : `proxy http ${networkSummary[ 'httpProxy' ]}, https ${networkSummary[ 'httpsProxy' ]}; noProxy ${networkSummary[ 'noProxy' ]}; ${networkSummary[ 'caFiles' ].length} extra CA file(s)`
+        } )
+
+        // Check 8 — cli-version stamp.
         checks.push( { 'check': 'cli-version', 'severity': 'INFO', 'ok': cliVersion !== 'unknown', 'code': cliVersion !== 'unknown' ? null : 'CLI-028', 'detail': `${cliName}@${cliVersion}` } )
 
         // Memo 150 P2 (F3=B) — SHOW the exact, copy-pasteable install command for missing libraries.
@@ -215,6 +230,7 @@ class DoctorCommand {
         const libFix = fixHints.length > 0 ? fixHints.join( ' | ' ) : null
 
         const result = DoctorCommand.#result( { cliName, cliVersion, checks, 'fix': libFix } )
+        result[ 'network' ] = networkSummary
 
         return { result }
     }
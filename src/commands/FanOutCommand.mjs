@@ -0,0 +1,157 @@
+import { appConfig } from '../data/config.mjs'
+import { ConfigStore } from '../lib/ConfigStore.mjs'
+import { CliOutput } from '../lib/CliOutput.mjs'
+import { SchemaLoaderBridge } from '../lib/SchemaLoaderBridge.mjs'
+import { ArgsSource } from '../lib/ArgsSource.mjs'
+import { StructuralDiff } from '../lib/StructuralDiff.mjs'
+import { CallCommand } from './CallCommand.mjs'
+
+
+// `flowmcp call <tool> [json] --all-sources [--baseline <source>]` — the same call
+// against every schemaFolders[] source that declares the tool (e.g. a development and
+// a production copy of a namespace). The catalog is resolved once and each source
+// gets its own slice as preloaded schemas, so every run goes through the normal
+// CallCommand.callTool path (validation, keys, retry, history). Sources run one
+// after another in config order; the first is the baseline unless --baseline names
+// another. Each other source is compared with it by StructuralDiff. The cache is
+// bypassed (and with it stale-if-error): cache keys carry no source, so a cached
+// answer of the first source would stand in for all the others. options — the call
+// options (CallOptions), handed to every run with the cache off and the args already read.
+// No back-reference to FlowMcpCli.
+class FanOutCommand {
+    static async callAllSources( { toolName, jsonArgs = null, baseline = null, cwd, options = {} } ) {
+        const { argsFile = null, interactive = false } = options
+        const { initialized, error: initError, fix: initFix } = await ConfigStore.requireInit()
+        if( !initialized ) {
+            const result = CliOutput.error( { 'error': initError, 'fix': initFix } )
+
+            return { result }
+        }
+
+        if( !toolName || interactive === true ) {
+            const result = CliOutput.error( {
+                'error': `FAN-001 callAllSources: ${!toolName ? 'Missing tool name.' : '--all-sources cannot be combined with --interactive.'}`,
+                'fix': `Provide: ${appConfig[ 'cliCommand' ]} call <tool-name> [json] --all-sources`
+            } )
+
+            return { result }
+        }
+
+        // Read stdin / --args-file once; every source gets the same args.
+        const { jsonArgs: sharedArgs, error: argsError } = await ArgsSource.read( { jsonArgs, argsFile } )
+        if( argsError !== null ) {
+            const result = CliOutput.error( {
+                'error': `CAL-001 callTool: ${argsError}`,
+                'fix': `Provide valid JSON: ${appConfig[ 'cliCommand' ]} call ${toolName} '{"param": "value"}', - for stdin, or --args-file <path>`
+            } )
+
+            return { result }
+        }
+
+        const { schemas: allSchemas, error: resolveError, fix: resolveFix } = await SchemaLoaderBridge.resolveAllSchemas()
+        if( resolveError !== null && resolveError !== undefined ) {
+            const result = CliOutput.error( { 'error': resolveError, 'fix': resolveFix } )
+
+            return { result }
+        }
+
+        const { sources, sourcePrefix } = CallCommand.toolSources( { toolName, 'resolvedSchemas': allSchemas } )
+        const { error, fix } = FanOutCommand.#checkSources( { toolName, sources, sourcePrefix, baseline } )
+        if( error !== null ) {
+            const result = CliOutput.error( { error, fix } )
+
+            return { result }
+        }
+
+        const runs = await sources
+            .reduce( ( promise, source ) => promise.then( async ( acc ) => {
+                const startedAt = Date.now()
+                const { result } = await CallCommand.callTool( {
+                    toolName,
+                    'jsonArgs': sharedArgs,
+                    cwd,
+                    'options': { ...options, 'argsFile': null, 'noCache': true, 'staleIfError': false },
+                    'preloadedSchemas': allSchemas.filter( ( entry ) => ( entry[ 'source' ] || null ) === source )
+                } )
+                acc.push( { source, 'durationMs': Date.now() - startedAt, result } )
+
+                return acc
+            } ), Promise.resolve( [] ) )
+
+        const baselineSource = baseline === null ? sources[ 0 ] : baseline
+        const { diff } = FanOutCommand.#diffRuns( { runs, baselineSource } )
+        const failed = runs.filter( ( { result } ) => result[ 'status' ] !== true ).map( ( { source } ) => source )
+
+        const outcome = failed.length === 0
+            ? { 'status': true }
+            : CliOutput.error( {
+                'error': `FAN-004 callAllSources: The call failed in ${failed.length} of ${runs.length} source(s): ${failed.join( ', ' )}.`,
+                'fix': 'See sources[].result for each error.'
+            } )
+        const result = { ...outcome, 'mode': 'all-sources', toolName, 'baseline': baselineSource, 'sources': runs, diff }
+
+        return { result }
+    }
+
+
+    static #checkSources( { toolName, sources, sourcePrefix, baseline } ) {
+        if( sourcePrefix !== null ) {
+            return {
+                'error': `FAN-001 callAllSources: --all-sources runs every source, drop the "${sourcePrefix}:" prefix.`,
+                'fix': `Use: ${appConfig[ 'cliCommand' ]} call ${toolName.slice( sourcePrefix.length + 1 )} --all-sources`
+            }
+        }
+
+        if( sources.length === 0 ) {
+            return {
+                'error': `FAN-002 callAllSources: No schemaFolders[] source declares "${toolName}".`,
+                'fix': `Run ${appConfig[ 'cliCommand' ]} call list-tools to see available tool names.`
+            }
+        }
+
+        if( baseline !== null && !sources.includes( baseline ) ) {
+            return {
+                'error': `FAN-003 callAllSources: --baseline "${baseline}" does not declare "${toolName}".`,
+                'fix': `Use one of: ${sources.join( ', ' )}`
+            }
+        }
+
+        return { 'error': null, 'fix': null }
+    }
+
+
+    // One entry per non-baseline source. Failed calls are not diffed; they are equal
+    // only when both sides failed with the same code.
+    static #diffRuns( { runs, baselineSource } ) {
+        const { result: base } = runs.find( ( { source } ) => source === baselineSource )
+        const diff = runs
+            .filter( ( { source } ) => source !== baselineSource )
+            .map( ( { source, result } ) => {
+                if( base[ 'status' ] !== true || result[ 'status' ] !== true ) {
+                    const failedIn = [ base[ 'status' ] !== true ? baselineSource : null, result[ 'status' ] !== true ? source : null ]
+                        .filter( ( name ) => name !== null )
+
+                    return {
+                        source,
+                        'against': baselineSource,
+                        'equal': base[ 'status' ] === result[ 'status' ] && base[ 'code' ] === result[ 'code' ],
+                        'compared': false,
+                        'reason': `call failed in ${failedIn.join( ' and ' )}`
+                    }
+                }
+
+                const { equal, differences, truncated } = StructuralDiff.compare( { 'baseline': base[ 'content' ], 'candidate': result[ 'content' ] } )
+                const entry = { source, 'against': baselineSource, equal, 'compared': true, differences }
+                if( truncated !== undefined ) {
+                    entry[ 'truncated' ] = truncated
+                }
+
+                return entry
+            } )
+
+        return { diff }
+    }
+}
+
+
+export { FanOutCommand }
@@ -0,0 +1,165 @@
+import { appConfig } from '../data/config.mjs'
+import { CliOutput } from '../lib/CliOutput.mjs'
+import { CallHistory } from '../lib/CallHistory.mjs'
+import { Duration } from '../lib/Duration.mjs'
+import { CallCommand } from './CallCommand.mjs'
+
+
+const DEFAULT_LIST_LIMIT = 20
+
+
+// `flowmcp history list|show|rerun` over the CallHistory log (~/.flowmcp/history.jsonl).
+// list filters newest-first by tool / namespace / status / since; show returns one
+// entry; rerun replays an entry's tool + args through CallCommand.callTool, so the
+// re-run itself lands in the history again. An entry whose args hold masked key values
+// is refused (HIS-005) rather than sending `<redacted>` to the provider. No
+// back-reference to FlowMcpCli.
+class HistoryCommand {
+    static async list( { tool = null, namespace = null, status = null, since = null, limit = null } ) {
+        const { filters, error, fix } = HistoryCommand.#parseFilters( { tool, namespace, status, since, limit } )
+        if( error !== null ) {
+            const result = CliOutput.error( { error, fix } )
+
+            return { result }
+        }
+
+        const { entries } = await CallHistory.readEntries()
+        const matching = entries
+            .filter( ( entry ) => {
+                const toolText = `${entry[ 'tool' ] || ''} ${entry[ 'resolvedTool' ] || ''}`
+
+                return filters[ 'tool' ] === null || toolText.includes( filters[ 'tool' ] )
+            } )
+            .filter( ( entry ) => filters[ 'namespace' ] === null || entry[ 'namespace' ] === filters[ 'namespace' ] )
+            .filter( ( entry ) => filters[ 'status' ] === null || entry[ 'status' ] === filters[ 'status' ] )
+            .filter( ( entry ) => filters[ 'since' ] === null || Date.parse( entry[ 'timestamp' ] ) >= filters[ 'since' ] )
+            .reverse()
+
+        const result = {
+            'status': true,
+            'historyPath': CallHistory.historyPath(),
+            'total': matching.length,
+            'entries': matching
+                .slice( 0, filters[ 'limit' ] )
+                .map( ( entry ) => {
+                    const { id, timestamp, tool, source, status: entryStatus, code, durationMs, cacheHit } = entry
+
+                    return { id, timestamp, tool, source, 'status': entryStatus, code, durationMs, cacheHit }
+                } )
+        }
+
+        return { result }
+    }
+
+
+    static async show( { id } ) {
+        const { entry, result: errorResult } = await HistoryCommand.#findEntry( { id } )
+        if( errorResult ) {
+            return { 'result': errorResult }
+        }
+
+        const result = { 'status': true, entry }
+
+        return { result }
+    }
+
+
+    // options — the call options of the re-run (CallOptions); promptWrite as for `call`.
+    static async rerun( { id, cwd, options = {}, promptWrite = true } ) {
+        const { entry, result: errorResult } = await HistoryCommand.#findEntry( { id } )
+        if( errorResult ) {
+            return { 'result': errorResult }
+        }
+
+        if( entry[ 'args' ] === null ) {
+            const result = CliOutput.error( {
+                'error': `HIS-004 historyRerun: Entry "${id}" was recorded with invalid JSON args and cannot be re-run.`,
+                'fix': `Run the call directly: ${appConfig[ 'cliCommand' ]} call ${entry[ 'tool' ]} '{...}'`
+            } )
+
+            return { result }
+        }
+
+        const { paths } = CallHistory.redactedPaths( { 'args': entry[ 'args' ] } )
+        if( paths.length > 0 ) {
+            const result = CliOutput.error( {
+                'error': `HIS-005 historyRerun: Entry "${id}" has redacted args (${paths.join( ', ' )}) and cannot be re-run as recorded.`,
+                'fix': `Run the call directly and pass the real value(s): ${appConfig[ 'cliCommand' ]} call ${entry[ 'tool' ]} '${JSON.stringify( entry[ 'args' ] )}'`
+            } )
+            result[ 'redacted' ] = paths
+
+            return { result }
+        }
+
+        const { result } = await CallCommand.callTool( {
+            'toolName': entry[ 'tool' ],
+            'jsonArgs': JSON.stringify( entry[ 'args' ] ),
+            cwd,
+            options,
+            promptWrite
+        } )
+        result[ 'rerunOf' ] = id
+
+        return { result }
+    }
+
+
+    static async #findEntry( { id } ) {
+        if( typeof id !== 'string' || id.length === 0 ) {
+            const result = CliOutput.error( {
+                'error': 'HIS-002 history: Missing entry id.',
+                'fix': `Run ${appConfig[ 'cliCommand' ]} history list to see entry ids.`
+            } )
+
+            return { 'entry': null, result }
+        }
+
+        const { entries } = await CallHistory.readEntries()
+        const entry = entries.find( ( candidate ) => candidate[ 'id' ] === id )
+        if( entry === undefined ) {
+            const result = CliOutput.error( {
+                'error': `HIS-003 history: No history entry with id "${id}".`,
+                'fix': `Run ${appConfig[ 'cliCommand' ]} history list to see entry ids.`
+            } )
+
+            return { 'entry': null, result }
+        }
+
+        return { entry, 'result': null }
+    }
+
+
+    static #parseFilters( { tool, namespace, status, since, limit } ) {
+        const fail = ( error, fix ) => ( { 'filters': null, error, fix } )
+
+        const statusMap = { 'ok': true, 'failed': false }
+        if( status !== null && statusMap[ status ] === undefined ) {
+            return fail( `HIS-001 historyList: Invalid --status "${status}".`, 'Use --status ok or --status failed.' )
+        }
+
+        const { timestamp: sinceTs, error: sinceError } = since === null
+            ? { 'timestamp': null, 'error': null }
+            : Duration.parseSince( { 'value': since } )
+        if( sinceError !== null ) {
+            return fail( `HIS-001 historyList: ${sinceError}`, 'Example: --since 24h' )
+        }
+
+        const parsedLimit = limit === null ? DEFAULT_LIST_LIMIT : Number( limit )
+        if( !Number.isInteger( parsedLimit ) || parsedLimit < 1 ) {
+            return fail( `HIS-001 historyList: Invalid --limit "${limit}".`, 'Use a positive integer, e.g. --limit 50' )
+        }
+
+        const filters = {
+            'tool': tool,
+            'namespace': namespace,
+            'status': status === null ? null : statusMap[ status ],
+            'since': sinceTs,
+            'limit': parsedLimit
+        }
+
+        return { filters, 'error': null, 'fix': null }
+    }
+}
+
+
+export { HistoryCommand }
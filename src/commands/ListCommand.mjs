@@ -7,6 +7,7 @@ import { EnvResolver } from '../lib/EnvResolver.mjs'
 import { SchemaSource } from '../lib/SchemaSource.mjs'
 import { SchemaLoaderBridge } from '../lib/SchemaLoaderBridge.mjs'
 import { NamespaceIndex } from '../lib/NamespaceIndex.mjs'
+import { CachePolicy } from '../lib/CachePolicy.mjs'
 import { ListsCommand } from './ListsCommand.mjs'
 import { SearchCommand } from './SearchCommand.mjs'
 import { SqliteGtfsRuntime } from '../addons/SqliteGtfsRuntime.mjs'
@@ -38,6 +39,7 @@ class ListCommand {
             ? EnvResolver.parseEnvFile( { envContent } ).envObject
             : {}
 
+        const { globalConfig } = await ConfigStore.loadGlobalConfig()
         const { schemas, error: resolveError, fix: resolveFix } = await SchemaLoaderBridge.resolveAllSchemas()
 
         // PRD-008 — a duplicate schemaFolders[] name is a hard config error.
@@ -91,6 +93,11 @@ class ListCommand {
                             const { parameters } = SearchCommand.extractParameters( { routeParameters, sharedLists } )
 
                             const entry = { name, description, 'tags': schemaTags, parameters }
+                            // CachePolicy — the same decision `call` makes for this tool.
+                            const { policy } = CachePolicy.resolve( { main, routeName, namespace, globalConfig } )
+                            if( policy[ 'cached' ] ) {
+                                entry[ 'cache' ] = { 'ttl': policy[ 'ttl' ], 'source': policy[ 'source' ] }
+                            }
                             if( disabled === true ) {
                                 entry[ 'disabled' ] = true
                                 entry[ 'disabledReason' ] = `missing ${missingKeys.join( ', ' )}`
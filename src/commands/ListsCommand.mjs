@@ -442,14 +442,17 @@ class ListsCommand {
     }
 
 
-    // Public helper — shared with the FlowMcpCli handler/call/serve paths.
-    static async resolveSharedListsForSchema( { main, filePath } ) {
+    // Public helper — shared with the FlowMcpCli handler/call/serve paths and private
+    // call. An explicit listsDir (private call --lists-dir) wins over the tree-walk.
+    static async resolveSharedListsForSchema( { main, filePath, listsDir: explicitListsDir = null } ) {
         const sharedListRefs = main?.[ 'sharedLists' ] || []
         let sharedLists = {}
 
-        if( sharedListRefs.length > 0 && filePath ) {
+        if( sharedListRefs.length > 0 && ( filePath || explicitListsDir ) ) {
             try {
-                const { listsDir } = ListsCommand.findListsDir( { filePath } )
+                const { listsDir } = explicitListsDir !== null
+                    ? { 'listsDir': explicitListsDir }
+                    : ListsCommand.findListsDir( { filePath } )
                 if( listsDir ) {
                     const resolved = await FlowMCP.resolveSharedLists( { sharedListRefs, listsDir } )
                     sharedLists = resolved[ 'sharedLists' ] || {}
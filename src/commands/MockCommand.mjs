@@ -0,0 +1,128 @@
+import { appConfig } from '../data/config.mjs'
+import { CliOutput } from '../lib/CliOutput.mjs'
+import { MockFixtures } from '../lib/MockFixtures.mjs'
+import { CallCommand } from './CallCommand.mjs'
+import { GradingTarget } from './grading/GradingTarget.mjs'
+
+
+// `flowmcp mock capture <namespace>` — runs every `tests[]` entry of the namespace's
+// routes once, live and uncached, and stores the responses as MockFixtures next to
+// the schema. `call --mock` answers from them afterwards. Failed tests are reported
+// and skipped; a route without any successful test keeps its previous fixture file.
+// Each route is called by its source-prefixed Spec-ID (`<source>:<ns>/tool/<route>`),
+// so a namespace served by several sources captures from the schema it belongs to.
+// The capture calls stay out of the call history.
+class MockCommand {
+    static async capture( { namespace, cwd, quiet = false } ) {
+        if( typeof namespace !== 'string' || namespace.length === 0 ) {
+            const result = CliOutput.error( {
+                'error': 'MCK-002 mock: Missing namespace.',
+                'fix': `Usage: ${appConfig[ 'cliCommand' ]} mock capture <namespace>`
+            } )
+
+            return { result }
+        }
+
+        const resolved = await GradingTarget.resolveSchemasForTarget( { namespace } )
+        if( resolved[ 'status' ] === false ) {
+            const result = CliOutput.error( { 'error': resolved[ 'error' ], 'fix': resolved[ 'fix' ] } )
+
+            return { result }
+        }
+
+        const { routes } = MockCommand.#testedRoutes( { 'schemas': resolved[ 'schemas' ] } )
+        const files = []
+        const failed = []
+        const { captured } = await routes
+            .reduce( ( promise, route, index ) => promise.then( async ( acc ) => {
+                const { schemaPath, source, routeName, tests } = route
+                const { toolName } = MockCommand.#specId( { source, namespace, routeName } )
+                CliOutput.emitProgress( { quiet, 'message': `[${index + 1}/${routes.length}] capture ${toolName} (${tests.length} test(s))` } )
+                const { captures, errors } = await MockCommand.#captureRoute( { toolName, tests, cwd } )
+                failed.push( ...errors )
+                if( captures.length === 0 ) {
+                    return acc
+                }
+
+                const { path } = await MockFixtures.write( { schemaPath, routeName, captures } )
+                files.push( path )
+
+                return { 'captured': acc[ 'captured' ] + captures.length }
+            } ), Promise.resolve( { 'captured': 0 } ) )
+
+        const result = {
+            'status': failed.length === 0,
+            namespace,
+            'tools': routes.length,
+            captured,
+            files,
+            failed
+        }
+
+        if( failed.length > 0 ) {
+            result[ 'error' ] = `MCK-003 mock: ${failed.length} test(s) could not be captured.`
+            result[ 'fix' ] = 'Check the failed entries; the successful captures were written.'
+        }
+
+        return { result }
+    }
+
+
+    static #testedRoutes( { schemas } ) {
+        const routes = schemas
+            .reduce( ( acc, { main, sourcePath, source = null } ) => {
+                const declared = main[ 'routes' ] || main[ 'tools' ] || {}
+                Object.entries( declared )
+                    .filter( ( [ , route ] ) => Array.isArray( route[ 'tests' ] ) && route[ 'tests' ].length > 0 )
+                    .forEach( ( [ routeName, route ] ) => {
+                        acc.push( { 'schemaPath': sourcePath, source, routeName, 'tests': route[ 'tests' ] } )
+                    } )
+
+                return acc
+            }, [] )
+
+        return { routes }
+    }
+
+
+    // Same Spec-ID grammar CallCommand resolves: an optional "<source>:" prefix.
+    static #specId( { source, namespace, routeName } ) {
+        const toolName = typeof source === 'string' && source.length > 0
+            ? `${source}:${namespace}/tool/${routeName}`
+            : `${namespace}/tool/${routeName}`
+
+        return { toolName }
+    }
+
+
+    static async #captureRoute( { toolName, tests, cwd } ) {
+        return tests
+            .reduce( ( promise, test, index ) => promise.then( async ( acc ) => {
+                const { params } = MockFixtures.testParams( { test } )
+                const { result } = await CallCommand.callTool( {
+                    toolName,
+                    'jsonArgs': JSON.stringify( params ),
+                    cwd,
+                    'options': { 'noCache': true, 'history': false }
+                } )
+
+                if( result[ 'status' ] !== true ) {
+                    acc[ 'errors' ].push( { 'tool': toolName, 'test': index, 'error': result[ 'error' ] } )
+
+                    return acc
+                }
+
+                acc[ 'captures' ].push( {
+                    'test': index,
+                    'description': test[ '_description' ] || null,
+                    params,
+                    'content': result[ 'content' ]
+                } )
+
+                return acc
+            } ), Promise.resolve( { 'captures': [], 'errors': [] } ) )
+    }
+}
+
+
+export { MockCommand }
@@ -8,7 +8,16 @@ import { appConfig } from '../data/config.mjs'
 import { CliOutput } from '../lib/CliOutput.mjs'
 import { EnvResolver } from '../lib/EnvResolver.mjs'
 import { CliBase } from '../lib/CliBase.mjs'
+import { ParamValidator } from '../lib/ParamValidator.mjs'
+import { DryRun } from '../lib/DryRun.mjs'
+import { JsonSelect } from '../lib/JsonSelect.mjs'
+import { HttpTransport } from '../lib/HttpTransport.mjs'
+import { RateLimiter } from '../lib/RateLimiter.mjs'
+import { ArgsSource } from '../lib/ArgsSource.mjs'
+import { WriteSafety } from '../lib/WriteSafety.mjs'
 import { AllowlistCommand } from './AllowlistCommand.mjs'
+import { ListsCommand } from './ListsCommand.mjs'
+import { SearchCommand } from './SearchCommand.mjs'
 
 
 // Memo 152 / PRD-021 (E-04, E-05) — the `flowmcp private call <schema-path> <tool> '{json}'`
@@ -24,10 +33,50 @@ import { AllowlistCommand } from './AllowlistCommand.mjs'
 // v4 surface — making the private leaf the first production consumer of the v4 Pipeline (research-03
 // A1). The CLI keeps only path/~ resolution, env->serverParams (core stays env-free) and output.
 //
+// A non-GET tool passes the same WriteSafety gate as `call` (writeSafety policy of the
+// schema's namespace, --confirm, the TTY prompt) and leaves an audit.jsonl line.
+//
 // No back-reference to FlowMcpCli. Depends only on core (FlowMCP/Pipeline) + lib
 // (CliOutput/EnvResolver) + node builtins.
 class PrivateCommand {
-    static async call( { schemaPath, toolName, jsonArgs = null, listsDir = null, cwd } ) {
+    // select / limit (--select / --limit) are validated before the load and projected
+    // onto the content of a successful call, the same way as `call`. jsonArgs `-` /
+    // argsFile read the args from stdin or a JSON/YAML file (ArgsSource).
+    static async call( { select = null, limit = null, argsFile = null, ...callArgs } ) {
+        const { projection, error: selectError, fix: selectFix } = JsonSelect.prepare( { select, limit } )
+        if( selectError !== null ) {
+            const result = CliOutput.error( { 'error': selectError, 'fix': selectFix } )
+
+            return { result }
+        }
+
+        const { jsonArgs, error: argsError } = await ArgsSource.read( {
+            'jsonArgs': callArgs[ 'jsonArgs' ] === undefined ? null : callArgs[ 'jsonArgs' ],
+            argsFile
+        } )
+        if( argsError !== null ) {
+            const result = CliOutput.error( {
+                'error': `PRV-004 privateCall: Invalid JSON argument (${argsError}).`,
+                'fix': `Provide valid JSON: ${appConfig[ 'cliCommand' ]} private call <schema-path> ${callArgs[ 'toolName' ]} '{"param": "value"}', pipe it with -, or use --args-file <args.json|args.yaml>`
+            } )
+
+            return { result }
+        }
+
+        // The CallHistory fields WriteSafety.audit() reads; #execute fills them in.
+        const trace = { 'resolvedTool': null, 'namespace': null, 'source': null, 'userParams': null, 'secrets': [], 'write': null }
+        const startedAt = Date.now()
+        const { result } = await PrivateCommand.#execute( { ...callArgs, jsonArgs, trace } )
+
+        if( trace[ 'write' ] !== null ) {
+            await WriteSafety.audit( { 'toolName': callArgs[ 'toolName' ], jsonArgs, trace, result, 'durationMs': Date.now() - startedAt, 'write': trace[ 'write' ] } )
+        }
+
+        return JsonSelect.project( { result, projection } )
+    }
+
+
+    static async #execute( { schemaPath, toolName, jsonArgs = null, listsDir = null, cwd, dryRun = false, asCurl = false, confirm = false, promptWrite = true, trace } ) {
         // --- validate + resolve the schema path (the address; no config key) ---
         const { resolvedPath, error: pathError, fix: pathFix } = PrivateCommand.#resolveFilePath( { rawPath: schemaPath } )
         if( pathError !== null ) {
@@ -143,10 +192,25 @@ class PrivateCommand {
         }
 
         const { serverParams } = EnvResolver.buildServerParams( { envObject, requiredServerParams } )
+        trace[ 'resolvedTool' ] = wireToolName
+        trace[ 'namespace' ] = main[ 'namespace' ] || 'unknown'
+        trace[ 'source' ] = 'private'
+        trace[ 'userParams' ] = userParams
+        trace[ 'secrets' ] = Object.values( serverParams )
+            .filter( ( value ) => typeof value === 'string' && value.length > 0 )
 
         // --- Memo 157 Kap 2/3: a resource-query call executes on the resource surface
         //     (initializeResourceDbs + executeResource), not FlowMCP.fetch. ---
         if( kind === 'resource' ) {
+            if( dryRun ) {
+                const result = CliOutput.error( {
+                    'error': `DRY-002 dryRun: "${toolName}" is a resource query, not an HTTP tool.`,
+                    'fix': `Drop --dry-run: ${appConfig[ 'cliCommand' ]} private call ${schemaPath} ${toolName} '{...}'`
+                } )
+
+                return { result }
+            }
+
             return await PrivateCommand.#executeResourceQuery( {
                 main,
                 resourceHandlerMap,
@@ -158,10 +222,71 @@ class PrivateCommand {
             } )
         }
 
+        // --- client-side parameter validation from the route's `z` blocks; the same
+        //     CAL-0xx violations as the normal call path, before any request. Shared-list
+        //     enums are interpolated the same way, so they are checked here too ---
+        const routeParameters = main[ 'tools' ][ routeName ][ 'parameters' ] || []
+        const { sharedLists } = await ListsCommand.resolveSharedListsForSchema( { main, 'filePath': resolvedPath, 'listsDir': resolvedListsDir || null } )
+        const { parameters: expectedParameters } = SearchCommand.extractParameters( { routeParameters, sharedLists } )
+        const { violations } = ParamValidator.validate( { routeParameters, userParams, expectedParameters } )
+        if( violations.length > 0 ) {
+            const { summary } = ParamValidator.describe( { violations } )
+            const { example } = ParamValidator.exampleArgs( { userParams, violations } )
+            const result = CliOutput.error( {
+                'error': `PRV-011 privateCall: Invalid parameter(s): ${summary}`,
+                'fix': `Provide: ${appConfig[ 'cliCommand' ]} private call ${schemaPath} ${toolName} '${JSON.stringify( example )}'`
+            } )
+            result[ 'violations' ] = violations
+
+            return { result }
+        }
+
+        // --- dry run: build the request (preRequest handlers included), never send it ---
+        if( dryRun ) {
+            return await DryRun.execute( {
+                'toolName': wireToolName,
+                serverParams,
+                asCurl,
+                'fetch': () => FlowMCP.fetch( { main, handlerMap, userParams, serverParams, routeName } )
+            } )
+        }
+
+        // --- write safety: a non-GET tool needs what the namespace's writeSafety asks for ---
+        const method = String( main[ 'tools' ][ routeName ][ 'method' ] || 'GET' ).toUpperCase()
+        if( WriteSafety.isWrite( { method } ) ) {
+            const { write, error: writeError, fix: writeFix } = await WriteSafety.gate( {
+                'toolName': wireToolName,
+                'namespace': trace[ 'namespace' ],
+                method,
+                confirm,
+                promptWrite
+            } )
+            trace[ 'write' ] = write
+            if( writeError !== null ) {
+                const result = CliOutput.error( { 'error': writeError, 'fix': writeFix } )
+
+                return { result }
+            }
+        }
+
+        // --- the namespace's shared rate limit (config or main.rateLimit) gates every request ---
+        const { limit, error: limitError, fix: limitFix } = await RateLimiter.resolve( { 'namespace': main[ 'namespace' ] || 'unknown', main } )
+        if( limitError !== null ) {
+            const result = CliOutput.error( { 'error': limitError, 'fix': limitFix } )
+
+            return { result }
+        }
+
+        const limitReport = { 'namespace': main[ 'namespace' ] || 'unknown', 'requests': 0, 'waitedMs': 0 }
+        const interceptors = limit === null ? [] : [ RateLimiter.interceptor( { limit, 'report': limitReport } ) ]
+
         // --- execute a tool on the v4 surface ---
         let struct
         try {
-            struct = await FlowMCP.fetch( { main, handlerMap, userParams, serverParams, routeName } )
+            struct = await HttpTransport.run( {
+                interceptors,
+                'execute': () => FlowMCP.fetch( { main, handlerMap, userParams, serverParams, routeName } )
+            } )
         } catch( err ) {
             const result = CliOutput.error( {
                 'error': `PRV-009 privateCall: Tool execution failed: ${err.message}`,
@@ -191,6 +316,10 @@ class PrivateCommand {
             'content': struct[ 'data' ]
         }
 
+        if( limitReport[ 'waitedMs' ] > 0 ) {
+            result[ 'rateLimit' ] = limitReport
+        }
+
         return { result }
     }
 
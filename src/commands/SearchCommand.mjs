@@ -10,6 +10,7 @@ import { FsUtils } from '../lib/FsUtils.mjs'
 import { SchemaSource } from '../lib/SchemaSource.mjs'
 import { SchemaLoaderBridge } from '../lib/SchemaLoaderBridge.mjs'
 import { EnvResolver } from '../lib/EnvResolver.mjs'
+import { CachePolicy } from '../lib/CachePolicy.mjs'
 
 
 // Memo 152 / PRD-019 (D-09 cluster "search-list") — `flowmcp search`, extracted from FlowMcpCli
@@ -50,6 +51,7 @@ class SearchCommand {
             ? EnvResolver.parseEnvFile( { envContent: searchEnvContent } ).envObject
             : {}
 
+        const { globalConfig } = await ConfigStore.loadGlobalConfig()
         const { aliasIndex } = await SearchCommand.#loadSharedAliases()
         const sharedMatchRefs = new Set()
         aliasIndex
@@ -125,7 +127,7 @@ class SearchCommand {
                             tool[ 'disabledReason' ] = `missing ${missingKeys.join( ', ' )}`
                         }
 
-                        const { meta } = SearchCommand.extractMetaFlags( { main, routeName } )
+                        const { meta } = SearchCommand.extractMetaFlags( { main, routeName, globalConfig } )
                         const { requiredParams, optionalParams } = SearchCommand.extractParameterDetails( { main, routeName } )
                         const { example } = SearchCommand.generateCallExample( { toolName, requiredParams } )
 
@@ -427,11 +429,12 @@ class SearchCommand {
     }
 
 
-    static extractMetaFlags( { main, routeName } ) {
+    // Cached follows CachePolicy — the same decision the call makes. Without a
+    // globalConfig only the schema (preload, cacheTtl tags) counts, as in the catalog.
+    static extractMetaFlags( { main, routeName, globalConfig = {} } ) {
         const tools = main[ 'tools' ] || main[ 'routes' ] || {}
         const route = tools[ routeName ] || {}
         const method = ( route[ 'method' ] || 'GET' ).toUpperCase()
-        const tags = main[ 'tags' ] || []
         const serverParams = main[ 'requiredServerParams' ] || []
 
         const flags = []
@@ -448,9 +451,8 @@ class SearchCommand {
             flags.push( 'No API-Key' )
         }
 
-        const hasCacheTtl = tags
-            .some( ( tag ) => tag.startsWith( 'cacheTtl' ) )
-        if( hasCacheTtl ) {
+        const { policy } = CachePolicy.resolve( { main, routeName, 'namespace': main[ 'namespace' ] || null, globalConfig } )
+        if( policy[ 'cached' ] ) {
             flags.push( 'Cached' )
         }
 
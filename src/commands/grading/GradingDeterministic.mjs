@@ -29,6 +29,10 @@ import { EnvResolver } from '../../lib/EnvResolver.mjs'
 import { NamespaceIndex } from '../../lib/NamespaceIndex.mjs'
 import { HandlerResolver } from '../../lib/HandlerResolver.mjs'
 import { SchemaLoaderBridge } from '../../lib/SchemaLoaderBridge.mjs'
+import { HttpTransport } from '../../lib/HttpTransport.mjs'
+import { RateLimiter } from '../../lib/RateLimiter.mjs'
+import { Paginator } from '../../lib/Paginator.mjs'
+import { HttpCassette } from '../../lib/HttpCassette.mjs'
 import { ValidateCommand } from '../ValidateCommand.mjs'
 import { ListsCommand } from '../ListsCommand.mjs'
 import { GradingTarget } from './GradingTarget.mjs'
@@ -159,7 +163,12 @@ class GradingDeterministic {
     // selection-member run through the consolidated structural runner
     // (grading.DataPretest.runTypedTests + .aggregateByPrimitive). The same
     // validateOnlyFilter allowlist applies (no duplication).
-    static async gradingDeterministic( { cwd, target, gradingDataDir, gradingExportDir = null, withKeys, only, dryRun = false, force = false, quiet = false, json, skipRollup = false, throttleMs = 0 } ) {
+    // recordDir / replayDir — HTTP cassettes (HttpCassette) around the data pretest: record
+    // the live responses once, then grade offline against them. Both imply force, so the
+    // persisted test-N.json read-cache never hides the network from the cassette.
+    // allPages / maxPages — the pretest follows each route's declared `pagination`
+    // (Paginator), so paged tools are tested on their full data; also implies force.
+    static async gradingDeterministic( { cwd, target, gradingDataDir, gradingExportDir = null, withKeys, only, dryRun = false, force = false, quiet = false, json, skipRollup = false, throttleMs = 0, recordDir = null, replayDir = null, allPages = false, maxPages = null } ) {
         const grading = await GradingTarget.loadGrading()
         if( grading === null || grading[ 'DataPretest' ] === undefined ) {
             return { 'result': CliOutput.error( { 'error': 'grading module unavailable', 'fix': 'npm install / update the flowmcp-grading dependency' } ) }
@@ -188,7 +197,7 @@ class GradingDeterministic {
         // namespace rollup (index.json) + Provider-Proof (grade.json). Delegated so
         // the single-schema path below stays unchanged.
         if( parsed.type === 'namespace' ) {
-            return GradingDeterministic.gradingDeterministicNamespace( { cwd, 'namespace': parsed.namespace, gradingDataDir, gradingExportDir, withKeys, only, dryRun, force, quiet, json, throttleMs } )
+            return GradingDeterministic.gradingDeterministicNamespace( { cwd, 'namespace': parsed.namespace, gradingDataDir, gradingExportDir, withKeys, only, dryRun, force, quiet, json, throttleMs, recordDir, replayDir, allPages, maxPages } )
         }
         if( parsed.type !== 'schema' && parsed.type !== 'tool' && parsed.type !== 'test' ) {
             return { 'result': CliOutput.error( { 'error': `Spec-ID type "${parsed.type}" is not supported by grading deterministic (only namespace, schema-ID, tool-ID or per-test).`, 'fix': 'Use "<namespace>", "<namespace>/<schema>", "<namespace>/tool/<name>" or "<namespace>/tool/<name>/tests/<N>".' } ) }
@@ -239,9 +248,31 @@ class GradingDeterministic {
         // resolveEnv -> buildServerParams -> resolveSharedLists -> DataPretest.run,
         // but WITHOUT the prompt/goal emit afterwards.
         const requiredServerParams = Array.isArray( main[ 'requiredServerParams' ] ) ? main[ 'requiredServerParams' ] : []
+        const { envObject: liveEnv } = useKeys === true ? await EnvResolver.resolveEnv( { cwd } ) : { 'envObject': {} }
+        const { envObject: gradingEnv } = useKeys === true && replayDir !== null
+            ? HttpCassette.fillPlaceholders( { 'envObject': liveEnv, requiredServerParams } )
+            : { 'envObject': liveEnv }
         const serverParams = useKeys === true
-            ? EnvResolver.buildServerParams( { 'envObject': ( await EnvResolver.resolveEnv( { cwd } ) ).envObject, requiredServerParams } ).serverParams
+            ? EnvResolver.buildServerParams( { 'envObject': gradingEnv, requiredServerParams } ).serverParams
             : {}
+        const { interceptors, error: cassetteError, fix: cassetteFix } = HttpCassette.interceptors( { recordDir, replayDir, serverParams, cwd } )
+        if( cassetteError !== null ) {
+            return { 'result': CliOutput.error( { 'error': cassetteError, 'fix': cassetteFix } ) }
+        }
+        const usesCassette = recordDir !== null || replayDir !== null
+        // The pretest shares the namespace bucket with every running `call`; --throttle
+        // still spaces its fetches on top. Replay never reaches the provider.
+        const { limit, error: limitError, fix: limitFix } = await RateLimiter.resolve( { namespace, main } )
+        if( limitError !== null ) {
+            return { 'result': CliOutput.error( { 'error': limitError, 'fix': limitFix } ) }
+        }
+        const limitInterceptors = limit !== null && replayDir === null
+            ? [ RateLimiter.interceptor( { limit, 'report': { namespace, 'requests': 0, 'waitedMs': 0 } } ) ]
+            : []
+        const { interceptors: pageInterceptors, report: pagination, error: pageError, fix: pageFix } = GradingDeterministic.deterministicPagination( { allPages, maxPages, main } )
+        if( pageError !== null ) {
+            return { 'result': CliOutput.error( { 'error': pageError, 'fix': pageFix } ) }
+        }
         const { sharedLists } = await ListsCommand.resolveSharedListsForSchema( { main, 'filePath': sourcePath } )
 
         // PRD-012 — --no-save (dryRun) runs the pretest in full but persists NOTHING
@@ -256,18 +287,22 @@ class GradingDeterministic {
         // straight into the _gradings rewrite + rollup below, so the affected
         // deterministic areas are re-evaluated (the grade itself still hangs on the
         // schemaHash — data reuse never silently invalidates it).
-        const pretestRaw = await grading[ 'DataPretest' ].run( {
-            namespace,
-            'toolName': schemaName,
-            main,
-            handlersFn,
-            'schemaSnapshotPath': sourcePath,
-            serverParams,
-            sharedLists,
-            'gradingDataDir': gradingDataRoot,
-            dryRun,
-            force,
-            throttleMs
+        const { pretestRaw } = await GradingDeterministic.deterministicPretest( {
+            grading,
+            'interceptors': [ ...pageInterceptors, ...limitInterceptors, ...interceptors ],
+            'args': {
+                namespace,
+                'toolName': schemaName,
+                main,
+                handlersFn,
+                'schemaSnapshotPath': sourcePath,
+                serverParams,
+                sharedLists,
+                'gradingDataDir': gradingDataRoot,
+                dryRun,
+                'force': force || usesCassette || allPages,
+                throttleMs
+            }
         } )
 
         // Tool-ID: restrict the pretest view to the one addressed tool. The gate is
@@ -301,7 +336,10 @@ class GradingDeterministic {
         // prompt/selection-member from the consolidated grading.DataPretest runner.
         let primitives = null
         if( onlyFilter !== null ) {
-            const { view } = await GradingDeterministic.deterministicPrimitiveView( { grading, main, handlersFn, 'schemaSource': sourcePath, serverParams, sharedLists, onlyFilter, toolFilter, pretest } )
+            const { view } = await HttpTransport.run( {
+                'interceptors': [ ...pageInterceptors, ...limitInterceptors, ...interceptors ],
+                'execute': () => GradingDeterministic.deterministicPrimitiveView( { grading, main, handlersFn, 'schemaSource': sourcePath, serverParams, sharedLists, onlyFilter, toolFilter, pretest } )
+            } )
             primitives = view
         }
 
@@ -335,6 +373,9 @@ class GradingDeterministic {
         if( testScope !== null ) {
             result[ 'testScope' ] = testScope
         }
+        if( pagination !== null ) {
+            result[ 'pagination' ] = pagination
+        }
 
         // Memo 107 PRD-006 — the deterministic Area grading + full-structure wiring.
         // After the pretest, write the deterministic `_gradings/` entries for this
@@ -463,10 +504,45 @@ class GradingDeterministic {
     }
 
 
+    // The DataPretest inside the grading transport. interceptors in CallCommand's order:
+    // --all-pages first, so the pages it follows still pass the rate limit and cassette.
+    static async deterministicPretest( { grading, interceptors = [], args } ) {
+        const pretestRaw = await HttpTransport.run( {
+            interceptors,
+            'execute': () => grading[ 'DataPretest' ].run( args )
+        } )
+
+        return { pretestRaw }
+    }
+
+
+    // --all-pages for the pretest: every paginated route of the schema is followed.
+    // A schema without any pagination declaration simply runs unpaged.
+    static deterministicPagination( { allPages, maxPages, main } ) {
+        if( !allPages ) {
+            return { 'interceptors': [], 'report': null, 'error': null, 'fix': null }
+        }
+
+        const { maxPages: pageLimit, error: maxError, fix: maxFix } = Paginator.parseMaxPages( { maxPages } )
+        if( maxError !== null ) {
+            return { 'interceptors': [], 'report': null, 'error': maxError, 'fix': maxFix }
+        }
+
+        const { routes, error, fix } = Paginator.routes( { main } )
+        if( error !== null ) {
+            return { 'interceptors': [], 'report': null, error, fix }
+        }
+
+        const report = { 'routes': routes.map( ( { routeName } ) => routeName ), 'maxPages': pageLimit, 'pages': 0, 'items': 0, 'complete': true, 'errors': [] }
+
+        return { 'interceptors': [ Paginator.interceptor( { routes, 'maxPages': pageLimit, report } ) ], report, 'error': null, 'fix': null }
+    }
+
+
     // Memo 107 PRD-004 — bare-namespace deterministic grade: run every schema of the
     // namespace (skipRollup, so each writes its own `_gradings/` but defers the rollup),
     // then build the namespace index.json + Provider-Proof grade.json EXACTLY ONCE.
-    static async gradingDeterministicNamespace( { cwd, namespace, gradingDataDir, gradingExportDir, withKeys, only, dryRun, force = false, quiet = false, json, throttleMs = 0 } ) {
+    static async gradingDeterministicNamespace( { cwd, namespace, gradingDataDir, gradingExportDir, withKeys, only, dryRun, force = false, quiet = false, json, throttleMs = 0, recordDir = null, replayDir = null, allPages = false, maxPages = null } ) {
         const resolved = await GradingTarget.resolveSchemasForTarget( { namespace } )
         if( resolved.status === false ) {
             return { 'result': CliOutput.error( { 'error': resolved.error, 'fix': resolved.fix } ) }
@@ -480,7 +556,7 @@ class GradingDeterministic {
             .reduce( ( promise, schema, index ) => promise.then( async () => {
                 CliOutput.emitProgress( { quiet, 'message': `[${index + 1}/${total}] ${schema.schemaName}` } )
                 const sub = await GradingDeterministic.gradingDeterministic( {
-                    cwd, 'target': `${namespace}/${schema.schemaName}`, gradingDataDir, gradingExportDir, withKeys, only, dryRun, force, 'quiet': true, json, 'skipRollup': true, throttleMs
+                    cwd, 'target': `${namespace}/${schema.schemaName}`, gradingDataDir, gradingExportDir, withKeys, only, dryRun, force, 'quiet': true, json, 'skipRollup': true, throttleMs, recordDir, replayDir, allPages, maxPages
                 } )
                 const subResult = sub.result
                 perSchema.push( {
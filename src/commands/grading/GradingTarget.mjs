@@ -642,7 +642,7 @@ class GradingTarget {
                 if( main[ 'namespace' ] !== namespace ) { return }
 
                 const schemaName = basename( file, '.mjs' )
-                matched.push( { schemaName, main, handlersFn, 'sourcePath': filePath } )
+                matched.push( { schemaName, main, handlersFn, 'sourcePath': filePath, 'source': source[ 'name' ] } )
             } ), Promise.resolve() )
 
         if( matched.length === 0 ) {
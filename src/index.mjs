@@ -61,6 +61,39 @@ const args = parseArgs( {
         'set-export-dir': { type: 'string' },
         'target': { type: 'string' },
         'throttle': { type: 'string' },
+        'as-curl': { type: 'boolean' },
+        'format': { type: 'string' },
+        'select': { type: 'string' },
+        'interactive': { type: 'boolean' },
+        'max-attempts': { type: 'string' },
+        'retry-delay': { type: 'string' },
+        'no-retry': { type: 'boolean' },
+        'retry-non-idempotent': { type: 'boolean' },
+        'validate-output': { type: 'boolean' },
+        'mock': { type: 'boolean' },
+        'all-sources': { type: 'boolean' },
+        'timings': { type: 'boolean' },
+        'confirm': { type: 'boolean' },
+        'stale-if-error': { type: 'boolean' },
+        'baseline': { type: 'string' },
+        'args-file': { type: 'string' },
+        'timeout': { type: 'string' },
+        'out': { type: 'string' },
+        'force-inline': { type: 'boolean' },
+        'all-pages': { type: 'boolean' },
+        'max-pages': { type: 'string' },
+        'history': { type: 'boolean' },
+        'no-history': { type: 'boolean' },
+        'tool': { type: 'string' },
+        'namespace': { type: 'string' },
+        'status': { type: 'string' },
+        'since': { type: 'string' },
+        'older-than': { type: 'string' },
+        'limit': { type: 'string' },
+        'record': { type: 'string' },
+        'replay': { type: 'string' },
+        'batch': { type: 'string' },
+        'concurrency': { type: 'string' },
         'version': { type: 'boolean' },
         // Memo 152 / PRD-021 (E-05) — optional lists directory for a standalone
         // `private call` schema whose sharedLists have no neighbouring _lists dir.
@@ -75,8 +108,139 @@ const command = positionals[ 0 ]
 const schemaPath = positionals[ 1 ]
 const cwd = process.cwd()
 
-const output = ( { result } ) => {
-    process.stdout.write( JSON.stringify( result, null, 4 ) + '\n' )
+// --format picks the renderer (json by default — the unchanged pretty JSON).
+// rowsKey names the field the row formats (ndjson/csv/tsv/table) print.
+const output = ( { result, rowsKey = null } ) => {
+    const format = typeof values[ 'format' ] === 'string' ? values[ 'format' ] : 'json'
+    const { text, error, fix } = FlowMcpCli.renderOutput( { result, format, rowsKey } )
+
+    if( error !== null ) {
+        process.stdout.write( JSON.stringify( { 'status': false, error, 'code': 'FMT-001', fix }, null, 4 ) + '\n' )
+
+        return
+    }
+
+    process.stdout.write( text )
+}
+
+// `call` / `private call` output: with --as-curl a successful dry run prints the
+// bare curl command (pasteable into a bug report); everything else goes through
+// output(), with `content` as the row field for the row formats. --out writes the
+// content to a file first (--force replaces an existing one), and oversized content
+// needs --force-inline to print.
+const outputCall = async ( { result } ) => {
+    if( values[ 'as-curl' ] === true && result[ 'status' ] === true && typeof result[ 'curl' ] === 'string' ) {
+        process.stdout.write( result[ 'curl' ] + '\n' )
+
+        return
+    }
+
+    const out = typeof values[ 'out' ] === 'string' ? values[ 'out' ] : null
+    const force = values[ 'force' ] === true
+    const forceInline = values[ 'force-inline' ] === true
+    const { result: sunk } = await FlowMcpCli.writeContent( { result, out, force, forceInline } )
+
+    output( { 'result': sunk, 'rowsKey': 'content' } )
+}
+
+// --record <dir> / --replay <dir> — HTTP cassettes for call, call --batch and
+// grading deterministic. A bare flag without a directory is passed as null.
+const cassetteFlags = () => {
+    const recordDir = typeof values[ 'record' ] === 'string' ? values[ 'record' ] : null
+    const replayDir = typeof values[ 'replay' ] === 'string' ? values[ 'replay' ] : null
+
+    return { recordDir, replayDir }
+}
+
+// --history / --no-history override the config `history.enabled` for one call.
+const historyFlag = () => {
+    if( values[ 'no-history' ] === true ) {
+        return { 'history': false }
+    }
+
+    return { 'history': values[ 'history' ] === true ? true : null }
+}
+
+// --max-attempts / --retry-delay / --no-retry / --retry-non-idempotent — per-call
+// RetryPolicy overrides; unset flags fall through to the config `retry` block.
+const retryFlags = () => {
+    const retry = {
+        'maxAttempts': values[ 'no-retry' ] === true ? 1 : values[ 'max-attempts' ],
+        'baseDelayMs': values[ 'retry-delay' ],
+        'retryNonIdempotent': values[ 'retry-non-idempotent' ] === true ? true : undefined
+    }
+
+    return { retry }
+}
+
+// --select <path> / --limit <n> project the content of call / private call.
+// --limit is shared with `history list`, where it caps the entry count.
+const selectFlags = () => {
+    const select = typeof values[ 'select' ] === 'string' ? values[ 'select' ] : null
+    const limit = typeof values[ 'limit' ] === 'string' ? values[ 'limit' ] : null
+
+    return { select, limit }
+}
+
+// --all-pages follows the tool's declared pagination; --max-pages <n> implies it.
+const paginationFlags = () => {
+    const maxPages = typeof values[ 'max-pages' ] === 'string' ? values[ 'max-pages' ] : null
+    const allPages = values[ 'all-pages' ] === true || maxPages !== null
+
+    return { allPages, maxPages }
+}
+
+// --args-file <path> — JSON or YAML tool args for call / private call.
+const argsFileFlag = () => {
+    return { 'argsFile': typeof values[ 'args-file' ] === 'string' ? values[ 'args-file' ] : null }
+}
+
+// --timeout <ms> overrides the config `timeout.ms` deadline for call / call --batch.
+const timeoutFlag = () => {
+    return { 'timeoutMs': typeof values[ 'timeout' ] === 'string' ? values[ 'timeout' ] : null }
+}
+
+// A timed-out or interrupted call can leave provider sockets and handler timers
+// behind; exit once the result is printed (124 like timeout(1), 130 for SIGINT).
+const exitIfAborted = ( { result } ) => {
+    const exitCodes = { 'TMO-001': 124, 'TMO-002': 130 }
+    const exitCode = exitCodes[ result[ 'code' ] ]
+    if( exitCode !== undefined ) {
+        process.exit( exitCode )
+    }
+}
+
+// --dry-run is shared with migrate; --as-curl implies it for call / private call.
+const dryRunFlags = () => {
+    const asCurl = values[ 'as-curl' ] === true
+    const dryRun = values[ 'dry-run' ] === true || asCurl
+
+    return { dryRun, asCurl }
+}
+
+// The call flags as one CallOptions object for call, call --batch, call --all-sources
+// and history rerun; each command takes the options it supports.
+const callOptionsFlags = () => {
+    const options = {
+        'noCache': values[ 'no-cache' ] === true,
+        'refresh': values[ 'refresh' ] === true,
+        ...dryRunFlags(),
+        ...cassetteFlags(),
+        ...historyFlag(),
+        ...retryFlags(),
+        'interactive': values[ 'interactive' ] === true,
+        ...selectFlags(),
+        ...paginationFlags(),
+        ...timeoutFlag(),
+        ...argsFileFlag(),
+        'validateOutput': values[ 'validate-output' ] === true ? true : null,
+        'mock': values[ 'mock' ] === true,
+        'timings': values[ 'timings' ] === true,
+        'confirm': values[ 'confirm' ] === true,
+        'staleIfError': values[ 'stale-if-error' ] === true
+    }
+
+    return { options }
 }
 
 const isDevHelp = () => {
@@ -120,6 +284,35 @@ const cacheBranch = {
                 const { result } = await FlowMcpCli.cacheClear( { namespace } )
                 output( { result } )
             }
+        },
+        'ls': {
+            'description': 'List the cache keys of one namespace with fetchedAt, expiresAt and size.',
+            'execute': async () => {
+                const { result } = await FlowMcpCli.cacheList( { 'namespace': positionals[ 2 ] } )
+                output( { result } )
+            }
+        },
+        'inspect': {
+            'description': 'Show the cache key, meta and a data preview for one tool call.',
+            'execute': async () => {
+                const { result } = await FlowMcpCli.cacheInspect( { 'toolName': positionals[ 2 ], 'jsonArgs': positionals[ 3 ] || null } )
+                output( { result } )
+            }
+        },
+        'prune': {
+            'description': 'Delete expired entries, or entries older than --older-than.',
+            'execute': async () => {
+                const olderThan = typeof values[ 'older-than' ] === 'string' ? values[ 'older-than' ] : null
+                const { result } = await FlowMcpCli.cachePrune( { olderThan } )
+                output( { result } )
+            }
+        },
+        'migrate': {
+            'description': 'Move the JSON cache entries into the sqlite cache store.',
+            'execute': async () => {
+                const { result } = await FlowMcpCli.cacheMigrate()
+                output( { result } )
+            }
         }
     },
     'fallback': async () => {
@@ -127,7 +320,7 @@ const cacheBranch = {
         const result = {
             'status': false,
             'error': `Unknown cache command "${subCommand}".`,
-            'fix': `Available: ${appConfig[ 'cliCommand' ]} cache status, ${appConfig[ 'cliCommand' ]} cache clear [namespace]`
+            'fix': `Available: ${appConfig[ 'cliCommand' ]} cache status, ${appConfig[ 'cliCommand' ]} cache clear [namespace], ${appConfig[ 'cliCommand' ]} cache ls <namespace>, ${appConfig[ 'cliCommand' ]} cache inspect <tool> [json], ${appConfig[ 'cliCommand' ]} cache prune [--older-than 7d], ${appConfig[ 'cliCommand' ]} cache migrate`
         }
         output( { result } )
     }
@@ -149,9 +342,125 @@ const callBranch = {
         // passthrough: any non-`list-tools` sub-command is a tool name.
         const toolName = positionals[ 1 ]
         const jsonArgs = positionals[ 2 ] || null
-        const noCache = values[ 'no-cache' ] || false
-        const refresh = values[ 'refresh' ] || false
-        const { result } = await FlowMcpCli.callTool( { toolName, jsonArgs, cwd, noCache, refresh } )
+        const { options } = callOptionsFlags()
+
+        // `call --batch <file.jsonl> [--concurrency N]` — stdout carries one compact
+        // JSON line per input line (input order); the summary goes to STDERR. A
+        // batch that cannot start (bad file / flag) prints a single error object.
+        if( values[ 'batch' ] !== undefined ) {
+            const filePath = values[ 'batch' ] === true ? null : values[ 'batch' ]
+            const concurrency = values[ 'concurrency' ] === undefined ? null : values[ 'concurrency' ]
+            const onLine = ( { line } ) => {
+                process.stdout.write( JSON.stringify( line ) + '\n' )
+            }
+            const { result } = await FlowMcpCli.callBatch( { filePath, concurrency, cwd, options, onLine } )
+
+            if( result[ 'mode' ] !== 'batch' ) {
+                output( { result } )
+
+                return
+            }
+
+            FlowMcpCli.printBatchSummary( { result, 'quiet': values[ 'quiet' ] === true, 'json': values[ 'json' ] === true } )
+            if( result[ 'interrupted' ] === true ) {
+                process.exit( 130 )
+            }
+
+            return
+        }
+
+        // `call <tool> --all-sources` — one run per schemaFolders[] source with the tool,
+        // plus a structural diff against the baseline source.
+        if( values[ 'all-sources' ] === true ) {
+            const baseline = typeof values[ 'baseline' ] === 'string' ? values[ 'baseline' ] : null
+            const { result } = await FlowMcpCli.callAllSources( { toolName, jsonArgs, cwd, baseline, options } )
+            output( { result } )
+
+            return
+        }
+
+        const { result } = await FlowMcpCli.callTool( { toolName, jsonArgs, cwd, options } )
+        await outputCall( { result } )
+        exitIfAborted( { result } )
+    }
+}
+
+
+// `history list|show|rerun` — the persistent call log (~/.flowmcp/history.jsonl).
+// A bare `history` lists.
+const historyListExecute = async () => {
+    const optional = ( key ) => typeof values[ key ] === 'string' ? values[ key ] : null
+    const { result } = await FlowMcpCli.historyList( {
+        'tool': optional( 'tool' ),
+        'namespace': optional( 'namespace' ),
+        'status': optional( 'status' ),
+        'since': optional( 'since' ),
+        'limit': optional( 'limit' )
+    } )
+    output( { result } )
+}
+
+
+const historyBranch = {
+    'description': 'List, show or re-run recorded calls.',
+    'children': {
+        'list': {
+            'description': 'List recorded calls, newest first.',
+            'execute': historyListExecute
+        },
+        'show': {
+            'description': 'Show one recorded call by id.',
+            'execute': async () => {
+                const { result } = await FlowMcpCli.historyShow( { 'id': positionals[ 2 ] } )
+                output( { result } )
+            }
+        },
+        'rerun': {
+            'description': 'Re-run a recorded call with the same tool and args.',
+            'execute': async () => {
+                const { options: { noCache, refresh, confirm } } = callOptionsFlags()
+                const { result } = await FlowMcpCli.historyRerun( { 'id': positionals[ 2 ], cwd, 'options': { noCache, refresh, confirm } } )
+                output( { result } )
+            }
+        }
+    },
+    'fallback': async () => {
+        const subCommand = positionals[ 1 ]
+        if( subCommand === undefined ) {
+            await historyListExecute()
+
+            return
+        }
+
+        const result = {
+            'status': false,
+            'error': `Unknown history command "${subCommand}".`,
+            'fix': `Available: ${appConfig[ 'cliCommand' ]} history list, ${appConfig[ 'cliCommand' ]} history show <id>, ${appConfig[ 'cliCommand' ]} history rerun <id>`
+        }
+        output( { result } )
+    }
+}
+
+
+// `mock capture <namespace>` — records one response per schema test into the
+// fixtures `call --mock` answers from (see MockFixtures).
+const mockBranch = {
+    'description': 'Capture canned responses from the schema tests for call --mock.',
+    'children': {
+        'capture': {
+            'description': 'Run every schema test of a namespace once and store the responses as fixtures.',
+            'execute': async () => {
+                const { result } = await FlowMcpCli.mockCapture( { 'namespace': positionals[ 2 ], cwd, 'quiet': values[ 'quiet' ] === true } )
+                output( { result } )
+            }
+        }
+    },
+    'fallback': async () => {
+        const result = {
+            'status': false,
+            'error': `Unknown mock command "${positionals[ 1 ] || ''}".`,
+            'fix': `Available: ${appConfig[ 'cliCommand' ]} mock capture <namespace>, then ${appConfig[ 'cliCommand' ]} call <tool> --mock`
+        }
         output( { result } )
     }
 }
@@ -171,8 +480,12 @@ const privateBranch = {
                 const toolName = positionals[ 3 ]
                 const jsonArgs = positionals[ 4 ] || null
                 const listsDir = values[ 'lists-dir' ] === undefined ? null : values[ 'lists-dir' ]
-                const { result } = await FlowMcpCli.privateCall( { schemaPath, toolName, jsonArgs, listsDir, cwd } )
-                output( { result } )
+                const { dryRun, asCurl } = dryRunFlags()
+                const { select, limit } = selectFlags()
+                const { argsFile } = argsFileFlag()
+                const confirm = values[ 'confirm' ] === true
+                const { result } = await FlowMcpCli.privateCall( { schemaPath, toolName, jsonArgs, listsDir, cwd, dryRun, asCurl, select, limit, argsFile, confirm } )
+                await outputCall( { result } )
             }
         }
     },
@@ -577,7 +890,9 @@ const gradingBranch = {
         const throttleMs = values[ 'throttle' ] === undefined ? 0 : Number( values[ 'throttle' ] )
 
         if( subCommand === 'deterministic' ) {
-            const { result } = await FlowMcpCli.gradingDeterministic( { cwd, target, gradingDataDir, gradingExportDir, withKeys, only, dryRun, force, quiet, json, throttleMs } )
+            const { recordDir, replayDir } = cassetteFlags()
+            const { allPages, maxPages } = paginationFlags()
+            const { result } = await FlowMcpCli.gradingDeterministic( { cwd, target, gradingDataDir, gradingExportDir, withKeys, only, dryRun, force, quiet, json, throttleMs, recordDir, replayDir, allPages, maxPages } )
             output( { result } )
             // PRD-4.2 — a concise human summary to STDERR (not on stdout, so a piped
             // `... | jq` stays pure machine JSON). Suppressed by --quiet and by --json
@@ -699,7 +1014,7 @@ const tree = {
             }
         },
         'init': {
-            'description': 'Interactive first-run setup (the only interactive command).',
+            'description': 'Interactive first-run setup (the only interactive command besides call --interactive).',
             'execute': async () => {
                 await FlowMcpCli.init( { cwd } )
             }
@@ -709,7 +1024,7 @@ const tree = {
             'execute': async () => {
                 const query = positionals.slice( 1 ).join( ' ' ) || undefined
                 const { result } = await FlowMcpCli.search( { query } )
-                output( { result } )
+                output( { result, 'rowsKey': 'tools' } )
             }
         },
         // Memo 099 Kap 5 — `add`/`reload`/`remove` removed. All tools from the
@@ -718,11 +1033,13 @@ const tree = {
             'description': 'List all available tools.',
             'execute': async () => {
                 const { result } = await FlowMcpCli.list( { cwd } )
-                output( { result } )
+                output( { result, 'rowsKey': 'tools' } )
             }
         },
         'lists': listsBranch,
         'call': callBranch,
+        'history': historyBranch,
+        'mock': mockBranch,
         'private': privateBranch,
         'cache': cacheBranch,
         'status': {
@@ -777,7 +1094,7 @@ const tree = {
             'description': 'List the configured schema namespaces.',
             'execute': async () => {
                 const { result } = await FlowMcpCli.schemas()
-                output( { result } )
+                output( { result, 'rowsKey': 'sources' } )
             }
         },
         // Memo 099 Kap 5 — `group` removed (it was bound to the project-local config).
@@ -921,6 +1238,14 @@ const main = async () => {
         return
     }
 
+    // Proxy and CA settings go in before any command can fetch. A broken setting is
+    // reported here; commands that do not fetch still run, and every request fails
+    // with the NET error rather than bypassing the proxy.
+    const { error: networkError, fix: networkFix } = await FlowMcpCli.applyNetworkSettings()
+    if( networkError !== null ) {
+        process.stderr.write( `${networkError} ${networkFix}\n` )
+    }
+
     const handled = await runCommand()
     if( handled ) {
         return
@@ -0,0 +1,80 @@
+import { extname } from 'node:path'
+import { text as readStreamText } from 'node:stream/consumers'
+
+import { FsUtils } from './FsUtils.mjs'
+import { YamlLite } from './YamlLite.mjs'
+
+
+// Where the tool arguments of `call` / `private call` come from: the positional JSON,
+// `-` for JSON on stdin, or `--args-file <path>` (JSON, or YAML for .yaml / .yml).
+// Every source ends up as one JSON string, so the commands keep a single parse path
+// and the call history stores the real arguments. error is a plain reason; the
+// command wraps it in its own code (CAL-001 / PRV-004).
+const YAML_EXTENSIONS = [ '.yaml', '.yml' ]
+
+
+class ArgsSource {
+    static async read( { jsonArgs = null, argsFile = null, stdin = process.stdin } ) {
+        if( argsFile !== null && jsonArgs !== null ) {
+            return { 'jsonArgs': null, 'source': null, 'error': 'pass the args inline, via - (stdin) or via --args-file, not several at once' }
+        }
+
+        if( argsFile !== null ) {
+            return ArgsSource.#fromFile( { argsFile } )
+        }
+
+        if( jsonArgs === '-' ) {
+            const text = await readStreamText( stdin )
+            if( text.trim().length === 0 ) {
+                return { 'jsonArgs': null, 'source': 'stdin', 'error': 'stdin is empty' }
+            }
+
+            return ArgsSource.#checkJson( { text, 'source': 'stdin' } )
+        }
+
+        return { jsonArgs, 'source': jsonArgs === null ? null : 'inline', 'error': null }
+    }
+
+
+    static async #fromFile( { argsFile } ) {
+        const { data: content } = await FsUtils.readText( { 'filePath': argsFile } )
+        if( content === null ) {
+            return { 'jsonArgs': null, 'source': argsFile, 'error': `cannot read --args-file "${argsFile}"` }
+        }
+
+        if( !YAML_EXTENSIONS.includes( extname( argsFile ).toLowerCase() ) ) {
+            return ArgsSource.#checkJson( { 'text': content, 'source': argsFile } )
+        }
+
+        const { value, error } = YamlLite.parse( { 'text': content } )
+        if( error !== null ) {
+            return { 'jsonArgs': null, 'source': argsFile, 'error': `${argsFile}: ${error}` }
+        }
+
+        return ArgsSource.#checkObject( { value, 'text': JSON.stringify( value ), 'source': argsFile } )
+    }
+
+
+    static #checkJson( { text, source } ) {
+        try {
+            const value = JSON.parse( text )
+
+            return ArgsSource.#checkObject( { value, 'text': text.trim(), source } )
+        } catch( err ) {
+            return { 'jsonArgs': null, source, 'error': `${source}: ${err.message}` }
+        }
+    }
+
+
+    static #checkObject( { value, text, source } ) {
+        const isObject = value !== null && typeof value === 'object' && !Array.isArray( value )
+        if( !isObject ) {
+            return { 'jsonArgs': null, source, 'error': `${source}: the args must be an object of parameter names` }
+        }
+
+        return { 'jsonArgs': text, source, 'error': null }
+    }
+}
+
+
+export { ArgsSource }
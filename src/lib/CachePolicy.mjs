@@ -0,0 +1,124 @@
+import { Duration } from './Duration.mjs'
+
+
+// Whether a tool's responses are cached, and for how long — one answer for the call
+// path (CallCommand, SqliteGtfsRuntime) and for what search / list show. Layers, the
+// later one wins:
+//   preload  the route's `preload: { enabled, ttl }` (seconds); enabled: false opts out
+//   tag      a `cacheTtl:<ttl>` tag in main.tags (`cacheTtl:3600`, `cacheTtl:10m`), only
+//            for GET routes and only when the route declares no preload. Any other
+//            `cacheTtl…` tag (`cacheTtlShort`) keeps marking the schema as cached, with
+//            DEFAULT_TAG_TTL; the first cacheTtl tag in main.tags decides
+//   default  what the caller runs with when the schema says nothing (sqlite-gtfs: 60s)
+//   config   `cachePolicy` in ~/.flowmcp/config.json, then namespaces.<ns>.cachePolicy;
+//            both only for GET routes, so a global TTL never caches a write tool
+//   tool     `cachePolicy.tools["<namespace>/tool/<route>"]`, for any method
+// A config layer sets `{ "ttl": 300 }` (seconds or a duration such as "5m") or
+// `{ "ttl": "never" }`. resolve() is synchronous on an already loaded global config,
+// so search / list resolve hundreds of tools with one config read.
+//   CCP-001  a config ttl is neither a positive duration nor "never"
+const TAG_PREFIX = 'cacheTtl'
+const TAG_PATTERN = /^cacheTtl[:=]?(\d+(?:ms|s|m|h|d|w)?)$/
+const DEFAULT_TAG_TTL = 300
+
+
+class CachePolicy {
+    // policy — { cached, ttl (seconds or null), source (the layer that decided, or null) }
+    static resolve( { main = null, routeName, namespace = null, globalConfig = {}, schemaDefault = null } ) {
+        const routes = main === null ? {} : main[ 'routes' ] || main[ 'tools' ] || {}
+        const route = routes[ routeName ] || {}
+        const isRead = String( route[ 'method' ] || 'GET' ).toUpperCase() === 'GET'
+        const section = CachePolicy.#object( { 'value': globalConfig[ 'cachePolicy' ] } )
+        const namespaceBlock = CachePolicy.#object( { 'value': CachePolicy.#object( { 'value': globalConfig[ 'namespaces' ] } )[ namespace ] } )
+        const specId = `${namespace}/tool/${routeName}`
+
+        const { layer: schemaLayer } = CachePolicy.#schemaLayer( { main, route, isRead, schemaDefault } )
+        const configLayers = [
+            { 'source': 'config', 'value': isRead ? section[ 'ttl' ] : undefined },
+            { 'source': 'namespace', 'value': isRead ? CachePolicy.#object( { 'value': namespaceBlock[ 'cachePolicy' ] } )[ 'ttl' ] : undefined },
+            { 'source': 'tool', 'value': CachePolicy.#object( { 'value': CachePolicy.#object( { 'value': section[ 'tools' ] } )[ specId ] } )[ 'ttl' ] }
+        ]
+            .filter( ( { value } ) => value !== undefined && value !== null )
+
+        const invalid = configLayers
+            .find( ( { value } ) => value !== 'never' && CachePolicy.#seconds( { value } )[ 'ttl' ] === null )
+        if( invalid !== undefined ) {
+            return {
+                'policy': { 'cached': false, 'ttl': null, 'source': null },
+                'error': `CCP-001 cachePolicy: ttl "${invalid[ 'value' ]}" (${invalid[ 'source' ]} layer for ${specId}) is neither a positive duration nor "never".`,
+                'fix': 'Use e.g. "cachePolicy": { "ttl": "5m" } or { "ttl": "never" } in ~/.flowmcp/config.json.'
+            }
+        }
+
+        const decided = configLayers
+            .map( ( { source, value } ) => value === 'never'
+                ? { source, 'ttl': null }
+                : { source, 'ttl': CachePolicy.#seconds( { value } )[ 'ttl' ] } )
+            .reduce( ( acc, layer ) => layer, schemaLayer )
+
+        const policy = decided === null
+            ? { 'cached': false, 'ttl': null, 'source': null }
+            : { 'cached': decided[ 'ttl' ] !== null, 'ttl': decided[ 'ttl' ], 'source': decided[ 'source' ] }
+
+        return { policy, 'error': null, 'fix': null }
+    }
+
+
+    static #schemaLayer( { main, route, isRead, schemaDefault } ) {
+        const preload = CachePolicy.#object( { 'value': route[ 'preload' ] } )
+        if( preload[ 'enabled' ] !== undefined ) {
+            const ttl = preload[ 'enabled' ] === true ? CachePolicy.#seconds( { 'value': preload[ 'ttl' ] } )[ 'ttl' ] : null
+
+            return { 'layer': { 'source': 'preload', ttl } }
+        }
+
+        const tags = main === null || !Array.isArray( main[ 'tags' ] ) ? [] : main[ 'tags' ]
+        const tagTtl = !isRead
+            ? null
+            : tags
+                .map( ( tag ) => String( tag ) )
+                .filter( ( tag ) => tag.startsWith( TAG_PREFIX ) )
+                .map( ( tag ) => {
+                    const match = tag.match( TAG_PATTERN )
+
+                    return match === null ? DEFAULT_TAG_TTL : CachePolicy.#seconds( { 'value': match[ 1 ] } )[ 'ttl' ]
+                } )
+                .find( ( ttl ) => ttl !== null )
+        if( tagTtl !== null && tagTtl !== undefined ) {
+            return { 'layer': { 'source': 'tag', 'ttl': tagTtl } }
+        }
+
+        if( schemaDefault !== null ) {
+            return { 'layer': { 'source': 'default', 'ttl': schemaDefault } }
+        }
+
+        return { 'layer': null }
+    }
+
+
+    // A number or a string of digits is seconds (the unit of preload.ttl); anything
+    // else goes through Duration. ttl is null unless the result is at least 1s.
+    static #seconds( { value } ) {
+        if( value === undefined || value === null ) {
+            return { 'ttl': null }
+        }
+
+        const isPlainSeconds = typeof value === 'number' || /^\d+$/.test( String( value ) )
+        const { ms } = isPlainSeconds
+            ? { 'ms': Number( value ) * 1000 }
+            : Duration.parse( { value } )
+        const ttl = ms === null || !Number.isFinite( ms ) ? null : Math.floor( ms / 1000 )
+
+        return { 'ttl': ttl !== null && ttl >= 1 ? ttl : null }
+    }
+
+
+    static #object( { value } ) {
+        const isObject = value !== null && typeof value === 'object' && !Array.isArray( value )
+
+        return isObject ? value : {}
+    }
+}
+
+
+export { CachePolicy }
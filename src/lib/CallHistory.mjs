@@ -0,0 +1,156 @@
+import { join } from 'node:path'
+import { randomBytes } from 'node:crypto'
+
+import { ConfigStore } from './ConfigStore.mjs'
+import { FsUtils } from './FsUtils.mjs'
+
+
+// Persistent call history — one JSONL line per `call` in ~/.flowmcp/history.jsonl.
+// Opt-in: config `history.enabled: true`, or the per-call history flag (true / false
+// overrides the config). An entry carries timestamp, tool, source, args, status,
+// duration, cache hit and response size — never a key value: every value of the
+// tool's required server params is masked wherever it appears in args or error text.
+// Recording never fails a call; a write error is dropped silently.
+const REDACTED = '<redacted>'
+
+
+class CallHistory {
+    static historyPath() {
+        const historyPath = join( ConfigStore.globalConfigDir(), 'history.jsonl' )
+
+        return historyPath
+    }
+
+
+    static async isEnabled( { history = null } ) {
+        if( history === true || history === false ) {
+            return { 'enabled': history }
+        }
+
+        const { globalConfig } = await ConfigStore.loadGlobalConfig()
+        const section = globalConfig && globalConfig[ 'history' ]
+        const enabled = section !== null && typeof section === 'object' && section[ 'enabled' ] === true
+
+        return { enabled }
+    }
+
+
+    static async recordCall( { history = null, toolName, jsonArgs = null, trace, result, durationMs, replay = false } ) {
+        const { enabled } = await CallHistory.isEnabled( { history } )
+        if( !enabled ) {
+            return { 'entry': null }
+        }
+
+        const { entry } = CallHistory.buildEntry( { toolName, jsonArgs, trace, result, durationMs, replay } )
+
+        try {
+            await FsUtils.appendJsonLine( { 'path': CallHistory.historyPath(), 'data': entry } )
+        } catch {
+            return { 'entry': null }
+        }
+
+        return { entry }
+    }
+
+
+    static buildEntry( { toolName, jsonArgs = null, trace, result, durationMs, replay = false } ) {
+        const secrets = trace[ 'secrets' ] || []
+        const args = trace[ 'userParams' ] !== null
+            ? trace[ 'userParams' ]
+            : CallHistory.#tryParse( { jsonArgs } )
+        const content = result[ 'content' ]
+        const responseBytes = content === undefined
+            ? 0
+            : Buffer.byteLength( JSON.stringify( content ) || '', 'utf-8' )
+
+        const entry = {
+            'id': randomBytes( 4 ).toString( 'hex' ),
+            'timestamp': new Date().toISOString(),
+            'tool': toolName,
+            'resolvedTool': trace[ 'resolvedTool' ] || result[ 'toolName' ] || null,
+            'namespace': trace[ 'namespace' ],
+            'source': trace[ 'source' ],
+            'args': CallHistory.#mask( { 'value': args, secrets } ),
+            'status': result[ 'status' ] === true,
+            'code': result[ 'code' ] || null,
+            'error': result[ 'status' ] === true ? null : CallHistory.#mask( { 'value': result[ 'error' ] || null, secrets } ),
+            durationMs,
+            'cacheHit': result[ 'cache' ] !== undefined && result[ 'cache' ][ 'hit' ] === true,
+            responseBytes
+        }
+
+        if( replay ) {
+            entry[ 'replay' ] = true
+        }
+
+        return { entry }
+    }
+
+
+    static async readEntries() {
+        const { entries } = await FsUtils.readJsonLines( { 'filePath': CallHistory.historyPath() } )
+
+        return { entries }
+    }
+
+
+    // Dotted paths of the arg values that were masked on record (`note`, `items[0].key`).
+    // Such an entry cannot be replayed as-is: the mask would reach the provider.
+    static redactedPaths( { args, prefix = '' } ) {
+        if( typeof args === 'string' ) {
+            return { 'paths': args.includes( REDACTED ) ? [ prefix ] : [] }
+        }
+
+        if( args === null || typeof args !== 'object' ) {
+            return { 'paths': [] }
+        }
+
+        const paths = Object.entries( args )
+            .flatMap( ( [ key, item ] ) => {
+                const path = Array.isArray( args ) ? `${prefix}[${key}]` : prefix === '' ? key : `${prefix}.${key}`
+
+                return CallHistory.redactedPaths( { 'args': item, 'prefix': path } )[ 'paths' ]
+            } )
+
+        return { paths }
+    }
+
+
+    static #tryParse( { jsonArgs } ) {
+        if( typeof jsonArgs !== 'string' || jsonArgs.length === 0 ) {
+            return {}
+        }
+
+        try {
+            return JSON.parse( jsonArgs )
+        } catch {
+            return null
+        }
+    }
+
+
+    static #mask( { value, secrets } ) {
+        if( typeof value === 'string' ) {
+            return secrets
+                .reduce( ( acc, secret ) => acc.split( secret ).join( REDACTED ), value )
+        }
+
+        if( Array.isArray( value ) ) {
+            return value.map( ( item ) => CallHistory.#mask( { 'value': item, secrets } ) )
+        }
+
+        if( value !== null && typeof value === 'object' ) {
+            return Object.entries( value )
+                .reduce( ( acc, [ key, item ] ) => {
+                    acc[ key ] = CallHistory.#mask( { 'value': item, secrets } )
+
+                    return acc
+                }, {} )
+        }
+
+        return value
+    }
+}
+
+
+export { CallHistory }
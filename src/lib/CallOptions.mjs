@@ -0,0 +1,76 @@
+// The per-call flags of `call`, `call --batch`, `call --all-sources`, `history rerun` and
+// `private call` as ONE options object: index.mjs builds it from the flags and every
+// layer hands it on unchanged, so a new flag touches this table, its module and the
+// flag parser only. Each option is documented by the module that acts on it:
+//   noCache, refresh                     HttpCache / CachePolicy (--no-cache, --refresh)
+//   dryRun, asCurl                       DryRun
+//   recordDir, replayDir                 HttpCassette (--record, --replay)
+//   history                              CallHistory (null: config history.enabled)
+//   retry                                RetryPolicy overrides (--max-attempts, ...)
+//   interactive                          ParamPrompt
+//   select, limit                        JsonSelect
+//   allPages, maxPages                   Paginator
+//   timeoutMs                            CallTimeout (--timeout)
+//   argsFile                             ArgsSource (--args-file)
+//   validateOutput                       OutputValidator (null: config)
+//   mock                                 MockFixtures
+//   timings                              PhaseTimer
+//   confirm                              WriteSafety
+//   staleIfError                         StaleIfError
+const DEFAULTS = {
+    'noCache': false,
+    'refresh': false,
+    'dryRun': false,
+    'asCurl': false,
+    'recordDir': null,
+    'replayDir': null,
+    'history': null,
+    'retry': {},
+    'interactive': false,
+    'select': null,
+    'limit': null,
+    'allPages': false,
+    'maxPages': null,
+    'timeoutMs': null,
+    'argsFile': null,
+    'validateOutput': null,
+    'mock': false,
+    'timings': false,
+    'confirm': false,
+    'staleIfError': false
+}
+
+// `call --batch` lines take their args from the file and run concurrently, so only
+// these options reach them; the rest stay per-call.
+const BATCH_KEYS = [ 'noCache', 'refresh', 'recordDir', 'replayDir', 'history', 'retry', 'timeoutMs', 'confirm', 'staleIfError' ]
+
+
+class CallOptions {
+    // options — any subset of DEFAULTS; undefined values and unknown keys are dropped.
+    static resolve( { options = {} } ) {
+        const resolved = Object.keys( DEFAULTS )
+            .reduce( ( acc, key ) => {
+                acc[ key ] = options[ key ] === undefined ? DEFAULTS[ key ] : options[ key ]
+
+                return acc
+            }, {} )
+
+        return { 'options': resolved }
+    }
+
+
+    static forBatch( { options = {} } ) {
+        const { options: resolved } = CallOptions.resolve( { options } )
+        const batchOptions = BATCH_KEYS
+            .reduce( ( acc, key ) => {
+                acc[ key ] = resolved[ key ]
+
+                return acc
+            }, {} )
+
+        return { 'options': batchOptions }
+    }
+}
+
+
+export { CallOptions }
@@ -0,0 +1,45 @@
+import { ConfigStore } from './ConfigStore.mjs'
+
+
+// Layered per-call settings. A section (e.g. `retry`) is read from the global config
+// (~/.flowmcp/config.json), then overlaid by what the schema itself declares
+// (schemaSettings, e.g. main.rateLimit), then by the namespace block
+// `namespaces.<namespace>.<section>`, then by the per-call flag values. Keys that
+// are undefined or null at a layer fall through to the layer below. Validation and
+// defaults belong to the consumer (RetryPolicy, RateLimiter, ...), not here.
+class CallSettings {
+    static async resolve( { section, namespace = null, schemaSettings = {}, overrides = {} } ) {
+        const { globalConfig } = await ConfigStore.loadGlobalConfig()
+        const config = globalConfig !== null && typeof globalConfig === 'object' ? globalConfig : {}
+        const namespaces = CallSettings.#object( { 'value': config[ 'namespaces' ] } )
+        const namespaceBlock = namespace === null ? {} : CallSettings.#object( { 'value': namespaces[ namespace ] } )
+
+        const settings = [
+            CallSettings.#object( { 'value': config[ section ] } ),
+            CallSettings.#object( { 'value': schemaSettings } ),
+            CallSettings.#object( { 'value': namespaceBlock[ section ] } ),
+            CallSettings.#object( { 'value': overrides } )
+        ]
+            .reduce( ( acc, layer ) => {
+                Object.entries( layer )
+                    .filter( ( [ , value ] ) => value !== undefined && value !== null )
+                    .forEach( ( [ key, value ] ) => {
+                        acc[ key ] = value
+                    } )
+
+                return acc
+            }, {} )
+
+        return { settings }
+    }
+
+
+    static #object( { value } ) {
+        const isObject = value !== null && typeof value === 'object' && !Array.isArray( value )
+
+        return isObject ? value : {}
+    }
+}
+
+
+export { CallSettings }
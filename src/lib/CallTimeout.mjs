@@ -0,0 +1,122 @@
+import { CallSettings } from './CallSettings.mjs'
+
+
+// Per-call deadline and Ctrl-C cancellation for `call`. The limit comes from
+// CallSettings section `timeout` (`{ "ms": 30000 }` globally or per namespace, then
+// --timeout <ms>); unset means no deadline, 0 turns a configured one off. run() races
+// the whole request pipeline — handlers, retries, rate-limit waits — against the
+// deadline and SIGINT, and aborts the shared AbortController so in-flight fetches are
+// torn down. interceptor() hands that signal to every fetch of the call. A timed-out
+// call is TMO-001, an interrupted one TMO-002. The process holds one SIGINT handler
+// for all of them; onInterrupt() lets a batch stop its pool on the same Ctrl-C.
+const DEFAULTS = {
+    'ms': null
+}
+
+
+class CallTimeout {
+    static #interruptListeners = new Set()
+
+
+    static async resolve( { namespace = null, overrides = {} } ) {
+        const { settings } = await CallSettings.resolve( { 'section': 'timeout', namespace, overrides } )
+        const { ms: configured } = { ...DEFAULTS, ...settings }
+        if( configured === null ) {
+            return { 'ms': null, 'error': null, 'fix': null }
+        }
+
+        const ms = Number( configured )
+        if( !Number.isInteger( ms ) || ms < 0 ) {
+            return {
+                'ms': null,
+                'error': `TMO-003 timeout: ms must be an integer >= 0, got "${settings[ 'ms' ]}".`,
+                'fix': 'Check the `timeout` block in ~/.flowmcp/config.json and the --timeout flag (0 disables it).'
+            }
+        }
+
+        return { ms, 'error': null, 'fix': null }
+    }
+
+
+    // execute receives `{ signal }`. Returns `{ value, aborted }` with aborted null,
+    // 'timeout' or 'interrupt'; value is null when aborted.
+    static async run( { ms, execute } ) {
+        const controller = new AbortController()
+        const aborted = new Promise( ( resolve ) => {
+            controller.signal.addEventListener( 'abort', () => resolve( { 'value': null, 'aborted': controller.signal.reason } ), { 'once': true } )
+        } )
+        const timer = ms > 0 ? setTimeout( () => controller.abort( 'timeout' ), ms ) : null
+        const { release } = CallTimeout.onInterrupt( { 'listener': () => controller.abort( 'interrupt' ) } )
+
+        try {
+            // A pipeline that rejects after the abort won is settled here, never unhandled.
+            const completed = execute( { 'signal': controller.signal } )
+                .then(
+                    ( value ) => ( { value, 'aborted': null } ),
+                    ( thrown ) => ( { 'value': null, 'aborted': null, thrown } )
+                )
+            const { value, aborted: reason, thrown } = await Promise.race( [ completed, aborted ] )
+            if( thrown !== undefined ) {
+                throw thrown
+            }
+
+            return { value, 'aborted': reason }
+        } finally {
+            clearTimeout( timer )
+            release()
+        }
+    }
+
+
+    // Registers listener for the next Ctrl-C. The first registration installs the
+    // process SIGINT handler, the last release() removes it again.
+    static onInterrupt( { listener } ) {
+        if( CallTimeout.#interruptListeners.size === 0 ) {
+            process.on( 'SIGINT', CallTimeout.#notifyInterrupt )
+        }
+        CallTimeout.#interruptListeners.add( listener )
+
+        const release = () => {
+            CallTimeout.#interruptListeners.delete( listener )
+            if( CallTimeout.#interruptListeners.size === 0 ) {
+                process.removeListener( 'SIGINT', CallTimeout.#notifyInterrupt )
+            }
+        }
+
+        return { release }
+    }
+
+
+    static interceptor( { signal } ) {
+        return async ( { init, next } ) => {
+            const current = init && init[ 'signal' ] ? init[ 'signal' ] : null
+            const combined = current === null ? signal : AbortSignal.any( [ current, signal ] )
+
+            return next( { 'init': { ...( init || {} ), 'signal': combined } } )
+        }
+    }
+
+
+    static #notifyInterrupt() {
+        [ ...CallTimeout.#interruptListeners ]
+            .forEach( ( listener ) => listener() )
+    }
+
+
+    static error( { aborted, ms, toolName } ) {
+        if( aborted === 'interrupt' ) {
+            return {
+                'error': `TMO-002 timeout: Call to "${toolName}" was interrupted (SIGINT).`,
+                'fix': null
+            }
+        }
+
+        return {
+            'error': `TMO-001 timeout: Call to "${toolName}" did not finish within ${ms} ms.`,
+            'fix': 'Raise the limit with --timeout <ms> or `timeout.ms` in ~/.flowmcp/config.json (per namespace under namespaces.<ns>.timeout).'
+        }
+    }
+}
+
+
+export { CallTimeout }
@@ -0,0 +1,123 @@
+import { existsSync } from 'node:fs'
+import { resolve } from 'node:path'
+
+import { CallSettings } from './CallSettings.mjs'
+import { CliOutput } from './CliOutput.mjs'
+import { FsUtils } from './FsUtils.mjs'
+
+
+// `call` / `private call` content that is too large for the terminal. `--out <path>`
+// writes `content` as pretty JSON to a file (atomic tmp + rename) and the printed
+// result carries only a summary in `result.out` instead. An existing file is never
+// silently overwritten (Memo 068): it is refused as OUT-004 unless --force is given.
+// Without --out, content above `output.maxInlineBytes` (config, default 1 MiB) is
+// refused as OUT-001 unless --force-inline is given. Results without `content`
+// (failures, dry runs) pass through unchanged.
+const DEFAULT_MAX_INLINE_BYTES = 1048576
+const SUMMARY_KEYS = 10
+
+
+class ContentSink {
+    static async apply( { result, out = null, force = false, forceInline = false } ) {
+        const hasContent = result !== null && typeof result === 'object' && result[ 'status' ] === true && result[ 'content' ] !== undefined
+        if( !hasContent ) {
+            return { result }
+        }
+
+        const text = JSON.stringify( result[ 'content' ], null, 4 ) + '\n'
+        const bytes = Buffer.byteLength( text, 'utf-8' )
+        const { summary } = ContentSink.summarize( { 'content': result[ 'content' ], bytes } )
+
+        if( out !== null ) {
+            return ContentSink.#write( { result, out, force, text, summary } )
+        }
+
+        if( forceInline ) {
+            return { result }
+        }
+
+        const { maxInlineBytes, error, fix } = await ContentSink.#maxInlineBytes()
+        if( error !== null ) {
+            return { 'result': CliOutput.error( { error, fix } ) }
+        }
+
+        if( bytes <= maxInlineBytes ) {
+            return { result }
+        }
+
+        const refused = CliOutput.error( {
+            'error': `OUT-001 output: Content is ${ContentSink.formatBytes( { bytes } )}, above the ${ContentSink.formatBytes( { 'bytes': maxInlineBytes } )} inline limit.`,
+            'fix': 'Write it to a file with --out <path>, or print it anyway with --force-inline.'
+        } )
+        refused[ 'summary' ] = summary
+
+        return { 'result': refused }
+    }
+
+
+    // { bytes, type, items, keys } — items is the array length or the object key
+    // count; keys are the first object keys (of the first item for an array).
+    static summarize( { content, bytes } ) {
+        const type = content === null ? 'null' : Array.isArray( content ) ? 'array' : typeof content
+        const items = type === 'array'
+            ? content.length
+            : type === 'object' ? Object.keys( content ).length : null
+        const sample = type === 'array' ? content[ 0 ] : content
+        const isObject = sample !== null && typeof sample === 'object' && !Array.isArray( sample )
+        const keys = isObject ? Object.keys( sample ).slice( 0, SUMMARY_KEYS ) : []
+
+        return { 'summary': { bytes, type, items, keys } }
+    }
+
+
+    static formatBytes( { bytes } ) {
+        const units = [ [ 1073741824, 'GB' ], [ 1048576, 'MB' ], [ 1024, 'KB' ] ]
+        const unit = units.find( ( [ size ] ) => bytes >= size )
+
+        return unit === undefined ? `${bytes} B` : `${( bytes / unit[ 0 ] ).toFixed( 1 )} ${unit[ 1 ]}`
+    }
+
+
+    static async #write( { result, out, force, text, summary } ) {
+        if( !force && existsSync( resolve( out ) ) ) {
+            return {
+                'result': CliOutput.error( {
+                    'error': `OUT-004 output: "${out}" already exists.`,
+                    'fix': 'Pick another path, or replace the file with --force.'
+                } )
+            }
+        }
+
+        try {
+            const { absolutePath } = await FsUtils.writeAtomic( { 'path': out, 'content': text, 'onConflict': force ? 'overwrite' : 'abort' } )
+            const { content, ...rest } = result
+
+            return { 'result': { ...rest, 'out': { 'path': absolutePath, ...summary } } }
+        } catch( err ) {
+            return {
+                'result': CliOutput.error( {
+                    'error': `OUT-002 output: Could not write "${out}": ${err.message}`,
+                    'fix': 'Check that the directory exists and is writable.'
+                } )
+            }
+        }
+    }
+
+
+    static async #maxInlineBytes() {
+        const { settings } = await CallSettings.resolve( { 'section': 'output' } )
+        const value = settings[ 'maxInlineBytes' ] === undefined ? DEFAULT_MAX_INLINE_BYTES : settings[ 'maxInlineBytes' ]
+        if( !Number.isInteger( value ) || value < 0 ) {
+            return {
+                'maxInlineBytes': null,
+                'error': `OUT-003 output: Invalid output.maxInlineBytes "${value}".`,
+                'fix': 'Set output.maxInlineBytes in ~/.flowmcp/config.json to a byte count, e.g. 1048576'
+            }
+        }
+
+        return { 'maxInlineBytes': value, 'error': null, 'fix': null }
+    }
+}
+
+
+export { ContentSink }
@@ -0,0 +1,128 @@
+import { HttpTransport } from './HttpTransport.mjs'
+import { CliOutput } from './CliOutput.mjs'
+
+
+// `--dry-run` for `call` / `private call`: the tool runs through handler resolution
+// and core request building (preRequest handlers included), but the first outgoing
+// request is captured by an HttpTransport interceptor and never sent. The captured
+// request is returned with every server-param value redacted (plain and URL-encoded),
+// optionally rendered as a pasteable curl command.
+const REQUEST_CAPTURED = 'dryRun: request captured, not sent.'
+
+
+class DryRun {
+    static async execute( { toolName, serverParams = {}, asCurl = false, fetch } ) {
+        const capture = { 'request': null }
+        const interceptor = async ( { input, init } ) => {
+            capture[ 'request' ] = await HttpTransport.describe( { input, init } )
+
+            throw new Error( REQUEST_CAPTURED )
+        }
+
+        let outcome = null
+        try {
+            outcome = await HttpTransport.run( { 'interceptors': [ interceptor ], 'execute': fetch } )
+        } catch( err ) {
+            if( capture[ 'request' ] === null ) {
+                const result = CliOutput.error( {
+                    'error': `DRY-001 dryRun: Tool failed before building an HTTP request: ${err.message}`,
+                    'fix': 'Check the tool parameters and its preRequest handler.'
+                } )
+
+                return { result }
+            }
+        }
+
+        if( capture[ 'request' ] === null ) {
+            if( outcome !== null && outcome[ 'status' ] === false ) {
+                const messages = outcome[ 'messages' ] || []
+                const result = CliOutput.error( {
+                    'error': `DRY-001 dryRun: Tool failed before building an HTTP request: ${messages.join( '; ' ) || 'unknown failure'}`,
+                    'fix': 'Check the tool parameters and its preRequest handler.'
+                } )
+                result[ 'messages' ] = messages
+
+                return { result }
+            }
+
+            // Handler-only tools (executeRequest / pure calculation) never touch the network.
+            const result = {
+                'status': true,
+                'dryRun': true,
+                toolName,
+                'request': null,
+                'note': 'The tool completed without issuing an HTTP request.'
+            }
+
+            return { result }
+        }
+
+        const { request } = DryRun.redact( { 'request': capture[ 'request' ], serverParams } )
+        const result = { 'status': true, 'dryRun': true, toolName, request }
+
+        if( asCurl ) {
+            const { curl } = DryRun.toCurl( { request } )
+            result[ 'curl' ] = curl
+        }
+
+        return { result }
+    }
+
+
+    static redact( { request, serverParams } ) {
+        const secrets = Object.entries( serverParams || {} )
+            .filter( ( [ , value ] ) => typeof value === 'string' && value.length > 0 )
+            .flatMap( ( [ key, value ] ) => {
+                const encoded = encodeURIComponent( value )
+                const variants = encoded === value ? [ value ] : [ value, encoded ]
+
+                return variants.map( ( variant ) => ( { variant, 'mask': `<redacted:${key}>` } ) )
+            } )
+            .sort( ( a, b ) => b[ 'variant' ].length - a[ 'variant' ].length )
+
+        const mask = ( text ) => {
+            if( typeof text !== 'string' ) {
+                return text
+            }
+
+            return secrets
+                .reduce( ( acc, { variant, mask: replacement } ) => acc.split( variant ).join( replacement ), text )
+        }
+
+        const headers = Object.entries( request[ 'headers' ] || {} )
+            .reduce( ( acc, [ key, value ] ) => {
+                acc[ key ] = mask( value )
+
+                return acc
+            }, {} )
+
+        return {
+            'request': {
+                'method': request[ 'method' ],
+                'url': mask( request[ 'url' ] ),
+                headers,
+                'body': mask( request[ 'body' ] )
+            }
+        }
+    }
+
+
+    static toCurl( { request } ) {
+        const quote = ( text ) => `'${String( text ).split( '\'' ).join( '\'\\\'\'' )}'`
+        const parts = [ `curl -X ${request[ 'method' ]} ${quote( request[ 'url' ] )}` ]
+
+        Object.entries( request[ 'headers' ] || {} )
+            .forEach( ( [ key, value ] ) => {
+                parts.push( `-H ${quote( `${key}: ${value}` )}` )
+            } )
+
+        if( request[ 'body' ] !== null && request[ 'body' ] !== undefined ) {
+            parts.push( `--data-raw ${quote( request[ 'body' ] )}` )
+        }
+
+        return { 'curl': parts.join( ' \\\n  ' ) }
+    }
+}
+
+
+export { DryRun }
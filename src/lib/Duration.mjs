@@ -0,0 +1,44 @@
+// Human duration strings for CLI flags (`--since 24h`, `--older-than 7d`): an integer
+// followed by one unit — ms, s, m, h, d or w. A bare integer is milliseconds.
+const UNIT_MS = {
+    'ms': 1,
+    's': 1000,
+    'm': 60 * 1000,
+    'h': 60 * 60 * 1000,
+    'd': 24 * 60 * 60 * 1000,
+    'w': 7 * 24 * 60 * 60 * 1000
+}
+
+
+class Duration {
+    static parse( { value } ) {
+        const match = String( value ).trim().match( /^(\d+)(ms|s|m|h|d|w)?$/ )
+        if( !match ) {
+            return { 'ms': null, 'error': `Invalid duration "${value}". Use e.g. 30s, 15m, 24h, 7d.` }
+        }
+
+        const [ , amount, unit = 'ms' ] = match
+
+        return { 'ms': Number( amount ) * UNIT_MS[ unit ], 'error': null }
+    }
+
+
+    // A point in time from either an ISO date ("2026-05-01") or a duration back
+    // from now ("24h" = 24 hours ago). Returns epoch milliseconds.
+    static parseSince( { value, now = Date.now() } ) {
+        const { ms, error } = Duration.parse( { value } )
+        if( error === null ) {
+            return { 'timestamp': now - ms, 'error': null }
+        }
+
+        const timestamp = Date.parse( String( value ) )
+        if( Number.isNaN( timestamp ) ) {
+            return { 'timestamp': null, 'error': `Invalid time "${value}". Use an ISO date (2026-05-01) or a duration (24h, 7d).` }
+        }
+
+        return { timestamp, 'error': null }
+    }
+}
+
+
+export { Duration }
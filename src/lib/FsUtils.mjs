@@ -8,7 +8,7 @@
  * call-site; __testWriteGuarded remains a facade hook (removed in PRD-020/D-11).
  */
 
-import { readFile, writeFile, mkdir, rename, readdir } from 'node:fs/promises'
+import { readFile, writeFile, mkdir, rename, readdir, appendFile } from 'node:fs/promises'
 import { resolve, dirname, join, extname } from 'node:path'
 import { existsSync } from 'node:fs'
 
@@ -74,6 +74,42 @@ class FsUtils {
     }
 
 
+    // Append-only JSONL logs (call history, audit): one compact JSON object per line.
+    // A single appendFile of a line is atomic enough for concurrent CLI processes on
+    // local filesystems; the parent directory is created on first use.
+    static async appendJsonLine( { path, data } ) {
+        const absolutePath = resolve( path )
+        await mkdir( dirname( absolutePath ), { recursive: true } )
+        await appendFile( absolutePath, JSON.stringify( data ) + '\n', 'utf-8' )
+
+        return { absolutePath }
+    }
+
+
+    // Reads a JSONL file; malformed lines are skipped (a crashed writer can leave
+    // a torn last line). A missing file is an empty log, not an error.
+    static async readJsonLines( { filePath } ) {
+        const { data: content } = await FsUtils.readText( { filePath } )
+        if( content === null ) {
+            return { 'entries': [] }
+        }
+
+        const entries = content
+            .split( '\n' )
+            .filter( ( line ) => line.trim().length > 0 )
+            .map( ( line ) => {
+                try {
+                    return JSON.parse( line )
+                } catch {
+                    return null
+                }
+            } )
+            .filter( ( entry ) => entry !== null )
+
+        return { entries }
+    }
+
+
     // Memo 068 R2 — the single guarded writer for persistent artifacts.
     // There is NO silent overwrite path: every overwrite must be a deliberate,
     // named choice by the caller via onExists. The safe default (onExists
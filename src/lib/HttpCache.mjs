@@ -6,12 +6,27 @@ import { appConfig } from '../data/config.mjs'
 import { ConfigStore } from './ConfigStore.mjs'
 import { FsUtils } from './FsUtils.mjs'
 import { CliOutput } from './CliOutput.mjs'
+import { SqliteCacheStore } from './SqliteCacheStore.mjs'
+import { HttpTransport } from './HttpTransport.mjs'
 
 
 // Memo 152 / PRD-019 (D-08) — the HTTP response-cache primitives used by the call
 // path: the cache base dir, the deterministic cache key (namespace/route + a sorted
 // param hash) and the read/write of a { meta, data } cache entry. The `flowmcp cache`
 // command (status/clear) lives in src/commands/CacheCommand.mjs and calls cacheDir().
+// The entries live in the JSON tree under cacheDir() unless the config selects the
+// SqliteCacheStore: "cache": { "store": "sqlite", "maxSizeMb": 256 }. readCache /
+// writeCache keep one interface for both stores; only the sqlite one has a size cap.
+// An entry keeps the response's ETag / Last-Modified in meta (etag, lastModified);
+// revalidator() sends them back as If-None-Match / If-Modified-Since once the entry
+// has expired, and on a 304 the call only extends it with extendCache().
+// readCache / writeCache / extendCache take the caller's storeSettings() result as
+// `settings`, so one call reads the config (and warns about it) once; without it they
+// resolve the settings themselves.
+const STORES = [ 'json', 'sqlite' ]
+const DEFAULT_MAX_SIZE_MB = 256
+
+
 class HttpCache {
     static cacheDir() {
         const dir = join( ConfigStore.globalConfigDir(), appConfig[ 'cacheDirName' ] )
@@ -20,6 +35,26 @@ class HttpCache {
     }
 
 
+    // store — 'json' | 'sqlite'; maxBytes — the sqlite size cap. An unknown store
+    // falls back to json with a CCH-005 warning, a bad maxSizeMb to the default.
+    static async storeSettings() {
+        const { globalConfig } = await ConfigStore.loadGlobalConfig()
+        const section = globalConfig[ 'cache' ] !== null && typeof globalConfig[ 'cache' ] === 'object'
+            ? globalConfig[ 'cache' ]
+            : {}
+        const configured = section[ 'store' ] === undefined ? 'json' : section[ 'store' ]
+        if( !STORES.includes( configured ) ) {
+            process.stderr.write( `CCH-005 cache: Unknown cache.store "${configured}" in ~/.flowmcp/config.json, using "json" (available: ${STORES.join( ', ' )}).\n` )
+        }
+
+        const store = STORES.includes( configured ) ? configured : 'json'
+        const maxSizeMb = Number( section[ 'maxSizeMb' ] )
+        const maxBytes = Math.round( ( Number.isFinite( maxSizeMb ) && maxSizeMb > 0 ? maxSizeMb : DEFAULT_MAX_SIZE_MB ) * 1024 * 1024 )
+
+        return { store, maxBytes }
+    }
+
+
     static buildCacheKey( { namespace, routeName, userParams } ) {
         const hasParams = Object.keys( userParams ).length > 0
         if( !hasParams ) {
@@ -48,7 +83,12 @@ class HttpCache {
     }
 
 
-    static async readCache( { cacheKey } ) {
+    static async readCache( { cacheKey, settings = null } ) {
+        const { store } = settings === null ? await HttpCache.storeSettings() : settings
+        if( store === 'sqlite' ) {
+            return HttpCache.#readSqlite( { cacheKey } )
+        }
+
         const cachePath = join( HttpCache.cacheDir(), cacheKey )
 
         try {
@@ -69,11 +109,10 @@ class HttpCache {
     }
 
 
-    static async writeCache( { cacheKey, data, ttl } ) {
-        const cachePath = join( HttpCache.cacheDir(), cacheKey )
-        const cacheDirectory = dirname( cachePath )
-        await mkdir( cacheDirectory, { recursive: true } )
-
+    // validators — { etag, lastModified } from revalidator()'s report, or null.
+    // stored — false when the sqlite store refused an entry larger than maxSizeMb.
+    static async writeCache( { cacheKey, data, ttl, validators = null, settings = null } ) {
+        const { store, maxBytes } = settings === null ? await HttpCache.storeSettings() : settings
         const now = new Date()
         const expiresAt = new Date( now.getTime() + ttl * 1000 )
         const dataString = JSON.stringify( data )
@@ -83,15 +122,146 @@ class HttpCache {
                 'fetchedAt': now.toISOString(),
                 'expiresAt': expiresAt.toISOString(),
                 ttl,
-                'size': dataString.length
+                'size': Buffer.byteLength( dataString, 'utf-8' ),
+                ...HttpCache.#validatorMeta( { validators } )
             },
             data
         }
 
+        if( store === 'sqlite' ) {
+            const { stored } = SqliteCacheStore.write( { cacheKey, 'meta': cacheEntry[ 'meta' ], dataString, maxBytes } )
+
+            return { 'cachePath': SqliteCacheStore.dbPath(), 'meta': cacheEntry[ 'meta' ], stored }
+        }
+
+        const cachePath = join( HttpCache.cacheDir(), cacheKey )
+        await mkdir( dirname( cachePath ), { recursive: true } )
+
         // Cache refresh is a deliberate, named overwrite (Memo 068 R2 verschärft) — never silent.
         await FsUtils.writeGuarded( { 'path': cachePath, 'content': JSON.stringify( cacheEntry, null, 2 ), 'onExists': 'overwrite' } )
 
-        return { cachePath, meta: cacheEntry[ 'meta' ] }
+        return { cachePath, meta: cacheEntry[ 'meta' ], 'stored': true }
+    }
+
+
+    // After a 304: the stored data is still current, so only the meta moves — a new
+    // expiresAt, revalidatedAt and any validators the 304 sent. fetchedAt stays the time
+    // the body was fetched. The sqlite row keeps its data column; the JSON file is one
+    // document, so its data is written back as read.
+    static async extendCache( { cacheKey, data, meta, ttl, validators = null, settings = null } ) {
+        const { store, maxBytes } = settings === null ? await HttpCache.storeSettings() : settings
+        const now = new Date()
+        const extendedMeta = {
+            ...meta,
+            ...HttpCache.#validatorMeta( { validators } ),
+            'expiresAt': new Date( now.getTime() + ttl * 1000 ).toISOString(),
+            ttl,
+            'revalidatedAt': now.toISOString()
+        }
+
+        if( store === 'sqlite' ) {
+            const { extended } = SqliteCacheStore.extend( { cacheKey, 'meta': extendedMeta, 'now': now.getTime() } )
+            // Evicted between the read and the 304 — store it again.
+            if( !extended ) {
+                SqliteCacheStore.write( { cacheKey, 'meta': extendedMeta, 'dataString': JSON.stringify( data ), maxBytes } )
+            }
+
+            return { 'cachePath': SqliteCacheStore.dbPath(), 'meta': extendedMeta }
+        }
+
+        const cachePath = join( HttpCache.cacheDir(), cacheKey )
+        await mkdir( dirname( cachePath ), { recursive: true } )
+        await FsUtils.writeGuarded( { 'path': cachePath, 'content': JSON.stringify( { 'meta': extendedMeta, data }, null, 2 ), 'onExists': 'overwrite' } )
+
+        return { cachePath, 'meta': extendedMeta }
+    }
+
+
+    // The HttpTransport interceptor of a cacheable call. meta — the expired entry's meta
+    // (null on a miss or --refresh): its validators go out as conditional headers on the
+    // call's GET request. report — `{ requests, notModified, validators }`: notModified
+    // is true when the provider answered 304, validators holds the response's ETag /
+    // Last-Modified for the entry. A route that issues more than one request is never
+    // revalidated and keeps no validators, since one entry cannot vouch for several bodies.
+    static revalidator( { meta = null, report } ) {
+        return async ( { input, init, next } ) => {
+            report[ 'requests' ] += 1
+            const isFirst = report[ 'requests' ] === 1
+            const { method, headers } = await HttpTransport.describe( { input, init } )
+            const { conditional } = HttpCache.#conditionalHeaders( { meta } )
+            const isConditional = isFirst && method === 'GET' && Object.keys( conditional ).length > 0
+
+            const response = isConditional
+                ? await next( { 'init': { ...( init || {} ), 'headers': { ...headers, ...conditional } } } )
+                : await next()
+
+            report[ 'notModified' ] = isConditional && response.status === 304
+            report[ 'validators' ] = isFirst && ( response.ok || report[ 'notModified' ] )
+                ? HttpCache.#validators( { response } )[ 'validators' ]
+                : null
+
+            return response
+        }
+    }
+
+
+    static #conditionalHeaders( { meta } ) {
+        const conditional = {}
+        if( meta !== null && typeof meta[ 'etag' ] === 'string' ) {
+            conditional[ 'if-none-match' ] = meta[ 'etag' ]
+        }
+        if( meta !== null && typeof meta[ 'lastModified' ] === 'string' ) {
+            conditional[ 'if-modified-since' ] = meta[ 'lastModified' ]
+        }
+
+        return { conditional }
+    }
+
+
+    static #validators( { response } ) {
+        const etag = response.headers.get( 'etag' )
+        const lastModified = response.headers.get( 'last-modified' )
+        const validators = etag === null && lastModified === null
+            ? null
+            : { etag, lastModified }
+
+        return { validators }
+    }
+
+
+    static #validatorMeta( { validators } ) {
+        if( validators === null ) {
+            return {}
+        }
+
+        return Object.entries( validators )
+            .filter( ( [ , value ] ) => typeof value === 'string' )
+            .reduce( ( acc, [ key, value ] ) => {
+                acc[ key ] = value
+
+                return acc
+            }, {} )
+    }
+
+
+    static #readSqlite( { cacheKey } ) {
+        const cachePath = SqliteCacheStore.dbPath()
+
+        try {
+            const { entry } = SqliteCacheStore.read( { cacheKey } )
+            if( entry === null ) {
+                return { data: null, meta: null, isExpired: true, cachePath }
+            }
+
+            const { meta, data } = entry
+            const isExpired = new Date() >= new Date( meta[ 'expiresAt' ] )
+
+            return { data, meta, isExpired, cachePath }
+        } catch( err ) {
+            CliOutput.emitCoded( { 'code': 'CCH-001', 'location': 'readCache: cache read failed', err } )
+
+            return { data: null, meta: null, isExpired: true, cachePath }
+        }
     }
 }
 
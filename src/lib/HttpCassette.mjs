@@ -0,0 +1,182 @@
+import { createHash } from 'node:crypto'
+import { existsSync, statSync } from 'node:fs'
+import { join, resolve } from 'node:path'
+
+import { FsUtils } from './FsUtils.mjs'
+import { HttpTransport } from './HttpTransport.mjs'
+
+
+// HTTP record/replay cassettes (`--record <dir>` / `--replay <dir>`). Every request
+// core FlowMCP.fetch issues is one JSON file in the cassette directory holding the
+// request (method, url, body) and the raw response (status, headers, body text).
+// Requests match on method + URL + body. Before matching or storing, every
+// server-param value is replaced by __SERVER_PARAM_<KEY>__, so cassettes never hold
+// a key and replay works on machines without one: fillPlaceholders() hands the
+// placeholder itself to the tool as the "key", which normalizes to the same request.
+const PLACEHOLDER_PREFIX = '__SERVER_PARAM_'
+
+
+class HttpCassette {
+    // Validates the flags and returns the interceptors for HttpTransport.run().
+    // Both directories are resolved against cwd; replay requires an existing dir.
+    static interceptors( { recordDir = null, replayDir = null, serverParams = {}, cwd } ) {
+        if( recordDir !== null && replayDir !== null ) {
+            return {
+                'interceptors': [],
+                'error': 'CST-001 cassette: --record and --replay cannot be combined.',
+                'fix': 'Record once with --record <dir>, then run with --replay <dir>.'
+            }
+        }
+
+        if( replayDir !== null ) {
+            const dir = resolve( cwd, replayDir )
+            const isDir = existsSync( dir ) && statSync( dir ).isDirectory()
+            if( !isDir ) {
+                return {
+                    'interceptors': [],
+                    'error': `CST-002 cassette: Replay directory not found: ${dir}`,
+                    'fix': 'Record the cassettes first with --record <dir>.'
+                }
+            }
+
+            return { 'interceptors': [ HttpCassette.#replayInterceptor( { dir, serverParams } ) ], 'error': null, 'fix': null }
+        }
+
+        if( recordDir !== null ) {
+            const dir = resolve( cwd, recordDir )
+
+            return { 'interceptors': [ HttpCassette.#recordInterceptor( { dir, serverParams } ) ], 'error': null, 'fix': null }
+        }
+
+        return { 'interceptors': [], 'error': null, 'fix': null }
+    }
+
+
+    // Replay on a machine without keys: every missing required key gets its
+    // placeholder as value, so the key gate passes and the request normalizes to
+    // the recorded one.
+    static fillPlaceholders( { envObject, requiredServerParams } ) {
+        const filled = { ...envObject }
+
+        requiredServerParams
+            .filter( ( key ) => typeof filled[ key ] !== 'string' || filled[ key ].length === 0 )
+            .forEach( ( key ) => {
+                filled[ key ] = `${PLACEHOLDER_PREFIX}${key}__`
+            } )
+
+        return { 'envObject': filled }
+    }
+
+
+    static match( { request, serverParams } ) {
+        const { normalized } = HttpCassette.#normalize( { request, serverParams } )
+        const hash = createHash( 'sha256' )
+            .update( `${normalized[ 'method' ]}\n${normalized[ 'url' ]}\n${normalized[ 'body' ] === null ? '' : normalized[ 'body' ]}` )
+            .digest( 'hex' )
+            .slice( 0, 16 )
+        let host = 'request'
+        try {
+            host = new URL( normalized[ 'url' ] ).host.replace( /[^a-zA-Z0-9.-]/g, '_' )
+        } catch {
+            host = 'request'
+        }
+
+        return { normalized, 'fileName': `${normalized[ 'method' ]}_${host}_${hash}.json` }
+    }
+
+
+    static #recordInterceptor( { dir, serverParams } ) {
+        return async ( { input, init, next } ) => {
+            const request = await HttpTransport.describe( { input, init } )
+            const response = await next()
+            const body = await response.clone().text()
+            const headers = {}
+            response.headers
+                .forEach( ( value, key ) => {
+                    headers[ key ] = value
+                } )
+
+            const { normalized, fileName } = HttpCassette.match( { request, serverParams } )
+            const cassette = {
+                'recordedAt': new Date().toISOString(),
+                'request': normalized,
+                'response': {
+                    'status': response.status,
+                    'statusText': response.statusText,
+                    headers,
+                    'body': HttpCassette.#mask( { 'text': body, serverParams } )
+                }
+            }
+
+            const { error } = await FsUtils.writeGuarded( {
+                'path': join( dir, fileName ),
+                'content': JSON.stringify( cassette, null, 4 ),
+                'onExists': 'overwrite'
+            } )
+            if( error ) {
+                throw new Error( `CST-003 cassette: Cannot write ${join( dir, fileName )}: ${error}` )
+            }
+
+            return response
+        }
+    }
+
+
+    static #replayInterceptor( { dir, serverParams } ) {
+        return async ( { input, init } ) => {
+            const request = await HttpTransport.describe( { input, init } )
+            const { normalized, fileName } = HttpCassette.match( { request, serverParams } )
+            const { data: cassette } = await FsUtils.readText( { 'filePath': join( dir, fileName ) } )
+
+            if( cassette === null ) {
+                throw new Error( `CST-004 cassette: No recording for ${normalized[ 'method' ]} ${normalized[ 'url' ]} in ${dir}` )
+            }
+
+            const { response } = JSON.parse( cassette )
+            // A null-body status (204/304) must not carry a body in the Response constructor.
+            const body = [ 204, 205, 304 ].includes( response[ 'status' ] ) ? null : response[ 'body' ]
+
+            return new Response( body, {
+                'status': response[ 'status' ],
+                'statusText': response[ 'statusText' ] || '',
+                'headers': response[ 'headers' ] || {}
+            } )
+        }
+    }
+
+
+    static #normalize( { request, serverParams } ) {
+        const mask = ( text ) => HttpCassette.#mask( { text, serverParams } )
+
+        return {
+            'normalized': {
+                'method': request[ 'method' ],
+                'url': mask( request[ 'url' ] ),
+                'body': mask( request[ 'body' ] )
+            }
+        }
+    }
+
+
+    static #mask( { text, serverParams } ) {
+        if( typeof text !== 'string' ) {
+            return text
+        }
+
+        return Object.entries( serverParams || {} )
+            .filter( ( [ , value ] ) => typeof value === 'string' && value.length > 0 )
+            .flatMap( ( [ key, value ] ) => {
+                const placeholder = `${PLACEHOLDER_PREFIX}${key}__`
+                const encoded = encodeURIComponent( value )
+
+                return encoded === value
+                    ? [ { 'variant': value, placeholder } ]
+                    : [ { 'variant': value, placeholder }, { 'variant': encoded, placeholder } ]
+            } )
+            .sort( ( a, b ) => b[ 'variant' ].length - a[ 'variant' ].length )
+            .reduce( ( acc, { variant, placeholder } ) => acc.split( variant ).join( placeholder ), text )
+    }
+}
+
+
+export { HttpCassette }
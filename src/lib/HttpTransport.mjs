@@ -0,0 +1,94 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+
+// Scoped interception of the HTTP requests core FlowMCP.fetch issues. Core performs
+// its requests through the global fetch; HttpTransport wraps it ONCE and routes each
+// request through the interceptor chain of the CURRENT async scope
+// (AsyncLocalStorage), so concurrent calls (`call --batch`) never see each other's
+// interceptors and code outside any scope hits the plain fetch. An interceptor is
+// `async ( { input, init, next } ) => Response`; `next( { input, init } )` continues
+// the chain (both optional — omitted keys pass through unchanged). Scopes nest: an
+// inner run() appends its interceptors after the outer ones.
+//
+// If something replaces the global fetch after installation (tests mock it per
+// suite), the next run() re-wraps the new function instead of bypassing it.
+const scope = new AsyncLocalStorage()
+const bypass = new AsyncLocalStorage()
+let installedFetch = null
+
+
+class HttpTransport {
+    static async run( { interceptors = [], execute } ) {
+        HttpTransport.#install()
+        const outer = scope.getStore() || []
+
+        return scope.run( [ ...outer, ...interceptors ], execute )
+    }
+
+
+    // Plain-object view of a fetch() call, independent of whether core passed a URL
+    // string, a URL or a Request. Headers become a lower-cased key object; a body that
+    // is not a string (stream, FormData, ...) is described, not consumed.
+    static async describe( { input, init = {} } ) {
+        const isRequest = typeof Request !== 'undefined' && input instanceof Request
+        const url = isRequest ? input.url : String( input )
+        const method = String( ( init && init[ 'method' ] ) || ( isRequest ? input.method : 'GET' ) ).toUpperCase()
+        const headers = {}
+
+        new Headers( ( init && init[ 'headers' ] ) || ( isRequest ? input.headers : {} ) )
+            .forEach( ( value, key ) => {
+                headers[ key ] = value
+            } )
+
+        const rawBody = init && init[ 'body' ] !== undefined
+            ? init[ 'body' ]
+            : isRequest && input.body !== null ? await input.clone().text() : null
+        const body = rawBody === null || rawBody === undefined
+            ? null
+            : typeof rawBody === 'string'
+                ? rawBody
+                : rawBody instanceof URLSearchParams
+                    ? rawBody.toString()
+                    : `[${rawBody.constructor ? rawBody.constructor.name : typeof rawBody} body]`
+
+        return { url, method, headers, body }
+    }
+
+
+    static #install() {
+        if( globalThis.fetch === installedFetch ) {
+            return
+        }
+
+        // Each wrapper keeps its own base. A wrapper that ends up inside another one
+        // (a spy around an older wrapper) sees the bypass flag and passes straight
+        // through, so the chain never runs twice for one request.
+        const baseFetch = globalThis.fetch
+        const scopedFetch = ( input, init ) => {
+            const chain = scope.getStore() || []
+            if( bypass.getStore() === true || chain.length === 0 ) {
+                return baseFetch( input, init )
+            }
+
+            const dispatch = ( { index, input: currentInput, init: currentInit } ) => {
+                if( index >= chain.length ) {
+                    return bypass.run( true, () => baseFetch( currentInput, currentInit ) )
+                }
+
+                const next = ( { input: nextInput = currentInput, init: nextInit = currentInit } = {} ) => {
+                    return dispatch( { 'index': index + 1, 'input': nextInput, 'init': nextInit } )
+                }
+
+                return chain[ index ]( { 'input': currentInput, 'init': currentInit, next } )
+            }
+
+            return dispatch( { 'index': 0, input, init } )
+        }
+
+        installedFetch = scopedFetch
+        globalThis.fetch = scopedFetch
+    }
+}
+
+
+export { HttpTransport }
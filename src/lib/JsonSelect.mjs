@@ -0,0 +1,281 @@
+// `--select` path expressions over a call's content — a small JSONPath subset, no
+// dependency. An expression is an optional `$` followed by segments:
+//   .name  ['name']     object key (a leading bare name is fine: `data.items`)
+//   [0]  [-1]           array index (negative counts from the end)
+//   [*]  .*             every element / every value
+//   [?(@.price > 10)]   elements whose sub-path compares true: == != > >= < <=
+//   [?(@.symbol)]       elements where the sub-path is present and not null
+// Literals are numbers, 'strings' / "strings", true, false and null. A path without
+// a wildcard or predicate yields one value (null when absent); with one it yields
+// the array of every match. Pure: no I/O.
+const NAME = /^[A-Za-z_$][\w$-]*/
+const OPERATORS = [ '==', '!=', '>=', '<=', '>', '<' ]
+
+
+class JsonSelect {
+    static parse( { expression } ) {
+        if( typeof expression !== 'string' || expression.trim().length === 0 ) {
+            return { 'path': null, 'error': 'SEL-001 select: Empty expression.' }
+        }
+
+        const trimmed = expression.trim()
+        const body = trimmed.startsWith( '$' ) ? trimmed.slice( 1 ) : trimmed
+        const text = body.length > 0 && !body.startsWith( '.' ) && !body.startsWith( '[' ) ? `.${body}` : body
+        const { segments, error } = JsonSelect.#parseSegments( { text, 'segments': [] } )
+        if( error !== null ) {
+            return { 'path': null, 'error': `SEL-001 select: ${error} in "${expression}".` }
+        }
+
+        const multi = segments.some( ( segment ) => segment[ 'type' ] === 'wildcard' || segment[ 'type' ] === 'filter' )
+
+        return { 'path': { expression, segments, multi }, 'error': null }
+    }
+
+
+    static apply( { path, data } ) {
+        const nodes = path[ 'segments' ]
+            .reduce( ( current, segment ) => current.flatMap( ( node ) => JsonSelect.#step( { node, segment } ) ), [ data ] )
+
+        if( path[ 'multi' ] ) {
+            return { 'value': nodes, 'count': nodes.length }
+        }
+
+        return nodes.length === 0
+            ? { 'value': null, 'count': 0 }
+            : { 'value': nodes[ 0 ], 'count': 1 }
+    }
+
+
+    // --limit: the first n items of a top-level array; anything else passes unchanged.
+    static limit( { data, limit } ) {
+        if( !Array.isArray( data ) ) {
+            return { 'value': data, 'total': null }
+        }
+
+        return { 'value': data.slice( 0, limit ), 'total': data.length }
+    }
+
+
+    // Validates --select / --limit up front (before any request is spent) and returns
+    // the projection for project(), or null when neither flag is set.
+    static prepare( { select = null, limit = null } ) {
+        if( select === null && limit === null ) {
+            return { 'projection': null, 'error': null, 'fix': null }
+        }
+
+        const { path, error } = select === null ? { 'path': null, 'error': null } : JsonSelect.parse( { 'expression': select } )
+        if( error !== null ) {
+            return { 'projection': null, error, 'fix': "Example: --select '$.data[?(@.price > 10)].symbol'" }
+        }
+
+        const parsedLimit = limit === null ? null : Number( limit )
+        if( parsedLimit !== null && ( !Number.isInteger( parsedLimit ) || parsedLimit < 0 ) ) {
+            return { 'projection': null, 'error': `SEL-002 select: Invalid --limit "${limit}".`, 'fix': 'Use a non-negative integer, e.g. --limit 10' }
+        }
+
+        return { 'projection': { path, 'limit': parsedLimit }, 'error': null, 'fix': null }
+    }
+
+
+    // Applies a prepared projection to a successful result's content. The select
+    // runs first, the limit on what it returned; both are noted on the result.
+    static project( { result, projection } ) {
+        if( projection === null || result[ 'status' ] !== true || result[ 'content' ] === undefined ) {
+            return { result }
+        }
+
+        const { path, limit } = projection
+        const projected = { ...result }
+
+        if( path !== null ) {
+            const { value, count } = JsonSelect.apply( { path, 'data': result[ 'content' ] } )
+            projected[ 'content' ] = value
+            projected[ 'select' ] = { 'expression': path[ 'expression' ], count }
+        }
+
+        if( limit !== null ) {
+            const { value, total } = JsonSelect.limit( { 'data': projected[ 'content' ], limit } )
+            projected[ 'content' ] = value
+            if( total !== null && total > limit ) {
+                projected[ 'limit' ] = { total, 'returned': limit }
+            }
+        }
+
+        return { 'result': projected }
+    }
+
+
+    static #parseSegments( { text, segments } ) {
+        if( text.length === 0 ) {
+            return { segments, 'error': null }
+        }
+
+        const { segment, rest, error } = JsonSelect.#nextSegment( { text } )
+        if( error !== null ) {
+            return { 'segments': null, error }
+        }
+
+        return JsonSelect.#parseSegments( { 'text': rest, 'segments': [ ...segments, segment ] } )
+    }
+
+
+    static #nextSegment( { text } ) {
+        const fail = ( error ) => ( { 'segment': null, 'rest': null, error } )
+        const done = ( segment, length ) => ( { segment, 'rest': text.slice( length ), 'error': null } )
+
+        if( text.startsWith( '.*' ) ) {
+            return done( { 'type': 'wildcard' }, 2 )
+        }
+
+        if( text.startsWith( '.' ) ) {
+            const name = text.slice( 1 ).match( NAME )
+
+            return name === null
+                ? fail( `Expected a key after "." at "${text}"` )
+                : done( { 'type': 'key', 'key': name[ 0 ] }, name[ 0 ].length + 1 )
+        }
+
+        if( !text.startsWith( '[' ) ) {
+            return fail( `Unexpected "${text}"` )
+        }
+
+        if( text.startsWith( '[?(' ) ) {
+            const end = text.indexOf( ')]' )
+            if( end === -1 ) {
+                return fail( 'Unclosed predicate' )
+            }
+
+            const { predicate, error } = JsonSelect.#parsePredicate( { 'source': text.slice( 3, end ).trim() } )
+
+            return error !== null ? fail( error ) : done( { 'type': 'filter', predicate }, end + 2 )
+        }
+
+        const bracket = text.match( /^\[\s*(\*|-?\d+|'[^']*'|"[^"]*")\s*\]/ )
+        if( bracket === null ) {
+            return fail( `Invalid bracket at "${text}"` )
+        }
+
+        const inner = bracket[ 1 ]
+        if( inner === '*' ) {
+            return done( { 'type': 'wildcard' }, bracket[ 0 ].length )
+        }
+
+        if( /^-?\d+$/.test( inner ) ) {
+            return done( { 'type': 'index', 'index': Number( inner ) }, bracket[ 0 ].length )
+        }
+
+        return done( { 'type': 'key', 'key': inner.slice( 1, -1 ) }, bracket[ 0 ].length )
+    }
+
+
+    static #parsePredicate( { source } ) {
+        const match = source.match( /^@((?:\.[A-Za-z_$][\w$-]*)*)\s*(?:(==|!=|>=|<=|>|<)\s*(.+))?$/ )
+        if( match === null ) {
+            return { 'predicate': null, 'error': `Invalid predicate "${source}" (expected e.g. @.price > 10)` }
+        }
+
+        const [ , subPath, operator = null, rawLiteral = null ] = match
+        const keys = subPath.split( '.' ).filter( ( key ) => key.length > 0 )
+        if( operator === null ) {
+            return { 'predicate': { keys, 'operator': null, 'literal': null }, 'error': null }
+        }
+
+        const { literal, error } = JsonSelect.#parseLiteral( { 'text': rawLiteral.trim() } )
+        if( error !== null || !OPERATORS.includes( operator ) ) {
+            return { 'predicate': null, 'error': error || `Unknown operator "${operator}"` }
+        }
+
+        return { 'predicate': { keys, operator, literal }, 'error': null }
+    }
+
+
+    static #parseLiteral( { text } ) {
+        const quoted = text.match( /^'([^']*)'$|^"([^"]*)"$/ )
+        if( quoted !== null ) {
+            return { 'literal': quoted[ 1 ] !== undefined ? quoted[ 1 ] : quoted[ 2 ], 'error': null }
+        }
+
+        const keywords = { 'true': true, 'false': false, 'null': null }
+        if( Object.prototype.hasOwnProperty.call( keywords, text ) ) {
+            return { 'literal': keywords[ text ], 'error': null }
+        }
+
+        if( text.length > 0 && !Number.isNaN( Number( text ) ) ) {
+            return { 'literal': Number( text ), 'error': null }
+        }
+
+        return { 'literal': null, 'error': `Invalid literal "${text}" (quote strings: 'BTC')` }
+    }
+
+
+    static #step( { node, segment } ) {
+        const { type } = segment
+        const isObject = node !== null && typeof node === 'object'
+
+        if( type === 'key' ) {
+            return isObject && !Array.isArray( node ) && Object.prototype.hasOwnProperty.call( node, segment[ 'key' ] )
+                ? [ node[ segment[ 'key' ] ] ]
+                : []
+        }
+
+        if( type === 'index' ) {
+            if( !Array.isArray( node ) ) {
+                return []
+            }
+
+            const index = segment[ 'index' ] < 0 ? node.length + segment[ 'index' ] : segment[ 'index' ]
+
+            return index >= 0 && index < node.length ? [ node[ index ] ] : []
+        }
+
+        const children = Array.isArray( node ) ? node : isObject ? Object.values( node ) : []
+        if( type === 'wildcard' ) {
+            return children
+        }
+
+        return children.filter( ( child ) => JsonSelect.#matches( { child, 'predicate': segment[ 'predicate' ] } ) )
+    }
+
+
+    static #matches( { child, predicate } ) {
+        const { keys, operator, literal } = predicate
+        const { found, value } = keys
+            .reduce( ( acc, key ) => {
+                const holder = acc[ 'value' ]
+                const present = acc[ 'found' ] && holder !== null && typeof holder === 'object' && Object.prototype.hasOwnProperty.call( holder, key )
+
+                return present ? { 'found': true, 'value': holder[ key ] } : { 'found': false, 'value': undefined }
+            }, { 'found': true, 'value': child } )
+
+        if( operator === null ) {
+            return found && value !== null && value !== undefined
+        }
+
+        if( !found ) {
+            return false
+        }
+
+        // A numeric literal compares numerically against numeric strings ("12.5").
+        const left = typeof literal === 'number' && typeof value === 'string' && value.trim().length > 0 && !Number.isNaN( Number( value ) )
+            ? Number( value )
+            : value
+
+        if( [ '>', '>=', '<', '<=' ].includes( operator ) && typeof left !== typeof literal ) {
+            return false
+        }
+
+        const compare = {
+            '==': () => left === literal,
+            '!=': () => left !== literal,
+            '>': () => left > literal,
+            '>=': () => left >= literal,
+            '<': () => left < literal,
+            '<=': () => left <= literal
+        }
+
+        return compare[ operator ]()
+    }
+}
+
+
+export { JsonSelect }
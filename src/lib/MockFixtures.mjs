@@ -0,0 +1,100 @@
+import { basename, dirname, extname, join } from 'node:path'
+
+import { FsUtils } from './FsUtils.mjs'
+
+
+// Canned tool responses for `call --mock`, captured from a schema's own `tests[]`
+// by `mock capture <namespace>`. They live next to the schema, one file per tool:
+//   <schema dir>/_fixtures/<schema name>/<routeName>.json
+//   { routeName, capturedAt, captures: [ { test, description, params, content } ] }
+// (underscore dirs are skipped by the schemaFolders scan). A mocked call answers with
+// the capture whose params equal the call's params, else with the first capture.
+const FIXTURES_DIR = '_fixtures'
+
+
+class MockFixtures {
+    static fixturePath( { schemaPath, routeName } ) {
+        const schemaName = basename( schemaPath, extname( schemaPath ) )
+
+        return { 'path': join( dirname( schemaPath ), FIXTURES_DIR, schemaName, `${routeName}.json` ) }
+    }
+
+
+    // A test entry minus its `_description` style annotations is the call's params.
+    static testParams( { test } ) {
+        const params = Object.entries( test || {} )
+            .filter( ( [ key ] ) => !key.startsWith( '_' ) )
+            .reduce( ( acc, [ key, value ] ) => {
+                acc[ key ] = value
+
+                return acc
+            }, {} )
+
+        return { params }
+    }
+
+
+    static async write( { schemaPath, routeName, captures, now = new Date() } ) {
+        const { path } = MockFixtures.fixturePath( { schemaPath, routeName } )
+        const fixture = { routeName, 'capturedAt': now.toISOString(), captures }
+        await FsUtils.writeGuarded( { path, 'content': JSON.stringify( fixture, null, 4 ) + '\n', 'onExists': 'overwrite' } )
+
+        return { path }
+    }
+
+
+    static async read( { schemaPath, routeName } ) {
+        const { path } = MockFixtures.fixturePath( { schemaPath, routeName } )
+        const { data } = await FsUtils.readText( { 'filePath': path } )
+        if( data === null ) {
+            return { 'fixture': null, path }
+        }
+
+        try {
+            const fixture = JSON.parse( data )
+            const usable = fixture !== null && Array.isArray( fixture[ 'captures' ] ) && fixture[ 'captures' ].length > 0
+
+            return { 'fixture': usable ? fixture : null, path }
+        } catch {
+            return { 'fixture': null, path }
+        }
+    }
+
+
+    static pick( { fixture, userParams } ) {
+        const { key: wanted } = MockFixtures.#canonical( { 'value': userParams || {} } )
+        const exact = fixture[ 'captures' ]
+            .find( ( capture ) => MockFixtures.#canonical( { 'value': capture[ 'params' ] || {} } )[ 'key' ] === wanted )
+
+        return exact !== undefined
+            ? { 'capture': exact, 'exact': true }
+            : { 'capture': fixture[ 'captures' ][ 0 ], 'exact': false }
+    }
+
+
+    // Key-order independent JSON, so `{a, b}` and `{b, a}` are the same params.
+    static #canonical( { value } ) {
+        const sort = ( item ) => {
+            if( Array.isArray( item ) ) {
+                return item.map( sort )
+            }
+
+            if( item !== null && typeof item === 'object' ) {
+                return Object.keys( item )
+                    .sort()
+                    .reduce( ( acc, key ) => {
+                        acc[ key ] = sort( item[ key ] )
+
+                        return acc
+                    }, {} )
+            }
+
+            return item
+        }
+
+        return { 'key': JSON.stringify( sort( value ) ) }
+    }
+}
+
+
+export { MockFixtures }
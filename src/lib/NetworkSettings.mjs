@@ -0,0 +1,167 @@
+import { rootCertificates } from 'node:tls'
+
+import { ConfigStore } from './ConfigStore.mjs'
+import { FsUtils } from './FsUtils.mjs'
+
+
+// Outbound proxy and extra CA certificates for every request the CLI process makes
+// through fetch (core FlowMCP.fetch for call / private call / grading pretests,
+// handlers, add-on URL-mode loads). Configured in ~/.flowmcp/config.json:
+//   "network": { "proxy": "http://proxy.corp:3128", "httpsProxy": "...",
+//                "noProxy": "localhost,.corp.example", "caFile": "/etc/ssl/corp-ca.pem" }
+// proxy serves http and https unless httpsProxy is set; caFile may be a list. A key
+// the config leaves out falls back to HTTP_PROXY / HTTPS_PROXY / NO_PROXY (either
+// case). NODE_EXTRA_CA_CERTS is honoured as an extra CA file as well, because an
+// explicit CA list replaces Node's default one. Extra CAs are added to the bundled
+// roots, never replace them. apply() installs one undici EnvHttpProxyAgent as the
+// global dispatcher, and only when something is configured. A broken setting installs
+// an agent that refuses every connection with the NET error instead: a request must
+// never slip past a configured proxy by going out directly.
+//   NET-001  proxy is not an http(s) URL
+//   NET-002  a CA file cannot be read or holds no PEM certificate
+const PEM_CERTIFICATE = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g
+
+
+class NetworkSettings {
+    static async resolve( { env = process.env } = {} ) {
+        const { globalConfig } = await ConfigStore.loadGlobalConfig()
+        const section = globalConfig[ 'network' ] !== null && typeof globalConfig[ 'network' ] === 'object'
+            ? globalConfig[ 'network' ]
+            : {}
+        const pick = ( { key, envNames } ) => {
+            if( typeof section[ key ] === 'string' && section[ key ].length > 0 ) {
+                return { 'value': section[ key ], 'source': 'config' }
+            }
+
+            const envName = envNames.find( ( name ) => typeof env[ name ] === 'string' && env[ name ].length > 0 )
+
+            return envName === undefined
+                ? { 'value': null, 'source': null }
+                : { 'value': env[ envName ], 'source': `env ${envName}` }
+        }
+
+        const httpProxy = pick( { 'key': 'proxy', 'envNames': [ 'HTTP_PROXY', 'http_proxy' ] } )
+        const httpsProxy = typeof section[ 'proxy' ] === 'string' && section[ 'httpsProxy' ] === undefined
+            ? httpProxy
+            : pick( { 'key': 'httpsProxy', 'envNames': [ 'HTTPS_PROXY', 'https_proxy' ] } )
+        const noProxy = pick( { 'key': 'noProxy', 'envNames': [ 'NO_PROXY', 'no_proxy' ] } )
+        const configCa = section[ 'caFile' ] === undefined ? [] : [ section[ 'caFile' ] ].flat()
+        const caFiles = [
+            ...configCa.map( ( path ) => ( { path, 'source': 'config' } ) ),
+            ...( typeof env[ 'NODE_EXTRA_CA_CERTS' ] === 'string' && env[ 'NODE_EXTRA_CA_CERTS' ].length > 0
+                ? [ { 'path': env[ 'NODE_EXTRA_CA_CERTS' ], 'source': 'env NODE_EXTRA_CA_CERTS' } ]
+                : [] )
+        ]
+
+        const network = { httpProxy, httpsProxy, noProxy, caFiles }
+        const badProxy = [ httpProxy, httpsProxy ]
+            .find( ( { value } ) => value !== null && !/^https?:\/\/[^/\s]+/i.test( value ) )
+        if( badProxy !== undefined ) {
+            return {
+                network,
+                'error': `NET-001 network: Proxy "${NetworkSettings.mask( { 'url': badProxy[ 'value' ] } )[ 'url' ]}" (${badProxy[ 'source' ]}) is not an http(s) URL.`,
+                'fix': 'Use e.g. "network": { "proxy": "http://proxy.example:3128" } in ~/.flowmcp/config.json.'
+            }
+        }
+
+        const badCa = configCa.find( ( path ) => typeof path !== 'string' || path.length === 0 )
+        if( badCa !== undefined ) {
+            return { network, 'error': 'NET-002 network: caFile must be a path or a list of paths.', 'fix': 'Point network.caFile at a PEM file.' }
+        }
+
+        return { network, 'error': null, 'fix': null }
+    }
+
+
+    // resolve() plus reading the CA files — everything apply() needs, without installing.
+    static async check( { env = process.env } = {} ) {
+        const { network, error, fix } = await NetworkSettings.resolve( { env } )
+        if( error !== null ) {
+            return { network, 'certificates': [], error, fix }
+        }
+
+        const { certificates, error: caError, fix: caFix } = await NetworkSettings.#readCertificates( { 'caFiles': network[ 'caFiles' ] } )
+
+        return { network, certificates, 'error': caError, 'fix': caFix }
+    }
+
+
+    static async apply( { env = process.env } = {} ) {
+        const { network, certificates, error, fix } = await NetworkSettings.check( { env } )
+        const { httpProxy, httpsProxy, noProxy, caFiles } = network
+        if( error !== null ) {
+            const { Agent, setGlobalDispatcher } = await import( 'undici' )
+            const refusal = new Error( `${error} ${fix}` )
+            setGlobalDispatcher( new Agent( { 'connect': ( options, callback ) => callback( refusal, null ) } ) )
+
+            return { network, 'applied': false, 'blocked': true, error, fix }
+        }
+
+        if( httpProxy[ 'value' ] === null && httpsProxy[ 'value' ] === null && caFiles.length === 0 ) {
+            return { network, 'applied': false, 'blocked': false, 'error': null, 'fix': null }
+        }
+
+        // Loaded on demand: most runs configure nothing and never need undici.
+        const { EnvHttpProxyAgent, setGlobalDispatcher } = await import( 'undici' )
+        const tls = certificates.length === 0 ? {} : { 'ca': [ ...rootCertificates, ...certificates ] }
+        setGlobalDispatcher( new EnvHttpProxyAgent( {
+            'httpProxy': httpProxy[ 'value' ] || '',
+            'httpsProxy': httpsProxy[ 'value' ] || '',
+            'noProxy': noProxy[ 'value' ] || '',
+            'connect': tls,
+            'requestTls': tls,
+            'proxyTls': tls
+        } ) )
+
+        return { network, 'applied': true, 'blocked': false, 'error': null, 'fix': null }
+    }
+
+
+    // user:password in a proxy URL never reaches output.
+    static mask( { url } ) {
+        if( typeof url !== 'string' ) {
+            return { url }
+        }
+
+        return { 'url': url.replace( /^([a-z]+:\/\/)[^@/\s]+@/i, '$1***@' ) }
+    }
+
+
+    // Doctor view: proxies masked, one line per setting with where it came from.
+    static describe( { network } ) {
+        const line = ( { value, source } ) => value === null ? 'none' : `${NetworkSettings.mask( { 'url': value } )[ 'url' ]} (${source})`
+        const summary = {
+            'httpProxy': line( network[ 'httpProxy' ] ),
+            'httpsProxy': line( network[ 'httpsProxy' ] ),
+            'noProxy': line( network[ 'noProxy' ] ),
+            'caFiles': network[ 'caFiles' ].map( ( { path, source } ) => `${path} (${source})` )
+        }
+
+        return { summary }
+    }
+
+
+    static async #readCertificates( { caFiles } ) {
+        const results = await Promise.all( caFiles
+            .map( async ( { path } ) => {
+                const { data } = await FsUtils.readText( { 'filePath': path } )
+                const found = data === null ? [] : data.match( PEM_CERTIFICATE ) || []
+
+                return { path, 'readable': data !== null, found }
+            } ) )
+
+        const broken = results.find( ( { found } ) => found.length === 0 )
+        if( broken !== undefined ) {
+            return {
+                'certificates': [],
+                'error': `NET-002 network: CA file "${broken[ 'path' ]}" ${broken[ 'readable' ] ? 'contains no PEM certificate' : 'cannot be read'}.`,
+                'fix': 'Point network.caFile (or NODE_EXTRA_CA_CERTS) at a readable PEM bundle.'
+            }
+        }
+
+        return { 'certificates': results.flatMap( ( { found } ) => found ), 'error': null, 'fix': null }
+    }
+}
+
+
+export { NetworkSettings }
@@ -0,0 +1,163 @@
+import { YamlLite } from './YamlLite.mjs'
+
+
+// `--format json|ndjson|csv|tsv|yaml|table` — the renderer behind index.mjs output().
+// json (default) is the unchanged `JSON.stringify( result, null, 4 )`; yaml renders the
+// whole result. The row formats (ndjson, csv, tsv, table) render the command's row
+// field (rowsKey: `content` for call, `tools` for list/search, `sources` for schemas):
+// an array of objects is one row per item, nested objects flatten to dotted columns
+// (`meta.rank`), arrays inside a row stay JSON text, and the columns keep first-seen
+// key order across all rows. A failed result (status false) always prints as json,
+// so errors stay machine-readable whatever the format.
+const FORMATS = [ 'json', 'ndjson', 'csv', 'tsv', 'yaml', 'table' ]
+const TABLE_CELL_MAX = 60
+
+
+class OutputRenderer {
+    static formats() {
+        return FORMATS
+    }
+
+
+    static render( { result, format = 'json', rowsKey = null } ) {
+        if( !FORMATS.includes( format ) ) {
+            return {
+                'text': null,
+                'error': `FMT-001 output: Unknown --format "${format}".`,
+                'fix': `Use one of: ${FORMATS.join( ', ' )}`
+            }
+        }
+
+        const isFailure = result === null || typeof result !== 'object' || result[ 'status' ] === false
+        if( format === 'json' || isFailure ) {
+            return { 'text': JSON.stringify( result, null, 4 ) + '\n', 'error': null, 'fix': null }
+        }
+
+        if( format === 'yaml' ) {
+            const { text } = YamlLite.stringify( { 'value': result } )
+
+            return { text, 'error': null, 'fix': null }
+        }
+
+        const data = rowsKey !== null && result[ rowsKey ] !== undefined ? result[ rowsKey ] : result
+        const items = Array.isArray( data ) ? data : [ data ]
+
+        if( format === 'ndjson' ) {
+            const text = items.map( ( item ) => JSON.stringify( item ) ).join( '\n' )
+
+            return { 'text': items.length === 0 ? '' : text + '\n', 'error': null, 'fix': null }
+        }
+
+        const { columns, rows } = OutputRenderer.flatten( { items } )
+        const renderers = {
+            'csv': () => OutputRenderer.#delimited( { columns, rows, 'separator': ',', 'escape': OutputRenderer.#csvCell } ),
+            'tsv': () => OutputRenderer.#delimited( { columns, rows, 'separator': '\t', 'escape': OutputRenderer.#tsvCell } ),
+            'table': () => OutputRenderer.#table( { columns, rows } )
+        }
+
+        return { 'text': renderers[ format ](), 'error': null, 'fix': null }
+    }
+
+
+    // Items -> { columns, rows } with every row a flat column -> cell-text map.
+    // Scalar items become a single `value` column.
+    static flatten( { items } ) {
+        const flatRows = items
+            .map( ( item ) => {
+                const isObject = item !== null && typeof item === 'object' && !Array.isArray( item )
+
+                return isObject ? OutputRenderer.#flattenObject( { 'value': item, 'prefix': '' } ) : { 'value': item }
+            } )
+
+        const columns = flatRows
+            .reduce( ( acc, row ) => {
+                Object.keys( row )
+                    .filter( ( key ) => !acc.includes( key ) )
+                    .forEach( ( key ) => acc.push( key ) )
+
+                return acc
+            }, [] )
+
+        const rows = flatRows
+            .map( ( row ) => columns
+                .reduce( ( acc, column ) => {
+                    acc[ column ] = OutputRenderer.#cellText( { 'value': row[ column ] } )
+
+                    return acc
+                }, {} ) )
+
+        return { columns, rows }
+    }
+
+
+    static #flattenObject( { value, prefix } ) {
+        return Object.entries( value )
+            .reduce( ( acc, [ key, item ] ) => {
+                const column = prefix.length > 0 ? `${prefix}.${key}` : key
+                const isNested = item !== null && typeof item === 'object' && !Array.isArray( item ) && Object.keys( item ).length > 0
+
+                if( isNested ) {
+                    return { ...acc, ...OutputRenderer.#flattenObject( { 'value': item, 'prefix': column } ) }
+                }
+
+                acc[ column ] = item
+
+                return acc
+            }, {} )
+    }
+
+
+    static #cellText( { value } ) {
+        if( value === null || value === undefined ) {
+            return ''
+        }
+
+        return typeof value === 'object' ? JSON.stringify( value ) : String( value )
+    }
+
+
+    static #delimited( { columns, rows, separator, escape } ) {
+        const lines = [
+            columns.map( ( column ) => escape( column ) ).join( separator ),
+            ...rows.map( ( row ) => columns.map( ( column ) => escape( row[ column ] ) ).join( separator ) )
+        ]
+
+        return lines.join( '\n' ) + '\n'
+    }
+
+
+    static #csvCell( text ) {
+        return /[",\r\n]/.test( text ) ? `"${text.replace( /"/g, '""' )}"` : text
+    }
+
+
+    static #tsvCell( text ) {
+        return text.replace( /[\t\r\n]+/g, ' ' )
+    }
+
+
+    static #table( { columns, rows } ) {
+        if( columns.length === 0 ) {
+            return '(no rows)\n'
+        }
+
+        const fit = ( text ) => {
+            const single = text.replace( /[\t\r\n]+/g, ' ' )
+
+            return single.length > TABLE_CELL_MAX ? `${single.slice( 0, TABLE_CELL_MAX - 1 )}…` : single
+        }
+        const cells = rows.map( ( row ) => columns.map( ( column ) => fit( row[ column ] ) ) )
+        const widths = columns
+            .map( ( column, index ) => cells.reduce( ( max, row ) => Math.max( max, row[ index ].length ), fit( column ).length ) )
+        const line = ( values ) => values.map( ( value, index ) => value.padEnd( widths[ index ] ) ).join( '  ' ).trimEnd()
+
+        return [
+            line( columns.map( fit ) ),
+            line( widths.map( ( width ) => '-'.repeat( width ) ) ),
+            ...cells.map( line )
+        ].join( '\n' ) + '\n'
+    }
+}
+
+
+export { OutputRenderer }
@@ -0,0 +1,164 @@
+import { CallSettings } from './CallSettings.mjs'
+
+
+// `call --validate-output` — checks `content` against the route's declared
+// `output.schema` (the JSON-Schema subset the schemas use: type, properties, items,
+// required, nullable) to catch provider drift. Findings are grouped per path, with
+// array items folded into `[*]`, and counted:
+//   OVA-001  a declared field is missing (WARN) — all declared properties are
+//            expected unless the object lists `required`
+//   OVA-002  a value has a different type than declared (WARN)
+//   OVA-003  a field the schema does not declare (INFO)
+// Only WARN findings make the result invalid and produce warnings. Always-on via
+// `"outputValidation": { "enabled": true }` in the config (also per namespace).
+const MAX_MISMATCHES = 50
+const SEVERITY = {
+    'OVA-001': 'WARN',
+    'OVA-002': 'WARN',
+    'OVA-003': 'INFO'
+}
+
+
+class OutputValidator {
+    // validateOutput — the --validate-output flag; null falls back to the config.
+    static async isEnabled( { namespace = null, validateOutput = null } ) {
+        const { settings } = await CallSettings.resolve( {
+            'section': 'outputValidation',
+            namespace,
+            'overrides': { 'enabled': validateOutput === true ? true : undefined }
+        } )
+
+        return { 'enabled': settings[ 'enabled' ] === true }
+    }
+
+
+    static validate( { schema, content } ) {
+        const found = OutputValidator.#walk( { schema, 'value': content, 'path': '$', 'acc': new Map() } )
+        const all = [ ...found.values() ]
+        const mismatches = all.slice( 0, MAX_MISMATCHES )
+        const warned = all.filter( ( { severity } ) => severity === 'WARN' )
+        const warnings = [ 'OVA-001', 'OVA-002' ]
+            .map( ( code ) => ( { code, 'paths': warned.filter( ( entry ) => entry[ 'code' ] === code ).map( ( { path } ) => path ) } ) )
+            .filter( ( { paths } ) => paths.length > 0 )
+            .map( ( { code, paths } ) => {
+                const what = code === 'OVA-001' ? 'missing field(s)' : 'changed type(s)'
+                const listed = paths.slice( 0, 5 ).join( ', ' ) + ( paths.length > 5 ? `, +${paths.length - 5} more` : '' )
+
+                return `${code} output validation: ${paths.length} ${what}: ${listed}`
+            } )
+
+        const outputValidation = { 'checked': true, 'valid': warned.length === 0, mismatches, warnings }
+        if( all.length > MAX_MISMATCHES ) {
+            outputValidation[ 'truncated' ] = all.length - MAX_MISMATCHES
+        }
+
+        return { outputValidation }
+    }
+
+
+    static #walk( { schema, value, path, acc } ) {
+        if( schema === null || typeof schema !== 'object' ) {
+            return acc
+        }
+
+        const { types } = OutputValidator.#declaredTypes( { schema } )
+        const { type: actual } = OutputValidator.#typeOf( { value } )
+        const typeMatches = types.length === 0 || types.some( ( expected ) => OutputValidator.#isType( { expected, actual, value } ) )
+        if( !typeMatches ) {
+            return OutputValidator.#add( { acc, 'code': 'OVA-002', path, 'expected': types.join( '|' ), actual } )
+        }
+
+        if( actual === 'array' && schema[ 'items' ] !== undefined ) {
+            return value
+                .reduce( ( result, item ) => OutputValidator.#walk( { 'schema': schema[ 'items' ], 'value': item, 'path': `${path}[*]`, 'acc': result } ), acc )
+        }
+
+        const properties = schema[ 'properties' ]
+        if( actual !== 'object' || properties === null || typeof properties !== 'object' ) {
+            return acc
+        }
+
+        const expected = Array.isArray( schema[ 'required' ] ) ? schema[ 'required' ] : Object.keys( properties )
+        Object.keys( properties )
+            .forEach( ( key ) => {
+                const childPath = OutputValidator.#childPath( { path, key } )
+                if( value[ key ] === undefined ) {
+                    if( expected.includes( key ) ) {
+                        OutputValidator.#add( { acc, 'code': 'OVA-001', 'path': childPath, 'expected': OutputValidator.#declaredTypes( { 'schema': properties[ key ] } ).types.join( '|' ) || 'any', 'actual': 'missing' } )
+                    }
+
+                    return
+                }
+
+                OutputValidator.#walk( { 'schema': properties[ key ], 'value': value[ key ], 'path': childPath, acc } )
+            } )
+
+        if( Object.keys( properties ).length > 0 ) {
+            Object.keys( value )
+                .filter( ( key ) => properties[ key ] === undefined )
+                .forEach( ( key ) => {
+                    const { type } = OutputValidator.#typeOf( { 'value': value[ key ] } )
+                    OutputValidator.#add( { acc, 'code': 'OVA-003', 'path': OutputValidator.#childPath( { path, key } ), 'expected': 'undeclared', 'actual': type } )
+                } )
+        }
+
+        return acc
+    }
+
+
+    static #add( { acc, code, path, expected, actual } ) {
+        const key = `${code} ${path}`
+        const existing = acc.get( key )
+        if( existing !== undefined ) {
+            existing[ 'count' ] += 1
+
+            return acc
+        }
+
+        acc.set( key, { code, 'severity': SEVERITY[ code ], path, expected, actual, 'count': 1 } )
+
+        return acc
+    }
+
+
+    static #declaredTypes( { schema } ) {
+        const declared = schema === null || typeof schema !== 'object' || schema[ 'type' ] === undefined
+            ? []
+            : Array.isArray( schema[ 'type' ] ) ? schema[ 'type' ] : [ schema[ 'type' ] ]
+        const types = declared.length > 0 && schema[ 'nullable' ] === true && !declared.includes( 'null' )
+            ? [ ...declared, 'null' ]
+            : declared
+
+        return { types }
+    }
+
+
+    static #typeOf( { value } ) {
+        if( value === null ) {
+            return { 'type': 'null' }
+        }
+
+        if( Array.isArray( value ) ) {
+            return { 'type': 'array' }
+        }
+
+        return { 'type': typeof value }
+    }
+
+
+    static #isType( { expected, actual, value } ) {
+        if( expected === 'integer' ) {
+            return Number.isInteger( value )
+        }
+
+        return expected === actual
+    }
+
+
+    static #childPath( { path, key } ) {
+        return /^[A-Za-z_$][\w$]*$/.test( key ) ? `${path}.${key}` : `${path}[${JSON.stringify( key )}]`
+    }
+}
+
+
+export { OutputValidator }
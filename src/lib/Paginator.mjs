@@ -0,0 +1,332 @@
+import { HttpTransport } from './HttpTransport.mjs'
+import { JsonSelect } from './JsonSelect.mjs'
+
+
+// `--all-pages` — follows a tool's declared pagination at the HTTP level, so core's
+// handlers (and the grading pretest) see ONE response holding the items of every
+// page. A route declares it next to its `meta`:
+//   pagination: { type: 'cursor', itemsPath: '$.data', cursorParam: 'cursor', cursorPath: '$.next' }
+//   pagination: { type: 'offset', itemsPath: '$.data', offsetParam: 'offset', limitParam: 'limit', pageSize: 100 }
+//   pagination: { type: 'page',   itemsPath: '$.results', pageParam: 'page', startPage: 1, pageSize: 50 }
+//   pagination: { type: 'link',   itemsPath: '$' }        (RFC 8288 Link: <...>; rel="next")
+// The request params (cursorParam, offsetParam, pageParam) are API param names; they
+// are set in the query string, or in the JSON body when the route declares them with
+// location 'body'. itemsPath is a plain key/index path (JsonSelect syntax); the merged
+// response is the first page's body with the items at itemsPath replaced by all items.
+// Paging stops at an empty or short page, a missing next cursor / link, or maxPages.
+const DEFAULT_MAX_PAGES = 10
+const TYPES = {
+    'cursor': [ 'cursorParam', 'cursorPath' ],
+    'offset': [ 'offsetParam' ],
+    'page': [ 'pageParam' ],
+    'link': []
+}
+
+
+class Paginator {
+    // The paginated routes of a schema (routeNames narrows it, e.g. to the called
+    // tool), each with a URL matcher. A malformed declaration is PAG-001.
+    static routes( { main, routeNames = null } ) {
+        const tools = main[ 'routes' ] || main[ 'tools' ] || {}
+        const names = routeNames === null ? Object.keys( tools ) : routeNames
+        const declared = names
+            .filter( ( routeName ) => tools[ routeName ] && tools[ routeName ][ 'pagination' ] !== undefined )
+
+        const parsed = declared
+            .map( ( routeName ) => Paginator.#parseRoute( { main, routeName, 'route': tools[ routeName ] } ) )
+        const failed = parsed.find( ( entry ) => entry[ 'error' ] !== null )
+        if( failed !== undefined ) {
+            return {
+                'routes': [],
+                'error': failed[ 'error' ],
+                'fix': 'Fix the route\'s `pagination` block (type cursor|offset|page|link with its params and a key/index itemsPath).'
+            }
+        }
+
+        return { 'routes': parsed.map( ( { route } ) => route ), 'error': null, 'fix': null }
+    }
+
+
+    // --max-pages: a positive integer, DEFAULT_MAX_PAGES when not given.
+    static parseMaxPages( { maxPages = null } ) {
+        if( maxPages === null ) {
+            return { 'maxPages': DEFAULT_MAX_PAGES, 'error': null, 'fix': null }
+        }
+
+        const parsed = Number( maxPages )
+        if( !Number.isInteger( parsed ) || parsed < 1 ) {
+            return { 'maxPages': null, 'error': `PAG-002 pagination: Invalid --max-pages "${maxPages}".`, 'fix': 'Use a positive integer, e.g. --max-pages 20' }
+        }
+
+        return { 'maxPages': parsed, 'error': null, 'fix': null }
+    }
+
+
+    // report — `{ pages: 0, items: 0, complete: true, errors: [] }`, filled in place.
+    static interceptor( { routes, maxPages, report } ) {
+        return async ( { input, init, next } ) => {
+            const request = await HttpTransport.describe( { input, init } )
+            const route = routes.find( ( candidate ) => candidate[ 'matcher' ].test( request[ 'url' ].split( '?' )[ 0 ] ) )
+            if( route === undefined ) {
+                return next()
+            }
+
+            const first = await next()
+            const { body: firstBody } = await Paginator.#readJson( { 'response': first } )
+            const { value: firstItems } = firstBody === null ? { 'value': null } : JsonSelect.apply( { 'path': route[ 'itemsPath' ], 'data': firstBody } )
+            if( !first.ok || !Array.isArray( firstItems ) ) {
+                return first
+            }
+
+            const { items, pages, complete, error } = await Paginator.#follow( {
+                route,
+                request,
+                init,
+                next,
+                maxPages,
+                'page': { 'number': 1, 'items': firstItems, 'body': firstBody, 'response': first },
+                'collected': firstItems
+            } )
+
+            report[ 'pages' ] += pages
+            report[ 'items' ] += items.length
+            report[ 'complete' ] = report[ 'complete' ] && complete
+            if( error !== null ) {
+                report[ 'errors' ].push( error )
+            }
+
+            const { body: merged } = Paginator.#setAt( { 'body': firstBody, 'segments': route[ 'itemsPath' ][ 'segments' ], 'value': items } )
+            const headers = new Headers( first.headers )
+            headers.delete( 'content-length' )
+            headers.delete( 'content-encoding' )
+
+            return new Response( JSON.stringify( merged ), { 'status': first.status, 'statusText': first.statusText, headers } )
+        }
+    }
+
+
+    static async #follow( { route, request, init, next, maxPages, page, collected } ) {
+        const stop = ( complete, error = null ) => ( { 'items': collected, 'pages': page[ 'number' ], complete, error } )
+        const { nextRequest } = Paginator.#nextRequest( { route, request, page } )
+
+        if( nextRequest === null ) {
+            return stop( true )
+        }
+
+        if( page[ 'number' ] >= maxPages ) {
+            return stop( false )
+        }
+
+        const response = await next( {
+            'input': nextRequest[ 'url' ],
+            'init': { ...( init || {} ), 'method': request[ 'method' ], 'headers': request[ 'headers' ], 'body': nextRequest[ 'body' ] === null ? undefined : nextRequest[ 'body' ] }
+        } )
+        const { body } = await Paginator.#readJson( { response } )
+        const { value: items } = body === null ? { 'value': null } : JsonSelect.apply( { 'path': route[ 'itemsPath' ], 'data': body } )
+
+        if( !response.ok || !Array.isArray( items ) ) {
+            return stop( false, `Page ${page[ 'number' ] + 1}: ${response.ok ? 'items not found' : `HTTP ${response.status}`}` )
+        }
+
+        return Paginator.#follow( {
+            route,
+            'request': { ...request, 'url': nextRequest[ 'url' ], 'body': nextRequest[ 'body' ] },
+            init,
+            next,
+            maxPages,
+            'page': { 'number': page[ 'number' ] + 1, items, body, response },
+            'collected': [ ...collected, ...items ]
+        } )
+    }
+
+
+    static #nextRequest( { route, request, page } ) {
+        const { pagination } = route
+        const type = pagination[ 'type' ]
+        const none = { 'nextRequest': null }
+
+        if( page[ 'items' ].length === 0 ) {
+            return none
+        }
+
+        if( type === 'link' ) {
+            const { url } = Paginator.parseLinkNext( { 'header': page[ 'response' ].headers.get( 'link' ), 'base': request[ 'url' ] } )
+
+            return url === null ? none : { 'nextRequest': { url, 'body': request[ 'body' ] } }
+        }
+
+        if( type === 'cursor' ) {
+            const { value: cursor } = JsonSelect.apply( { 'path': route[ 'cursorPath' ], 'data': page[ 'body' ] } )
+            const { value: current } = Paginator.#readParam( { route, request, 'key': pagination[ 'cursorParam' ] } )
+            const usable = cursor !== null && cursor !== undefined && cursor !== false && String( cursor ).length > 0 && String( cursor ) !== current
+
+            return usable ? Paginator.#withParam( { route, request, 'key': pagination[ 'cursorParam' ], 'value': String( cursor ) } ) : none
+        }
+
+        const { pageSize } = Paginator.#pageSize( { route, request } )
+        if( pageSize !== null && page[ 'items' ].length < pageSize ) {
+            return none
+        }
+
+        if( type === 'offset' ) {
+            const { value: current } = Paginator.#readParam( { route, request, 'key': pagination[ 'offsetParam' ] } )
+            const offset = ( Number( current ) || 0 ) + page[ 'items' ].length
+
+            return Paginator.#withParam( { route, request, 'key': pagination[ 'offsetParam' ], 'value': String( offset ) } )
+        }
+
+        const { value: current } = Paginator.#readParam( { route, request, 'key': pagination[ 'pageParam' ] } )
+        const startPage = pagination[ 'startPage' ] === undefined ? 1 : Number( pagination[ 'startPage' ] )
+        const pageNumber = current === null ? startPage : Number( current )
+
+        return Paginator.#withParam( { route, request, 'key': pagination[ 'pageParam' ], 'value': String( pageNumber + 1 ) } )
+    }
+
+
+    // `<https://api.example.com/items?page=2>; rel="next", <...>; rel="last"`
+    static parseLinkNext( { header, base = undefined } ) {
+        if( typeof header !== 'string' ) {
+            return { 'url': null }
+        }
+
+        const next = header
+            .split( /,(?=\s*<)/ )
+            .map( ( part ) => part.match( /<([^>]*)>\s*;(.*)$/ ) )
+            .find( ( match ) => match !== null && /\brel\s*=\s*"?[^";]*\bnext\b/i.test( match[ 2 ] ) )
+
+        if( next === undefined ) {
+            return { 'url': null }
+        }
+
+        try {
+            return { 'url': new URL( next[ 1 ], base ).toString() }
+        } catch {
+            return { 'url': null }
+        }
+    }
+
+
+    static #parseRoute( { main, routeName, route } ) {
+        const fail = ( message ) => ( { 'route': null, 'error': `PAG-001 pagination: Route "${routeName}": ${message}` } )
+        const pagination = route[ 'pagination' ]
+        if( pagination === null || typeof pagination !== 'object' || TYPES[ pagination[ 'type' ] ] === undefined ) {
+            return fail( `type must be one of ${Object.keys( TYPES ).join( ', ' )}.` )
+        }
+
+        const missing = TYPES[ pagination[ 'type' ] ]
+            .filter( ( key ) => typeof pagination[ key ] !== 'string' || pagination[ key ].length === 0 )
+        if( missing.length > 0 ) {
+            return fail( `${pagination[ 'type' ]} pagination needs ${missing.join( ', ' )}.` )
+        }
+
+        const { path: itemsPath, error: itemsError } = JsonSelect.parse( { 'expression': pagination[ 'itemsPath' ] || '$' } )
+        const plain = itemsPath !== null && itemsPath[ 'segments' ].every( ( segment ) => segment[ 'type' ] === 'key' || segment[ 'type' ] === 'index' )
+        if( itemsError !== null || !plain ) {
+            return fail( `itemsPath "${pagination[ 'itemsPath' ]}" must be a key/index path like $.data.items.` )
+        }
+
+        const { path: cursorPath, error: cursorError } = pagination[ 'type' ] === 'cursor'
+            ? JsonSelect.parse( { 'expression': pagination[ 'cursorPath' ] } )
+            : { 'path': null, 'error': null }
+        if( cursorError !== null ) {
+            return fail( `cursorPath: ${cursorError}` )
+        }
+
+        const locations = ( route[ 'parameters' ] || [] )
+            .filter( ( param ) => param[ 'position' ] )
+            .reduce( ( acc, { position } ) => {
+                acc[ position[ 'key' ] ] = position[ 'location' ] || 'query'
+
+                return acc
+            }, {} )
+
+        const template = `${String( main[ 'root' ] || '' ).replace( /\/$/, '' )}${route[ 'path' ] || ''}`
+        const pattern = template
+            .split( /(\{\{[^}]+\}\}|:[A-Za-z_]\w*)/ )
+            .map( ( part, index ) => index % 2 === 1 ? '[^/]+' : part.replace( /[.*+?^${}()|[\]\\]/g, '\\$&' ) )
+            .join( '' )
+
+        return {
+            'route': { routeName, pagination, itemsPath, cursorPath, locations, 'matcher': new RegExp( `^${pattern}/?$` ) },
+            'error': null
+        }
+    }
+
+
+    static #pageSize( { route, request } ) {
+        const { pagination } = route
+        const fromRequest = typeof pagination[ 'limitParam' ] === 'string'
+            ? Paginator.#readParam( { route, request, 'key': pagination[ 'limitParam' ] } )[ 'value' ]
+            : null
+        const size = Number( fromRequest !== null ? fromRequest : pagination[ 'pageSize' ] )
+
+        return { 'pageSize': Number.isInteger( size ) && size > 0 ? size : null }
+    }
+
+
+    static #readParam( { route, request, key } ) {
+        if( route[ 'locations' ][ key ] === 'body' ) {
+            const { json } = Paginator.#parseBody( { 'body': request[ 'body' ] } )
+            const value = json[ key ]
+
+            return { 'value': value === undefined || value === null ? null : String( value ) }
+        }
+
+        return { 'value': new URL( request[ 'url' ] ).searchParams.get( key ) }
+    }
+
+
+    static #withParam( { route, request, key, value } ) {
+        if( route[ 'locations' ][ key ] === 'body' ) {
+            const { json } = Paginator.#parseBody( { 'body': request[ 'body' ] } )
+            // Keep the original type when the API sent a number.
+            const typed = typeof json[ key ] === 'number' ? Number( value ) : value
+
+            return { 'nextRequest': { 'url': request[ 'url' ], 'body': JSON.stringify( { ...json, [ key ]: typed } ) } }
+        }
+
+        const url = new URL( request[ 'url' ] )
+        url.searchParams.set( key, value )
+
+        return { 'nextRequest': { 'url': url.toString(), 'body': request[ 'body' ] } }
+    }
+
+
+    static #parseBody( { body } ) {
+        try {
+            const json = JSON.parse( body )
+
+            return { 'json': json !== null && typeof json === 'object' ? json : {} }
+        } catch {
+            return { 'json': {} }
+        }
+    }
+
+
+    static async #readJson( { response } ) {
+        try {
+            return { 'body': await response.clone().json() }
+        } catch {
+            return { 'body': null }
+        }
+    }
+
+
+    static #setAt( { body, segments, value } ) {
+        if( segments.length === 0 ) {
+            return { 'body': value }
+        }
+
+        const [ segment, ...rest ] = segments
+        const key = segment[ 'type' ] === 'key'
+            ? segment[ 'key' ]
+            : segment[ 'index' ] < 0 ? body.length + segment[ 'index' ] : segment[ 'index' ]
+        const copy = Array.isArray( body ) ? [ ...body ] : { ...body }
+        copy[ key ] = Paginator.#setAt( { 'body': body[ key ], 'segments': rest, value } )[ 'body' ]
+
+        return { 'body': copy }
+    }
+}
+
+
+export { Paginator }
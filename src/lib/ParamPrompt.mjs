@@ -0,0 +1,167 @@
+import { ParamValidator } from './ParamValidator.mjs'
+
+
+// Question building for `call --interactive`. Turns a route's parameter metadata —
+// SearchCommand.extractParameterDetails (order, type, shared-list name) plus
+// SearchCommand.extractParameters (shared-list enums already interpolated, defaults) —
+// into inquirer questions, and the answers back into the user-params object.
+// Required params come first. Enums become a selectable list; an optional one gets
+// a "skip" entry. Defaults (or values already given as JSON args) are pre-filled.
+// Enum values come from ParamValidator.enumValues, so a picked choice is exactly a
+// value the validator accepts. Pure: no I/O and no inquirer import — the caller hands
+// its prompt function to ask(), which turns Ctrl-C (ExitPromptError) into `cancelled`.
+const SKIP = '__flowmcp_skip__'
+
+
+class ParamPrompt {
+    static buildQuestions( { requiredParams, optionalParams, expectedParameters, routeParameters = [], userParams = {} } ) {
+        const questions = [
+            ...requiredParams.map( ( detail ) => ( { detail, 'required': true } ) ),
+            ...optionalParams.map( ( detail ) => ( { detail, 'required': false } ) )
+        ]
+            .filter( ( { detail } ) => expectedParameters[ detail[ 'key' ] ] !== undefined )
+            .map( ( { detail, required }, index ) => {
+                const { key, type, listRef } = detail
+                const expected = expectedParameters[ key ]
+                const given = userParams[ key ]
+                const fallback = given !== undefined ? given : expected[ 'default' ]
+                const { values } = ParamPrompt.#enumValues( { key, expected, routeParameters } )
+                const label = `${key}${listRef ? ` (${listRef})` : ''}${required ? '' : ' [optional]'}`
+
+                const question = {
+                    'name': `p${index}`,
+                    'message': label,
+                    key,
+                    'paramType': values.length > 0 ? 'enum' : type,
+                    required
+                }
+
+                if( values.length > 0 ) {
+                    const choices = required
+                        ? values
+                        : [ { 'name': '(skip)', 'value': SKIP }, ...values ]
+
+                    return {
+                        ...question,
+                        'type': 'list',
+                        choices,
+                        'default': fallback !== undefined && values.includes( String( fallback ) ) ? String( fallback ) : required ? undefined : SKIP
+                    }
+                }
+
+                return {
+                    ...question,
+                    'type': 'input',
+                    'default': fallback === undefined ? undefined : ParamPrompt.#toText( { 'value': fallback } ),
+                    'validate': ( input ) => ParamPrompt.#validate( { input, 'paramType': question[ 'paramType' ], required } )
+                }
+            } )
+
+        return { questions }
+    }
+
+
+    // prompt — inquirer.prompt or a stand-in. { answers, cancelled }; any other error
+    // than the Ctrl-C one is rethrown.
+    static async ask( { prompt, questions } ) {
+        try {
+            const answers = await prompt( questions )
+
+            return { answers, 'cancelled': false }
+        } catch( err ) {
+            if( err && err.name === 'ExitPromptError' ) {
+                return { 'answers': null, 'cancelled': true }
+            }
+
+            throw err
+        }
+    }
+
+
+    // answers are keyed by question name (p0, p1, ...), never by param key — a key
+    // with a dot would otherwise become a nested path in inquirer.
+    static assemble( { questions, answers } ) {
+        const userParams = questions
+            .reduce( ( acc, question ) => {
+                const raw = answers[ question[ 'name' ] ]
+                const isEmpty = raw === undefined || raw === SKIP || String( raw ).trim().length === 0
+                if( isEmpty ) {
+                    return acc
+                }
+
+                acc[ question[ 'key' ] ] = ParamPrompt.#convert( { 'input': raw, 'paramType': question[ 'paramType' ] } )
+
+                return acc
+            }, {} )
+
+        return { userParams }
+    }
+
+
+    static #enumValues( { key, expected, routeParameters } ) {
+        const param = routeParameters
+            .find( ( candidate ) => candidate[ 'position' ] && candidate[ 'position' ][ 'key' ] === key )
+
+        return ParamValidator.enumValues( { 'z': param && param[ 'z' ] ? param[ 'z' ] : {}, expected } )
+    }
+
+
+    static #validate( { input, paramType, required } ) {
+        const text = String( input ).trim()
+        if( text.length === 0 ) {
+            return required ? 'Required — enter a value.' : true
+        }
+
+        if( paramType === 'number' && Number.isNaN( Number( text ) ) ) {
+            return 'Enter a number.'
+        }
+
+        if( paramType === 'boolean' && ![ 'true', 'false' ].includes( text ) ) {
+            return 'Enter true or false.'
+        }
+
+        if( paramType === 'array' || paramType === 'object' ) {
+            try {
+                JSON.parse( text )
+            } catch {
+                return paramType === 'array' && !text.startsWith( '[' ) ? true : 'Enter valid JSON.'
+            }
+        }
+
+        return true
+    }
+
+
+    static #convert( { input, paramType } ) {
+        const text = String( input ).trim()
+
+        if( paramType === 'number' ) {
+            return Number( text )
+        }
+
+        if( paramType === 'boolean' ) {
+            return text === 'true'
+        }
+
+        if( paramType === 'array' ) {
+            // JSON array, or a plain comma list ("a, b, c").
+            return text.startsWith( '[' )
+                ? JSON.parse( text )
+                : text.split( ',' ).map( ( item ) => item.trim() ).filter( ( item ) => item.length > 0 )
+        }
+
+        if( paramType === 'object' ) {
+            return JSON.parse( text )
+        }
+
+        return text
+    }
+
+
+    static #toText( { value } ) {
+        return typeof value === 'string' ? value : JSON.stringify( value )
+    }
+}
+
+
+export { ParamPrompt }
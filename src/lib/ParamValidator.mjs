@@ -0,0 +1,261 @@
+// Client-side parameter validation, run BEFORE any HTTP request. Checks the user
+// params against each route parameter's declared `z` block — the primitive (type /
+// enum) and the options min(), max(), length(), regex() — and returns EVERY
+// violation at once, each with its own CAL-0xx code and an example value that
+// would pass — or null when none can be derived (a regex() without a matching
+// default()); exampleArgs then leaves that param out. Presence of required params is NOT checked here (the callers already
+// gate that first); an absent param is skipped. Shared by `call` and `private call`.
+// Pure: no I/O, no core dependency — shared-list enums arrive pre-interpolated via
+// expectedParameters (SearchCommand.extractParameters) or as the v4 `z.enum` array;
+// an enum that is empty or still holds an uninterpolated {{...}} template is not checked.
+//
+// Violation codes:
+//   CAL-003  type mismatch (string/number/boolean/array/object)
+//   CAL-004  value not in enum
+//   CAL-005  below min()
+//   CAL-006  above max()
+//   CAL-007  length() mismatch
+//   CAL-008  regex() mismatch
+class ParamValidator {
+    static validate( { routeParameters, userParams, expectedParameters = {} } ) {
+        const params = userParams !== null && typeof userParams === 'object' ? userParams : {}
+
+        const violations = ( routeParameters || [] )
+            .filter( ( param ) => {
+                const isUserParam = param[ 'position' ] && param[ 'position' ][ 'value' ] === '{{USER_PARAM}}'
+
+                return isUserParam && param[ 'z' ]
+            } )
+            .filter( ( param ) => params[ param[ 'position' ][ 'key' ] ] !== undefined )
+            .flatMap( ( param ) => {
+                const key = param[ 'position' ][ 'key' ]
+                const { primitive = '', options = [] } = param[ 'z' ]
+                const value = params[ key ]
+                const expected = expectedParameters[ key ] || {}
+                const { type, enumValues } = ParamValidator.#parsePrimitive( { 'z': param[ 'z' ], primitive, expected } )
+
+                const typeViolation = ParamValidator.#checkType( { key, type, enumValues, value, options } )
+                if( typeViolation !== null ) {
+                    return [ typeViolation ]
+                }
+
+                return ParamValidator.#checkOptions( { key, type, value, options } )
+            } )
+
+        return { violations }
+    }
+
+
+    // The allowed values of an enum param, normalized once for every consumer (this
+    // validator and ParamPrompt): the first usable source of interpolated shared-list
+    // values, the v4 `z.enum` array and the inline `enum(a,b)` primitive, with
+    // surrounding quotes stripped. [] when there is none or it is still a template.
+    static enumValues( { z = {}, expected = {} } ) {
+        const { primitive = '', 'enum': zEnum = null } = z || {}
+        const inline = String( primitive ).startsWith( 'enum(' )
+            ? String( primitive ).slice( 5, -1 ).split( ',' ).map( ( v ) => v.trim() ).filter( ( v ) => v.length > 0 )
+            : []
+        const source = [ expected[ 'values' ], zEnum, inline ]
+            .find( ( values ) => Array.isArray( values ) && values.length > 0 && values.some( ( v ) => String( v ).includes( '{{' ) ) === false )
+        const values = source === undefined
+            ? []
+            : source.map( ( value ) => String( value ).trim().replace( /^(['"])(.*)\1$/, '$2' ) )
+
+        return { values }
+    }
+
+
+    // One short clause per violation, for the top-level error message.
+    static describe( { violations } ) {
+        const summary = violations
+            .map( ( { param, code, message } ) => `${param} (${code} ${message})` )
+            .join( '; ' )
+
+        return { summary }
+    }
+
+
+    // The user params with every violating key replaced by its passing example, or
+    // dropped when the violation has none.
+    static exampleArgs( { userParams, violations } ) {
+        const example = { ...( userParams || {} ) }
+
+        violations
+            .forEach( ( { param, example: value } ) => {
+                if( value === null ) {
+                    delete example[ param ]
+
+                    return
+                }
+
+                example[ param ] = value
+            } )
+
+        return { example }
+    }
+
+
+    static #parsePrimitive( { z, primitive, expected } ) {
+        const match = primitive.match( /^([a-zA-Z]+)\(/ )
+        const type = match ? match[ 1 ] : null
+
+        if( type !== 'enum' ) {
+            return { type, 'enumValues': null }
+        }
+
+        const { values } = ParamValidator.enumValues( { z, expected } )
+
+        return { type, 'enumValues': values.length > 0 ? values : null }
+    }
+
+
+    static #checkType( { key, type, enumValues, value, options } ) {
+        const actual = Array.isArray( value ) ? 'array' : value === null ? 'null' : typeof value
+        const violation = ( { code, message, example } ) => {
+            return { code, 'param': key, message, 'received': value, example }
+        }
+
+        if( type === 'enum' ) {
+            if( enumValues === null || enumValues.includes( value ) ) {
+                return null
+            }
+
+            const preview = enumValues.length > 10
+                ? `${enumValues.slice( 0, 10 ).join( ', ' )}, … (${enumValues.length} total)`
+                : enumValues.join( ', ' )
+
+            return violation( {
+                'code': 'CAL-004',
+                'message': `"${value}" is not one of: ${preview}`,
+                'example': enumValues[ 0 ]
+            } )
+        }
+
+        const checks = {
+            'string': () => typeof value === 'string',
+            'number': () => typeof value === 'number' && Number.isFinite( value ),
+            'boolean': () => typeof value === 'boolean',
+            'array': () => Array.isArray( value ),
+            'object': () => actual === 'object'
+        }
+
+        if( checks[ type ] === undefined || checks[ type ]() ) {
+            return null
+        }
+
+        return violation( {
+            'code': 'CAL-003',
+            'message': `expected ${type}, got ${actual}`,
+            'example': ParamValidator.#exampleFor( { type, options } )
+        } )
+    }
+
+
+    static #checkOptions( { key, type, value, options } ) {
+        const measured = type === 'number'
+            ? { 'size': value, 'unit': '' }
+            : { 'size': typeof value === 'string' || Array.isArray( value ) ? value.length : null, 'unit': type === 'array' ? ' item(s)' : ' character(s)' }
+        const example = ParamValidator.#exampleFor( { type, options } )
+
+        const violations = ( options || [] )
+            .map( ( option ) => {
+                const match = String( option ).match( /^([a-zA-Z]+)\(([\s\S]*)\)$/ )
+                if( !match ) {
+                    return null
+                }
+
+                const [ , name, inner ] = match
+                const limit = Number( inner )
+                const { size, unit } = measured
+
+                if( name === 'min' && size !== null && !Number.isNaN( limit ) && size < limit ) {
+                    return { 'code': 'CAL-005', 'param': key, 'message': `must be at least ${limit}${unit}`, 'received': value, example }
+                }
+
+                if( name === 'max' && size !== null && !Number.isNaN( limit ) && size > limit ) {
+                    return { 'code': 'CAL-006', 'param': key, 'message': `must be at most ${limit}${unit}`, 'received': value, example }
+                }
+
+                if( name === 'length' && size !== null && type !== 'number' && !Number.isNaN( limit ) && size !== limit ) {
+                    return { 'code': 'CAL-007', 'param': key, 'message': `must be exactly ${limit}${unit}`, 'received': value, example }
+                }
+
+                if( name === 'regex' && typeof value === 'string' ) {
+                    const { regex } = ParamValidator.#compileRegex( { 'source': inner } )
+                    if( regex !== null && regex.test( value ) === false ) {
+                        return { 'code': 'CAL-008', 'param': key, 'message': `must match ${inner}`, 'received': value, example }
+                    }
+                }
+
+                return null
+            } )
+            .filter( ( violation ) => violation !== null )
+
+        return violations
+    }
+
+
+    // regex() accepts a bare pattern or a /pattern/flags literal. An unparseable
+    // pattern is the schema's problem (validate/doctor), never the caller's.
+    static #compileRegex( { source } ) {
+        const literal = source.match( /^\/([\s\S]+)\/([a-z]*)$/ )
+
+        try {
+            const regex = literal
+                ? new RegExp( literal[ 1 ], literal[ 2 ] )
+                : new RegExp( source )
+
+            return { regex }
+        } catch {
+            return { 'regex': null }
+        }
+    }
+
+
+    static #exampleFor( { type, options } ) {
+        const optionValue = ( name ) => {
+            const found = ( options || [] )
+                .find( ( option ) => String( option ).startsWith( `${name}(` ) )
+
+            return found === undefined ? null : String( found ).slice( name.length + 1, -1 )
+        }
+
+        const defaultValue = optionValue( 'default' )
+        const min = Number( optionValue( 'min' ) )
+        const length = Number( optionValue( 'length' ) )
+
+        if( type === 'number' ) {
+            if( defaultValue !== null && !Number.isNaN( Number( defaultValue ) ) ) {
+                return Number( defaultValue )
+            }
+
+            return optionValue( 'min' ) !== null && !Number.isNaN( min ) ? min : 1
+        }
+
+        if( type === 'boolean' ) {
+            return defaultValue === null ? true : defaultValue === 'true'
+        }
+
+        if( type === 'array' ) {
+            return []
+        }
+
+        if( type === 'object' ) {
+            return {}
+        }
+
+        const size = optionValue( 'length' ) !== null && !Number.isNaN( length )
+            ? length
+            : optionValue( 'min' ) !== null && !Number.isNaN( min ) ? min : 0
+        const candidate = defaultValue !== null
+            ? defaultValue
+            : size > 0 ? 'x'.repeat( size ) : '<string>'
+        const pattern = optionValue( 'regex' )
+        const { regex } = pattern === null ? { 'regex': null } : ParamValidator.#compileRegex( { 'source': pattern } )
+
+        return regex === null || regex.test( candidate ) ? candidate : null
+    }
+}
+
+
+export { ParamValidator }
@@ -0,0 +1,59 @@
+import { performance } from 'node:perf_hooks'
+
+
+// `call --timings` — wall-clock durations of the named phases of one call. A timer is
+// a plain object threaded through the call (CallCommand keeps it on its trace);
+// measure() with a null timer only runs the work, so the phases cost nothing when the
+// flag is off. A phase that runs more than once (a stale-index re-scan, pages) adds up
+// and counts its runs. report() rounds to 0.1 ms; otherMs is the part of the total no
+// phase covers (args parsing, param validation, output checks).
+class PhaseTimer {
+    static create( { enabled = true } = {} ) {
+        const timer = enabled === true
+            ? { 'startedAt': performance.now(), 'phases': new Map() }
+            : null
+
+        return { timer }
+    }
+
+
+    static async measure( { timer, phase, execute } ) {
+        if( timer === null || timer === undefined ) {
+            return execute()
+        }
+
+        const startedAt = performance.now()
+        try {
+            return await execute()
+        } finally {
+            const entry = timer[ 'phases' ].get( phase ) || { 'ms': 0, 'count': 0 }
+            entry[ 'ms' ] += performance.now() - startedAt
+            entry[ 'count' ] += 1
+            timer[ 'phases' ].set( phase, entry )
+        }
+    }
+
+
+    static report( { timer } ) {
+        const round = ( ms ) => Math.round( ms * 10 ) / 10
+        const totalMs = performance.now() - timer[ 'startedAt' ]
+        const phases = [ ...timer[ 'phases' ].entries() ]
+            .map( ( [ phase, { ms, count } ] ) => {
+                const entry = { phase, 'ms': round( ms ) }
+                if( count > 1 ) {
+                    entry[ 'count' ] = count
+                }
+
+                return entry
+            } )
+        const measuredMs = [ ...timer[ 'phases' ].values() ]
+            .reduce( ( sum, { ms } ) => sum + ms, 0 )
+
+        const timings = { 'totalMs': round( totalMs ), phases, 'otherMs': round( Math.max( totalMs - measuredMs, 0 ) ) }
+
+        return { timings }
+    }
+}
+
+
+export { PhaseTimer }
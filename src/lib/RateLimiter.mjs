@@ -0,0 +1,132 @@
+import { join } from 'node:path'
+import { mkdirSync } from 'node:fs'
+
+import Database from 'better-sqlite3'
+
+import { CallSettings } from './CallSettings.mjs'
+import { ConfigStore } from './ConfigStore.mjs'
+import { Duration } from './Duration.mjs'
+
+
+// Cross-process token bucket per namespace. Limits come from CallSettings section
+// `rateLimit` — global config, then the schema's own main.rateLimit, then
+// namespaces.<ns>.rateLimit: `{ requests: 30, per: '1m', maxWaitMs: 60000 }`. Without
+// `requests` the namespace is unlimited. The bucket state lives in
+// ~/.flowmcp/ratelimit.sqlite, so every flowmcp process running in parallel draws
+// from the same bucket. A request reserves its token inside one IMMEDIATE
+// transaction (the bucket may go negative = queued reservations) and then sleeps
+// until the token is due; a wait longer than maxWaitMs is refused without reserving.
+const DEFAULT_MAX_WAIT_MS = 60000
+
+
+class RateLimiter {
+    static statePath() {
+        const statePath = join( ConfigStore.globalConfigDir(), 'ratelimit.sqlite' )
+
+        return statePath
+    }
+
+
+    static async resolve( { namespace, main = null } ) {
+        const schemaSettings = main !== null && typeof main === 'object' ? main[ 'rateLimit' ] : undefined
+        const { settings } = await CallSettings.resolve( { 'section': 'rateLimit', namespace, schemaSettings } )
+        const fail = ( error ) => ( {
+            'limit': null,
+            'error': `RTL-001 rateLimit: ${error}`,
+            'fix': `Check the rateLimit block for "${namespace}" in ~/.flowmcp/config.json or the schema's main.rateLimit.`
+        } )
+
+        if( settings[ 'requests' ] === undefined ) {
+            return { 'limit': null, 'error': null, 'fix': null }
+        }
+
+        const requests = Number( settings[ 'requests' ] )
+        if( !Number.isInteger( requests ) || requests < 1 ) {
+            return fail( `requests must be an integer >= 1, got "${settings[ 'requests' ]}".` )
+        }
+
+        const { ms: perMs, error: perError } = Duration.parse( { 'value': settings[ 'per' ] === undefined ? '1m' : settings[ 'per' ] } )
+        if( perError !== null || perMs <= 0 ) {
+            return fail( `per: ${perError || 'must be longer than 0.'}` )
+        }
+
+        const maxWaitMs = settings[ 'maxWaitMs' ] === undefined ? DEFAULT_MAX_WAIT_MS : Number( settings[ 'maxWaitMs' ] )
+        if( !Number.isFinite( maxWaitMs ) || maxWaitMs < 0 ) {
+            return fail( `maxWaitMs must be a number >= 0, got "${settings[ 'maxWaitMs' ]}".` )
+        }
+
+        return { 'limit': { namespace, requests, perMs, maxWaitMs }, 'error': null, 'fix': null }
+    }
+
+
+    // Reserves one token. Returns how long the caller must wait before sending;
+    // granted:false when that wait would exceed maxWaitMs (nothing reserved then).
+    static acquire( { limit, now = Date.now() } ) {
+        const { namespace, requests, perMs, maxWaitMs } = limit
+        const rate = requests / perMs
+        const statePath = RateLimiter.statePath()
+        mkdirSync( ConfigStore.globalConfigDir(), { 'recursive': true } )
+
+        const db = new Database( statePath )
+        try {
+            db.pragma( 'journal_mode = WAL' )
+            db.pragma( 'busy_timeout = 5000' )
+            db.exec( 'CREATE TABLE IF NOT EXISTS buckets ( key TEXT PRIMARY KEY, tokens REAL NOT NULL, updated_at INTEGER NOT NULL )' )
+
+            const reserve = db.transaction( () => {
+                const row = db.prepare( 'SELECT tokens, updated_at FROM buckets WHERE key = ?' ).get( namespace )
+                const available = row === undefined
+                    ? requests
+                    : Math.min( requests, row[ 'tokens' ] + Math.max( 0, now - row[ 'updated_at' ] ) * rate )
+                const waitMs = available >= 1 ? 0 : Math.ceil( ( 1 - available ) / rate )
+
+                if( waitMs > maxWaitMs ) {
+                    return { waitMs, 'granted': false }
+                }
+
+                db.prepare( 'INSERT INTO buckets ( key, tokens, updated_at ) VALUES ( ?, ?, ? ) ON CONFLICT( key ) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at' )
+                    .run( namespace, available - 1, now )
+
+                return { waitMs, 'granted': true }
+            } )
+
+            return reserve.immediate()
+        } finally {
+            db.close()
+        }
+    }
+
+
+    // report — `{ namespace, waitedMs: 0, requests: 0 }`, filled in place.
+    static interceptor( { limit, report, sleep = RateLimiter.#sleep } ) {
+        return async ( { next } ) => {
+            let reservation = null
+            try {
+                reservation = RateLimiter.acquire( { limit } )
+            } catch( err ) {
+                throw new Error( `RTL-003 rateLimit: Cannot use ${RateLimiter.statePath()}: ${err.message}` )
+            }
+
+            const { waitMs, granted } = reservation
+            if( !granted ) {
+                throw new Error( `RTL-002 rateLimit: "${limit[ 'namespace' ]}" is limited to ${limit[ 'requests' ]} requests per ${limit[ 'perMs' ]}ms; the next slot is ${waitMs}ms away (maxWaitMs ${limit[ 'maxWaitMs' ]}).` )
+            }
+
+            report[ 'requests' ] += 1
+            report[ 'waitedMs' ] += waitMs
+            if( waitMs > 0 ) {
+                await sleep( waitMs )
+            }
+
+            return next()
+        }
+    }
+
+
+    static #sleep( ms ) {
+        return new Promise( ( resolve ) => setTimeout( resolve, ms ) )
+    }
+}
+
+
+export { RateLimiter }
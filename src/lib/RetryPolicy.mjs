@@ -0,0 +1,162 @@
+import { CallSettings } from './CallSettings.mjs'
+import { HttpTransport } from './HttpTransport.mjs'
+
+
+// Retry with exponential backoff for the HTTP requests of a tool call. Settings come
+// from CallSettings section `retry` (global config, then namespaces.<ns>.retry, then
+// flags). A request is retried on 408/429/502/503/504 or a network error (fetch
+// TypeError), up to maxAttempts in total. The delay doubles from baseDelayMs, capped at
+// maxDelayMs; jitter picks a random point in the upper half of it. A Retry-After header
+// (seconds or HTTP date) replaces the computed delay, also capped at maxDelayMs.
+// Retrying is opt-in: maxAttempts defaults to 1, so nothing is sent twice unless the
+// config or --max-attempts asks for it. Even then only idempotent methods are retried
+// unless retryNonIdempotent is set. Every retry lands in the report the caller passes
+// in, so the result JSON can show it.
+const DEFAULTS = {
+    'maxAttempts': 1,
+    'baseDelayMs': 500,
+    'maxDelayMs': 30000,
+    'jitter': true,
+    'respectRetryAfter': true,
+    'retryNonIdempotent': false,
+    'statuses': [ 408, 429, 502, 503, 504 ]
+}
+
+const IDEMPOTENT_METHODS = [ 'GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE' ]
+
+
+class RetryPolicy {
+    static async resolve( { namespace = null, overrides = {} } ) {
+        const { settings } = await CallSettings.resolve( { 'section': 'retry', namespace, overrides } )
+        const policy = { ...DEFAULTS, ...settings }
+        const fail = ( error ) => ( {
+            'policy': null,
+            'error': `RTY-001 retry: ${error}`,
+            'fix': 'Check the `retry` block in ~/.flowmcp/config.json and the --max-attempts / --retry-delay flags.'
+        } )
+
+        const maxAttempts = Number( policy[ 'maxAttempts' ] )
+        if( !Number.isInteger( maxAttempts ) || maxAttempts < 1 ) {
+            return fail( `maxAttempts must be an integer >= 1, got "${policy[ 'maxAttempts' ]}".` )
+        }
+
+        const baseDelayMs = Number( policy[ 'baseDelayMs' ] )
+        const maxDelayMs = Number( policy[ 'maxDelayMs' ] )
+        const invalidDelay = [ [ 'baseDelayMs', baseDelayMs ], [ 'maxDelayMs', maxDelayMs ] ]
+            .find( ( [ , value ] ) => !Number.isFinite( value ) || value < 0 )
+        if( invalidDelay !== undefined ) {
+            return fail( `${invalidDelay[ 0 ]} must be a number >= 0, got "${policy[ invalidDelay[ 0 ] ]}".` )
+        }
+
+        const statuses = policy[ 'statuses' ]
+        if( !Array.isArray( statuses ) || !statuses.every( ( status ) => Number.isInteger( status ) ) ) {
+            return fail( 'statuses must be an array of HTTP status codes.' )
+        }
+
+        return {
+            'policy': {
+                ...policy,
+                maxAttempts,
+                baseDelayMs,
+                maxDelayMs,
+                'jitter': policy[ 'jitter' ] === true,
+                'respectRetryAfter': policy[ 'respectRetryAfter' ] === true,
+                'retryNonIdempotent': policy[ 'retryNonIdempotent' ] === true
+            },
+            'error': null,
+            'fix': null
+        }
+    }
+
+
+    // report — `{ attempts: 0, retries: [] }`, filled in place across all requests of
+    // the call. sleep and random are injectable for tests.
+    static interceptor( { policy, report, sleep = RetryPolicy.#sleep, random = Math.random } ) {
+        return async ( { input, init, next } ) => {
+            const { method, url } = await HttpTransport.describe( { input, init } )
+            const retryable = policy[ 'retryNonIdempotent' ] || IDEMPOTENT_METHODS.includes( method )
+
+            const attempt = async ( { number } ) => {
+                report[ 'attempts' ] += 1
+                const isLast = !retryable || number >= policy[ 'maxAttempts' ]
+                let response = null
+
+                try {
+                    response = await next()
+                } catch( err ) {
+                    if( isLast || err === null || err[ 'name' ] !== 'TypeError' ) {
+                        throw err
+                    }
+
+                    const { delayMs } = RetryPolicy.delayFor( { policy, 'attempt': number, 'retryAfterMs': null, random } )
+                    report[ 'retries' ].push( { method, url, 'attempt': number, 'error': err.message, delayMs } )
+                    await sleep( delayMs )
+
+                    return attempt( { 'number': number + 1 } )
+                }
+
+                if( isLast || !policy[ 'statuses' ].includes( response.status ) ) {
+                    return response
+                }
+
+                const { ms: retryAfterMs } = policy[ 'respectRetryAfter' ]
+                    ? RetryPolicy.parseRetryAfter( { 'value': response.headers.get( 'retry-after' ) } )
+                    : { 'ms': null }
+                const { delayMs } = RetryPolicy.delayFor( { policy, 'attempt': number, retryAfterMs, random } )
+                report[ 'retries' ].push( { method, url, 'attempt': number, 'status': response.status, delayMs } )
+
+                if( response.body !== null ) {
+                    await response.body.cancel().catch( () => {} )
+                }
+                await sleep( delayMs )
+
+                return attempt( { 'number': number + 1 } )
+            }
+
+            return attempt( { 'number': 1 } )
+        }
+    }
+
+
+    static delayFor( { policy, attempt, retryAfterMs = null, random = Math.random } ) {
+        if( retryAfterMs !== null ) {
+            return { 'delayMs': Math.min( retryAfterMs, policy[ 'maxDelayMs' ] ) }
+        }
+
+        const exponential = Math.min( policy[ 'baseDelayMs' ] * ( 2 ** ( attempt - 1 ) ), policy[ 'maxDelayMs' ] )
+        const delayMs = policy[ 'jitter' ]
+            ? Math.round( exponential / 2 + random() * exponential / 2 )
+            : exponential
+
+        return { delayMs }
+    }
+
+
+    // Retry-After is either delta-seconds ("120") or an HTTP date. Anything else,
+    // or a date in the past, yields null / 0.
+    static parseRetryAfter( { value, now = Date.now() } ) {
+        if( typeof value !== 'string' || value.trim().length === 0 ) {
+            return { 'ms': null }
+        }
+
+        const text = value.trim()
+        if( /^\d+$/.test( text ) ) {
+            return { 'ms': Number( text ) * 1000 }
+        }
+
+        const date = Date.parse( text )
+        if( Number.isNaN( date ) ) {
+            return { 'ms': null }
+        }
+
+        return { 'ms': Math.max( 0, date - now ) }
+    }
+
+
+    static #sleep( ms ) {
+        return new Promise( ( resolve ) => setTimeout( resolve, ms ) )
+    }
+}
+
+
+export { RetryPolicy }
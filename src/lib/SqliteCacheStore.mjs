@@ -0,0 +1,193 @@
+import { join } from 'node:path'
+import { mkdirSync } from 'node:fs'
+
+import Database from 'better-sqlite3'
+
+import { ConfigStore } from './ConfigStore.mjs'
+
+
+// The single-database alternative to HttpCache's one-JSON-file-per-entry tree:
+// ~/.flowmcp/cache.sqlite, one row per cache key (the same `<ns>/<route>[/<hash>].json`
+// keys buildCacheKey produces), indexed by namespace, expiry and last access. Reads
+// bump accessed_at; every write evicts the least recently used rows until the stored
+// data fits maxBytes again; an entry larger than maxBytes on its own is not stored at
+// all. Sizes are UTF-8 bytes of the data JSON. Rows keep the full entry meta as JSON, so meta fields added
+// later travel without a schema change. HttpCache picks this store when the config
+// says "cache": { "store": "sqlite" }.
+class SqliteCacheStore {
+    static dbPath() {
+        const dbPath = join( ConfigStore.globalConfigDir(), 'cache.sqlite' )
+
+        return dbPath
+    }
+
+
+    // entry — { meta, data } or null; a hit counts as a use for the LRU order unless
+    // touch is false (cache inspect).
+    static read( { cacheKey, now = Date.now(), touch = true } ) {
+        return SqliteCacheStore.#withDb( { 'execute': ( db ) => {
+            const row = db.prepare( 'SELECT meta, data FROM entries WHERE key = ?' ).get( cacheKey )
+            if( row === undefined ) {
+                return { 'entry': null }
+            }
+
+            if( touch ) {
+                db.prepare( 'UPDATE entries SET accessed_at = ? WHERE key = ?' ).run( now, cacheKey )
+            }
+
+            return { 'entry': { 'meta': JSON.parse( row[ 'meta' ] ), 'data': JSON.parse( row[ 'data' ] ) } }
+        } } )
+    }
+
+
+    // dataString — the JSON of the data, as HttpCache already serialised it for meta.size.
+    // stored is false for an entry that alone exceeds maxBytes; the database is untouched.
+    static write( { cacheKey, meta, dataString, maxBytes, now = Date.now() } ) {
+        if( Buffer.byteLength( dataString, 'utf-8' ) > maxBytes ) {
+            return { 'stored': false, 'evicted': 0 }
+        }
+
+        return SqliteCacheStore.#withDb( { 'execute': ( db ) => {
+            const store = db.transaction( () => {
+                SqliteCacheStore.#upsert( { db, cacheKey, meta, dataString, now } )
+                const { evicted } = SqliteCacheStore.#evict( { db, maxBytes } )
+
+                return { 'stored': true, evicted }
+            } )
+
+            return store.immediate()
+        } } )
+    }
+
+
+    // Migration input: [{ cacheKey, meta, data }], one batch of cache migrate. Keys the
+    // database already holds are kept (they were written after the switch, so they are
+    // the newer copy) and count as skipped; entries above maxBytes count as oversized.
+    static importEntries( { entries, maxBytes, now = Date.now() } ) {
+        return SqliteCacheStore.#withDb( { 'execute': ( db ) => {
+            const importAll = db.transaction( () => {
+                const exists = db.prepare( 'SELECT 1 FROM entries WHERE key = ?' )
+                const fresh = entries
+                    .filter( ( { cacheKey } ) => exists.get( cacheKey ) === undefined )
+                    .map( ( { cacheKey, meta, data } ) => ( { cacheKey, meta, 'dataString': JSON.stringify( data ) } ) )
+                const fitting = fresh
+                    .filter( ( { dataString } ) => Buffer.byteLength( dataString, 'utf-8' ) <= maxBytes )
+                fitting
+                    .forEach( ( { cacheKey, meta, dataString } ) => {
+                        SqliteCacheStore.#upsert( { db, cacheKey, meta, dataString, now } )
+                    } )
+                const { evicted } = SqliteCacheStore.#evict( { db, maxBytes } )
+
+                return {
+                    'imported': fitting.length,
+                    'skipped': entries.length - fresh.length,
+                    'oversized': fresh.length - fitting.length,
+                    evicted
+                }
+            } )
+
+            return importAll.immediate()
+        } } )
+    }
+
+
+    static list( { namespace = null } = {} ) {
+        return SqliteCacheStore.#withDb( { 'execute': ( db ) => {
+            const rows = namespace === null
+                ? db.prepare( 'SELECT key, meta FROM entries ORDER BY key' ).all()
+                : db.prepare( 'SELECT key, meta FROM entries WHERE namespace = ? ORDER BY key' ).all( namespace )
+            const entries = rows
+                .map( ( { key, meta } ) => ( { 'cacheKey': key, 'meta': JSON.parse( meta ) } ) )
+
+            return { entries }
+        } } )
+    }
+
+
+    static clear( { namespace = null } = {} ) {
+        return SqliteCacheStore.#withDb( { 'execute': ( db ) => {
+            const { changes } = namespace === null
+                ? db.prepare( 'DELETE FROM entries' ).run()
+                : db.prepare( 'DELETE FROM entries WHERE namespace = ?' ).run( namespace )
+
+            return { 'removed': changes }
+        } } )
+    }
+
+
+    // Expired rows (expires_at <= nowIso), or with fetchedBeforeIso every row fetched
+    // before it. ISO timestamps compare as strings.
+    static prune( { nowIso, fetchedBeforeIso = null } ) {
+        return SqliteCacheStore.#withDb( { 'execute': ( db ) => {
+            const where = fetchedBeforeIso === null
+                ? { 'clause': 'expires_at <= ?', 'value': nowIso }
+                : { 'clause': "json_extract( meta, '$.fetchedAt' ) < ?", 'value': fetchedBeforeIso }
+            const pruneRows = db.transaction( () => {
+                const { freedBytes } = db.prepare( `SELECT COALESCE( SUM( size ), 0 ) AS freedBytes FROM entries WHERE ${where[ 'clause' ]}` ).get( where[ 'value' ] )
+                const { changes } = db.prepare( `DELETE FROM entries WHERE ${where[ 'clause' ]}` ).run( where[ 'value' ] )
+
+                return { 'removed': changes, freedBytes }
+            } )
+
+            return pruneRows.immediate()
+        } } )
+    }
+
+
+    // A 304 revalidation: new meta and expiry, the data column stays as it is.
+    // extended is false when the key is gone (evicted in the meantime).
+    static extend( { cacheKey, meta, now = Date.now() } ) {
+        return SqliteCacheStore.#withDb( { 'execute': ( db ) => {
+            const { changes } = db.prepare( 'UPDATE entries SET expires_at = ?, accessed_at = ?, meta = ? WHERE key = ?' )
+                .run( meta[ 'expiresAt' ], now, JSON.stringify( meta ), cacheKey )
+
+            return { 'extended': changes > 0 }
+        } } )
+    }
+
+
+    static #upsert( { db, cacheKey, meta, dataString, now } ) {
+        db.prepare( `INSERT INTO entries ( key, namespace, expires_at, size, accessed_at, meta, data )
+            VALUES ( ?, ?, ?, ?, ?, ?, ? )
+            ON CONFLICT( key ) DO UPDATE SET namespace = excluded.namespace, expires_at = excluded.expires_at,
+                size = excluded.size, accessed_at = excluded.accessed_at, meta = excluded.meta, data = excluded.data` )
+            .run( cacheKey, cacheKey.split( '/' )[ 0 ], meta[ 'expiresAt' ], Buffer.byteLength( dataString, 'utf-8' ), now, JSON.stringify( meta ), dataString )
+    }
+
+
+    // Keeps the most recently used rows whose sizes add up to maxBytes; the rest go.
+    static #evict( { db, maxBytes } ) {
+        const { changes } = db.prepare( `DELETE FROM entries WHERE key IN (
+            SELECT key FROM (
+                SELECT key, SUM( size ) OVER ( ORDER BY accessed_at DESC, rowid DESC ) AS running FROM entries
+            ) WHERE running > ?
+        )` ).run( maxBytes )
+
+        return { 'evicted': changes }
+    }
+
+
+    static #withDb( { execute } ) {
+        mkdirSync( ConfigStore.globalConfigDir(), { 'recursive': true } )
+
+        const db = new Database( SqliteCacheStore.dbPath() )
+        try {
+            db.pragma( 'journal_mode = WAL' )
+            db.pragma( 'busy_timeout = 5000' )
+            db.exec( `CREATE TABLE IF NOT EXISTS entries (
+                key TEXT PRIMARY KEY, namespace TEXT NOT NULL, expires_at TEXT NOT NULL, size INTEGER NOT NULL,
+                accessed_at INTEGER NOT NULL, meta TEXT NOT NULL, data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS entries_namespace ON entries ( namespace );
+            CREATE INDEX IF NOT EXISTS entries_expires_at ON entries ( expires_at );
+            CREATE INDEX IF NOT EXISTS entries_accessed_at ON entries ( accessed_at )` )
+
+            return execute( db )
+        } finally {
+            db.close()
+        }
+    }
+}
+
+
+export { SqliteCacheStore }
@@ -0,0 +1,73 @@
+import { CallSettings } from './CallSettings.mjs'
+import { Duration } from './Duration.mjs'
+import { HttpCache } from './HttpCache.mjs'
+
+
+// Stale-if-error for cacheable calls: when the provider fails (an unsuccessful fetch,
+// a thrown network error or a TMO-001 timeout), the call answers from the expired
+// HttpCache entry instead, as long as it expired no more than maxStale ago. Settings
+// from CallSettings section `staleIfError` — `{ "enabled": true, "maxStale": "24h" }`
+// globally or per namespace; --stale-if-error turns it on for one call. The answer
+// says cache.stale: true and keeps the provider failure in cache.error.
+//   STL-001  maxStale is not a duration
+//   STL-002  a stale entry was served (stderr notice)
+const DEFAULTS = {
+    'enabled': false,
+    'maxStale': '24h'
+}
+
+
+class StaleIfError {
+    static async resolve( { namespace = null, overrides = {} } ) {
+        const { settings } = await CallSettings.resolve( { 'section': 'staleIfError', namespace, overrides } )
+        const { enabled, maxStale } = { ...DEFAULTS, ...settings }
+        const { ms: maxStaleMs, error } = Duration.parse( { 'value': maxStale } )
+        if( error !== null ) {
+            return {
+                'policy': null,
+                'error': `STL-001 staleIfError: maxStale: ${error}`,
+                'fix': `Check the staleIfError block for "${namespace}" in ~/.flowmcp/config.json.`
+            }
+        }
+
+        return { 'policy': { 'enabled': enabled === true, maxStaleMs }, 'error': null, 'fix': null }
+    }
+
+
+    // result — the stale answer, or null when the policy is off, nothing is cached or
+    // the entry is older than maxStale (the caller then returns the failure as is).
+    static async fallback( { policy, cacheKey, toolName, failure, settings = null, now = Date.now() } ) {
+        if( policy === null || policy[ 'enabled' ] !== true ) {
+            return { 'result': null }
+        }
+
+        const { data, meta } = await HttpCache.readCache( { cacheKey, settings } )
+        if( data === null || data === undefined || meta === null ) {
+            return { 'result': null }
+        }
+
+        const staleMs = Math.max( 0, now - new Date( meta[ 'expiresAt' ] ).getTime() )
+        if( staleMs > policy[ 'maxStaleMs' ] ) {
+            return { 'result': null }
+        }
+
+        const result = {
+            'status': true,
+            toolName,
+            'content': data,
+            'cache': {
+                'hit': true,
+                'stale': true,
+                'fetchedAt': meta[ 'fetchedAt' ],
+                'expiresAt': meta[ 'expiresAt' ],
+                staleMs,
+                'error': failure
+            }
+        }
+
+        return { result }
+    }
+}
+
+
+export { StaleIfError }
@@ -0,0 +1,76 @@
+// Structural comparison of two JSON values for `call --all-sources`: which paths
+// exist and which JSON types they hold, not the values themselves (live data moves
+// between two calls, a renamed field or a changed type is what a schema change
+// breaks). Array items are folded into `[*]`, so every item adds to one shape.
+//   missing  the path exists in the baseline only
+//   added    the path exists in the candidate only
+//   type     both have the path with different types
+// Differences are sorted by path and capped; `truncated` counts the rest.
+const MAX_DIFFERENCES = 50
+
+
+class StructuralDiff {
+    static compare( { baseline, candidate } ) {
+        const { shape: left } = StructuralDiff.shape( { 'value': baseline } )
+        const { shape: right } = StructuralDiff.shape( { 'value': candidate } )
+        const paths = [ ...new Set( [ ...left.keys(), ...right.keys() ] ) ].sort()
+
+        const all = paths
+            .reduce( ( acc, path ) => {
+                const before = left.get( path )
+                const after = right.get( path )
+                if( after === undefined ) {
+                    acc.push( { path, 'change': 'missing', 'baseline': before, 'candidate': null } )
+                } else if( before === undefined ) {
+                    acc.push( { path, 'change': 'added', 'baseline': null, 'candidate': after } )
+                } else if( before !== after ) {
+                    acc.push( { path, 'change': 'type', 'baseline': before, 'candidate': after } )
+                }
+
+                return acc
+            }, [] )
+
+        const diff = { 'equal': all.length === 0, 'differences': all.slice( 0, MAX_DIFFERENCES ) }
+        if( all.length > MAX_DIFFERENCES ) {
+            diff[ 'truncated' ] = all.length - MAX_DIFFERENCES
+        }
+
+        return diff
+    }
+
+
+    // path -> the types seen there, joined sorted ("null|string" for a nullable field).
+    static shape( { value } ) {
+        const seen = StructuralDiff.#walk( { value, 'path': '$', 'acc': new Map() } )
+        const shape = new Map( [ ...seen.entries() ].map( ( [ path, types ] ) => [ path, [ ...types ].sort().join( '|' ) ] ) )
+
+        return { shape }
+    }
+
+
+    static #walk( { value, path, acc } ) {
+        const type = value === null ? 'null' : Array.isArray( value ) ? 'array' : typeof value
+        const types = acc.get( path ) || new Set()
+        types.add( type )
+        acc.set( path, types )
+
+        if( type === 'array' ) {
+            return value
+                .reduce( ( result, item ) => StructuralDiff.#walk( { 'value': item, 'path': `${path}[*]`, 'acc': result } ), acc )
+        }
+
+        if( type !== 'object' ) {
+            return acc
+        }
+
+        return Object.keys( value )
+            .reduce( ( result, key ) => {
+                const childPath = /^[A-Za-z_$][\w$]*$/.test( key ) ? `${path}.${key}` : `${path}[${JSON.stringify( key )}]`
+
+                return StructuralDiff.#walk( { 'value': value[ key ], 'path': childPath, 'acc': result } )
+            }, acc )
+    }
+}
+
+
+export { StructuralDiff }
@@ -0,0 +1,129 @@
+import { join } from 'node:path'
+
+import inquirer from 'inquirer'
+
+import { ConfigStore } from './ConfigStore.mjs'
+import { CallSettings } from './CallSettings.mjs'
+import { CallHistory } from './CallHistory.mjs'
+import { FsUtils } from './FsUtils.mjs'
+
+
+// Gate for tools that can change state on the provider side: every route whose
+// method is not GET (the same split `SearchCommand.extractMetaFlags` shows as
+// "Read-only"). Policy from the config `writeSafety` block, per namespace under
+// `namespaces.<ns>.writeSafety`:
+//   requireConfirm  write calls need --confirm, or a yes at the prompt on a TTY
+//                   (default false)
+//   block           write calls of the namespace are refused outright (default false)
+// Every write call that is refused, declined or executed appends one line to
+// ~/.flowmcp/audit.jsonl — the CallHistory entry plus method, decision and how it was
+// confirmed — regardless of the history setting. Key values are masked the same way.
+// gate() is the one entry point for `call` and `private call`.
+//   WRT-001  blocked by policy
+//   WRT-002  confirmation required, no --confirm and no TTY to ask on
+//   WRT-003  declined at the prompt
+const READ_METHODS = [ 'GET' ]
+
+
+class WriteSafety {
+    static auditPath() {
+        return join( ConfigStore.globalConfigDir(), 'audit.jsonl' )
+    }
+
+
+    static isWrite( { method } ) {
+        return !READ_METHODS.includes( String( method || 'GET' ).toUpperCase() )
+    }
+
+
+    // decision: 'allow' | 'confirm' (ask on the TTY) | 'blocked' | 'unconfirmed'.
+    // confirmedBy says why an allowed call may run: 'flag' or 'policy' (no confirm needed).
+    static async decide( { namespace, toolName, confirm = false, canPrompt = false } ) {
+        const { settings } = await CallSettings.resolve( { 'section': 'writeSafety', namespace } )
+
+        if( settings[ 'block' ] === true ) {
+            return {
+                'decision': 'blocked',
+                'confirmedBy': null,
+                'error': `WRT-001 writeSafety: Write tool "${toolName}" is blocked for namespace "${namespace}".`,
+                'fix': `Remove namespaces.${namespace}.writeSafety.block from ~/.flowmcp/config.json to allow write calls.`
+            }
+        }
+
+        if( settings[ 'requireConfirm' ] !== true ) {
+            return { 'decision': 'allow', 'confirmedBy': 'policy', 'error': null, 'fix': null }
+        }
+
+        if( confirm === true ) {
+            return { 'decision': 'allow', 'confirmedBy': 'flag', 'error': null, 'fix': null }
+        }
+
+        if( canPrompt === true ) {
+            return { 'decision': 'confirm', 'confirmedBy': null, 'error': null, 'fix': null }
+        }
+
+        return {
+            'decision': 'unconfirmed',
+            'confirmedBy': null,
+            'error': `WRT-002 writeSafety: "${toolName}" is a write tool and needs confirmation.`,
+            'fix': 'Re-run with --confirm once you have checked the arguments.'
+        }
+    }
+
+
+    // write — { method, decision, confirmedBy } for audit(); error / fix are set when
+    // the call must not be sent. promptWrite false never asks (call --batch).
+    static async gate( { toolName, namespace, method, confirm = false, promptWrite = true } ) {
+        const canPrompt = promptWrite === true && process.stdin.isTTY === true && process.stdout.isTTY === true
+        const { decision, confirmedBy, error, fix } = await WriteSafety.decide( { namespace, toolName, confirm, canPrompt } )
+
+        if( decision !== 'confirm' ) {
+            return { 'write': { method, decision, confirmedBy }, error, fix }
+        }
+
+        const { confirmed } = await inquirer.prompt( [
+            {
+                'type': 'confirm',
+                'name': 'confirmed',
+                'message': `${toolName} is a ${method} call and can change data at the provider. Send it?`,
+                'default': false
+            }
+        ] )
+
+        if( !confirmed ) {
+            const { error: declinedError, fix: declinedFix } = WriteSafety.declined( { toolName } )
+
+            return { 'write': { method, 'decision': 'declined', 'confirmedBy': null }, 'error': declinedError, 'fix': declinedFix }
+        }
+
+        return { 'write': { method, 'decision': 'allow', 'confirmedBy': 'prompt' }, 'error': null, 'fix': null }
+    }
+
+
+    static declined( { toolName } ) {
+        return {
+            'error': `WRT-003 writeSafety: Write call to "${toolName}" declined.`,
+            'fix': 'Nothing was sent. Re-run and confirm, or pass --confirm.'
+        }
+    }
+
+
+    // write — { method, decision, confirmedBy } as gate() returned it.
+    // Never fails the call: a write error is dropped, like CallHistory.
+    static async audit( { toolName, jsonArgs = null, trace, result, durationMs, write } ) {
+        const { entry: base } = CallHistory.buildEntry( { toolName, jsonArgs, trace, result, durationMs } )
+        const { method, decision, confirmedBy } = write
+        const entry = { ...base, method, decision, confirmedBy }
+
+        try {
+            await FsUtils.appendJsonLine( { 'path': WriteSafety.auditPath(), 'data': entry } )
+        } catch {
+            return { 'entry': null }
+        }
+
+        return { entry }
+    }
+}
+
+
+export { WriteSafety }
@@ -0,0 +1,426 @@
+// Minimal YAML for JSON-shaped data. The writer (`--format yaml`) emits block style
+// for objects and arrays, plain scalars where they cannot be misread, double-quoted
+// (JSON escapes are valid YAML) otherwise. The reader (`--args-file args.yaml`) takes
+// block mappings and sequences, `|` / `>` block scalars, quoted and plain scalars
+// (YAML 1.2 core: yes/no stay strings), comments, a leading `---`, and flow
+// collections (`[a, 'b, c']`, `{a: 1}`, JSON). No anchors, tags or multi-docs.
+// Hex (`0x…`) and integers beyond Number.MAX_SAFE_INTEGER stay strings, so EVM
+// addresses and token amounts reach the provider unchanged.
+const PLAIN_UNSAFE = /^[\s\-?:,[\]{}#&*!|>'"%@`]|[:#]\s|\s$|^$|[\n\r\t]|: ?$/
+const RESERVED = /^(?:true|false|yes|no|on|off|null|~|[-+]?(?:\d[\d_]*)?\.?\d+(?:[eE][-+]?\d+)?|\.inf|\.nan)$/i
+const MAP_ENTRY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\-[\]{}][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+(.*))?$/
+const NUMBER = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/
+const FLOW_QUOTED = /"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'/y
+const FLOW_PLAIN = /[^,[\]{}]*/y
+const FLOW_KEY = /[^,[\]{}:]*/y
+
+
+class YamlLite {
+    static stringify( { value } ) {
+        const lines = YamlLite.#block( { value, 'indent': 0 } )
+
+        return { 'text': lines.join( '\n' ) + '\n' }
+    }
+
+
+    // { value, error } — error is `line N: ...` for input outside the subset.
+    static parse( { text } ) {
+        const lines = String( text )
+            .replace( /^\uFEFF/, '' )
+            .split( /\r?\n/ )
+            .map( ( raw, index ) => ( { 'number': index + 1, raw, 'indent': raw.search( /\S|$/ ), 'text': raw.trim() } ) )
+        const start = lines.findIndex( ( line ) => !YamlLite.#isSkippable( { line } ) )
+        if( start === -1 ) {
+            return { 'value': null, 'error': null }
+        }
+
+        if( lines[ start ][ 'text' ] === '---' ) {
+            lines[ start ] = { ...lines[ start ], 'text': '' }
+        }
+
+        try {
+            const { value, pos } = YamlLite.#parseBlock( { lines, 'pos': 0, 'minIndent': 0 } )
+            const rest = YamlLite.#nextContent( { lines, pos } )
+            if( rest < lines.length ) {
+                throw YamlLite.#failure( { 'line': lines[ rest ], 'message': 'unexpected content (check the indentation)' } )
+            }
+
+            return { value, 'error': null }
+        } catch( err ) {
+            return { 'value': null, 'error': err.message }
+        }
+    }
+
+
+    static #isSkippable( { line } ) {
+        return line[ 'text' ].length === 0 || line[ 'text' ].startsWith( '#' )
+    }
+
+
+    static #nextContent( { lines, pos } ) {
+        const offset = lines.slice( pos ).findIndex( ( line ) => !YamlLite.#isSkippable( { line } ) )
+
+        return offset === -1 ? lines.length : pos + offset
+    }
+
+
+    static #failure( { line, message } ) {
+        return new Error( `line ${line[ 'number' ]}: ${message}` )
+    }
+
+
+    static #isSequenceItem( { text } ) {
+        return text === '-' || text.startsWith( '- ' )
+    }
+
+
+    // The block starting at the next content line, which must be indented >= minIndent.
+    static #parseBlock( { lines, pos, minIndent } ) {
+        const at = YamlLite.#nextContent( { lines, pos } )
+        if( at >= lines.length || lines[ at ][ 'indent' ] < minIndent ) {
+            return { 'value': null, pos }
+        }
+
+        const line = lines[ at ]
+        if( YamlLite.#isSequenceItem( { 'text': line[ 'text' ] } ) ) {
+            return YamlLite.#parseSequence( { lines, 'pos': at, 'indent': line[ 'indent' ], 'items': [] } )
+        }
+
+        if( MAP_ENTRY.test( line[ 'text' ] ) ) {
+            return YamlLite.#parseMap( { lines, 'pos': at, 'indent': line[ 'indent' ], 'entries': {} } )
+        }
+
+        return { 'value': YamlLite.#readScalar( { line, 'text': line[ 'text' ] } ), 'pos': at + 1 }
+    }
+
+
+    static #parseSequence( { lines, pos, indent, items } ) {
+        const at = YamlLite.#nextContent( { lines, pos } )
+        const line = lines[ at ]
+        if( at >= lines.length || line[ 'indent' ] !== indent || !YamlLite.#isSequenceItem( { 'text': line[ 'text' ] } ) ) {
+            YamlLite.#assertDedent( { lines, at, indent } )
+
+            return { 'value': items, pos }
+        }
+
+        const rest = line[ 'text' ].slice( 1 ).replace( /^\s+/, '' )
+        if( rest.length === 0 || rest.startsWith( '#' ) ) {
+            const { value, pos: next } = YamlLite.#parseBlock( { lines, 'pos': at + 1, 'minIndent': indent + 1 } )
+
+            return YamlLite.#parseSequence( { lines, 'pos': next, indent, 'items': [ ...items, value ] } )
+        }
+
+        // `- key: value` / `- - x` — the item is a block that starts on this line.
+        const isNested = YamlLite.#isSequenceItem( { 'text': rest } ) || MAP_ENTRY.test( rest )
+        if( isNested ) {
+            lines[ at ] = { ...line, 'indent': line[ 'raw' ].indexOf( rest ), 'text': rest }
+            const { value, pos: next } = YamlLite.#parseBlock( { lines, 'pos': at, 'minIndent': indent + 1 } )
+
+            return YamlLite.#parseSequence( { lines, 'pos': next, indent, 'items': [ ...items, value ] } )
+        }
+
+        const { value, pos: next } = YamlLite.#inlineValue( { lines, 'pos': at, line, 'text': rest, indent } )
+
+        return YamlLite.#parseSequence( { lines, 'pos': next, indent, 'items': [ ...items, value ] } )
+    }
+
+
+    static #parseMap( { lines, pos, indent, entries } ) {
+        const at = YamlLite.#nextContent( { lines, pos } )
+        const line = lines[ at ]
+        if( at >= lines.length || line[ 'indent' ] !== indent || YamlLite.#isSequenceItem( { 'text': line[ 'text' ] } ) ) {
+            YamlLite.#assertDedent( { lines, at, indent } )
+
+            return { 'value': entries, pos }
+        }
+
+        const match = line[ 'text' ].match( MAP_ENTRY )
+        if( match === null ) {
+            throw YamlLite.#failure( { line, 'message': 'expected "key: value"' } )
+        }
+
+        const key = String( YamlLite.#readScalar( { line, 'text': match[ 1 ] } ) )
+        if( Object.prototype.hasOwnProperty.call( entries, key ) ) {
+            throw YamlLite.#failure( { line, 'message': `duplicate key "${key}"` } )
+        }
+
+        const inline = match[ 2 ] === undefined ? '' : match[ 2 ]
+        if( inline.length === 0 || inline.startsWith( '#' ) ) {
+            // A sequence may sit at the key's own indentation (`key:\n- a`).
+            const next = YamlLite.#nextContent( { lines, 'pos': at + 1 } )
+            const sameIndentList = next < lines.length && lines[ next ][ 'indent' ] === indent && YamlLite.#isSequenceItem( { 'text': lines[ next ][ 'text' ] } )
+            const { value, pos: after } = sameIndentList
+                ? YamlLite.#parseSequence( { lines, 'pos': next, indent, 'items': [] } )
+                : YamlLite.#parseBlock( { lines, 'pos': at + 1, 'minIndent': indent + 1 } )
+
+            return YamlLite.#parseMap( { lines, 'pos': after, indent, 'entries': { ...entries, [ key ]: value } } )
+        }
+
+        const { value, pos: after } = YamlLite.#inlineValue( { lines, 'pos': at, line, 'text': inline, indent } )
+
+        return YamlLite.#parseMap( { lines, 'pos': after, indent, 'entries': { ...entries, [ key ]: value } } )
+    }
+
+
+    static #assertDedent( { lines, at, indent } ) {
+        if( at < lines.length && lines[ at ][ 'indent' ] > indent ) {
+            throw YamlLite.#failure( { 'line': lines[ at ], 'message': 'unexpected indentation' } )
+        }
+    }
+
+
+    // A value after `key:` or `- `: a block scalar (`|`, `>`) or a one-line scalar.
+    static #inlineValue( { lines, pos, line, text, indent } ) {
+        const blockScalar = text.match( /^([|>])([-+]?)\s*(?:#.*)?$/ )
+        if( blockScalar === null ) {
+            return { 'value': YamlLite.#readScalar( { line, text } ), 'pos': pos + 1 }
+        }
+
+        const [ , style, chomp ] = blockScalar
+        const bodyLength = lines.slice( pos + 1 )
+            .findIndex( ( entry ) => entry[ 'text' ].length > 0 && entry[ 'indent' ] <= indent )
+        const body = lines.slice( pos + 1, bodyLength === -1 ? lines.length : pos + 1 + bodyLength )
+        const content = body.filter( ( entry ) => entry[ 'text' ].length > 0 )
+        const margin = content.length === 0 ? 0 : Math.min( ...content.map( ( entry ) => entry[ 'indent' ] ) )
+        const rows = body.map( ( entry ) => entry[ 'raw' ].slice( margin ) )
+        const trimmed = chomp === '+' ? rows : rows.slice( 0, rows.length - [ ...rows ].reverse().findIndex( ( row ) => row.trim().length > 0 ) )
+        const joined = style === '|'
+            ? trimmed.join( '\n' )
+            : trimmed.reduce( ( acc, row ) => acc.length === 0 ? row : row.length === 0 || acc.endsWith( '\n' ) ? `${acc}\n${row}` : `${acc} ${row}`, '' )
+        const value = chomp === '-' || content.length === 0 ? joined.replace( /\n+$/, '' ) : `${joined.replace( /\n+$/, '' )}\n`
+
+        return { value, 'pos': pos + 1 + body.length }
+    }
+
+
+    static #readScalar( { line, text } ) {
+        const value = text.trim()
+
+        if( value.startsWith( '"' ) ) {
+            const quoted = value.match( /^("(?:[^"\\]|\\.)*")\s*(?:#.*)?$/ )
+            if( quoted === null ) {
+                throw YamlLite.#failure( { line, 'message': 'unterminated double-quoted string' } )
+            }
+
+            return JSON.parse( quoted[ 1 ].replace( /\t/g, '\\t' ) )
+        }
+
+        if( value.startsWith( "'" ) ) {
+            const quoted = value.match( /^'((?:[^']|'')*)'\s*(?:#.*)?$/ )
+            if( quoted === null ) {
+                throw YamlLite.#failure( { line, 'message': 'unterminated single-quoted string' } )
+            }
+
+            return quoted[ 1 ].replace( /''/g, "'" )
+        }
+
+        if( value.startsWith( '[' ) || value.startsWith( '{' ) ) {
+            return YamlLite.#flow( { line, 'text': value } )
+        }
+
+        const plain = value.replace( /\s+#.*$/, '' )
+        if( plain === '' || plain === '~' || plain === 'null' || plain === 'Null' || plain === 'NULL' ) {
+            return null
+        }
+
+        if( /^(?:true|True|TRUE|false|False|FALSE)$/.test( plain ) ) {
+            return plain.toLowerCase() === 'true'
+        }
+
+        if( NUMBER.test( plain ) ) {
+            const number = Number( plain )
+            const isUnsafeInteger = /^[-+]?\d+$/.test( plain ) && !Number.isSafeInteger( number )
+
+            return isUnsafeInteger ? plain : number
+        }
+
+        return plain
+    }
+
+
+    // Flow collections are scanned rather than JSON.parse'd: quoted commas stay inside
+    // their string and large numbers go through #readScalar like block scalars do.
+    static #flow( { line, text } ) {
+        const { value, pos } = YamlLite.#flowNode( { line, text, 'pos': 0 } )
+        const rest = text.slice( pos ).trim()
+        if( rest.length > 0 && !rest.startsWith( '#' ) ) {
+            throw YamlLite.#failure( { line, 'message': `unexpected "${rest}" after flow collection` } )
+        }
+
+        return value
+    }
+
+
+    static #flowNode( { line, text, pos } ) {
+        const at = YamlLite.#skipSpace( { text, pos } )
+        const char = text[ at ]
+
+        if( char === '[' ) {
+            return YamlLite.#flowItems( { line, text, 'pos': at + 1, 'items': [] } )
+        }
+
+        if( char === '{' ) {
+            return YamlLite.#flowEntries( { line, text, 'pos': at + 1, 'entries': {} } )
+        }
+
+        const { token, end } = YamlLite.#flowToken( { text, 'pos': at, 'pattern': char === '"' || char === "'" ? FLOW_QUOTED : FLOW_PLAIN } )
+        if( token.trim().length === 0 ) {
+            throw YamlLite.#failure( { line, 'message': 'empty entry in flow collection' } )
+        }
+
+        return { 'value': YamlLite.#readScalar( { line, 'text': token } ), 'pos': end }
+    }
+
+
+    static #flowItems( { line, text, pos, items } ) {
+        const at = YamlLite.#skipSpace( { text, pos } )
+        if( text[ at ] === ']' ) {
+            return { 'value': items, 'pos': at + 1 }
+        }
+
+        const { value, pos: next } = YamlLite.#flowNode( { line, text, 'pos': at } )
+        const { pos: after, closed } = YamlLite.#flowSeparator( { line, text, 'pos': next, 'close': ']' } )
+
+        return closed
+            ? { 'value': [ ...items, value ], 'pos': after }
+            : YamlLite.#flowItems( { line, text, 'pos': after, 'items': [ ...items, value ] } )
+    }
+
+
+    static #flowEntries( { line, text, pos, entries } ) {
+        const at = YamlLite.#skipSpace( { text, pos } )
+        if( text[ at ] === '}' ) {
+            return { 'value': entries, 'pos': at + 1 }
+        }
+
+        const isQuoted = text[ at ] === '"' || text[ at ] === "'"
+        const { token, end } = YamlLite.#flowToken( { text, 'pos': at, 'pattern': isQuoted ? FLOW_QUOTED : FLOW_KEY } )
+        const colon = YamlLite.#skipSpace( { text, 'pos': end } )
+        if( token.trim().length === 0 || text[ colon ] !== ':' ) {
+            throw YamlLite.#failure( { line, 'message': `expected "key: value" in flow mapping, got "${text.slice( at ).trim()}"` } )
+        }
+
+        const key = String( YamlLite.#readScalar( { line, 'text': token } ) )
+        if( Object.prototype.hasOwnProperty.call( entries, key ) ) {
+            throw YamlLite.#failure( { line, 'message': `duplicate key "${key}"` } )
+        }
+
+        const { value, pos: next } = YamlLite.#flowNode( { line, text, 'pos': colon + 1 } )
+        const { pos: after, closed } = YamlLite.#flowSeparator( { line, text, 'pos': next, 'close': '}' } )
+        const merged = { ...entries, [ key ]: value }
+
+        return closed
+            ? { 'value': merged, 'pos': after }
+            : YamlLite.#flowEntries( { line, text, 'pos': after, 'entries': merged } )
+    }
+
+
+    // After an entry: `,` continues (a trailing comma before the bracket is fine), the
+    // closing bracket ends the collection, anything else is an error.
+    static #flowSeparator( { line, text, pos, close } ) {
+        const at = YamlLite.#skipSpace( { text, pos } )
+        if( text[ at ] === close ) {
+            return { 'pos': at + 1, 'closed': true }
+        }
+
+        if( text[ at ] !== ',' ) {
+            throw YamlLite.#failure( { line, 'message': `expected "," or "${close}" in flow collection` } )
+        }
+
+        const next = YamlLite.#skipSpace( { text, 'pos': at + 1 } )
+
+        return text[ next ] === close
+            ? { 'pos': next + 1, 'closed': true }
+            : { 'pos': next, 'closed': false }
+    }
+
+
+    static #flowToken( { text, pos, pattern } ) {
+        pattern.lastIndex = pos
+        const match = pattern.exec( text )
+        const token = match === null ? '' : match[ 0 ]
+
+        return { token, 'end': pos + token.length }
+    }
+
+
+    static #skipSpace( { text, pos } ) {
+        const offset = text.slice( pos ).search( /\S/ )
+
+        return offset === -1 ? text.length : pos + offset
+    }
+
+
+    static #block( { value, indent } ) {
+        const pad = ' '.repeat( indent )
+
+        if( Array.isArray( value ) ) {
+            if( value.length === 0 ) {
+                return [ `${pad}[]` ]
+            }
+
+            return value
+                .flatMap( ( item ) => {
+                    if( YamlLite.#isNested( { 'value': item } ) ) {
+                        const [ first, ...rest ] = YamlLite.#block( { 'value': item, 'indent': indent + 2 } )
+
+                        return [ `${pad}- ${first.trimStart()}`, ...rest ]
+                    }
+
+                    return [ `${pad}- ${YamlLite.#scalar( { 'value': item } )}` ]
+                } )
+        }
+
+        if( value !== null && typeof value === 'object' ) {
+            const entries = Object.entries( value ).filter( ( [ , item ] ) => item !== undefined )
+            if( entries.length === 0 ) {
+                return [ `${pad}{}` ]
+            }
+
+            return entries
+                .flatMap( ( [ key, item ] ) => {
+                    const label = `${pad}${YamlLite.#scalar( { 'value': key } )}:`
+
+                    return YamlLite.#isNested( { 'value': item } )
+                        ? [ label, ...YamlLite.#block( { 'value': item, 'indent': indent + 2 } ) ]
+                        : [ `${label} ${YamlLite.#scalar( { 'value': item } )}` ]
+                } )
+        }
+
+        return [ `${pad}${YamlLite.#scalar( { value } )}` ]
+    }
+
+
+    static #isNested( { value } ) {
+        const isArray = Array.isArray( value ) && value.length > 0
+        const isObject = value !== null && typeof value === 'object' && !Array.isArray( value ) && Object.keys( value ).length > 0
+
+        return isArray || isObject
+    }
+
+
+    static #scalar( { value } ) {
+        if( value === null || value === undefined ) {
+            return 'null'
+        }
+
+        if( Array.isArray( value ) ) {
+            return '[]'
+        }
+
+        if( typeof value === 'object' ) {
+            return '{}'
+        }
+
+        if( typeof value !== 'string' ) {
+            return String( value )
+        }
+
+        return PLAIN_UNSAFE.test( value ) || RESERVED.test( value )
+            ? JSON.stringify( value )
+            : value
+    }
+}
+
+
+export { YamlLite }
@@ -28,6 +28,9 @@ import { HttpCache } from '../lib/HttpCache.mjs'
 import { SchemaLoaderBridge } from '../lib/SchemaLoaderBridge.mjs'
 import { NamespaceIndex } from '../lib/NamespaceIndex.mjs'
 import { CliBase } from '../lib/CliBase.mjs'
+import { OutputRenderer } from '../lib/OutputRenderer.mjs'
+import { ContentSink } from '../lib/ContentSink.mjs'
+import { NetworkSettings } from '../lib/NetworkSettings.mjs'
 import { AllowlistCommand } from '../commands/AllowlistCommand.mjs'
 import { DoctorCommand } from '../commands/DoctorCommand.mjs'
 import { EnvCommand } from '../commands/EnvCommand.mjs'
@@ -41,6 +44,10 @@ import { ResourceCommand } from '../commands/ResourceCommand.mjs'
 import { SearchCommand } from '../commands/SearchCommand.mjs'
 import { ListCommand } from '../commands/ListCommand.mjs'
 import { CallCommand } from '../commands/CallCommand.mjs'
+import { BatchCommand } from '../commands/BatchCommand.mjs'
+import { FanOutCommand } from '../commands/FanOutCommand.mjs'
+import { HistoryCommand } from '../commands/HistoryCommand.mjs'
+import { MockCommand } from '../commands/MockCommand.mjs'
 import { PrivateCommand } from '../commands/PrivateCommand.mjs'
 import { ValidateCommand } from '../commands/ValidateCommand.mjs'
 import { MigrateCommand } from '../commands/MigrateCommand.mjs'
@@ -226,8 +233,61 @@ class FlowMcpCli {
     }
 
 
-    static async callTool( { toolName, jsonArgs, cwd, noCache = false, refresh = false } ) {
-        return CallCommand.callTool( { toolName, jsonArgs, cwd, noCache, refresh } )
+    // options — the call flags as one object (src/lib/CallOptions.mjs), passed on unchanged.
+    static async callTool( { toolName, jsonArgs, cwd, options = {} } ) {
+        return CallCommand.callTool( { toolName, jsonArgs, cwd, options } )
+    }
+
+
+    // `call --batch <file.jsonl>` lives in src/commands/BatchCommand.mjs. onLine
+    // receives each finished line in input order (index.mjs streams it as JSONL).
+    static async callBatch( { filePath, concurrency = null, cwd, options = {}, onLine = null } ) {
+        return BatchCommand.callBatch( { filePath, concurrency, cwd, options, onLine } )
+    }
+
+
+    // `call --all-sources [--baseline <source>]` lives in src/commands/FanOutCommand.mjs.
+    static async callAllSources( { toolName, jsonArgs, cwd, baseline = null, options = {} } ) {
+        return FanOutCommand.callAllSources( { toolName, jsonArgs, cwd, baseline, options } )
+    }
+
+
+    static printBatchSummary( { result, quiet, json } ) {
+        return BatchCommand.printSummary( { result, quiet, json } )
+    }
+
+
+    // --format renderer behind index.mjs output(); rowsKey names the row field.
+    static renderOutput( { result, format = 'json', rowsKey = null } ) {
+        return OutputRenderer.render( { result, format, rowsKey } )
+    }
+
+
+    // --out <path> [--force] / --force-inline for call and private call (ContentSink).
+    static async writeContent( { result, out = null, force = false, forceInline = false } ) {
+        return ContentSink.apply( { result, out, force, forceInline } )
+    }
+
+
+    // `history list|show|rerun` lives in src/commands/HistoryCommand.mjs.
+    static async historyList( { tool = null, namespace = null, status = null, since = null, limit = null } ) {
+        return HistoryCommand.list( { tool, namespace, status, since, limit } )
+    }
+
+
+    static async historyShow( { id } ) {
+        return HistoryCommand.show( { id } )
+    }
+
+
+    static async historyRerun( { id, cwd, options = {} } ) {
+        return HistoryCommand.rerun( { id, cwd, options } )
+    }
+
+
+    // `mock capture` lives in src/commands/MockCommand.mjs; `call --mock` reads its fixtures.
+    static async mockCapture( { namespace, cwd, quiet = false } ) {
+        return MockCommand.capture( { namespace, cwd, quiet } )
     }
 
 
@@ -235,8 +295,8 @@ class FlowMcpCli {
     // src/commands/PrivateCommand.mjs. It loads a path-addressed schema through the
     // core v4 Pipeline (scan ACTIVE) and NEVER registers it, so it stays invisible to
     // search/list/serve. Stays a public delegation (index.mjs + tests call it).
-    static async privateCall( { schemaPath, toolName, jsonArgs, listsDir, cwd } ) {
-        return PrivateCommand.call( { schemaPath, toolName, jsonArgs, listsDir, cwd } )
+    static async privateCall( { schemaPath, toolName, jsonArgs, listsDir, cwd, dryRun = false, asCurl = false, select = null, limit = null, argsFile = null, confirm = false } ) {
+        return PrivateCommand.call( { schemaPath, toolName, jsonArgs, listsDir, cwd, dryRun, asCurl, select, limit, argsFile, confirm } )
     }
 
 
@@ -350,6 +410,26 @@ class FlowMcpCli {
     }
 
 
+    static async cacheMigrate() {
+        return await CacheCommand.cacheMigrate()
+    }
+
+
+    static async cacheList( { namespace } ) {
+        return await CacheCommand.cacheList( { namespace } )
+    }
+
+
+    static async cacheInspect( { toolName, jsonArgs = null } ) {
+        return await CacheCommand.cacheInspect( { toolName, jsonArgs } )
+    }
+
+
+    static async cachePrune( { olderThan = null } = {} ) {
+        return await CacheCommand.cachePrune( { olderThan } )
+    }
+
+
     // ---------------------------------------------------------------------
     // Memo 152 / PRD-019 (D-09) — the sqlite-gtfs runtime read path
     // (#sqliteGtfsCacheDir / #listSqliteGtfsCacheEntries /
@@ -485,6 +565,51 @@ Execution:
   run                                 Start MCP server (stdio)
   call list-tools                     List all available tools
   call <tool-name> [json]             Execute a tool call (no activation needed)
+  call <tool-name> - | --args-file <path>
+                                      Read the args from stdin or a JSON/YAML file
+  call <tool-name> [json] --dry-run   Show the built HTTP request without sending it
+                                      (--as-curl prints it as a curl command)
+  call <tool-name> [json] --record <dir> | --replay <dir>
+                                      Record HTTP cassettes / answer from them offline
+  call --batch <file.jsonl>           Run one call per JSONL line, stream JSONL results
+                                      (--concurrency N, default 4)
+  call <tool> --format <fmt>          json (default), ndjson, csv, tsv, yaml or table
+                                      (also list, search, schemas)
+  call <tool> --select <path>         Project content, e.g. '$.data[?(@.price > 10)].symbol';
+                                      --limit N keeps the first N items of an array
+  call <tool> --interactive           Prompt for each parameter (enums as lists), confirm, call
+  call <tool> --max-attempts N        Retry 408/429/502/503/504 + network errors (default 1 = off);
+                                      --retry-delay <ms>, --no-retry, --retry-non-idempotent
+  call <tool> --validate-output       Check content against the tool's output schema
+                                      (result.outputValidation, OVA-001/002 warnings)
+  call <tool> --timeout <ms>          Abort the call after <ms> (default none, 0 = off);
+                                      Ctrl-C returns a TMO-002 result
+  call <tool> --out <path>            Write content to a file, print only a summary;
+                                      an existing file needs --force (OUT-004);
+                                      content over 1 MiB needs --force-inline to print
+  call <tool> --all-pages             Follow the tool's declared pagination and return
+                                      every page's items (--max-pages N, default 10)
+  call <tool> --mock                  Answer from fixtures captured from the schema tests
+                                      (no network, no keys)
+  call <tool> --all-sources           Run the call in every source that has the tool and
+                                      diff each result's structure against the first
+                                      (--baseline <source> picks another)
+  call <tool> --timings               Add result.timings: ms per phase (init, indexLookup,
+                                      fullScan, handlers, fetch, cacheRead, cacheWrite)
+  call <tool> --stale-if-error        Answer from the expired cache entry when the provider
+                                      fails (cache.stale: true, staleIfError.maxStale)
+  call <tool> --confirm               Confirm a non-GET tool when writeSafety.requireConfirm
+                                      is set (asked interactively on a TTY otherwise)
+
+Mock:
+  mock capture <namespace>            Run every schema test once and store the responses
+                                      as fixtures next to the schema for call --mock
+
+History:
+  history list                        Recorded calls, newest first (--tool, --namespace,
+                                      --status ok|failed, --since 24h, --limit N)
+  history show <id>                   Show one recorded call
+  history rerun <id> [--confirm]      Re-run a recorded call with the same args
 
 Diagnostics:
   doctor                              Structural health check over schemaFolders[]
@@ -517,8 +642,9 @@ ID Format (v4):
   namespace/tool/name         Single tool   (2 slashes)
   namespace/schema-name       All tools from a schema  (1 slash)
 
-Note: Run "${cmd} init" first. This is the only interactive command.
-      All other commands are designed for AI agents (non-interactive, JSON I/O).
+Note: Run "${cmd} init" first. This is the only interactive command (besides
+      call --interactive). All other commands are designed for AI agents
+      (non-interactive, JSON I/O).
 `
 
         process.stdout.write( helpText )
@@ -593,6 +719,13 @@ Note: Run "${cmd} init" first. This is the only interactive command.
     // printDoctorSummary moved to src/commands/DoctorCommand.mjs. These stay as public
     // delegations because index.mjs and the doctor tests call FlowMcpCli.doctor /
     // FlowMcpCli.printDoctorSummary directly.
+    // Proxy / extra CA certificates from the config `network` block and the proxy env
+    // vars (src/lib/NetworkSettings.mjs); index.mjs applies them once per process.
+    static async applyNetworkSettings() {
+        return NetworkSettings.apply()
+    }
+
+
     static async doctor( { cwd } ) {
         return DoctorCommand.run( { cwd } )
     }
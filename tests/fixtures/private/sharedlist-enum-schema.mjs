@@ -0,0 +1,66 @@
+// The sharedlist fixture with the enum in the primitive (`enum({{privColors:name}})`),
+// the form the CLI interpolates for client-side validation. With `--lists-dir ./lists`
+// a color outside the list is rejected before the handler runs (PRV-011 / CAL-004).
+
+
+const runPickColor = async ( { struct, payload } ) => {
+    const userParams = payload[ 'userParams' ] || {}
+    const color = userParams[ 'color' ] !== undefined ? userParams[ 'color' ] : 'unset'
+
+    struct[ 'status' ] = true
+    struct[ 'data' ] = { picked: color }
+
+    return { struct }
+}
+
+
+const handlers = ( { sharedLists, libraries } ) => {
+    return {
+        pickColor: { executeRequest: runPickColor }
+    }
+}
+
+
+const main = {
+    namespace: 'privenum',
+    name: 'Private SharedList Enum Fixture',
+    description: 'A private fixture that references a shared list.',
+    version: '4.0.0',
+    docs: [ 'https://example.com/docs' ],
+    tags: [ 'test' ],
+    root: 'https://example.com',
+    requiredServerParams: [],
+    headers: {},
+    sharedLists: [
+        { ref: 'privColors', version: '1.0.0' }
+    ],
+    tools: {
+        pickColor: {
+            method: 'GET',
+            description: 'Return the picked color without any network call.',
+            path: '/pick',
+            parameters: [
+                {
+                    position: { key: 'color', value: '{{USER_PARAM}}', location: 'query' },
+                    z: { primitive: 'enum({{privColors:name}})', options: [] }
+                }
+            ],
+            tests: [
+                { _description: 'red', color: 'red' },
+                { _description: 'green', color: 'green' },
+                { _description: 'blue', color: 'blue' }
+            ],
+            meta: {
+                isReadOnly: true,
+                isConcurrencySafe: true,
+                isDestructive: false,
+                searchHint: 'private sharedlist enum fixture',
+                aliases: [],
+                alwaysLoad: false
+            }
+        }
+    }
+}
+
+
+export { main, handlers }
@@ -0,0 +1,52 @@
+// A standalone private fixture with one write tool (POST). Like clean-schema.mjs it is
+// executeRequest-only (network-free) and scanner-neutral; it exercises the WriteSafety
+// gate of `private call`.
+
+
+const runCreate = async ( { struct, payload } ) => {
+    const userParams = payload[ 'userParams' ] || {}
+
+    struct[ 'status' ] = true
+    struct[ 'data' ] = { created: userParams[ 'title' ] || null }
+
+    return { struct }
+}
+
+
+const handlers = ( { sharedLists, libraries } ) => {
+    return {
+        createItem: { executeRequest: runCreate }
+    }
+}
+
+
+const main = {
+    namespace: 'privwrite',
+    name: 'Private Write Fixture API',
+    description: 'Standalone private fixture with a write tool.',
+    version: '4.0.0',
+    docs: [ 'https://example.com/docs' ],
+    tags: [ 'test', 'private' ],
+    root: 'https://example.com',
+    requiredServerParams: [],
+    headers: {},
+    tools: {
+        createItem: {
+            method: 'POST',
+            description: 'Pretend to create an item without any network call.',
+            path: '/items',
+            parameters: [
+                {
+                    position: { key: 'title', value: '{{USER_PARAM}}', location: 'body' },
+                    z: { primitive: 'string()', options: [] }
+                }
+            ],
+            tests: [
+                { _description: 'creates an item', title: 'first' }
+            ]
+        }
+    }
+}
+
+
+export { main, handlers }
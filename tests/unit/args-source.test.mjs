@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { Readable } from 'node:stream'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { ArgsSource } from '../../src/lib/ArgsSource.mjs'
+import { YamlLite } from '../../src/lib/YamlLite.mjs'
+
+
+const testHome = createTestHome( { suite: 'args-source' } )
+
+
+beforeAll( async () => {
+    await testHome.setup()
+} )
+
+
+afterAll( async () => {
+    await testHome.teardown()
+} )
+
+
+describe( 'ArgsSource', () => {
+    it( 'reads JSON args from stdin for -', async () => {
+        const stdin = Readable.from( [ '{"symbol": ', '"BTC"}\n' ] )
+        const { jsonArgs, source, error } = await ArgsSource.read( { 'jsonArgs': '-', stdin } )
+
+        expect( error ).toBeNull()
+        expect( source ).toBe( 'stdin' )
+        expect( JSON.parse( jsonArgs ) ).toEqual( { 'symbol': 'BTC' } )
+        expect( ( await ArgsSource.read( { 'jsonArgs': '-', 'stdin': Readable.from( [ '  ' ] ) } ) )[ 'error' ] ).toBe( 'stdin is empty' )
+        expect( ( await ArgsSource.read( { 'jsonArgs': '-', 'stdin': Readable.from( [ '{oops' ] ) } ) )[ 'error' ] ).toMatch( /^stdin: / )
+    } )
+
+
+    it( 'reads JSON and YAML args files', async () => {
+        const jsonPath = join( testHome.tmpDir, 'args.json' )
+        const yamlPath = join( testHome.tmpDir, 'args.yml' )
+        await writeFile( jsonPath, '{ "ids": [ 1, 2 ] }' )
+        await writeFile( yamlPath, '# prices\nsymbol: BTC\nids:\n  - 1\n  - 2\n' )
+
+        expect( JSON.parse( ( await ArgsSource.read( { 'argsFile': jsonPath } ) )[ 'jsonArgs' ] ) ).toEqual( { 'ids': [ 1, 2 ] } )
+        expect( JSON.parse( ( await ArgsSource.read( { 'argsFile': yamlPath } ) )[ 'jsonArgs' ] ) ).toEqual( { 'symbol': 'BTC', 'ids': [ 1, 2 ] } )
+    } )
+
+
+    it( 'rejects conflicting sources, missing files and non-object args', async () => {
+        const listPath = join( testHome.tmpDir, 'list.yaml' )
+        await writeFile( listPath, '- a\n- b\n' )
+
+        expect( ( await ArgsSource.read( { 'jsonArgs': '{}', 'argsFile': listPath } ) )[ 'error' ] ).toMatch( /not several/ )
+        expect( ( await ArgsSource.read( { 'argsFile': join( testHome.tmpDir, 'nope.json' ) } ) )[ 'error' ] ).toMatch( /cannot read/ )
+        expect( ( await ArgsSource.read( { 'argsFile': listPath } ) )[ 'error' ] ).toMatch( /must be an object/ )
+        expect( await ArgsSource.read( { 'jsonArgs': '{"a":1}' } ) ).toEqual( { 'jsonArgs': '{"a":1}', 'source': 'inline', 'error': null } )
+    } )
+
+
+    it( 'parses the YAML subset the writer produces and reports bad input by line', () => {
+        const value = {
+            'a': 'yes',
+            'b': [ { 'c': 1, 'd': '' }, [ 1, 2 ] ],
+            'e': {},
+            'f': 'plain text',
+            'g': '10',
+            'h': null,
+            'i': 'x: y'
+        }
+        const { text } = YamlLite.stringify( { value } )
+        expect( YamlLite.parse( { text } ) ).toEqual( { value, 'error': null } )
+
+        const { value: parsed } = YamlLite.parse( { 'text': "---\nnote: |\n  one\n  two\nflags: [on, 'off']\nurl: https://x.test/a#top # comment\n" } )
+        expect( parsed ).toEqual( { 'note': 'one\ntwo\n', 'flags': [ 'on', 'off' ], 'url': 'https://x.test/a#top' } )
+        expect( YamlLite.parse( { 'text': 'a: 1\n    b: 2\n' } )[ 'error' ] ).toBe( 'line 2: unexpected indentation' )
+    } )
+
+
+    it( 'keeps hex scalars and unsafe integers as strings', () => {
+        const text = 'address: 0x742d35Cc6634C0532925a3b844Bc454e4438f44e\namount: 12345678901234567890\nlimit: 25\nids: [ 0xff, 9007199254740993, 7 ]\n'
+        const { value } = YamlLite.parse( { text } )
+
+        expect( value ).toEqual( {
+            'address': '0x742d35Cc6634C0532925a3b844Bc454e4438f44e',
+            'amount': '12345678901234567890',
+            'limit': 25,
+            'ids': [ '0xff', '9007199254740993', 7 ]
+        } )
+        expect( YamlLite.stringify( { 'value': { 'address': '0xff' } } )[ 'text' ] ).toBe( 'address: 0xff\n' )
+    } )
+
+
+    it( 'scans flow collections with quoted commas and nesting', () => {
+        const { value } = YamlLite.parse( { 'text': "a: [1, 'x, y', \"q,r\"]\nb: {k: v, u: https://x.test/a}\nc: [ [1, 2], {\"d\": 12345678901234567890} ] # note\n" } )
+
+        expect( value ).toEqual( { 'a': [ 1, 'x, y', 'q,r' ], 'b': { 'k': 'v', 'u': 'https://x.test/a' }, 'c': [ [ 1, 2 ], { 'd': '12345678901234567890' } ] } )
+        expect( YamlLite.parse( { 'text': 'a: [1,, 2]\n' } )[ 'error' ] ).toBe( 'line 1: empty entry in flow collection' )
+        expect( YamlLite.parse( { 'text': 'a: [1, 2\n' } )[ 'error' ] ).toBe( 'line 1: expected "," or "]" in flow collection' )
+    } )
+} )
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { readdir, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { HttpCache } from '../../src/lib/HttpCache.mjs'
+import { CacheCommand } from '../../src/commands/CacheCommand.mjs'
+
+
+const testHome = createTestHome( { suite: 'cache-entries' } )
+const NOW = Date.parse( '2026-06-01T12:00:00.000Z' )
+const meta = ( { fetchedAt, expiresAt } ) => ( { fetchedAt, expiresAt, 'ttl': 60, 'size': 10 } )
+const seed = async () => {
+    const { cacheKey } = HttpCache.buildCacheKey( { 'namespace': 'demo', 'routeName': 'getPrice', 'userParams': { 'id': 'btc', 'vs': 'usd' } } )
+    await HttpCache.writeCache( { cacheKey, 'data': { 'price': 1 }, 'ttl': 60 } )
+    await HttpCache.writeCache( { 'cacheKey': 'demo/getList.json', 'data': [ 1, 2, 3 ], 'ttl': 60 } )
+
+    return { cacheKey }
+}
+
+
+beforeAll( async () => {
+    await testHome.setup()
+} )
+
+
+afterAll( async () => {
+    await testHome.teardown()
+} )
+
+
+describe( 'CacheCommand ls / inspect', () => {
+    it( 'inspects the entry of a Spec-ID and args regardless of the arg order', async () => {
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {} ) )
+        const { cacheKey } = await seed()
+
+        const { result } = await CacheCommand.cacheInspect( { 'toolName': 'dev:demo/tool/getPrice', 'jsonArgs': '{"vs":"usd","id":"btc"}' } )
+        const { result: miss } = await CacheCommand.cacheInspect( { 'toolName': 'demo/tool/getPrice', 'jsonArgs': '{"id":"eth"}' } )
+        const { result: invalid } = await CacheCommand.cacheInspect( { 'toolName': 'getPrice_demo' } )
+
+        expect( result ).toMatchObject( { 'status': true, 'store': 'json', 'key': cacheKey, 'cached': true, 'expired': false, 'summary': { 'type': 'object', 'keys': [ 'price' ] } } )
+        expect( JSON.parse( result[ 'preview' ] ) ).toEqual( { 'price': 1 } )
+        expect( miss ).toMatchObject( { 'status': true, 'cached': false } )
+        expect( invalid ).toMatchObject( { 'status': false, 'code': 'CCH-010' } )
+    } )
+
+
+    it( 'lists one namespace in key order from either store', async () => {
+        const { result: json } = await CacheCommand.cacheList( { 'namespace': 'demo' } )
+        await writeFile( testHome.globalConfigPath, JSON.stringify( { 'cache': { 'store': 'sqlite' } } ) )
+        await seed()
+        const { result: sqlite } = await CacheCommand.cacheList( { 'namespace': 'demo' } )
+
+        expect( json[ 'entries' ].map( ( { key } ) => key ) ).toEqual( sqlite[ 'entries' ].map( ( { key } ) => key ) )
+        expect( sqlite ).toMatchObject( { 'store': 'sqlite', 'totalEntries': 2 } )
+        expect( ( await CacheCommand.cacheList( {} ) )[ 'result' ][ 'code' ] ).toBe( 'CCH-009' )
+    } )
+} )
+
+
+describe( 'CacheCommand prune', () => {
+    it( 'removes expired entries, or everything fetched before --older-than', async () => {
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {} ) )
+        await HttpCache.writeCache( { 'cacheKey': 'old/a/1.json', 'data': 1, 'ttl': 60 } )
+        const write = ( key, entryMeta ) => writeFile( join( testHome.cacheDir, key ), JSON.stringify( { 'meta': entryMeta, 'data': 1 } ) )
+        await write( 'old/a/1.json', meta( { 'fetchedAt': '2026-05-01T00:00:00.000Z', 'expiresAt': '2026-05-01T00:01:00.000Z' } ) )
+        await HttpCache.writeCache( { 'cacheKey': 'old/b.json', 'data': 1, 'ttl': 60 } )
+        await write( 'old/b.json', meta( { 'fetchedAt': '2026-05-20T00:00:00.000Z', 'expiresAt': '2026-12-01T00:00:00.000Z' } ) )
+
+        const { result: expired } = await CacheCommand.cachePrune( { 'now': NOW } )
+        const { result: older } = await CacheCommand.cachePrune( { 'olderThan': '7d', 'now': NOW } )
+
+        expect( expired ).toMatchObject( { 'status': true, 'mode': 'expired', 'removed': 1, 'freedBytes': 10 } )
+        expect( older ).toMatchObject( { 'status': true, 'mode': 'olderThan', 'removed': 1 } )
+        expect( ( await readdir( testHome.cacheDir ) ).includes( 'old' ) ).toBe( false )
+        expect( ( await CacheCommand.cachePrune( { 'olderThan': 'soon' } ) )[ 'result' ][ 'code' ] ).toBe( 'CCH-011' )
+    } )
+} )
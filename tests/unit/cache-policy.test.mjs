@@ -0,0 +1,58 @@
+import { describe, it, expect } from '@jest/globals'
+
+import { CachePolicy } from '../../src/lib/CachePolicy.mjs'
+
+
+const main = {
+    'tags': [ 'price', 'cacheTtl:10m' ],
+    'routes': {
+        'getPrice': { 'method': 'GET' },
+        'getBlocks': { 'method': 'GET', 'preload': { 'enabled': true, 'ttl': 3600 } },
+        'getLive': { 'method': 'GET', 'preload': { 'enabled': false } },
+        'postOrder': { 'method': 'POST' }
+    }
+}
+const resolve = ( routeName, globalConfig = {} ) => CachePolicy.resolve( { main, routeName, 'namespace': 'demo', globalConfig } )
+
+
+describe( 'CachePolicy', () => {
+    it( 'takes the route preload over the cacheTtl tag, and the tag only for GET routes', () => {
+        expect( resolve( 'getBlocks' )[ 'policy' ] ).toEqual( { 'cached': true, 'ttl': 3600, 'source': 'preload' } )
+        expect( resolve( 'getPrice' )[ 'policy' ] ).toEqual( { 'cached': true, 'ttl': 600, 'source': 'tag' } )
+        expect( resolve( 'getLive' )[ 'policy' ][ 'cached' ] ).toBe( false )
+        expect( resolve( 'postOrder' )[ 'policy' ][ 'cached' ] ).toBe( false )
+    } )
+
+
+    it( 'keeps a named cacheTtl tag cached with the default TTL', () => {
+        const named = { ...main, 'tags': [ 'price', 'cacheTtlShort' ] }
+        const { policy } = CachePolicy.resolve( { 'main': named, 'routeName': 'getPrice', 'namespace': 'demo' } )
+
+        expect( policy ).toEqual( { 'cached': true, 'ttl': 300, 'source': 'tag' } )
+    } )
+
+
+    it( 'lets global, namespace and per-tool config override the schema', () => {
+        const globalConfig = {
+            'cachePolicy': {
+                'ttl': 300,
+                'tools': { 'demo/tool/postOrder': { 'ttl': '30s' }, 'demo/tool/getBlocks': { 'ttl': 'never' } }
+            },
+            'namespaces': { 'demo': { 'cachePolicy': { 'ttl': '1h' } } }
+        }
+
+        expect( resolve( 'getPrice', { 'cachePolicy': { 'ttl': 300 } } )[ 'policy' ] ).toEqual( { 'cached': true, 'ttl': 300, 'source': 'config' } )
+        expect( resolve( 'getLive', globalConfig )[ 'policy' ] ).toEqual( { 'cached': true, 'ttl': 3600, 'source': 'namespace' } )
+        expect( resolve( 'getBlocks', globalConfig )[ 'policy' ] ).toEqual( { 'cached': false, 'ttl': null, 'source': 'tool' } )
+        expect( resolve( 'postOrder', globalConfig )[ 'policy' ] ).toEqual( { 'cached': true, 'ttl': 30, 'source': 'tool' } )
+        expect( resolve( 'postOrder', { 'cachePolicy': { 'ttl': 300 } } )[ 'policy' ][ 'cached' ] ).toBe( false )
+    } )
+
+
+    it( 'rejects a ttl that is neither a duration nor "never"', () => {
+        const { policy, error } = resolve( 'getPrice', { 'namespaces': { 'demo': { 'cachePolicy': { 'ttl': 'soon' } } } } )
+
+        expect( policy[ 'cached' ] ).toBe( false )
+        expect( error ).toMatch( /^CCP-001 / )
+    } )
+} )
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { writeFile } from 'node:fs/promises'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { HttpTransport } from '../../src/lib/HttpTransport.mjs'
+import { HttpCache } from '../../src/lib/HttpCache.mjs'
+import { SqliteCacheStore } from '../../src/lib/SqliteCacheStore.mjs'
+
+
+const testHome = createTestHome( { suite: 'cache-revalidation' } )
+const originalFetch = globalThis.fetch
+const sent = []
+const report = () => ( { 'requests': 0, 'notModified': false, 'validators': null } )
+const fetchThrough = async ( { meta, revalidation, urls = [ 'https://api.example.com/price' ] } ) => {
+    await HttpTransport.run( {
+        'interceptors': [ HttpCache.revalidator( { meta, 'report': revalidation } ) ],
+        'execute': () => Promise.all( urls.map( ( url ) => fetch( url, { 'headers': { 'Accept': 'application/json' } } ) ) )
+    } )
+}
+
+
+beforeAll( async () => {
+    await testHome.setup()
+    globalThis.fetch = async ( input, init ) => {
+        const headers = new Headers( init[ 'headers' ] )
+        sent.push( Object.fromEntries( headers.entries() ) )
+        const isCurrent = headers.get( 'if-none-match' ) === '"v1"'
+
+        return isCurrent
+            ? new Response( null, { 'status': 304, 'headers': { 'ETag': '"v1"' } } )
+            : new Response( '{"price":1}', { 'status': 200, 'headers': { 'ETag': '"v1"', 'Last-Modified': 'Mon, 01 Jun 2026 12:00:00 GMT' } } )
+    }
+} )
+
+
+afterAll( async () => {
+    globalThis.fetch = originalFetch
+    await testHome.teardown()
+} )
+
+
+describe( 'HttpCache revalidation', () => {
+    it( 'reports the validators of a full response and revalidates with them later', async () => {
+        const first = report()
+        await fetchThrough( { 'meta': null, 'revalidation': first } )
+        const { meta } = await HttpCache.writeCache( { 'cacheKey': 'demo/getPrice.json', 'data': { 'price': 1 }, 'ttl': 60, 'validators': first[ 'validators' ] } )
+
+        const second = report()
+        await fetchThrough( { meta, 'revalidation': second } )
+
+        expect( meta ).toMatchObject( { 'etag': '"v1"', 'lastModified': 'Mon, 01 Jun 2026 12:00:00 GMT' } )
+        expect( sent[ 1 ] ).toMatchObject( { 'accept': 'application/json', 'if-none-match': '"v1"', 'if-modified-since': meta[ 'lastModified' ] } )
+        expect( second ).toMatchObject( { 'requests': 1, 'notModified': true, 'validators': { 'etag': '"v1"' } } )
+    } )
+
+
+    it( 'leaves routes with more than one request alone', async () => {
+        const revalidation = report()
+        await fetchThrough( { 'meta': { 'etag': '"v0"' }, revalidation, 'urls': [ 'https://api.example.com/a', 'https://api.example.com/b' ] } )
+
+        expect( revalidation ).toEqual( { 'requests': 2, 'notModified': false, 'validators': null } )
+    } )
+
+
+    it( 'extends an entry on a 304 without touching its data, in both stores', async () => {
+        const extend = async () => {
+            const { meta } = await HttpCache.writeCache( { 'cacheKey': 'demo/getList.json', 'data': [ 1, 2 ], 'ttl': 1, 'validators': { 'etag': '"v1"', 'lastModified': null } } )
+            const { meta: extended } = await HttpCache.extendCache( { 'cacheKey': 'demo/getList.json', 'data': [ 1, 2 ], meta, 'ttl': 3600, 'validators': { 'etag': '"v2"', 'lastModified': null } } )
+            const { data, meta: stored, isExpired } = await HttpCache.readCache( { 'cacheKey': 'demo/getList.json' } )
+
+            return { meta, extended, data, stored, isExpired }
+        }
+
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {} ) )
+        const json = await extend()
+        await writeFile( testHome.globalConfigPath, JSON.stringify( { 'cache': { 'store': 'sqlite' } } ) )
+        const sqlite = await extend()
+
+        expect( json[ 'stored' ] ).toEqual( json[ 'extended' ] )
+        expect( json ).toMatchObject( { 'data': [ 1, 2 ], 'isExpired': false, 'stored': { 'etag': '"v2"', 'ttl': 3600, 'fetchedAt': json[ 'meta' ][ 'fetchedAt' ] } } )
+        expect( sqlite ).toMatchObject( { 'data': [ 1, 2 ], 'isExpired': false, 'stored': { 'etag': '"v2"', 'revalidatedAt': sqlite[ 'extended' ][ 'revalidatedAt' ] } } )
+        expect( SqliteCacheStore.extend( { 'cacheKey': 'demo/missing.json', 'meta': sqlite[ 'stored' ] } ) ).toEqual( { 'extended': false } )
+    } )
+} )
@@ -0,0 +1,233 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { writeFile, mkdir, rm } from 'node:fs/promises'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+
+const { FlowMcpCli } = await import( '../../src/task/FlowMcpCli.mjs' )
+const { BatchCommand } = await import( '../../src/commands/BatchCommand.mjs' )
+
+
+const testHome = createTestHome( { suite: 'call-batch' } )
+const GLOBAL_CONFIG_PATH = testHome.globalConfigPath
+const SCHEMAS_DIR = testHome.schemasDir
+const SOURCE_NAME = 'batchsrc'
+const SOURCE_DIR = join( SCHEMAS_DIR, SOURCE_NAME, 'providers' )
+const ENV_PATH = testHome.envPath( '.batch' )
+const TEST_CWD = join( tmpdir(), 'flowmcp-cli-call-batch' )
+
+const BATCH_SCHEMA = `export const main = {
+    namespace: 'batchns',
+    name: 'Batch API',
+    description: 'Schema for batch call tests',
+    version: '4.0.0',
+    docs: [],
+    tags: [ 'test' ],
+    root: 'https://httpbin.org',
+    requiredServerParams: [],
+    headers: {},
+    tools: {
+        echo: {
+            method: 'GET',
+            description: 'Echo a query value',
+            path: '/get',
+            parameters: [
+                {
+                    position: { key: 'q', value: '{{USER_PARAM}}', location: 'query' },
+                    z: { primitive: 'string()', options: [] }
+                }
+            ]
+        },
+        broken: {
+            method: 'GET',
+            description: 'Returns 500',
+            path: '/status/500',
+            parameters: []
+        }
+    }
+}
+`
+
+const REGISTRY = {
+    'name': SOURCE_NAME,
+    'version': '1.0.0',
+    'description': 'Batch test source',
+    'schemaSpec': '4.0.0',
+    'schemas': [
+        { 'namespace': 'batchns', 'file': 'batch.mjs', 'name': 'Batch API', 'requiredServerParams': [] }
+    ]
+}
+
+
+const writeBatchFile = async ( { name, lines } ) => {
+    const filePath = join( TEST_CWD, name )
+    await writeFile( filePath, lines.join( '\n' ) + '\n', 'utf-8' )
+
+    return { filePath }
+}
+
+
+beforeAll( async () => {
+    await testHome.setup()
+
+    await mkdir( SOURCE_DIR, { recursive: true } )
+    await writeFile( join( SOURCE_DIR, 'batch.mjs' ), BATCH_SCHEMA, 'utf-8' )
+    await writeFile( join( SOURCE_DIR, '_registry.json' ), JSON.stringify( REGISTRY, null, 4 ), 'utf-8' )
+    await writeFile( ENV_PATH, '', 'utf-8' )
+
+    const globalConfig = {
+        'envPath': ENV_PATH,
+        'flowmcpCore': { 'version': '2.0.0', 'commit': 'abc123', 'schemaSpec': '4.0.0' },
+        'initialized': new Date().toISOString(),
+        'schemaFolders': [ { 'name': SOURCE_NAME, 'path': `~/.flowmcp/schemas/${SOURCE_NAME}` } ]
+    }
+
+    await writeFile( GLOBAL_CONFIG_PATH, JSON.stringify( globalConfig, null, 4 ), 'utf-8' )
+    await mkdir( TEST_CWD, { recursive: true } )
+} )
+
+
+afterAll( async () => {
+    await rm( TEST_CWD, { recursive: true, force: true } ).catch( () => {} )
+    await testHome.teardown()
+} )
+
+
+describe( 'BatchCommand.parseBatchLines', () => {
+    it( 'skips blank lines and keeps 1-based line numbers', () => {
+        const { entries } = BatchCommand.parseBatchLines( {
+            'content': '{"tool":"a"}\n\n{"tool":"b","args":{"x":1}}\n'
+        } )
+
+        expect( entries.map( ( { line } ) => line ) ).toEqual( [ 1, 3 ] )
+        expect( entries[ 0 ][ 'args' ] ).toEqual( {} )
+        expect( entries[ 1 ][ 'args' ] ).toEqual( { 'x': 1 } )
+    } )
+
+
+    it( 'keeps the slot of an invalid line with a coded error', () => {
+        const { entries } = BatchCommand.parseBatchLines( {
+            'content': 'not json\n{"args":{}}\n{"tool":"a","args":[1]}'
+        } )
+
+        expect( entries[ 0 ][ 'error' ] ).toMatch( /^BAT-002/ )
+        expect( entries[ 1 ][ 'error' ] ).toMatch( /^BAT-003/ )
+        expect( entries[ 2 ][ 'error' ] ).toMatch( /^BAT-003/ )
+    } )
+} )
+
+
+describe( 'BatchCommand.parseConcurrency', () => {
+    it( 'defaults to 4 and rejects non-positive values', () => {
+        expect( BatchCommand.parseConcurrency( { 'concurrency': null } )[ 'limit' ] ).toBe( 4 )
+        expect( BatchCommand.parseConcurrency( { 'concurrency': '8' } )[ 'limit' ] ).toBe( 8 )
+        expect( BatchCommand.parseConcurrency( { 'concurrency': '0' } )[ 'error' ] ).toMatch( /^BAT-004/ )
+        expect( BatchCommand.parseConcurrency( { 'concurrency': 'abc' } )[ 'error' ] ).toMatch( /^BAT-004/ )
+    } )
+} )
+
+
+describe( 'FlowMcpCli.callBatch', () => {
+    it( 'streams one result per line in input order', async () => {
+        const { filePath } = await writeBatchFile( {
+            'name': 'ordered.jsonl',
+            'lines': [
+                JSON.stringify( { 'tool': 'echo_batchns', 'args': { 'q': 'one' } } ),
+                JSON.stringify( { 'tool': 'broken_batchns' } ),
+                'not json',
+                JSON.stringify( { 'tool': 'batchns/tool/echo', 'args': { 'q': 'four' } } )
+            ]
+        } )
+
+        const lines = []
+        const { result } = await FlowMcpCli.callBatch( {
+            filePath,
+            'concurrency': '3',
+            'cwd': TEST_CWD,
+            'onLine': ( { line } ) => { lines.push( line ) }
+        } )
+
+        expect( result[ 'mode' ] ).toBe( 'batch' )
+        expect( result[ 'total' ] ).toBe( 4 )
+        expect( result[ 'succeeded' ] ).toBe( 2 )
+        expect( result[ 'failed' ] ).toBe( 2 )
+        expect( result[ 'status' ] ).toBe( false )
+
+        expect( lines.map( ( { line } ) => line ) ).toEqual( [ 1, 2, 3, 4 ] )
+        expect( lines[ 0 ][ 'result' ][ 'status' ] ).toBe( true )
+        expect( lines[ 1 ][ 'result' ][ 'status' ] ).toBe( false )
+        expect( lines[ 2 ][ 'result' ][ 'code' ] ).toBe( 'BAT-002' )
+        expect( lines[ 3 ][ 'result' ][ 'status' ] ).toBe( true )
+    }, 30000 )
+
+
+    it( 'stops the pool on Ctrl-C and reports the lines it did not start', async () => {
+        const { filePath } = await writeBatchFile( {
+            'name': 'interrupted.jsonl',
+            'lines': [ 'a', 'b', 'c', 'd', 'e' ].map( ( q ) => JSON.stringify( { 'tool': 'echo_batchns', 'args': { q } } ) )
+        } )
+        const originalFetch = globalThis.fetch
+        const listeners = process.listenerCount( 'SIGINT' )
+        const started = []
+        const inFlight = new Promise( ( resolve ) => {
+            // A provider that never answers; two started requests fill the pool.
+            globalThis.fetch = ( input, init = {} ) => new Promise( ( _, reject ) => {
+                started.push( String( input ) )
+                init[ 'signal' ].addEventListener( 'abort', () => reject( new Error( 'aborted' ) ) )
+                if( started.length === 2 ) {
+                    resolve()
+                }
+            } )
+        } )
+
+        const lines = []
+        const pending = FlowMcpCli.callBatch( {
+            filePath,
+            'concurrency': '2',
+            'cwd': TEST_CWD,
+            'onLine': ( { line } ) => { lines.push( line ) }
+        } )
+        await inFlight
+        process.emit( 'SIGINT' )
+        const { result } = await pending
+        globalThis.fetch = originalFetch
+
+        expect( result ).toMatchObject( { 'interrupted': true, 'total': 5, 'failed': 5 } )
+        expect( started ).toHaveLength( 2 )
+        expect( lines.map( ( { result: line } ) => line[ 'code' ] ) ).toEqual( [ 'TMO-002', 'TMO-002', 'TMO-002', 'TMO-002', 'TMO-002' ] )
+        expect( lines[ 4 ][ 'result' ][ 'error' ] ).toMatch( /Line 5 was not run/ )
+        expect( process.listenerCount( 'SIGINT' ) ).toBe( listeners )
+    }, 30000 )
+
+
+    it( 'returns a coded error for an unreadable batch file', async () => {
+        const { result } = await FlowMcpCli.callBatch( {
+            'filePath': join( TEST_CWD, 'missing.jsonl' ),
+            'cwd': TEST_CWD
+        } )
+
+        expect( result[ 'status' ] ).toBe( false )
+        expect( result[ 'code' ] ).toBe( 'BAT-001' )
+        expect( result[ 'mode' ] ).toBeUndefined()
+    } )
+
+
+    it( 'returns a coded error for an empty batch file', async () => {
+        const { filePath } = await writeBatchFile( { 'name': 'empty.jsonl', 'lines': [ '' ] } )
+        const { result } = await FlowMcpCli.callBatch( { filePath, 'cwd': TEST_CWD } )
+
+        expect( result[ 'code' ] ).toBe( 'BAT-005' )
+    } )
+
+
+    it( 'rejects an invalid --concurrency before reading the file', async () => {
+        const { result } = await FlowMcpCli.callBatch( {
+            'filePath': 'whatever.jsonl',
+            'concurrency': '-1',
+            'cwd': TEST_CWD
+        } )
+
+        expect( result[ 'code' ] ).toBe( 'BAT-004' )
+    } )
+} )
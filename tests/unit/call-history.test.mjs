@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { readFile, writeFile } from 'node:fs/promises'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { CallHistory } from '../../src/lib/CallHistory.mjs'
+import { Duration } from '../../src/lib/Duration.mjs'
+
+
+const testHome = createTestHome( { suite: 'call-history' } )
+
+
+beforeAll( async () => {
+    await testHome.setup()
+} )
+
+
+afterAll( async () => {
+    await testHome.teardown()
+} )
+
+
+const trace = {
+    'resolvedTool': 'getPrice',
+    'namespace': 'demo',
+    'source': 'local',
+    'userParams': { 'id': 'bitcoin', 'note': 'sk-secret-123' },
+    'secrets': [ 'sk-secret-123' ]
+}
+
+
+describe( 'CallHistory', () => {
+    it( 'is off unless the config or the flag enables it', async () => {
+        const { enabled: byDefault } = await CallHistory.isEnabled( {} )
+        const { enabled: byFlag } = await CallHistory.isEnabled( { 'history': true } )
+
+        await writeFile( testHome.globalConfigPath, JSON.stringify( { 'history': { 'enabled': true } } ) )
+        const { enabled: byConfig } = await CallHistory.isEnabled( {} )
+        const { enabled: optedOut } = await CallHistory.isEnabled( { 'history': false } )
+
+        expect( byDefault ).toBe( false )
+        expect( byFlag ).toBe( true )
+        expect( byConfig ).toBe( true )
+        expect( optedOut ).toBe( false )
+    } )
+
+
+    it( 'masks key values in args and error text', () => {
+        const result = { 'status': false, 'code': 'CAL-009', 'error': 'Request with sk-secret-123 failed' }
+        const { entry } = CallHistory.buildEntry( { 'toolName': 'demo/getPrice', trace, result, 'durationMs': 12 } )
+
+        expect( entry[ 'id' ] ).toMatch( /^[0-9a-f]{8}$/ )
+        expect( entry[ 'args' ] ).toEqual( { 'id': 'bitcoin', 'note': '<redacted>' } )
+        expect( entry[ 'error' ] ).toBe( 'Request with <redacted> failed' )
+        expect( entry[ 'status' ] ).toBe( false )
+        expect( JSON.stringify( entry ) ).not.toContain( 'sk-secret-123' )
+    } )
+
+
+    it( 'lists the arg paths that were redacted on record', () => {
+        const { entry } = CallHistory.buildEntry( {
+            'toolName': 'demo/getPrice',
+            'trace': { ...trace, 'userParams': { 'id': 'bitcoin', 'auth': { 'token': 'sk-secret-123' }, 'keys': [ 'a', 'Bearer sk-secret-123' ] } },
+            'result': { 'status': true },
+            'durationMs': 3
+        } )
+
+        expect( CallHistory.redactedPaths( { 'args': entry[ 'args' ] } ) ).toEqual( { 'paths': [ 'auth.token', 'keys[1]' ] } )
+        expect( CallHistory.redactedPaths( { 'args': { 'id': 'bitcoin' } } ) ).toEqual( { 'paths': [] } )
+    } )
+
+
+    it( 'appends one JSONL line per recorded call', async () => {
+        const result = { 'status': true, 'content': [ { 'type': 'text', 'text': '{"price":1}' } ], 'cache': { 'hit': true } }
+        await CallHistory.recordCall( { 'history': true, 'toolName': 'demo/getPrice', trace, result, 'durationMs': 5 } )
+        await CallHistory.recordCall( { 'history': true, 'toolName': 'demo/getPrice', trace, result, 'durationMs': 7 } )
+
+        const raw = await readFile( CallHistory.historyPath(), 'utf-8' )
+        const { entries } = await CallHistory.readEntries()
+
+        expect( raw.trim().split( '\n' ) ).toHaveLength( 2 )
+        expect( entries[ 1 ][ 'durationMs' ] ).toBe( 7 )
+        expect( entries[ 0 ][ 'cacheHit' ] ).toBe( true )
+        expect( entries[ 0 ][ 'responseBytes' ] ).toBeGreaterThan( 0 )
+    } )
+} )
+
+
+describe( 'Duration', () => {
+    it( 'parses durations and since values', () => {
+        expect( Duration.parse( { 'value': '24h' } )[ 'ms' ] ).toBe( 86400000 )
+        expect( Duration.parse( { 'value': '1w2d' } )[ 'error' ] ).not.toBeNull()
+        expect( Duration.parseSince( { 'value': '1h', 'now': 7200000 } )[ 'timestamp' ] ).toBe( 3600000 )
+        expect( Duration.parseSince( { 'value': '2026-05-01' } )[ 'timestamp' ] ).toBe( Date.parse( '2026-05-01' ) )
+        expect( Duration.parseSince( { 'value': 'yesterday' } )[ 'error' ] ).toMatch( /Invalid time/ )
+    } )
+} )
@@ -0,0 +1,24 @@
+import { describe, it, expect } from '@jest/globals'
+
+import { CallOptions } from '../../src/lib/CallOptions.mjs'
+
+
+describe( 'CallOptions', () => {
+    it( 'fills the defaults and drops undefined values and unknown keys', () => {
+        const { options } = CallOptions.resolve( { 'options': { 'noCache': true, 'timeoutMs': undefined, 'group': 'x' } } )
+
+        expect( options[ 'noCache' ] ).toBe( true )
+        expect( options[ 'timeoutMs' ] ).toBeNull()
+        expect( options[ 'retry' ] ).toEqual( {} )
+        expect( options[ 'group' ] ).toBeUndefined()
+        expect( CallOptions.resolve( {} )[ 'options' ] ).toMatchObject( { 'dryRun': false, 'history': null, 'staleIfError': false } )
+    } )
+
+
+    it( 'keeps only the batch options for call --batch lines', () => {
+        const { options } = CallOptions.forBatch( { 'options': { 'refresh': true, 'interactive': true, 'select': 'data', 'argsFile': 'a.json' } } )
+
+        expect( options[ 'refresh' ] ).toBe( true )
+        expect( Object.keys( options ).sort() ).toEqual( [ 'confirm', 'history', 'noCache', 'recordDir', 'refresh', 'replayDir', 'retry', 'staleIfError', 'timeoutMs' ] )
+    } )
+} )
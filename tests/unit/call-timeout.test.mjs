@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { writeFile } from 'node:fs/promises'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { HttpTransport } from '../../src/lib/HttpTransport.mjs'
+import { CallTimeout } from '../../src/lib/CallTimeout.mjs'
+
+
+const testHome = createTestHome( { suite: 'call-timeout' } )
+const originalFetch = globalThis.fetch
+let fetchSignals = []
+
+
+beforeAll( async () => {
+    await testHome.setup()
+    // A provider that never answers; only the abort signal ends the request.
+    globalThis.fetch = ( input, init = {} ) => new Promise( ( resolve, reject ) => {
+        fetchSignals.push( init[ 'signal' ] )
+        init[ 'signal' ].addEventListener( 'abort', () => reject( new Error( 'aborted' ) ) )
+    } )
+} )
+
+
+afterAll( async () => {
+    globalThis.fetch = originalFetch
+    await testHome.teardown()
+} )
+
+
+const hangingCall = ( { ms } ) => CallTimeout.run( {
+    ms,
+    'execute': ( { signal } ) => HttpTransport.run( {
+        'interceptors': [ CallTimeout.interceptor( { signal } ) ],
+        'execute': () => fetch( 'https://api.example.com/v1/slow' )
+    } )
+} )
+
+
+describe( 'CallTimeout', () => {
+    it( 'layers the config default, namespace block and flag', async () => {
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {
+            'timeout': { 'ms': 5000 },
+            'namespaces': { 'slowapi': { 'timeout': { 'ms': 90000 } } }
+        } ) )
+
+        expect( ( await CallTimeout.resolve( {} ) )[ 'ms' ] ).toBe( 5000 )
+        expect( ( await CallTimeout.resolve( { 'namespace': 'slowapi' } ) )[ 'ms' ] ).toBe( 90000 )
+        expect( ( await CallTimeout.resolve( { 'namespace': 'slowapi', 'overrides': { 'ms': '0' } } ) )[ 'ms' ] ).toBe( 0 )
+        expect( ( await CallTimeout.resolve( { 'overrides': { 'ms': 'soon' } } ) )[ 'error' ] ).toMatch( /^TMO-003/ )
+
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {} ) )
+        expect( await CallTimeout.resolve( {} ) ).toEqual( { 'ms': null, 'error': null, 'fix': null } )
+        expect( ( await CallTimeout.resolve( { 'overrides': { 'ms': '2500' } } ) )[ 'ms' ] ).toBe( 2500 )
+    } )
+
+
+    it( 'aborts a hung request at the deadline', async () => {
+        fetchSignals = []
+        const { value, aborted } = await hangingCall( { 'ms': 20 } )
+
+        expect( aborted ).toBe( 'timeout' )
+        expect( value ).toBeNull()
+        expect( fetchSignals[ 0 ].aborted ).toBe( true )
+        expect( CallTimeout.error( { aborted, 'ms': 20, 'toolName': 'slow' } )[ 'error' ] ).toMatch( /^TMO-001 .*20 ms/ )
+    } )
+
+
+    it( 'turns SIGINT into an interrupt result with one process listener for all calls', async () => {
+        const listeners = process.listenerCount( 'SIGINT' )
+        const pending = Array.from( { 'length': 12 }, () => hangingCall( { 'ms': null } ) )
+        const duringCalls = process.listenerCount( 'SIGINT' )
+        process.emit( 'SIGINT' )
+        const results = await Promise.all( pending )
+        const { aborted } = results[ 0 ]
+
+        expect( duringCalls ).toBe( listeners + 1 )
+        expect( results.every( ( result ) => result[ 'aborted' ] === 'interrupt' ) ).toBe( true )
+        expect( process.listenerCount( 'SIGINT' ) ).toBe( listeners )
+        expect( CallTimeout.error( { aborted, 'ms': 0, 'toolName': 'slow' } )[ 'error' ] ).toMatch( /^TMO-002/ )
+    } )
+
+
+    it( 'notifies onInterrupt listeners until they are released', () => {
+        const heard = []
+        const { release: releaseA } = CallTimeout.onInterrupt( { 'listener': () => heard.push( 'a' ) } )
+        const { release: releaseB } = CallTimeout.onInterrupt( { 'listener': () => heard.push( 'b' ) } )
+        process.emit( 'SIGINT' )
+        releaseA()
+        process.emit( 'SIGINT' )
+        releaseB()
+
+        expect( heard ).toEqual( [ 'a', 'b', 'b' ] )
+    } )
+
+
+    it( 'returns values and rethrows failures of calls that finish in time', async () => {
+        expect( await CallTimeout.run( { 'ms': 1000, 'execute': async () => 'done' } ) ).toEqual( { 'value': 'done', 'aborted': null } )
+        await expect( CallTimeout.run( { 'ms': 1000, 'execute': async () => { throw new Error( 'boom' ) } } ) ).rejects.toThrow( 'boom' )
+    } )
+} )
@@ -209,7 +209,7 @@ describe( 'FlowMcpCli.callTool cache write and hit', () => {
         const { result } = await FlowMcpCli.callTool( {
             'toolName': 'cached_ping_cachesrc',
             'cwd': TEST_CWD,
-            'noCache': true
+            'options': { 'noCache': true }
         } )
 
         expect( result[ 'status' ] ).toBe( true )
@@ -221,7 +221,7 @@ describe( 'FlowMcpCli.callTool cache write and hit', () => {
         const { result } = await FlowMcpCli.callTool( {
             'toolName': 'cached_ping_cachesrc',
             'cwd': TEST_CWD,
-            'refresh': true
+            'options': { 'refresh': true }
         } )
 
         expect( result[ 'status' ] ).toBe( true )
@@ -238,6 +238,28 @@ describe( 'FlowMcpCli.callTool cache write and hit', () => {
         expect( result[ 'status' ] ).toBe( true )
         expect( result[ 'cache' ] ).toBeUndefined()
     }, 15000 )
+
+
+    it( 'returns the fetched content with a CCH-013 warning when the cache write fails', async () => {
+        // A file where the namespace dir belongs makes the entry unwritable.
+        await rm( join( CACHE_DIR, 'cachesrc' ), { recursive: true, force: true } )
+        await writeFile( join( CACHE_DIR, 'cachesrc' ), 'not a directory', 'utf-8' )
+
+        try {
+            const { result } = await FlowMcpCli.callTool( {
+                'toolName': 'cached_ping_cachesrc',
+                'cwd': TEST_CWD,
+                'options': { 'refresh': true }
+            } )
+
+            expect( result[ 'status' ] ).toBe( true )
+            expect( result[ 'content' ] ).toBeDefined()
+            expect( result[ 'cache' ] ).toMatchObject( { 'hit': false, 'stored': false } )
+            expect( result[ 'cache' ][ 'warning' ] ).toMatch( /^CCH-013/ )
+        } finally {
+            await rm( join( CACHE_DIR, 'cachesrc' ), { force: true } )
+        }
+    }, 15000 )
 } )
 
 
@@ -246,6 +246,19 @@ describe( 'FlowMcpCli.callTool — missing required parameters', () => {
         expect( result[ 'status' ] ).toBe( false )
         expect( result[ 'error' ] ).toContain( 'Missing required parameter' )
     } )
+
+
+    it( 'refuses --interactive without a TTY before prompting', async () => {
+        const { result } = await FlowMcpCli.callTool( {
+            'toolName': 'with_required_calledgesrc',
+            'cwd': CWD,
+            'options': { 'interactive': true }
+        } )
+
+        expect( result[ 'status' ] ).toBe( false )
+        expect( result[ 'error' ] ).toMatch( /^CAL-009 / )
+        expect( result[ 'fix' ] ).toContain( 'call with_required_calledgesrc' )
+    } )
 } )
 
 
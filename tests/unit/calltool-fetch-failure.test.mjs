@@ -225,3 +225,42 @@ describe( 'FlowMcpCli.callTool — cached route with params triggers buildCacheK
         ).toBe( true )
     }, 15000 )
 } )
+
+
+describe( 'FlowMcpCli.callTool — client-side parameter validation', () => {
+    it( 'rejects a wrongly typed param before any request with CAL-002', async () => {
+        const { result } = await FlowMcpCli.callTool( {
+            'toolName': 'cached_with_params_fetchfail',
+            'jsonArgs': '{"q":42}',
+            'cwd': TEST_CWD
+        } )
+
+        expect( result[ 'status' ] ).toBe( false )
+        expect( result[ 'code' ] ).toBe( 'CAL-002' )
+        expect( result[ 'violations' ][ 0 ][ 'code' ] ).toBe( 'CAL-003' )
+        expect( result[ 'violations' ][ 0 ][ 'param' ] ).toBe( 'q' )
+        expect( result[ 'fix' ] ).toContain( '"q":"<string>"' )
+        expect( result[ 'cache' ] ).toBeUndefined()
+    }, 15000 )
+} )
+
+
+describe( 'FlowMcpCli.callTool — dry run', () => {
+    it( 'returns the built request without sending it or touching the cache', async () => {
+        const { result } = await FlowMcpCli.callTool( {
+            'toolName': 'cached_with_params_fetchfail',
+            'jsonArgs': '{"q":"dry-value"}',
+            'cwd': TEST_CWD,
+            'options': { 'dryRun': true, 'asCurl': true }
+        } )
+
+        expect( result[ 'status' ] ).toBe( true )
+        expect( result[ 'dryRun' ] ).toBe( true )
+        expect( result[ 'request' ][ 'method' ] ).toBe( 'GET' )
+        expect( result[ 'request' ][ 'url' ] ).toContain( 'https://httpbin.org/get' )
+        expect( result[ 'request' ][ 'url' ] ).toContain( 'q=dry-value' )
+        expect( result[ 'curl' ] ).toMatch( /^curl -X GET / )
+        expect( result[ 'cache' ] ).toBeUndefined()
+        expect( result[ 'content' ] ).toBeUndefined()
+    }, 15000 )
+} )
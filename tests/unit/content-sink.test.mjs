@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { ContentSink } from '../../src/lib/ContentSink.mjs'
+
+
+const testHome = createTestHome( { suite: 'content-sink' } )
+const content = [
+    { 'symbol': 'BTC', 'price': 65000 },
+    { 'symbol': 'ETH', 'price': 3200 }
+]
+
+
+beforeAll( async () => {
+    await testHome.setup()
+} )
+
+
+afterAll( async () => {
+    await testHome.teardown()
+} )
+
+
+describe( 'ContentSink', () => {
+    it( 'writes content to --out and keeps only a summary', async () => {
+        const out = join( testHome.tmpDir, 'prices.json' )
+        const { result } = await ContentSink.apply( { 'result': { 'status': true, 'toolName': 'getPrices', content }, out } )
+
+        expect( result[ 'content' ] ).toBeUndefined()
+        expect( result[ 'toolName' ] ).toBe( 'getPrices' )
+        expect( result[ 'out' ] ).toMatchObject( { 'path': out, 'type': 'array', 'items': 2, 'keys': [ 'symbol', 'price' ] } )
+        expect( JSON.parse( await readFile( out, 'utf-8' ) ) ).toEqual( content )
+        expect( result[ 'out' ][ 'bytes' ] ).toBe( Buffer.byteLength( await readFile( out, 'utf-8' ) ) )
+    } )
+
+
+    it( 'refuses an existing --out file with OUT-004 unless --force', async () => {
+        const out = join( testHome.tmpDir, 'existing.json' )
+        await writeFile( out, 'keep me', 'utf-8' )
+
+        const { result: refused } = await ContentSink.apply( { 'result': { 'status': true, content }, out } )
+        expect( refused[ 'code' ] ).toBe( 'OUT-004' )
+        expect( await readFile( out, 'utf-8' ) ).toBe( 'keep me' )
+
+        const { result } = await ContentSink.apply( { 'result': { 'status': true, content }, out, 'force': true } )
+        expect( result[ 'out' ][ 'path' ] ).toBe( out )
+        expect( JSON.parse( await readFile( out, 'utf-8' ) ) ).toEqual( content )
+    } )
+
+
+    it( 'refuses oversized inline content unless --force-inline', async () => {
+        await writeFile( testHome.globalConfigPath, JSON.stringify( { 'output': { 'maxInlineBytes': 20 } } ) )
+        const result = { 'status': true, content }
+
+        const { result: refused } = await ContentSink.apply( { result } )
+        expect( refused[ 'code' ] ).toBe( 'OUT-001' )
+        expect( refused[ 'summary' ][ 'items' ] ).toBe( 2 )
+        expect( ( await ContentSink.apply( { result, 'forceInline': true } ) )[ 'result' ] ).toBe( result )
+
+        await writeFile( testHome.globalConfigPath, JSON.stringify( { 'output': { 'maxInlineBytes': 'big' } } ) )
+        expect( ( await ContentSink.apply( { result } ) )[ 'result' ][ 'code' ] ).toBe( 'OUT-003' )
+    } )
+
+
+    it( 'passes failures through and reports unwritable paths', async () => {
+        const failed = { 'status': false, 'error': 'boom' }
+        expect( ( await ContentSink.apply( { 'result': failed, 'out': 'x.json' } ) )[ 'result' ] ).toBe( failed )
+
+        const { result } = await ContentSink.apply( { 'result': { 'status': true, content }, 'out': join( testHome.tmpDir, 'missing', 'x.json' ) } )
+        expect( result[ 'code' ] ).toBe( 'OUT-002' )
+    } )
+} )
@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+
+import { HttpTransport } from '../../src/lib/HttpTransport.mjs'
+import { DryRun } from '../../src/lib/DryRun.mjs'
+
+
+const originalFetch = globalThis.fetch
+const sent = []
+
+
+beforeAll( () => {
+    globalThis.fetch = async ( input, init = {} ) => {
+        sent.push( { 'url': String( input ), 'method': init[ 'method' ] || 'GET' } )
+
+        return new Response( JSON.stringify( { 'ok': true } ), { 'status': 200, 'headers': { 'content-type': 'application/json' } } )
+    }
+} )
+
+
+afterAll( () => {
+    globalThis.fetch = originalFetch
+} )
+
+
+// Stand-in for core FlowMCP.fetch: builds a request and sends it via the global fetch.
+const fakeCoreFetch = async ( { url, init } ) => {
+    try {
+        const response = await fetch( url, init )
+        const data = await response.json()
+
+        return { 'status': true, 'messages': [], data }
+    } catch( err ) {
+        return { 'status': false, 'messages': [ err.message ], 'data': null }
+    }
+}
+
+
+describe( 'HttpTransport.run', () => {
+    it( 'applies interceptors only inside the scope', async () => {
+        const seen = []
+        const interceptor = async ( { input, next } ) => {
+            seen.push( String( input ) )
+
+            return next()
+        }
+
+        await HttpTransport.run( { 'interceptors': [ interceptor ], 'execute': () => fetch( 'https://api.example.com/a' ) } )
+        await fetch( 'https://api.example.com/b' )
+
+        expect( seen ).toEqual( [ 'https://api.example.com/a' ] )
+        expect( sent.map( ( { url } ) => url ) ).toContain( 'https://api.example.com/b' )
+    } )
+
+
+    it( 'keeps concurrent scopes apart', async () => {
+        const tags = []
+        const tagging = ( tag ) => async ( { next } ) => {
+            tags.push( tag )
+            await new Promise( ( res ) => setTimeout( res, tag === 'slow' ? 20 : 1 ) )
+
+            return next()
+        }
+
+        await Promise.all( [
+            HttpTransport.run( { 'interceptors': [ tagging( 'slow' ) ], 'execute': () => fetch( 'https://api.example.com/slow' ) } ),
+            HttpTransport.run( { 'interceptors': [ tagging( 'fast' ) ], 'execute': () => fetch( 'https://api.example.com/fast' ) } )
+        ] )
+
+        expect( tags.sort() ).toEqual( [ 'fast', 'slow' ] )
+    } )
+
+
+    it( 'lets an interceptor rewrite the request for the next one', async () => {
+        const urls = []
+        const rewrite = async ( { next } ) => next( { 'input': 'https://api.example.com/rewritten' } )
+        const record = async ( { input, next } ) => {
+            urls.push( String( input ) )
+
+            return next()
+        }
+
+        await HttpTransport.run( { 'interceptors': [ rewrite, record ], 'execute': () => fetch( 'https://api.example.com/original' ) } )
+
+        expect( urls ).toEqual( [ 'https://api.example.com/rewritten' ] )
+    } )
+} )
+
+
+describe( 'HttpTransport.describe', () => {
+    it( 'normalizes url, method, headers and body', async () => {
+        const described = await HttpTransport.describe( {
+            'input': 'https://api.example.com/x',
+            'init': { 'method': 'post', 'headers': { 'X-Key': 'abc' }, 'body': '{"a":1}' }
+        } )
+
+        expect( described ).toEqual( {
+            'url': 'https://api.example.com/x',
+            'method': 'POST',
+            'headers': { 'x-key': 'abc' },
+            'body': '{"a":1}'
+        } )
+    } )
+} )
+
+
+describe( 'DryRun.execute', () => {
+    it( 'captures the request, redacts server params and never sends it', async () => {
+        const before = sent.length
+        const { result } = await DryRun.execute( {
+            'toolName': 'get_price_demo',
+            'serverParams': { 'DEMO_KEY': 'se cret' },
+            'asCurl': true,
+            'fetch': () => fakeCoreFetch( {
+                'url': `https://api.example.com/price?key=${encodeURIComponent( 'se cret' )}&id=1`,
+                'init': { 'method': 'POST', 'headers': { 'Authorization': 'Bearer se cret' }, 'body': '{"id":1}' }
+            } )
+        } )
+
+        expect( sent.length ).toBe( before )
+        expect( result[ 'status' ] ).toBe( true )
+        expect( result[ 'dryRun' ] ).toBe( true )
+        expect( result[ 'request' ] ).toEqual( {
+            'method': 'POST',
+            'url': 'https://api.example.com/price?key=<redacted:DEMO_KEY>&id=1',
+            'headers': { 'authorization': 'Bearer <redacted:DEMO_KEY>' },
+            'body': '{"id":1}'
+        } )
+        expect( result[ 'curl' ] ).toContain( "curl -X POST 'https://api.example.com/price?key=<redacted:DEMO_KEY>&id=1'" )
+        expect( result[ 'curl' ] ).toContain( "--data-raw '{\"id\":1}'" )
+        expect( JSON.stringify( result ) ).not.toContain( 'se cret' )
+    } )
+
+
+    it( 'reports a tool that completes without any request', async () => {
+        const { result } = await DryRun.execute( {
+            'toolName': 'calc_demo',
+            'fetch': async () => ( { 'status': true, 'messages': [], 'data': 42 } )
+        } )
+
+        expect( result[ 'status' ] ).toBe( true )
+        expect( result[ 'request' ] ).toBeNull()
+    } )
+
+
+    it( 'returns DRY-001 when the tool fails before building a request', async () => {
+        const { result } = await DryRun.execute( {
+            'toolName': 'broken_demo',
+            'fetch': async () => ( { 'status': false, 'messages': [ 'preRequest failed' ], 'data': null } )
+        } )
+
+        expect( result[ 'status' ] ).toBe( false )
+        expect( result[ 'code' ] ).toBe( 'DRY-001' )
+    } )
+} )
+
+
+describe( 'DryRun.toCurl', () => {
+    it( 'escapes single quotes', () => {
+        const { curl } = DryRun.toCurl( {
+            'request': { 'method': 'GET', 'url': "https://api.example.com/?q=it's", 'headers': {}, 'body': null }
+        } )
+
+        expect( curl ).toBe( "curl -X GET 'https://api.example.com/?q=it'\\''s'" )
+    } )
+} )
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { writeFile, mkdir } from 'node:fs/promises'
+import { existsSync } from 'node:fs'
+import { join } from 'node:path'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+
+const { FanOutCommand } = await import( '../../src/commands/FanOutCommand.mjs' )
+
+
+const testHome = createTestHome( { suite: 'fan-out' } )
+const originalFetch = globalThis.fetch
+const SOURCES = {
+    'development': { 'root': 'https://dev.example.com', 'body': { 'price': 1, 'currency': 'usd' } },
+    'production': { 'root': 'https://prod.example.com', 'body': { 'price': 1 } }
+}
+
+// A cacheable route (preload) in both sources — the cache key is the same for both.
+const schema = ( { root } ) => `export const main = {
+    namespace: 'fanns',
+    name: 'Fan-out API',
+    description: 'Schema for fan-out tests',
+    version: '4.0.0',
+    docs: [],
+    tags: [ 'test' ],
+    root: '${root}',
+    requiredServerParams: [],
+    headers: {},
+    tools: {
+        price: {
+            method: 'GET',
+            description: 'Cached price',
+            path: '/price',
+            parameters: [],
+            preload: { enabled: true, ttl: 300 }
+        }
+    }
+}
+`
+
+
+beforeAll( async () => {
+    await testHome.setup()
+
+    await Object.entries( SOURCES )
+        .reduce( ( promise, [ name, { root } ] ) => promise.then( async () => {
+            const dir = join( testHome.schemasDir, name, 'providers' )
+            await mkdir( dir, { recursive: true } )
+            await writeFile( join( dir, 'fan.mjs' ), schema( { root } ), 'utf-8' )
+            await writeFile( join( dir, '_registry.json' ), JSON.stringify( {
+                name,
+                'version': '1.0.0',
+                'description': 'Fan-out test source',
+                'schemaSpec': '4.0.0',
+                'schemas': [ { 'namespace': 'fanns', 'file': 'fan.mjs', 'name': 'Fan-out API', 'requiredServerParams': [] } ]
+            }, null, 4 ), 'utf-8' )
+        } ), Promise.resolve() )
+
+    await writeFile( testHome.envPath( '.fan' ), '', 'utf-8' )
+    await writeFile( testHome.globalConfigPath, JSON.stringify( {
+        'envPath': testHome.envPath( '.fan' ),
+        'flowmcpCore': { 'version': '2.0.0', 'commit': 'abc123', 'schemaSpec': '4.0.0' },
+        'initialized': new Date().toISOString(),
+        'schemaFolders': Object.keys( SOURCES )
+            .map( ( name ) => ( { name, 'path': `~/.flowmcp/schemas/${name}` } ) )
+    }, null, 4 ), 'utf-8' )
+
+    globalThis.fetch = async ( input ) => {
+        const url = String( input instanceof Request ? input.url : input )
+        const { body } = Object.values( SOURCES ).find( ( { root } ) => url.startsWith( root ) )
+
+        return new Response( JSON.stringify( body ), { 'status': 200, 'headers': { 'content-type': 'application/json' } } )
+    }
+} )
+
+
+afterAll( async () => {
+    globalThis.fetch = originalFetch
+    await testHome.teardown()
+} )
+
+
+describe( 'FanOutCommand.callAllSources', () => {
+    it( 'fetches a cacheable tool live in every source instead of sharing one cache entry', async () => {
+        const { result } = await FanOutCommand.callAllSources( { 'toolName': 'fanns/tool/price', 'cwd': testHome.tmpDir } )
+
+        expect( result[ 'sources' ].map( ( { source, result: run } ) => [ source, run[ 'content' ] ] ) ).toEqual( [
+            [ 'development', SOURCES[ 'development' ][ 'body' ] ],
+            [ 'production', SOURCES[ 'production' ][ 'body' ] ]
+        ] )
+        expect( result[ 'diff' ] ).toMatchObject( [ { 'source': 'production', 'against': 'development', 'equal': false, 'compared': true } ] )
+        expect( result[ 'sources' ].every( ( { result: run } ) => run[ 'cache' ] === undefined ) ).toBe( true )
+        expect( existsSync( join( testHome.cacheDir, 'fanns' ) ) ).toBe( false )
+    } )
+} )
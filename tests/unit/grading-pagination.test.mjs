@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+
+import { GradingDeterministic } from '../../src/commands/grading/GradingDeterministic.mjs'
+
+
+const originalFetch = globalThis.fetch
+const pages = {
+    'https://api.example.com/v1/items': { 'data': [ 1, 2 ], 'meta': { 'next': 'c2' } },
+    'https://api.example.com/v1/items?cursor=c2': { 'data': [ 3 ], 'meta': { 'next': null } }
+}
+const main = {
+    'root': 'https://api.example.com/v1',
+    'routes': {
+        'getItems': {
+            'method': 'GET',
+            'path': '/items',
+            'parameters': [],
+            'pagination': { 'type': 'cursor', 'itemsPath': '$.data', 'cursorParam': 'cursor', 'cursorPath': '$.meta.next' }
+        }
+    }
+}
+// Stands in for flowmcp-grading: one test, fetched through the global fetch.
+const grading = {
+    'DataPretest': {
+        'run': async () => {
+            const response = await fetch( 'https://api.example.com/v1/items' )
+
+            return { 'ok': true, 'results': [ { 'name': 'getItems', 'data': await response.json() } ] }
+        }
+    }
+}
+
+
+beforeAll( () => {
+    globalThis.fetch = async ( input ) => new Response( JSON.stringify( pages[ String( input ) ] || { 'data': [] } ), { 'status': 200 } )
+} )
+
+
+afterAll( () => {
+    globalThis.fetch = originalFetch
+} )
+
+
+describe( 'grading deterministic --all-pages', () => {
+    it( 'follows the pages of a paginated route inside the data pretest', async () => {
+        const { interceptors, report } = GradingDeterministic.deterministicPagination( { 'allPages': true, 'maxPages': null, main } )
+        const { pretestRaw } = await GradingDeterministic.deterministicPretest( { grading, interceptors, 'args': {} } )
+
+        expect( pretestRaw[ 'results' ][ 0 ][ 'data' ][ 'data' ] ).toEqual( [ 1, 2, 3 ] )
+        expect( report ).toMatchObject( { 'routes': [ 'getItems' ], 'pages': 2, 'items': 3, 'complete': true } )
+    } )
+} )
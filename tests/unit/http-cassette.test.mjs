@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { mkdir, readdir, readFile, rm } from 'node:fs/promises'
+import { join } from 'node:path'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { HttpTransport } from '../../src/lib/HttpTransport.mjs'
+import { HttpCassette } from '../../src/lib/HttpCassette.mjs'
+
+
+const testHome = createTestHome( { suite: 'http-cassette' } )
+const CASSETTE_DIR = join( testHome.tmpDir, 'cassettes' )
+const originalFetch = globalThis.fetch
+let liveCalls = 0
+
+
+beforeAll( async () => {
+    await testHome.setup()
+    globalThis.fetch = async ( input, init = {} ) => {
+        liveCalls += 1
+        const body = JSON.stringify( { 'echo': String( input ), 'method': init[ 'method' ] || 'GET', 'body': init[ 'body' ] || null } )
+
+        return new Response( body, { 'status': 200, 'headers': { 'content-type': 'application/json' } } )
+    }
+} )
+
+
+afterAll( async () => {
+    globalThis.fetch = originalFetch
+    await rm( CASSETTE_DIR, { recursive: true, force: true } ).catch( () => {} )
+    await testHome.teardown()
+} )
+
+
+const callThrough = async ( { interceptors, url, init = {} } ) => {
+    const response = await HttpTransport.run( { interceptors, 'execute': () => fetch( url, init ) } )
+
+    return { 'status': response.status, 'data': await response.json() }
+}
+
+
+describe( 'HttpCassette record / replay', () => {
+    it( 'records a response without the server-param value', async () => {
+        const { interceptors, error } = HttpCassette.interceptors( {
+            'recordDir': CASSETTE_DIR,
+            'serverParams': { 'DEMO_KEY': 'real-secret' },
+            'cwd': testHome.root
+        } )
+
+        expect( error ).toBeNull()
+
+        const { status } = await callThrough( { interceptors, 'url': 'https://api.example.com/v1/price?id=1&apikey=real-secret' } )
+        expect( status ).toBe( 200 )
+
+        const files = await readdir( CASSETTE_DIR )
+        expect( files ).toHaveLength( 1 )
+        expect( files[ 0 ] ).toMatch( /^GET_api\.example\.com_[0-9a-f]{16}\.json$/ )
+
+        const stored = await readFile( join( CASSETTE_DIR, files[ 0 ] ), 'utf-8' )
+        expect( stored ).not.toContain( 'real-secret' )
+        expect( JSON.parse( stored )[ 'request' ][ 'url' ] ).toBe( 'https://api.example.com/v1/price?id=1&apikey=__SERVER_PARAM_DEMO_KEY__' )
+    } )
+
+
+    it( 'replays without network and without the key', async () => {
+        const { envObject } = HttpCassette.fillPlaceholders( { 'envObject': {}, 'requiredServerParams': [ 'DEMO_KEY' ] } )
+        const serverParams = { 'DEMO_KEY': envObject[ 'DEMO_KEY' ] }
+        const { interceptors } = HttpCassette.interceptors( { 'replayDir': CASSETTE_DIR, serverParams, 'cwd': testHome.root } )
+
+        const before = liveCalls
+        const { status, data } = await callThrough( { interceptors, 'url': `https://api.example.com/v1/price?id=1&apikey=${serverParams[ 'DEMO_KEY' ]}` } )
+
+        expect( liveCalls ).toBe( before )
+        expect( status ).toBe( 200 )
+        expect( data[ 'echo' ] ).toContain( 'apikey=__SERVER_PARAM_DEMO_KEY__' )
+    } )
+
+
+    it( 'matches on the body as well as method and url', async () => {
+        const { interceptors: recorder } = HttpCassette.interceptors( { 'recordDir': CASSETTE_DIR, 'cwd': testHome.root } )
+        await callThrough( { 'interceptors': recorder, 'url': 'https://api.example.com/v1/query', 'init': { 'method': 'POST', 'body': '{"a":1}' } } )
+
+        const { interceptors: player } = HttpCassette.interceptors( { 'replayDir': CASSETTE_DIR, 'cwd': testHome.root } )
+        const { data } = await callThrough( { 'interceptors': player, 'url': 'https://api.example.com/v1/query', 'init': { 'method': 'POST', 'body': '{"a":1}' } } )
+        expect( data[ 'body' ] ).toBe( '{"a":1}' )
+
+        await expect(
+            callThrough( { 'interceptors': player, 'url': 'https://api.example.com/v1/query', 'init': { 'method': 'POST', 'body': '{"a":2}' } } )
+        ).rejects.toThrow( /^CST-004/ )
+    } )
+
+
+    it( 'rejects a missing replay dir and combined flags', async () => {
+        await mkdir( testHome.tmpDir, { recursive: true } )
+
+        const missing = HttpCassette.interceptors( { 'replayDir': 'nope', 'cwd': testHome.tmpDir } )
+        const combined = HttpCassette.interceptors( { 'recordDir': 'a', 'replayDir': 'b', 'cwd': testHome.tmpDir } )
+
+        expect( missing[ 'error' ] ).toMatch( /^CST-002/ )
+        expect( combined[ 'error' ] ).toMatch( /^CST-001/ )
+    } )
+} )
@@ -0,0 +1,63 @@
+import { describe, it, expect } from '@jest/globals'
+
+import { JsonSelect } from '../../src/lib/JsonSelect.mjs'
+
+
+const content = {
+    'data': [
+        { 'symbol': 'BTC', 'price': 65000, 'meta': { 'rank': 1 } },
+        { 'symbol': 'ETH', 'price': '3200.5', 'meta': { 'rank': 2 } },
+        { 'symbol': 'DOGE', 'price': 0.12, 'meta': null }
+    ],
+    'status': { 'credits': 7 }
+}
+
+
+const select = ( expression ) => {
+    const { path, error } = JsonSelect.parse( { expression } )
+    expect( error ).toBeNull()
+
+    return JsonSelect.apply( { path, 'data': content } )[ 'value' ]
+}
+
+
+describe( 'JsonSelect', () => {
+    it( 'reads keys, indexes and wildcards', () => {
+        expect( select( '$.status.credits' ) ).toBe( 7 )
+        expect( select( 'status["credits"]' ) ).toBe( 7 )
+        expect( select( '$.data[-1].symbol' ) ).toBe( 'DOGE' )
+        expect( select( '$.data[*].symbol' ) ).toEqual( [ 'BTC', 'ETH', 'DOGE' ] )
+        expect( select( '$.data[0].*' ) ).toEqual( [ 'BTC', 65000, { 'rank': 1 } ] )
+        expect( select( '$.missing.path' ) ).toBeNull()
+    } )
+
+
+    it( 'filters with simple predicates', () => {
+        expect( select( '$.data[?(@.price > 1000)].symbol' ) ).toEqual( [ 'BTC', 'ETH' ] )
+        expect( select( "$.data[?(@.symbol == 'DOGE')].price" ) ).toEqual( [ 0.12 ] )
+        expect( select( '$.data[?(@.meta.rank)].symbol' ) ).toEqual( [ 'BTC', 'ETH' ] )
+        expect( select( '$.data[?(@.meta.rank != 1)]' ) ).toHaveLength( 1 )
+    } )
+
+
+    it( 'rejects malformed expressions with SEL-001', () => {
+        expect( JsonSelect.parse( { 'expression': '$.data[' } )[ 'error' ] ).toMatch( /^SEL-001/ )
+        expect( JsonSelect.parse( { 'expression': '$.data[?(@.price ~ 3)]' } )[ 'error' ] ).toMatch( /^SEL-001/ )
+        expect( JsonSelect.parse( { 'expression': '$.data[?(@.symbol == BTC)]' } )[ 'error' ] ).toMatch( /quote strings/ )
+    } )
+
+
+    it( 'projects a result and limits a top-level array', () => {
+        const { projection, error } = JsonSelect.prepare( { 'select': '$.data[*].symbol', 'limit': '2' } )
+        expect( error ).toBeNull()
+
+        const { result } = JsonSelect.project( { 'result': { 'status': true, content }, projection } )
+        expect( result[ 'content' ] ).toEqual( [ 'BTC', 'ETH' ] )
+        expect( result[ 'select' ] ).toEqual( { 'expression': '$.data[*].symbol', 'count': 3 } )
+        expect( result[ 'limit' ] ).toEqual( { 'total': 3, 'returned': 2 } )
+
+        const failed = { 'status': false, 'error': 'boom' }
+        expect( JsonSelect.project( { 'result': failed, projection } )[ 'result' ] ).toBe( failed )
+        expect( JsonSelect.prepare( { 'limit': 'ten' } )[ 'error' ] ).toMatch( /^SEL-002/ )
+    } )
+} )
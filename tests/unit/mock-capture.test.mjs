@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { writeFile, mkdir } from 'node:fs/promises'
+import { join } from 'node:path'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { MockFixtures } from '../../src/lib/MockFixtures.mjs'
+
+const { MockCommand } = await import( '../../src/commands/MockCommand.mjs' )
+
+
+const testHome = createTestHome( { suite: 'mock-capture' } )
+const originalFetch = globalThis.fetch
+const SOURCES = {
+    'development': { 'root': 'https://dev.example.com', 'body': { 'price': 1, 'source': 'development' } },
+    'production': { 'root': 'https://prod.example.com', 'body': { 'price': 2, 'source': 'production' } }
+}
+const schemaPath = ( { name } ) => join( testHome.schemasDir, name, 'providers', 'mock.mjs' )
+
+// The same namespace and route in both sources, each with its own root.
+const schema = ( { root } ) => `export const main = {
+    namespace: 'mockns',
+    name: 'Mock capture API',
+    description: 'Schema for mock capture tests',
+    version: '4.0.0',
+    docs: [],
+    tags: [ 'test' ],
+    root: '${root}',
+    requiredServerParams: [],
+    headers: {},
+    tools: {
+        price: {
+            method: 'GET',
+            description: 'Price',
+            path: '/price',
+            parameters: [],
+            tests: [ { _description: 'current price' } ]
+        }
+    }
+}
+`
+
+
+beforeAll( async () => {
+    await testHome.setup()
+
+    await Object.entries( SOURCES )
+        .reduce( ( promise, [ name, { root } ] ) => promise.then( async () => {
+            const dir = join( testHome.schemasDir, name, 'providers' )
+            await mkdir( dir, { recursive: true } )
+            await writeFile( join( dir, 'mock.mjs' ), schema( { root } ), 'utf-8' )
+            await writeFile( join( dir, '_registry.json' ), JSON.stringify( {
+                name,
+                'version': '1.0.0',
+                'description': 'Mock capture test source',
+                'schemaSpec': '4.0.0',
+                'schemas': [ { 'namespace': 'mockns', 'file': 'mock.mjs', 'name': 'Mock capture API', 'requiredServerParams': [] } ]
+            }, null, 4 ), 'utf-8' )
+        } ), Promise.resolve() )
+
+    await writeFile( testHome.envPath( '.mock' ), '', 'utf-8' )
+    await writeFile( testHome.globalConfigPath, JSON.stringify( {
+        'envPath': testHome.envPath( '.mock' ),
+        'flowmcpCore': { 'version': '2.0.0', 'commit': 'abc123', 'schemaSpec': '4.0.0' },
+        'initialized': new Date().toISOString(),
+        'schemaFolders': Object.keys( SOURCES )
+            .map( ( name ) => ( { name, 'path': `~/.flowmcp/schemas/${name}` } ) )
+    }, null, 4 ), 'utf-8' )
+
+    globalThis.fetch = async ( input ) => {
+        const url = String( input instanceof Request ? input.url : input )
+        const { body } = Object.values( SOURCES ).find( ( { root } ) => url.startsWith( root ) )
+
+        return new Response( JSON.stringify( body ), { 'status': 200, 'headers': { 'content-type': 'application/json' } } )
+    }
+} )
+
+
+afterAll( async () => {
+    globalThis.fetch = originalFetch
+    await testHome.teardown()
+} )
+
+
+describe( 'MockCommand.capture', () => {
+    it( 'captures each source of a namespace from its own schema', async () => {
+        const { result } = await MockCommand.capture( { 'namespace': 'mockns', 'cwd': testHome.tmpDir, 'quiet': true } )
+        const fixtures = await Promise.all( Object.keys( SOURCES )
+            .map( async ( name ) => {
+                const { fixture } = await MockFixtures.read( { 'schemaPath': schemaPath( { name } ), 'routeName': 'price' } )
+
+                return [ name, fixture[ 'captures' ][ 0 ][ 'content' ] ]
+            } ) )
+
+        expect( result ).toMatchObject( { 'status': true, 'tools': 2, 'captured': 2 } )
+        expect( fixtures ).toEqual( [
+            [ 'development', SOURCES[ 'development' ][ 'body' ] ],
+            [ 'production', SOURCES[ 'production' ][ 'body' ] ]
+        ] )
+    } )
+} )
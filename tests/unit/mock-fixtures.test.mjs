@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { join } from 'node:path'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { MockFixtures } from '../../src/lib/MockFixtures.mjs'
+
+
+const testHome = createTestHome( { suite: 'mock-fixtures' } )
+
+
+beforeAll( async () => {
+    await testHome.setup()
+} )
+
+
+afterAll( async () => {
+    await testHome.teardown()
+} )
+
+
+describe( 'MockFixtures', () => {
+    it( 'places fixtures next to the schema and strips test annotations', () => {
+        const { path } = MockFixtures.fixturePath( { 'schemaPath': '/schemas/coingecko/prices.mjs', 'routeName': 'getPrice' } )
+        const { params } = MockFixtures.testParams( { 'test': { '_description': 'BTC in USD', 'id': 'bitcoin', 'vs': 'usd' } } )
+
+        expect( path ).toBe( join( '/schemas/coingecko', '_fixtures', 'prices', 'getPrice.json' ) )
+        expect( params ).toEqual( { 'id': 'bitcoin', 'vs': 'usd' } )
+    } )
+
+
+    it( 'writes and reads a fixture, an empty or missing one reads as null', async () => {
+        const schemaPath = join( testHome.tmpDir, 'provider', 'prices.mjs' )
+        const captures = [ { 'test': 0, 'description': null, 'params': { 'id': 'bitcoin' }, 'content': { 'price': 1 } } ]
+        const { path } = await MockFixtures.write( { schemaPath, 'routeName': 'getPrice', captures, 'now': new Date( '2026-10-01T00:00:00Z' ) } )
+        const { fixture, path: readPath } = await MockFixtures.read( { schemaPath, 'routeName': 'getPrice' } )
+
+        expect( readPath ).toBe( path )
+        expect( fixture ).toEqual( { 'routeName': 'getPrice', 'capturedAt': '2026-10-01T00:00:00.000Z', captures } )
+        expect( ( await MockFixtures.read( { schemaPath, 'routeName': 'other' } ) )[ 'fixture' ] ).toBeNull()
+
+        await MockFixtures.write( { schemaPath, 'routeName': 'empty', 'captures': [] } )
+        expect( ( await MockFixtures.read( { schemaPath, 'routeName': 'empty' } ) )[ 'fixture' ] ).toBeNull()
+    } )
+
+
+    it( 'picks the capture with equal params, else the first one', () => {
+        const fixture = {
+            'captures': [
+                { 'test': 0, 'params': { 'id': 'bitcoin', 'vs': 'usd' }, 'content': 'first' },
+                { 'test': 1, 'params': { 'id': 'ethereum', 'vs': 'eur' }, 'content': 'second' }
+            ]
+        }
+
+        expect( MockFixtures.pick( { fixture, 'userParams': { 'vs': 'eur', 'id': 'ethereum' } } ) ).toEqual( { 'capture': fixture[ 'captures' ][ 1 ], 'exact': true } )
+        expect( MockFixtures.pick( { fixture, 'userParams': { 'id': 'solana' } } ) ).toEqual( { 'capture': fixture[ 'captures' ][ 0 ], 'exact': false } )
+    } )
+} )
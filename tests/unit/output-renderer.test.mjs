@@ -0,0 +1,69 @@
+import { describe, it, expect } from '@jest/globals'
+
+import { OutputRenderer } from '../../src/lib/OutputRenderer.mjs'
+import { YamlLite } from '../../src/lib/YamlLite.mjs'
+
+
+const result = {
+    'status': true,
+    'toolName': 'getPrices',
+    'content': [
+        { 'symbol': 'BTC', 'price': 65000, 'meta': { 'rank': 1 } },
+        { 'symbol': 'ETH, classic', 'tags': [ 'l1' ], 'price': 3200 }
+    ]
+}
+
+
+const render = ( format ) => OutputRenderer.render( { result, format, 'rowsKey': 'content' } )[ 'text' ]
+
+
+describe( 'OutputRenderer', () => {
+    it( 'keeps json as the unchanged default', () => {
+        expect( render( 'json' ) ).toBe( JSON.stringify( result, null, 4 ) + '\n' )
+    } )
+
+
+    it( 'flattens rows into stable first-seen columns for csv and tsv', () => {
+        expect( render( 'csv' ) ).toBe( [
+            'symbol,price,meta.rank,tags',
+            'BTC,65000,1,',
+            '"ETH, classic",3200,,"[""l1""]"',
+            ''
+        ].join( '\n' ) )
+        expect( render( 'tsv' ).split( '\n' )[ 0 ] ).toBe( 'symbol\tprice\tmeta.rank\ttags' )
+    } )
+
+
+    it( 'renders ndjson lines and an aligned table', () => {
+        expect( render( 'ndjson' ).trim().split( '\n' ).map( ( line ) => JSON.parse( line )[ 'symbol' ] ) ).toEqual( [ 'BTC', 'ETH, classic' ] )
+
+        const lines = render( 'table' ).trimEnd().split( '\n' )
+        expect( lines[ 0 ] ).toMatch( /^symbol\s+price\s+meta\.rank\s+tags$/ )
+        expect( lines[ 1 ] ).toMatch( /^-+ {2}-+/ )
+        expect( lines[ 2 ].indexOf( '65000' ) ).toBe( lines[ 0 ].indexOf( 'price' ) )
+    } )
+
+
+    it( 'prints failures as json and rejects unknown formats', () => {
+        const failed = { 'status': false, 'error': 'boom' }
+
+        expect( OutputRenderer.render( { 'result': failed, 'format': 'csv' } )[ 'text' ] ).toBe( JSON.stringify( failed, null, 4 ) + '\n' )
+        expect( OutputRenderer.render( { result, 'format': 'xml' } )[ 'error' ] ).toMatch( /^FMT-001/ )
+    } )
+
+
+    it( 'writes block yaml with quoted ambiguous scalars', () => {
+        const { text } = YamlLite.stringify( { 'value': { 'a': 'yes', 'b': [ { 'c': 1, 'd': '' } ], 'e': {}, 'f': 'plain text', 'g': '10' } } )
+
+        expect( text ).toBe( [
+            'a: "yes"',
+            'b:',
+            '  - c: 1',
+            '    d: ""',
+            'e: {}',
+            'f: plain text',
+            'g: "10"',
+            ''
+        ].join( '\n' ) )
+    } )
+} )
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { writeFile } from 'node:fs/promises'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { OutputValidator } from '../../src/lib/OutputValidator.mjs'
+
+
+const testHome = createTestHome( { suite: 'output-validator' } )
+const schema = {
+    'type': 'object',
+    'properties': {
+        'data': {
+            'type': 'array',
+            'items': {
+                'type': 'object',
+                'properties': {
+                    'symbol': { 'type': 'string' },
+                    'price': { 'type': 'number' },
+                    'rank': { 'type': 'integer', 'nullable': true }
+                }
+            }
+        },
+        'status': { 'type': 'object', 'required': [ 'credits' ], 'properties': { 'credits': { 'type': 'integer' }, 'plan': { 'type': 'string' } } }
+    }
+}
+
+
+beforeAll( async () => {
+    await testHome.setup()
+} )
+
+
+afterAll( async () => {
+    await testHome.teardown()
+} )
+
+
+describe( 'OutputValidator', () => {
+    it( 'accepts content that matches the declared shape', () => {
+        const content = {
+            'data': [ { 'symbol': 'BTC', 'price': 65000.5, 'rank': 1 }, { 'symbol': 'XYZ', 'price': 1, 'rank': null } ],
+            'status': { 'credits': 7 }
+        }
+        const { outputValidation } = OutputValidator.validate( { schema, content } )
+
+        expect( outputValidation ).toEqual( { 'checked': true, 'valid': true, 'mismatches': [], 'warnings': [] } )
+    } )
+
+
+    it( 'groups missing fields, type changes and new fields per path', () => {
+        const content = {
+            'data': [ { 'symbol': 'BTC', 'price': '65000' }, { 'symbol': 'ETH', 'price': '3200', 'rank': 2 }, { 'symbol': 'SOL', 'price': 150, 'rank': 1.5, 'tag': 'x' } ],
+            'status': {}
+        }
+        const { outputValidation } = OutputValidator.validate( { schema, content } )
+        const byPath = Object.fromEntries( outputValidation[ 'mismatches' ].map( ( entry ) => [ `${entry[ 'code' ]} ${entry[ 'path' ]}`, entry ] ) )
+
+        expect( outputValidation[ 'valid' ] ).toBe( false )
+        expect( byPath[ 'OVA-002 $.data[*].price' ] ).toMatchObject( { 'expected': 'number', 'actual': 'string', 'count': 2 } )
+        expect( byPath[ 'OVA-001 $.data[*].rank' ][ 'count' ] ).toBe( 1 )
+        expect( byPath[ 'OVA-002 $.data[*].rank' ][ 'expected' ] ).toBe( 'integer|null' )
+        expect( byPath[ 'OVA-003 $.data[*].tag' ][ 'severity' ] ).toBe( 'INFO' )
+        expect( byPath[ 'OVA-001 $.status.credits' ] ).toBeDefined()
+        expect( byPath[ 'OVA-001 $.status.plan' ] ).toBeUndefined()
+        expect( outputValidation[ 'warnings' ] ).toEqual( [
+            'OVA-001 output validation: 2 missing field(s): $.data[*].rank, $.status.credits',
+            'OVA-002 output validation: 2 changed type(s): $.data[*].price, $.data[*].rank'
+        ] )
+    } )
+
+
+    it( 'is enabled by the flag or the config, also per namespace', async () => {
+        await writeFile( testHome.globalConfigPath, JSON.stringify( { 'namespaces': { 'coingecko': { 'outputValidation': { 'enabled': true } } } } ) )
+
+        expect( ( await OutputValidator.isEnabled( {} ) )[ 'enabled' ] ).toBe( false )
+        expect( ( await OutputValidator.isEnabled( { 'validateOutput': true } ) )[ 'enabled' ] ).toBe( true )
+        expect( ( await OutputValidator.isEnabled( { 'namespace': 'coingecko' } ) )[ 'enabled' ] ).toBe( true )
+    } )
+} )
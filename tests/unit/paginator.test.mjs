@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+
+import { HttpTransport } from '../../src/lib/HttpTransport.mjs'
+import { Paginator } from '../../src/lib/Paginator.mjs'
+
+
+const originalFetch = globalThis.fetch
+let requests = []
+let pages = {}
+
+
+beforeAll( () => {
+    globalThis.fetch = async ( input, init = {} ) => {
+        const url = String( input )
+        requests.push( { url, 'body': init[ 'body' ] === undefined ? null : init[ 'body' ] } )
+        const key = init[ 'body' ] === undefined ? url : `${url} ${init[ 'body' ]}`
+        const page = pages[ key ] || { 'body': { 'data': [] } }
+
+        return new Response( JSON.stringify( page[ 'body' ] ), { 'status': page[ 'status' ] || 200, 'headers': page[ 'headers' ] || {} } )
+    }
+} )
+
+
+afterAll( () => {
+    globalThis.fetch = originalFetch
+} )
+
+
+const schema = ( { pagination, path = '/items', parameters = [] } ) => ( {
+    'root': 'https://api.example.com/v1',
+    'routes': { 'getItems': { 'method': 'GET', path, parameters, pagination } }
+} )
+
+
+const callThrough = async ( { main, url, init = undefined, maxPages = 10 } ) => {
+    requests = []
+    const { routes, error } = Paginator.routes( { main } )
+    expect( error ).toBeNull()
+
+    const report = { 'pages': 0, 'items': 0, 'complete': true, 'errors': [] }
+    const response = await HttpTransport.run( {
+        'interceptors': [ Paginator.interceptor( { routes, maxPages, report } ) ],
+        'execute': () => fetch( url, init )
+    } )
+
+    return { 'body': await response.json(), report }
+}
+
+
+describe( 'Paginator', () => {
+    it( 'follows a cursor and merges the items into the first page', async () => {
+        pages = {
+            'https://api.example.com/v1/items?q=btc': { 'body': { 'data': [ 1, 2 ], 'meta': { 'next': 'c2' } } },
+            'https://api.example.com/v1/items?q=btc&cursor=c2': { 'body': { 'data': [ 3 ], 'meta': { 'next': null } } }
+        }
+        const main = schema( { 'pagination': { 'type': 'cursor', 'itemsPath': '$.data', 'cursorParam': 'cursor', 'cursorPath': '$.meta.next' } } )
+        const { body, report } = await callThrough( { main, 'url': 'https://api.example.com/v1/items?q=btc' } )
+
+        expect( body ).toEqual( { 'data': [ 1, 2, 3 ], 'meta': { 'next': 'c2' } } )
+        expect( report ).toEqual( { 'pages': 2, 'items': 3, 'complete': true, 'errors': [] } )
+    } )
+
+
+    it( 'steps offsets and page numbers until a short page', async () => {
+        pages = {
+            'https://api.example.com/v1/items?limit=2': { 'body': { 'data': [ 'a', 'b' ] } },
+            'https://api.example.com/v1/items?limit=2&offset=2': { 'body': { 'data': [ 'c', 'd' ] } },
+            'https://api.example.com/v1/items?limit=2&offset=4': { 'body': { 'data': [ 'e' ] } }
+        }
+        const offset = schema( { 'pagination': { 'type': 'offset', 'itemsPath': '$.data', 'offsetParam': 'offset', 'limitParam': 'limit' } } )
+        const { body } = await callThrough( { 'main': offset, 'url': 'https://api.example.com/v1/items?limit=2' } )
+        expect( body[ 'data' ] ).toEqual( [ 'a', 'b', 'c', 'd', 'e' ] )
+
+        pages = {
+            'https://api.example.com/v1/users/7/items {"page":1}': { 'body': { 'results': [ 'x' ] } },
+            'https://api.example.com/v1/users/7/items {"page":2}': { 'body': { 'results': [] } }
+        }
+        const paged = schema( {
+            'path': '/users/{{USER_ID}}/items',
+            'parameters': [ { 'position': { 'key': 'page', 'value': '{{USER_PARAM}}', 'location': 'body' } } ],
+            'pagination': { 'type': 'page', 'itemsPath': '$.results', 'pageParam': 'page' }
+        } )
+        const { body: pagedBody, report } = await callThrough( { 'main': paged, 'url': 'https://api.example.com/v1/users/7/items', 'init': { 'method': 'POST', 'body': '{"page":1}' } } )
+        expect( pagedBody[ 'results' ] ).toEqual( [ 'x' ] )
+        expect( requests.map( ( { body: sent } ) => sent ) ).toEqual( [ '{"page":1}', '{"page":2}' ] )
+        expect( report[ 'pages' ] ).toBe( 2 )
+    } )
+
+
+    it( 'follows Link headers and stops at maxPages', async () => {
+        pages = {
+            'https://api.example.com/v1/items': { 'body': [ 1 ], 'headers': { 'link': '</v1/items?page=2>; rel="next", </v1/items?page=9>; rel="last"' } },
+            'https://api.example.com/v1/items?page=2': { 'body': [ 2 ], 'headers': { 'link': '<https://api.example.com/v1/items?page=3>; rel="next"' } }
+        }
+        const main = schema( { 'pagination': { 'type': 'link', 'itemsPath': '$' } } )
+        const { body, report } = await callThrough( { main, 'url': 'https://api.example.com/v1/items', 'maxPages': 2 } )
+
+        expect( body ).toEqual( [ 1, 2 ] )
+        expect( report[ 'complete' ] ).toBe( false )
+        expect( requests ).toHaveLength( 2 )
+        expect( Paginator.parseLinkNext( { 'header': '<https://x.test/a?p=2>; rel="prev"' } )[ 'url' ] ).toBeNull()
+    } )
+
+
+    it( 'rejects malformed declarations and --max-pages values', () => {
+        const missing = Paginator.routes( { 'main': schema( { 'pagination': { 'type': 'cursor', 'itemsPath': '$.data' } } ) } )
+        const wildcard = Paginator.routes( { 'main': schema( { 'pagination': { 'type': 'link', 'itemsPath': '$.data[*]' } } ) } )
+        const unknown = Paginator.routes( { 'main': schema( { 'pagination': { 'type': 'token' } } ) } )
+
+        expect( missing[ 'error' ] ).toMatch( /^PAG-001 .*cursorParam, cursorPath/ )
+        expect( wildcard[ 'error' ] ).toMatch( /^PAG-001/ )
+        expect( unknown[ 'error' ] ).toMatch( /^PAG-001/ )
+        expect( Paginator.parseMaxPages( { 'maxPages': '0' } )[ 'error' ] ).toMatch( /^PAG-002/ )
+        expect( Paginator.parseMaxPages( {} )[ 'maxPages' ] ).toBe( 10 )
+    } )
+} )
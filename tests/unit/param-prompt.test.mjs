@@ -0,0 +1,102 @@
+import { describe, it, expect } from '@jest/globals'
+
+import { ParamPrompt } from '../../src/lib/ParamPrompt.mjs'
+import { ParamValidator } from '../../src/lib/ParamValidator.mjs'
+
+
+const requiredParams = [
+    { 'key': 'chain', 'type': 'enum', 'isEnum': true, 'enumExamples': [], 'listRef': 'evm-chains' },
+    { 'key': 'address', 'type': 'string', 'isEnum': false, 'enumExamples': [], 'listRef': null }
+]
+
+const optionalParams = [
+    { 'key': 'limit', 'type': 'number', 'isEnum': false, 'enumExamples': [], 'listRef': null },
+    { 'key': 'sort', 'type': 'enum', 'isEnum': true, 'enumExamples': [ 'asc', 'desc' ], 'listRef': null },
+    { 'key': 'tags', 'type': 'array', 'isEnum': false, 'enumExamples': [], 'listRef': null }
+]
+
+const expectedParameters = {
+    'chain': { 'type': 'enum', 'values': [ 'ETHEREUM_MAINNET', 'POLYGON_MAINNET' ], 'required': true },
+    'address': { 'type': 'string', 'required': true },
+    'limit': { 'type': 'number', 'required': false, 'default': 10 },
+    'sort': { 'type': 'enum', 'values': [ 'asc', 'desc' ], 'required': false },
+    'tags': { 'type': 'array', 'required': false }
+}
+
+
+describe( 'ParamPrompt', () => {
+    it( 'asks required params first, enums as lists, with defaults pre-filled', () => {
+        const { questions } = ParamPrompt.buildQuestions( { requiredParams, optionalParams, expectedParameters, 'userParams': { 'address': '0xabc' } } )
+
+        expect( questions.map( ( question ) => question[ 'key' ] ) ).toEqual( [ 'chain', 'address', 'limit', 'sort', 'tags' ] )
+        expect( questions[ 0 ] ).toMatchObject( { 'type': 'list', 'choices': [ 'ETHEREUM_MAINNET', 'POLYGON_MAINNET' ], 'message': 'chain (evm-chains)' } )
+        expect( questions[ 1 ] ).toMatchObject( { 'type': 'input', 'default': '0xabc' } )
+        expect( questions[ 2 ] ).toMatchObject( { 'default': '10', 'message': 'limit [optional]' } )
+        expect( questions[ 3 ][ 'choices' ][ 0 ] ).toMatchObject( { 'name': '(skip)' } )
+        expect( questions[ 2 ][ 'validate' ]( 'ten' ) ).toBe( 'Enter a number.' )
+        expect( questions[ 1 ][ 'validate' ]( '' ) ).toMatch( /Required/ )
+    } )
+
+
+    it( 'assembles typed params and drops skipped optionals', () => {
+        const { questions } = ParamPrompt.buildQuestions( { requiredParams, optionalParams, expectedParameters } )
+        const skip = questions[ 3 ][ 'choices' ][ 0 ][ 'value' ]
+        const answers = { 'p0': 'POLYGON_MAINNET', 'p1': '0xdef', 'p2': '25', 'p3': skip, 'p4': 'a, b' }
+
+        const { userParams } = ParamPrompt.assemble( { questions, answers } )
+
+        expect( userParams ).toEqual( { 'chain': 'POLYGON_MAINNET', 'address': '0xdef', 'limit': 25, 'tags': [ 'a', 'b' ] } )
+    } )
+
+
+    it( 'falls back to the v4 z.enum array for shared-list enums', () => {
+        const routeParameters = [
+            { 'position': { 'key': 'color', 'value': '{{USER_PARAM}}' }, 'z': { 'primitive': 'enum()', 'enum': [ 'red', 'green' ] } }
+        ]
+        const { questions } = ParamPrompt.buildQuestions( {
+            'requiredParams': [ { 'key': 'color', 'type': 'enum', 'isEnum': true, 'enumExamples': [], 'listRef': null } ],
+            'optionalParams': [],
+            'expectedParameters': { 'color': { 'type': 'enum', 'values': [], 'required': true } },
+            routeParameters
+        } )
+
+        expect( questions[ 0 ] ).toMatchObject( { 'type': 'list', 'choices': [ 'red', 'green' ] } )
+    } )
+
+
+    it( 'offers quoted enum values the way the validator accepts them', () => {
+        const routeParameters = [
+            { 'position': { 'key': 'sort', 'value': '{{USER_PARAM}}' }, 'z': { 'primitive': "enum('asc','desc')", 'options': [] } }
+        ]
+        const { questions } = ParamPrompt.buildQuestions( {
+            'requiredParams': [ { 'key': 'sort', 'type': 'enum', 'isEnum': true, 'enumExamples': [], 'listRef': null } ],
+            'optionalParams': [],
+            'expectedParameters': { 'sort': { 'type': 'enum', 'values': [ "'asc'", "'desc'" ], 'required': true } },
+            routeParameters
+        } )
+        const { userParams } = ParamPrompt.assemble( { questions, 'answers': { 'p0': questions[ 0 ][ 'choices' ][ 1 ] } } )
+        const { violations } = ParamValidator.validate( {
+            routeParameters,
+            userParams,
+            'expectedParameters': { 'sort': { 'type': 'enum', 'values': [ "'asc'", "'desc'" ], 'required': true } }
+        } )
+
+        expect( questions[ 0 ][ 'choices' ] ).toEqual( [ 'asc', 'desc' ] )
+        expect( userParams ).toEqual( { 'sort': 'desc' } )
+        expect( violations ).toEqual( [] )
+    } )
+
+
+    it( 'reports Ctrl-C in a prompt as cancelled and rethrows other errors', async () => {
+        const exitPrompt = async () => {
+            const err = new Error( 'User force closed the prompt with SIGINT' )
+            err.name = 'ExitPromptError'
+
+            throw err
+        }
+
+        expect( await ParamPrompt.ask( { 'prompt': exitPrompt, 'questions': [] } ) ).toEqual( { 'answers': null, 'cancelled': true } )
+        expect( await ParamPrompt.ask( { 'prompt': async () => ( { 'p0': 'x' } ), 'questions': [] } ) ).toEqual( { 'answers': { 'p0': 'x' }, 'cancelled': false } )
+        await expect( ParamPrompt.ask( { 'prompt': async () => { throw new Error( 'boom' ) }, 'questions': [] } ) ).rejects.toThrow( 'boom' )
+    } )
+} )
@@ -0,0 +1,144 @@
+import { describe, it, expect } from '@jest/globals'
+
+import { ParamValidator } from '../../src/lib/ParamValidator.mjs'
+
+
+const userParam = ( { key, primitive, options = [], zEnum } ) => {
+    const z = { primitive, options }
+    if( zEnum !== undefined ) {
+        z[ 'enum' ] = zEnum
+    }
+
+    return { 'position': { key, 'value': '{{USER_PARAM}}', 'location': 'query' }, z }
+}
+
+
+const ROUTE_PARAMETERS = [
+    userParam( { 'key': 'limit', 'primitive': 'number()', 'options': [ 'min(1)', 'max(100)', 'default(10)' ] } ),
+    userParam( { 'key': 'chain', 'primitive': 'enum(ETHEREUM,POLYGON)' } ),
+    userParam( { 'key': 'address', 'primitive': 'string()', 'options': [ 'regex(^0x[a-fA-F0-9]{40}$)' ] } ),
+    userParam( { 'key': 'code', 'primitive': 'string()', 'options': [ 'length(3)', 'optional()' ] } ),
+    userParam( { 'key': 'tags', 'primitive': 'array()', 'options': [ 'max(2)', 'optional()' ] } ),
+    { 'position': { 'key': 'apiKey', 'value': '{{API_KEY}}', 'location': 'query' }, 'z': { 'primitive': 'string()', 'options': [] } }
+]
+
+const VALID_ADDRESS = '0x' + 'a'.repeat( 40 )
+
+
+describe( 'ParamValidator.validate', () => {
+    it( 'returns no violations for valid params', () => {
+        const { violations } = ParamValidator.validate( {
+            'routeParameters': ROUTE_PARAMETERS,
+            'userParams': { 'limit': 5, 'chain': 'POLYGON', 'address': VALID_ADDRESS, 'code': 'EUR', 'tags': [ 'a' ] }
+        } )
+
+        expect( violations ).toEqual( [] )
+    } )
+
+
+    it( 'skips absent params and non-user params', () => {
+        const { violations } = ParamValidator.validate( {
+            'routeParameters': ROUTE_PARAMETERS,
+            'userParams': { 'apiKey': 42 }
+        } )
+
+        expect( violations ).toEqual( [] )
+    } )
+
+
+    it( 'reports every violation at once with its code', () => {
+        const { violations } = ParamValidator.validate( {
+            'routeParameters': ROUTE_PARAMETERS,
+            'userParams': { 'limit': 500, 'chain': 'SOLANA', 'address': '0x12', 'code': 'EURO', 'tags': [ 'a', 'b', 'c' ] }
+        } )
+
+        expect( violations.map( ( { param, code } ) => `${param}:${code}` ) ).toEqual( [
+            'limit:CAL-006',
+            'chain:CAL-004',
+            'address:CAL-008',
+            'code:CAL-007',
+            'tags:CAL-006'
+        ] )
+    } )
+
+
+    it( 'reports a type mismatch instead of option checks', () => {
+        const { violations } = ParamValidator.validate( {
+            'routeParameters': ROUTE_PARAMETERS,
+            'userParams': { 'limit': '5' }
+        } )
+
+        expect( violations ).toHaveLength( 1 )
+        expect( violations[ 0 ][ 'code' ] ).toBe( 'CAL-003' )
+        expect( violations[ 0 ][ 'message' ] ).toBe( 'expected number, got string' )
+        expect( violations[ 0 ][ 'example' ] ).toBe( 10 )
+    } )
+
+
+    it( 'checks enums against interpolated shared-list values', () => {
+        const routeParameters = [ userParam( { 'key': 'color', 'primitive': 'enum({{colors}})' } ) ]
+        const expectedParameters = { 'color': { 'type': 'enum', 'values': [ 'red', 'green' ], 'required': true } }
+
+        const { violations: bad } = ParamValidator.validate( { routeParameters, 'userParams': { 'color': 'pink' }, expectedParameters } )
+        const { violations: good } = ParamValidator.validate( { routeParameters, 'userParams': { 'color': 'red' }, expectedParameters } )
+
+        expect( bad[ 0 ][ 'code' ] ).toBe( 'CAL-004' )
+        expect( bad[ 0 ][ 'example' ] ).toBe( 'red' )
+        expect( good ).toEqual( [] )
+    } )
+
+
+    it( 'skips enums that are still uninterpolated templates', () => {
+        const routeParameters = [
+            userParam( { 'key': 'color', 'primitive': 'enum({{colors}})' } ),
+            userParam( { 'key': 'shade', 'primitive': 'enum()', 'zEnum': [ '{{privColors:name}}' ] } )
+        ]
+
+        const { violations } = ParamValidator.validate( { routeParameters, 'userParams': { 'color': 'pink', 'shade': 'dark' } } )
+
+        expect( violations ).toEqual( [] )
+    } )
+
+
+    it( 'reads v4 z.enum arrays', () => {
+        const routeParameters = [ userParam( { 'key': 'shade', 'primitive': 'enum()', 'zEnum': [ 'light', 'dark' ] } ) ]
+        const { violations } = ParamValidator.validate( { routeParameters, 'userParams': { 'shade': 'grey' } } )
+
+        expect( violations[ 0 ][ 'code' ] ).toBe( 'CAL-004' )
+    } )
+
+
+    it( 'ignores an unparseable regex() pattern', () => {
+        const routeParameters = [ userParam( { 'key': 'q', 'primitive': 'string()', 'options': [ 'regex(([)' ] } ) ]
+        const { violations } = ParamValidator.validate( { routeParameters, 'userParams': { 'q': 'anything' } } )
+
+        expect( violations ).toEqual( [] )
+    } )
+} )
+
+
+describe( 'ParamValidator.describe / exampleArgs', () => {
+    it( 'builds a summary and a passing example', () => {
+        const userParams = { 'limit': 0, 'chain': 'ETHEREUM' }
+        const { violations } = ParamValidator.validate( { 'routeParameters': ROUTE_PARAMETERS, userParams } )
+        const { summary } = ParamValidator.describe( { violations } )
+        const { example } = ParamValidator.exampleArgs( { userParams, violations } )
+
+        expect( summary ).toBe( 'limit (CAL-005 must be at least 1)' )
+        expect( example ).toEqual( { 'limit': 10, 'chain': 'ETHEREUM' } )
+    } )
+
+
+    it( 'never suggests an example that fails the regex', () => {
+        const routeParameters = [
+            ...ROUTE_PARAMETERS,
+            userParam( { 'key': 'symbol', 'primitive': 'string()', 'options': [ 'regex(^[A-Z]{3,5}$)', 'default(BTC)' ] } )
+        ]
+        const userParams = { 'address': '0x12', 'symbol': 'btc' }
+        const { violations } = ParamValidator.validate( { routeParameters, userParams } )
+        const { example } = ParamValidator.exampleArgs( { userParams, violations } )
+
+        expect( violations.map( ( { param, example: value } ) => [ param, value ] ) ).toEqual( [ [ 'address', null ], [ 'symbol', 'BTC' ] ] )
+        expect( example ).toEqual( { 'symbol': 'BTC' } )
+    } )
+} )
@@ -0,0 +1,31 @@
+import { describe, it, expect } from '@jest/globals'
+
+import { PhaseTimer } from '../../src/lib/PhaseTimer.mjs'
+
+
+describe( 'PhaseTimer', () => {
+    it( 'adds up repeated phases and reports them in first-run order', async () => {
+        const { timer } = PhaseTimer.create()
+        const wait = ( ms ) => new Promise( ( resolve ) => { setTimeout( resolve, ms ) } )
+
+        const value = await PhaseTimer.measure( { timer, 'phase': 'fullScan', 'execute': () => wait( 5 ).then( () => 'scanned' ) } )
+        await PhaseTimer.measure( { timer, 'phase': 'fetch', 'execute': () => wait( 5 ) } )
+        await PhaseTimer.measure( { timer, 'phase': 'fullScan', 'execute': () => wait( 5 ) } )
+        const { timings } = PhaseTimer.report( { timer } )
+
+        expect( value ).toBe( 'scanned' )
+        expect( timings[ 'phases' ].map( ( { phase, count } ) => [ phase, count ] ) ).toEqual( [ [ 'fullScan', 2 ], [ 'fetch', undefined ] ] )
+        expect( timings[ 'phases' ][ 0 ][ 'ms' ] ).toBeGreaterThanOrEqual( 9 )
+        expect( timings[ 'totalMs' ] ).toBeGreaterThanOrEqual( timings[ 'phases' ][ 0 ][ 'ms' ] + timings[ 'phases' ][ 1 ][ 'ms' ] - 0.2 )
+    } )
+
+
+    it( 'records a phase that throws and only runs the work without a timer', async () => {
+        const { timer } = PhaseTimer.create()
+        await expect( PhaseTimer.measure( { timer, 'phase': 'handlers', 'execute': () => Promise.reject( new Error( 'no lib' ) ) } ) ).rejects.toThrow( 'no lib' )
+
+        expect( PhaseTimer.report( { timer } )[ 'timings' ][ 'phases' ][ 0 ][ 'phase' ] ).toBe( 'handlers' )
+        expect( PhaseTimer.create( { 'enabled': false } )[ 'timer' ] ).toBeNull()
+        expect( await PhaseTimer.measure( { 'timer': null, 'phase': 'init', 'execute': () => 42 } ) ).toBe( 42 )
+    } )
+} )
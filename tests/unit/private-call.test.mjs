@@ -20,11 +20,13 @@ const FIX = join( here, '..', 'fixtures', 'private' )
 const CLEAN = join( FIX, 'clean-schema.mjs' )
 const FORBIDDEN = join( FIX, 'forbidden-schema.mjs' )
 const SHAREDLIST = join( FIX, 'sharedlist-schema.mjs' )
+const SHAREDLIST_ENUM = join( FIX, 'sharedlist-enum-schema.mjs' )
 const LIB_CLEAN = join( FIX, 'lib-clean-schema.mjs' )
 const LIB_NOLIB = join( FIX, 'lib-unresolvable-schema.mjs' )
 const LISTS_DIR = join( FIX, 'lists' )
 const PUBLIC_SRC = join( FIX, 'public-src' )
 const FINCLARITY = join( FIX, 'financial-clarity-resource-schema.mjs' )
+const WRITE = join( FIX, 'write-schema.mjs' )
 
 const cwd = process.cwd()
 
@@ -153,7 +155,20 @@ describe( 'private call — --lists-dir matrix (E-05)', () => {
         expect( result[ 'content' ][ 'picked' ] ).toBe( 'red' )
     } )
 
-    it( 'WITHOUT --lists-dir + a declared sharedLists ref fails loud with LST-001 (no silent {})', async () => {
+    it( 'checks shared-list enums like the public call path does', async () => {
+        const call = ( { color } ) => PrivateCommand.call( {
+            'schemaPath': SHAREDLIST_ENUM, 'toolName': 'pickColor', 'jsonArgs': JSON.stringify( { color } ), 'listsDir': LISTS_DIR, cwd
+        } )
+        const { result: rejected } = await call( { 'color': 'purple' } )
+        const { result: accepted } = await call( { 'color': 'green' } )
+
+        expect( rejected[ 'status' ] ).toBe( false )
+        expect( rejected[ 'error' ] ).toMatch( /^PRV-011 / )
+        expect( rejected[ 'violations' ] ).toMatchObject( [ { 'param': 'color', 'code': 'CAL-004', 'example': 'red' } ] )
+        expect( accepted[ 'content' ][ 'picked' ] ).toBe( 'green' )
+    } )
+
+        it( 'WITHOUT --lists-dir + a declared sharedLists ref fails loud with LST-001 (no silent {})', async () => {
         const { result } = await PrivateCommand.call( {
             'schemaPath': SHAREDLIST, 'toolName': 'pickColor', 'jsonArgs': '{"color":"red"}', cwd
         } )
@@ -212,6 +227,32 @@ describe( 'private call — no silent defaults, every arg validated', () => {
 } )
 
 
+describe( 'private call — write safety is the same gate as call', () => {
+    it( 'needs --confirm for a write tool under requireConfirm and audits both attempts', async () => {
+        const configPath = join( homedir(), '.flowmcp', 'config.json' )
+        const config = JSON.parse( await readFile( configPath, 'utf-8' ) )
+        await writeFile( configPath, JSON.stringify( { ...config, 'writeSafety': { 'requireConfirm': true } }, null, 4 ), 'utf-8' )
+
+        const args = { 'schemaPath': WRITE, 'toolName': 'createItem', 'jsonArgs': '{"title":"first"}', cwd }
+        const { result: unconfirmed } = await PrivateCommand.call( args )
+        const { result: confirmed } = await PrivateCommand.call( { ...args, 'confirm': true } )
+        await writeFile( configPath, JSON.stringify( config, null, 4 ), 'utf-8' )
+
+        expect( unconfirmed ).toMatchObject( { 'status': false, 'code': 'WRT-002' } )
+        expect( confirmed ).toMatchObject( { 'status': true, 'content': { 'created': 'first' } } )
+
+        const audit = ( await readFile( join( homedir(), '.flowmcp', 'audit.jsonl' ), 'utf-8' ) )
+            .trim()
+            .split( '\n' )
+            .map( ( line ) => JSON.parse( line ) )
+        expect( audit.slice( -2 ).map( ( { namespace, method, decision, confirmedBy } ) => [ namespace, method, decision, confirmedBy ] ) ).toEqual( [
+            [ 'privwrite', 'POST', 'unconfirmed', null ],
+            [ 'privwrite', 'POST', 'allow', 'flag' ]
+        ] )
+    } )
+} )
+
+
 describe( 'private call — library gate is the Memo-150 model (E-07, F17=A)', () => {
     it( 'a resolvable allowlisted requiredLibrary is injected into the handler and the tool runs', async () => {
         const { result } = await PrivateCommand.call( {
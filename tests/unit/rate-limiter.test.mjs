@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { writeFile } from 'node:fs/promises'
+import { existsSync } from 'node:fs'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { HttpTransport } from '../../src/lib/HttpTransport.mjs'
+import { RateLimiter } from '../../src/lib/RateLimiter.mjs'
+
+
+const testHome = createTestHome( { suite: 'rate-limiter' } )
+const originalFetch = globalThis.fetch
+
+
+beforeAll( async () => {
+    await testHome.setup()
+    globalThis.fetch = async () => new Response( '{}', { 'status': 200 } )
+} )
+
+
+afterAll( async () => {
+    globalThis.fetch = originalFetch
+    await testHome.teardown()
+} )
+
+
+describe( 'RateLimiter', () => {
+    it( 'reads limits from config, schema meta and the namespace block', async () => {
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {
+            'rateLimit': { 'requests': 100, 'per': '1m' },
+            'namespaces': { 'etherscan': { 'rateLimit': { 'requests': 5, 'per': '1s' } } }
+        } ) )
+
+        const { limit: fallback } = await RateLimiter.resolve( { 'namespace': 'other' } )
+        const { limit: declared } = await RateLimiter.resolve( { 'namespace': 'other', 'main': { 'rateLimit': { 'requests': 10, 'per': '1m' } } } )
+        const { limit: configured } = await RateLimiter.resolve( { 'namespace': 'etherscan', 'main': { 'rateLimit': { 'requests': 10 } } } )
+        const { error } = await RateLimiter.resolve( { 'namespace': 'other', 'main': { 'rateLimit': { 'requests': 10, 'per': 'soon' } } } )
+
+        expect( fallback ).toMatchObject( { 'requests': 100, 'perMs': 60000 } )
+        expect( declared ).toMatchObject( { 'requests': 10, 'perMs': 60000 } )
+        expect( configured ).toMatchObject( { 'requests': 5, 'perMs': 1000, 'maxWaitMs': 60000 } )
+        expect( error ).toMatch( /^RTL-001/ )
+
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {} ) )
+        const { limit: unlimited } = await RateLimiter.resolve( { 'namespace': 'other' } )
+        expect( unlimited ).toBeNull()
+    } )
+
+
+    it( 'hands out the burst, then queues reservations in the shared state file', () => {
+        const limit = { 'namespace': 'burst', 'requests': 2, 'perMs': 1000, 'maxWaitMs': 5000 }
+        const now = 1_000_000
+
+        const waits = [ 0, 1, 2, 3 ]
+            .map( () => RateLimiter.acquire( { limit, now } )[ 'waitMs' ] )
+
+        expect( waits ).toEqual( [ 0, 0, 500, 1000 ] )
+        expect( existsSync( RateLimiter.statePath() ) ).toBe( true )
+        expect( RateLimiter.acquire( { limit, 'now': now + 2000 } )[ 'waitMs' ] ).toBe( 0 )
+    } )
+
+
+    it( 'refuses a wait beyond maxWaitMs without reserving', () => {
+        const limit = { 'namespace': 'strict', 'requests': 1, 'perMs': 60000, 'maxWaitMs': 1000 }
+        const now = 2_000_000
+
+        expect( RateLimiter.acquire( { limit, now } ) ).toEqual( { 'waitMs': 0, 'granted': true } )
+        expect( RateLimiter.acquire( { limit, now } )[ 'granted' ] ).toBe( false )
+        expect( RateLimiter.acquire( { limit, 'now': now + 59500 } ) ).toEqual( { 'waitMs': 500, 'granted': true } )
+    } )
+
+
+    it( 'waits before each request it lets through', async () => {
+        const limit = { 'namespace': 'interceptor', 'requests': 1, 'perMs': 50, 'maxWaitMs': 1000 }
+        const report = { 'namespace': 'interceptor', 'requests': 0, 'waitedMs': 0 }
+        const slept = []
+        const interceptors = [ RateLimiter.interceptor( { limit, report, 'sleep': async ( ms ) => { slept.push( ms ) } } ) ]
+
+        await HttpTransport.run( {
+            interceptors,
+            'execute': async () => {
+                await fetch( 'https://api.example.com/a' )
+                await fetch( 'https://api.example.com/b' )
+            }
+        } )
+
+        expect( report[ 'requests' ] ).toBe( 2 )
+        expect( slept ).toHaveLength( 1 )
+        expect( report[ 'waitedMs' ] ).toBe( slept[ 0 ] )
+    } )
+} )
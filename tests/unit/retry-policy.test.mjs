@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { writeFile } from 'node:fs/promises'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { HttpTransport } from '../../src/lib/HttpTransport.mjs'
+import { RetryPolicy } from '../../src/lib/RetryPolicy.mjs'
+
+
+const testHome = createTestHome( { suite: 'retry-policy' } )
+const originalFetch = globalThis.fetch
+const noSleep = async () => {}
+let responses = []
+let liveCalls = 0
+
+
+beforeAll( async () => {
+    await testHome.setup()
+    globalThis.fetch = async () => {
+        liveCalls += 1
+        const next = responses.shift()
+        if( next instanceof Error ) {
+            throw next
+        }
+
+        return new Response( JSON.stringify( { 'ok': next[ 'status' ] === 200 } ), next )
+    }
+} )
+
+
+afterAll( async () => {
+    globalThis.fetch = originalFetch
+    await testHome.teardown()
+} )
+
+
+const callThrough = async ( { policy, url = 'https://api.example.com/v1/price', init = {} } ) => {
+    const report = { 'attempts': 0, 'retries': [] }
+    const interceptors = [ RetryPolicy.interceptor( { policy, report, 'sleep': noSleep, 'random': () => 1 } ) ]
+    const response = await HttpTransport.run( { interceptors, 'execute': () => fetch( url, init ) } )
+
+    return { 'status': response.status, report }
+}
+
+
+describe( 'RetryPolicy', () => {
+    it( 'layers config, namespace block and flags', async () => {
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {
+            'retry': { 'maxAttempts': 5, 'baseDelayMs': 100 },
+            'namespaces': { 'coingecko': { 'retry': { 'maxAttempts': 2 } } }
+        } ) )
+
+        const { policy: global } = await RetryPolicy.resolve( {} )
+        const { policy: scoped } = await RetryPolicy.resolve( { 'namespace': 'coingecko' } )
+        const { policy: flagged } = await RetryPolicy.resolve( { 'namespace': 'coingecko', 'overrides': { 'maxAttempts': '4', 'baseDelayMs': undefined } } )
+        const { error } = await RetryPolicy.resolve( { 'overrides': { 'maxAttempts': '0' } } )
+
+        expect( global[ 'maxAttempts' ] ).toBe( 5 )
+        expect( scoped[ 'maxAttempts' ] ).toBe( 2 )
+        expect( scoped[ 'baseDelayMs' ] ).toBe( 100 )
+        expect( flagged[ 'maxAttempts' ] ).toBe( 4 )
+        expect( error ).toMatch( /^RTY-001/ )
+
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {} ) )
+        const { policy: defaults } = await RetryPolicy.resolve( {} )
+        expect( defaults ).toMatchObject( { 'maxAttempts': 1, 'retryNonIdempotent': false } )
+    } )
+
+
+    it( 'retries 503 and network errors until success and reports the attempts', async () => {
+        const { policy } = await RetryPolicy.resolve( { 'overrides': { 'maxAttempts': 3 } } )
+        responses = [ { 'status': 503 }, new TypeError( 'fetch failed' ), { 'status': 200 } ]
+
+        const { status, report } = await callThrough( { policy } )
+
+        expect( status ).toBe( 200 )
+        expect( report[ 'attempts' ] ).toBe( 3 )
+        expect( report[ 'retries' ].map( ( retry ) => retry[ 'status' ] || retry[ 'error' ] ) ).toEqual( [ 503, 'fetch failed' ] )
+    } )
+
+
+    it( 'gives up after maxAttempts and returns the last response', async () => {
+        const { policy } = await RetryPolicy.resolve( { 'overrides': { 'maxAttempts': 2 } } )
+        responses = [ { 'status': 429 }, { 'status': 429 } ]
+
+        const { status, report } = await callThrough( { policy } )
+
+        expect( status ).toBe( 429 )
+        expect( report[ 'attempts' ] ).toBe( 2 )
+        expect( report[ 'retries' ] ).toHaveLength( 1 )
+    } )
+
+
+    it( 'never retries POST unless retryNonIdempotent is set', async () => {
+        const { policy } = await RetryPolicy.resolve( { 'overrides': { 'maxAttempts': 3 } } )
+        responses = [ { 'status': 503 } ]
+        const before = liveCalls
+
+        const { status } = await callThrough( { policy, 'init': { 'method': 'POST', 'body': '{}' } } )
+        expect( status ).toBe( 503 )
+        expect( liveCalls - before ).toBe( 1 )
+
+        const { policy: allowed } = await RetryPolicy.resolve( { 'overrides': { 'maxAttempts': 3, 'retryNonIdempotent': true } } )
+        responses = [ { 'status': 503 }, { 'status': 200 } ]
+        const { status: retried } = await callThrough( { 'policy': allowed, 'init': { 'method': 'POST', 'body': '{}' } } )
+        expect( retried ).toBe( 200 )
+    } )
+
+
+    it( 'honors Retry-After and caps it at maxDelayMs', () => {
+        const policy = { 'baseDelayMs': 500, 'maxDelayMs': 10000, 'jitter': false }
+
+        expect( RetryPolicy.parseRetryAfter( { 'value': '3' } )[ 'ms' ] ).toBe( 3000 )
+        expect( RetryPolicy.parseRetryAfter( { 'value': 'Wed, 21 Oct 2015 07:28:05 GMT', 'now': Date.parse( 'Wed, 21 Oct 2015 07:28:00 GMT' ) } )[ 'ms' ] ).toBe( 5000 )
+        expect( RetryPolicy.parseRetryAfter( { 'value': 'soon' } )[ 'ms' ] ).toBeNull()
+        expect( RetryPolicy.delayFor( { policy, 'attempt': 1, 'retryAfterMs': 60000 } )[ 'delayMs' ] ).toBe( 10000 )
+        expect( RetryPolicy.delayFor( { policy, 'attempt': 3 } )[ 'delayMs' ] ).toBe( 2000 )
+    } )
+} )
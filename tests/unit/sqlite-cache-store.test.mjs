@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { mkdir, readdir, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { HttpCache } from '../../src/lib/HttpCache.mjs'
+import { SqliteCacheStore } from '../../src/lib/SqliteCacheStore.mjs'
+import { CacheCommand } from '../../src/commands/CacheCommand.mjs'
+
+
+const testHome = createTestHome( { suite: 'sqlite-cache-store' } )
+const useStore = ( cache ) => writeFile( testHome.globalConfigPath, JSON.stringify( { cache } ) )
+
+
+beforeAll( async () => {
+    await testHome.setup()
+} )
+
+
+afterAll( async () => {
+    await testHome.teardown()
+} )
+
+
+describe( 'SqliteCacheStore', () => {
+    it( 'serves readCache / writeCache from the database when cache.store is sqlite', async () => {
+        await useStore( { 'store': 'sqlite' } )
+        const { cacheKey } = HttpCache.buildCacheKey( { 'namespace': 'demo', 'routeName': 'getPrice', 'userParams': { 'id': 'btc' } } )
+        const { cachePath, meta } = await HttpCache.writeCache( { cacheKey, 'data': { 'price': 1 }, 'ttl': 60 } )
+        const cached = await HttpCache.readCache( { cacheKey } )
+        const missing = await HttpCache.readCache( { 'cacheKey': 'demo/other.json' } )
+
+        expect( cachePath ).toBe( SqliteCacheStore.dbPath() )
+        expect( cached ).toMatchObject( { 'data': { 'price': 1 }, meta, 'isExpired': false } )
+        expect( missing ).toMatchObject( { 'data': null, 'isExpired': true } )
+        await expect( readdir( testHome.cacheDir ) ).rejects.toThrow()
+    } )
+
+
+    it( 'evicts the least recently used entries above maxBytes', () => {
+        SqliteCacheStore.clear()
+        const meta = { 'expiresAt': '2999-01-01T00:00:00.000Z' }
+        const dataString = JSON.stringify( 'x'.repeat( 38 ) )
+        SqliteCacheStore.write( { 'cacheKey': 'demo/a.json', meta, dataString, 'maxBytes': 100, 'now': 1 } )
+        SqliteCacheStore.write( { 'cacheKey': 'demo/b.json', meta, dataString, 'maxBytes': 100, 'now': 2 } )
+        SqliteCacheStore.read( { 'cacheKey': 'demo/a.json', 'now': 3 } )
+        const { evicted } = SqliteCacheStore.write( { 'cacheKey': 'demo/c.json', meta, dataString, 'maxBytes': 100, 'now': 4 } )
+
+        expect( evicted ).toBe( 1 )
+        expect( SqliteCacheStore.list()[ 'entries' ].map( ( { cacheKey } ) => cacheKey ) ).toEqual( [ 'demo/a.json', 'demo/c.json' ] )
+    } )
+
+
+    it( 'migrates the JSON tree and keeps keys the database already holds', async () => {
+        await useStore( {} )
+        expect( ( await CacheCommand.cacheMigrate() )[ 'result' ] ).toMatchObject( { 'status': false, 'code': 'CCH-006' } )
+
+        await useStore( { 'store': 'sqlite' } )
+        const entry = ( data ) => JSON.stringify( { 'meta': { 'fetchedAt': '2026-01-01T00:00:00.000Z', 'expiresAt': '2999-01-01T00:00:00.000Z', 'ttl': 60, 'size': 9 }, data } )
+        await mkdir( join( testHome.cacheDir, 'legacy', 'getList' ), { 'recursive': true } )
+        await mkdir( join( testHome.cacheDir, 'demo' ), { 'recursive': true } )
+        await writeFile( join( testHome.cacheDir, 'legacy', 'getList', 'abc123.json' ), entry( [ 1, 2 ] ) )
+        await writeFile( join( testHome.cacheDir, 'demo', 'c.json' ), entry( 'from json' ) )
+
+        const { result } = await CacheCommand.cacheMigrate()
+        const { data } = await HttpCache.readCache( { 'cacheKey': 'legacy/getList/abc123.json' } )
+
+        expect( result ).toMatchObject( { 'status': true, 'imported': 1, 'skipped': 1, 'removedFiles': 2 } )
+        expect( data ).toEqual( [ 1, 2 ] )
+        expect( ( await HttpCache.readCache( { 'cacheKey': 'demo/c.json' } ) )[ 'data' ] ).toBe( 'x'.repeat( 38 ) )
+        expect( await readdir( testHome.cacheDir ) ).toEqual( [] )
+    } )
+
+
+    it( 'migrates a tree larger than one batch', async () => {
+        await useStore( { 'store': 'sqlite' } )
+        const keys = Array.from( { 'length': 205 }, ( _, index ) => `bulk/getItem/${String( index ).padStart( 3, '0' )}.json` )
+        await mkdir( join( testHome.cacheDir, 'bulk', 'getItem' ), { 'recursive': true } )
+        await Promise.all( keys.map( ( key, index ) => writeFile( join( testHome.cacheDir, key ), JSON.stringify( {
+            'meta': { 'fetchedAt': '2026-01-01T00:00:00.000Z', 'expiresAt': '2999-01-01T00:00:00.000Z', 'ttl': 60, 'size': 3 },
+            'data': index
+        } ) ) ) )
+
+        const { result } = await CacheCommand.cacheMigrate()
+
+        expect( result ).toMatchObject( { 'status': true, 'imported': 205, 'skipped': 0, 'oversized': 0, 'removedFiles': 205 } )
+        expect( SqliteCacheStore.list( { 'namespace': 'bulk' } )[ 'entries' ] ).toHaveLength( 205 )
+        expect( await readdir( testHome.cacheDir ) ).toEqual( [] )
+    } )
+
+
+    it( 'refuses an entry larger than maxSizeMb and counts sizes in UTF-8 bytes', async () => {
+        await useStore( { 'store': 'sqlite', 'maxSizeMb': 0.0001 } )
+        const { meta, stored } = await HttpCache.writeCache( { 'cacheKey': 'demo/euro.json', 'data': '€'.repeat( 10 ), 'ttl': 60 } )
+        const { stored: tooLarge } = await HttpCache.writeCache( { 'cacheKey': 'demo/big.json', 'data': '€'.repeat( 40 ), 'ttl': 60 } )
+
+        expect( [ stored, tooLarge ] ).toEqual( [ true, false ] )
+        expect( meta[ 'size' ] ).toBe( 32 )
+        expect( ( await HttpCache.readCache( { 'cacheKey': 'demo/big.json' } ) )[ 'data' ] ).toBeNull()
+        expect( ( await HttpCache.readCache( { 'cacheKey': 'demo/euro.json' } ) )[ 'data' ] ).toBe( '€'.repeat( 10 ) )
+    } )
+
+
+    it( 'warns about an unknown store once when the caller passes the settings along', async () => {
+        await useStore( { 'store': 'redis' } )
+        const writes = []
+        const original = process.stderr.write
+        process.stderr.write = ( chunk ) => { writes.push( String( chunk ) ); return true }
+
+        try {
+            const settings = await HttpCache.storeSettings()
+            await HttpCache.writeCache( { 'cacheKey': 'demo/once.json', 'data': 1, 'ttl': 60, settings } )
+            const { data } = await HttpCache.readCache( { 'cacheKey': 'demo/once.json', settings } )
+
+            expect( settings[ 'store' ] ).toBe( 'json' )
+            expect( data ).toBe( 1 )
+        } finally {
+            process.stderr.write = original
+        }
+
+        expect( writes.filter( ( line ) => line.startsWith( 'CCH-005' ) ) ).toHaveLength( 1 )
+    } )
+} )
@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { writeFile } from 'node:fs/promises'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { HttpCache } from '../../src/lib/HttpCache.mjs'
+import { StaleIfError } from '../../src/lib/StaleIfError.mjs'
+
+
+const testHome = createTestHome( { suite: 'stale-if-error' } )
+const HOUR = 60 * 60 * 1000
+
+
+beforeAll( async () => {
+    await testHome.setup()
+} )
+
+
+afterAll( async () => {
+    await testHome.teardown()
+} )
+
+
+describe( 'StaleIfError', () => {
+    it( 'is off by default and takes the namespace maxStale over the global one', async () => {
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {
+            'staleIfError': { 'maxStale': '2h' },
+            'namespaces': { 'demo': { 'staleIfError': { 'enabled': true, 'maxStale': '7d' } } }
+        } ) )
+
+        const { policy: other } = await StaleIfError.resolve( { 'namespace': 'other' } )
+        const { policy: flagged } = await StaleIfError.resolve( { 'namespace': 'other', 'overrides': { 'enabled': true } } )
+        const { policy: demo } = await StaleIfError.resolve( { 'namespace': 'demo' } )
+
+        expect( other ).toEqual( { 'enabled': false, 'maxStaleMs': 2 * HOUR } )
+        expect( flagged[ 'enabled' ] ).toBe( true )
+        expect( demo ).toEqual( { 'enabled': true, 'maxStaleMs': 7 * 24 * HOUR } )
+
+        await writeFile( testHome.globalConfigPath, JSON.stringify( { 'staleIfError': { 'maxStale': 'forever' } } ) )
+        expect( ( await StaleIfError.resolve( { 'namespace': 'demo' } ) )[ 'error' ] ).toMatch( /^STL-001 / )
+    } )
+
+
+    it( 'answers from an expired entry within maxStale and keeps the failure', async () => {
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {} ) )
+        const { meta } = await HttpCache.writeCache( { 'cacheKey': 'demo/getPrice.json', 'data': { 'price': 1 }, 'ttl': 60 } )
+        const expiredAt = Date.parse( meta[ 'expiresAt' ] )
+        const policy = { 'enabled': true, 'maxStaleMs': HOUR }
+        const call = ( overrides ) => StaleIfError.fallback( { policy, 'cacheKey': 'demo/getPrice.json', 'toolName': 'getPrice_demo', 'failure': 'HTTP 503', ...overrides } )
+
+        const { result } = await call( { 'now': expiredAt + 1000 } )
+        const { result: tooOld } = await call( { 'now': expiredAt + 2 * HOUR } )
+        const { result: off } = await call( { 'policy': { 'enabled': false, 'maxStaleMs': HOUR }, 'now': expiredAt + 1000 } )
+        const { result: missing } = await call( { 'cacheKey': 'demo/other.json', 'now': expiredAt + 1000 } )
+
+        expect( result ).toMatchObject( {
+            'status': true,
+            'content': { 'price': 1 },
+            'cache': { 'hit': true, 'stale': true, 'staleMs': 1000, 'error': 'HTTP 503', 'expiresAt': meta[ 'expiresAt' ] }
+        } )
+        expect( [ tooOld, off, missing ] ).toEqual( [ null, null, null ] )
+    } )
+} )
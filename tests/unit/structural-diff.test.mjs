@@ -0,0 +1,34 @@
+import { describe, it, expect } from '@jest/globals'
+
+import { StructuralDiff } from '../../src/lib/StructuralDiff.mjs'
+
+
+describe( 'StructuralDiff', () => {
+    it( 'treats different values with the same shape as equal', () => {
+        const baseline = { 'data': [ { 'symbol': 'BTC', 'price': 65000 } ], 'meta': { 'next': null } }
+        const candidate = { 'data': [ { 'symbol': 'ETH', 'price': 3200 }, { 'symbol': 'SOL', 'price': 150 } ], 'meta': { 'next': null } }
+
+        expect( StructuralDiff.compare( { baseline, candidate } ) ).toEqual( { 'equal': true, 'differences': [] } )
+    } )
+
+
+    it( 'reports missing, added and retyped paths sorted by path', () => {
+        const baseline = { 'data': [ { 'symbol': 'BTC', 'price': 65000, 'rank': 1 } ] }
+        const candidate = { 'data': [ { 'symbol': 'BTC', 'price': '65000', 'market-cap': 1 } ] }
+        const { equal, differences } = StructuralDiff.compare( { baseline, candidate } )
+
+        expect( equal ).toBe( false )
+        expect( differences ).toEqual( [
+            { 'path': '$.data[*].price', 'change': 'type', 'baseline': 'number', 'candidate': 'string' },
+            { 'path': '$.data[*].rank', 'change': 'missing', 'baseline': 'number', 'candidate': null },
+            { 'path': '$.data[*]["market-cap"]', 'change': 'added', 'baseline': null, 'candidate': 'number' }
+        ] )
+    } )
+
+
+    it( 'joins the types seen at a folded array path', () => {
+        const { shape } = StructuralDiff.shape( { 'value': [ { 'a': 1 }, { 'a': null } ] } )
+
+        expect( Object.fromEntries( shape ) ).toEqual( { '$': 'array', '$[*]': 'object', '$[*].a': 'null|number' } )
+    } )
+} )
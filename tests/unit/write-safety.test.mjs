@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { readFile, writeFile } from 'node:fs/promises'
+
+import { createTestHome } from '../helpers/test-home.mjs'
+import { WriteSafety } from '../../src/lib/WriteSafety.mjs'
+
+
+const testHome = createTestHome( { suite: 'write-safety' } )
+
+
+beforeAll( async () => {
+    await testHome.setup()
+} )
+
+
+afterAll( async () => {
+    await testHome.teardown()
+} )
+
+
+describe( 'WriteSafety', () => {
+    it( 'treats every method but GET as a write', () => {
+        expect( [ 'GET', 'get', undefined, 'POST', 'put', 'DELETE' ].map( ( method ) => WriteSafety.isWrite( { method } ) ) )
+            .toEqual( [ false, false, false, true, true, true ] )
+    } )
+
+
+    it( 'asks for confirmation only when requireConfirm is set, and blocks per namespace', async () => {
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {} ) )
+        const { decision: open, confirmedBy } = await WriteSafety.decide( { 'namespace': 'demo', 'toolName': 'createItem' } )
+
+        await writeFile( testHome.globalConfigPath, JSON.stringify( {
+            'writeSafety': { 'requireConfirm': true },
+            'namespaces': { 'github': { 'writeSafety': { 'block': true } } }
+        } ) )
+        const decisions = await Promise.all( [
+            { 'namespace': 'demo' },
+            { 'namespace': 'demo', 'confirm': true },
+            { 'namespace': 'demo', 'canPrompt': true },
+            { 'namespace': 'github', 'confirm': true }
+        ].map( ( args ) => WriteSafety.decide( { ...args, 'toolName': 'createItem' } ) ) )
+
+        expect( [ open, confirmedBy ] ).toEqual( [ 'allow', 'policy' ] )
+        expect( decisions.map( ( { decision, confirmedBy: by } ) => [ decision, by ] ) ).toEqual( [
+            [ 'unconfirmed', null ],
+            [ 'allow', 'flag' ],
+            [ 'confirm', null ],
+            [ 'blocked', null ]
+        ] )
+        expect( decisions[ 0 ][ 'error' ] ).toMatch( /^WRT-002 / )
+        expect( decisions[ 3 ][ 'error' ] ).toMatch( /^WRT-001 .*"github"/ )
+    } )
+
+
+    it( 'gates without a TTY: --confirm passes, nothing else is asked', async () => {
+        await writeFile( testHome.globalConfigPath, JSON.stringify( { 'writeSafety': { 'requireConfirm': true } } ) )
+        const gate = ( confirm ) => WriteSafety.gate( { 'toolName': 'createItem', 'namespace': 'demo', 'method': 'POST', confirm } )
+
+        const { write: flagged, error: none } = await gate( true )
+        const { write: refused, error } = await gate( false )
+
+        expect( [ flagged, none ] ).toEqual( [ { 'method': 'POST', 'decision': 'allow', 'confirmedBy': 'flag' }, null ] )
+        expect( refused ).toEqual( { 'method': 'POST', 'decision': 'unconfirmed', 'confirmedBy': null } )
+        expect( error ).toMatch( /^WRT-002 / )
+    } )
+
+
+    it( 'appends a masked audit line with the decision', async () => {
+        const trace = { 'resolvedTool': 'createItem', 'namespace': 'demo', 'source': 'local', 'userParams': { 'token': 'sk-secret-123' }, 'secrets': [ 'sk-secret-123' ] }
+        const result = { 'status': false, 'code': 'WRT-003', 'error': 'WRT-003 writeSafety: declined' }
+        await WriteSafety.audit( { 'toolName': 'demo/tool/createItem', trace, result, 'durationMs': 3, 'write': { 'method': 'POST', 'decision': 'declined', 'confirmedBy': null } } )
+
+        const lines = ( await readFile( WriteSafety.auditPath(), 'utf-8' ) ).trim().split( '\n' )
+        const entry = JSON.parse( lines[ lines.length - 1 ] )
+
+        expect( entry ).toMatchObject( { 'tool': 'demo/tool/createItem', 'method': 'POST', 'decision': 'declined', 'confirmedBy': null, 'code': 'WRT-003' } )
+        expect( lines.join( '\n' ) ).not.toContain( 'sk-secret-123' )
+    } )
+} )